@@ -1,18 +1,65 @@
 document.addEventListener('DOMContentLoaded', function() {
     // Referencias a elementos DOM
     const textInput = document.getElementById('text-input');
+    const dropZone = document.getElementById('drop-zone');
+    const fileInput = document.getElementById('file-input');
+    const fileBrowseBtn = document.getElementById('file-browse-btn');
     const generateBtn = document.getElementById('generate-btn');
     const clearBtn = document.getElementById('clear-btn');
+    const saveBtn = document.getElementById('save-btn');
     const downloadBtn = document.getElementById('download-btn');
+    const downloadFormat = document.getElementById('download-format');
     const shareBtn = document.getElementById('share-btn');
+    const historyBtn = document.getElementById('history-btn');
     const editBtn = document.getElementById('edit-btn');
+    const collaborateBtn = document.getElementById('collaborate-btn');
     const tabBtns = document.querySelectorAll('.tab-btn');
     const tabContents = document.querySelectorAll('.tab-content');
     const markmapContainer = document.getElementById('markmap-container');
+    const graphEditorElement = document.getElementById('graph-editor');
+    const mindMapElement = document.getElementById('mind-map-container');
+    const mindMapLayout = document.getElementById('mind-map-layout');
+    const viewButtons = document.querySelectorAll('.view-toggle [data-view]');
+    const savedMapsList = document.getElementById('saved-maps-list');
+    const loginLink = document.getElementById('login-link');
+    const accountModal = document.getElementById('account-modal');
+    const shareModal = document.getElementById('share-modal');
+    const shareForm = document.getElementById('share-form');
+    const historyModal = document.getElementById('history-modal');
+    const versionDiff = document.getElementById('version-diff');
+    const authForm = document.getElementById('auth-form');
+    const apiKeyForm = document.getElementById('api-key-form');
+    const logoutBtn = document.getElementById('logout-btn');
     
     // Variables para el mapa conceptual
     let markmapInstance = null;
     let currentMapData = null;
+    let currentResult = null; // Resultado completo del último mapa generado o abierto
+    let currentMapId = null; // Identificador del mapa guardado que se está mostrando
+    let planConfig = null; // Límites del plan devueltos por /api/config
+    let currentUser = null; // Usuario con sesión iniciada
+    let authMode = 'login'; // Formulario activo en el modal de cuenta: login o signup
+    let graphEditor = null; // Editor interactivo, creado la primera vez que se abre
+    let collaboration = null; // Sesión de edición en grupo activa
+    let collaborationLink = null; // Token del enlace de edición con el que se entró como invitado
+    let collaborationSaveRequested = false; // Avisar del próximo guardado solo si lo pidió el usuario
+    let mindMap = null; // Vista de mapa mental, creada la primera vez que se muestra
+    let mapView = 'concept'; // Vista elegida en la pestaña de salida: concept o mind
+    
+    // Mapas de otras herramientas que se importan en lugar de leerse como texto
+    let importExtensions = ['.cxl', '.opml', '.mm', '.mmd', '.mermaid'];
+    
+    // Diagrama de flujo Mermaid, solo o en un bloque ```mermaid (como el que genera la aplicación)
+    const MERMAID_FLOWCHART = /^(?:[\s\S]*?```mermaid[^\n]*\n)?\s*(?:%%[^\n]*\n\s*)*(?:flowchart|graph)(?:\s+(?:TD|TB|BT|LR|RL))?\s*;?\s*\n/i;
+    
+    // Casillas de etapas del formulario y su nombre en la API
+    const stageCheckboxes = {
+        organization: 'stage1',
+        reasoning: 'stage2',
+        enrichment: 'stage3',
+        validation: 'stage4',
+        aesthetics: 'stage5'
+    };
     
     // Función para garantizar que el mapa conceptual base siempre sea visible
     function ensureBasicConceptMap() {
@@ -110,136 +157,1347 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     });
     
-    // Limpiar texto
-    clearBtn.addEventListener('click', () => {
-        textInput.value = '';
+    // Limpiar texto
+    clearBtn.addEventListener('click', () => {
+        textInput.value = '';
+    });
+    
+    // Generar mapa conceptual
+    generateBtn.addEventListener('click', async () => {
+        const text = textInput.value.trim();
+        
+        if (!text) {
+            showNotification('Por favor, ingresa un texto para generar el mapa conceptual', 'error');
+            return;
+        }
+        
+        // Un diagrama Mermaid (por ejemplo, el de un mapa que se está editando) se importa tal cual
+        if (MERMAID_FLOWCHART.test(text)) {
+            await importMap(text, null);
+            return;
+        }
+        
+        if (planConfig && text.length > planConfig.maxTextLength) {
+            showNotification(`El texto tiene ${text.length} caracteres y tu plan permite hasta ${planConfig.maxTextLength}`, 'error');
+            return;
+        }
+        
+        // Asegurar que el mapa conceptual base esté visible en el contenedor
+        ensureBasicConceptMap();
+        
+        // Mostrar indicador de carga
+        showLoading(true);
+        
+        try {
+            // Recopilar opciones de configuración
+            const options = collectOptions();
+            
+            console.log('Opciones de configuración:', options);
+            console.log('Texto a procesar (primeros 50 caracteres):', text.substring(0, 50));
+            
+            console.log('Creando trabajo de generación...');
+            
+            // Crear un trabajo de generación en segundo plano
+            const response = await fetch('/api/jobs', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ text, options })
+            });
+            
+            console.log('Respuesta API status:', response.status);
+            
+            if (!response.ok) {
+                const errorText = await response.text();
+                console.error('Error en la respuesta:', errorText);
+                throw new Error(describeApiError(response.status, errorText));
+            }
+            
+            const jobData = await response.json();
+            loadPlanConfiguration(); // Actualizar la cuota restante
+            
+            // Seguir el progreso real de las etapas hasta que el trabajo termine
+            const job = await waitForJob(jobData.job.id);
+            const data = job.status === 'completed' ?
+                { success: true, result: job.result } :
+                { success: false, error: job.error };
+            console.log('Datos recibidos:', data);
+            
+            if (data.success) {
+                showGeneratedMap(data.result);
+                showNotification('Mapa conceptual generado exitosamente', 'success');
+            } else {
+                console.error('Error en datos recibidos:', data.error || 'Error desconocido');
+                throw new Error(data.error || 'Error desconocido');
+            }
+        } catch (error) {
+            console.error('Error:', error);
+            showNotification(error.message, 'error');
+        } finally {
+            showLoading(false);
+        }
+    });
+    
+    // Función para recopilar las opciones de generación del formulario
+    function collectOptions() {
+        const lexiconDomain = document.getElementById('lexicon-domain').value;
+        
+        return {
+            stages: {
+                organization: document.getElementById('stage1').checked,
+                reasoning: document.getElementById('stage2').checked,
+                enrichment: document.getElementById('stage3').checked,
+                validation: document.getElementById('stage4').checked,
+                aesthetics: document.getElementById('stage5').checked
+            },
+            visualStyle: document.getElementById('visual-style').value,
+            language: document.getElementById('language').value,
+            lexiconDomains: lexiconDomain ? [lexiconDomain] : undefined,
+            complexity: document.getElementById('complexity').value
+        };
+    }
+    
+    // Función para mostrar un mapa recién generado en la pestaña de salida
+    function showGeneratedMap(result) {
+        // Guardar los datos del mapa - accediendo a la estructura correcta
+        currentMapData = result.content;
+        currentResult = result;
+        currentMapId = null; // Un mapa recién generado aún no está guardado
+        closeGraphEditor();
+        console.log('Contenido del mapa (primeros 100 caracteres):', result.content.substring(0, 100));
+        
+        // Renderizar el mapa conceptual
+        renderMarkmap(result.content);
+        
+        // Cambiar a la pestaña de salida
+        document.querySelector('[data-tab="output"]').click();
+    }
+    
+    // Importar un mapa (CXL, OPML, FreeMind o Mermaid) conservando sus conceptos y relaciones
+    async function importMap(content, filename) {
+        ensureBasicConceptMap();
+        showLoading(true);
+        
+        try {
+            const response = await fetch('/api/import', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ content, filename, options: collectOptions() })
+            });
+            
+            if (!response.ok) {
+                const errorText = await response.text();
+                console.error('Error en la respuesta:', errorText);
+                throw new Error(describeApiError(response.status, errorText));
+            }
+            
+            const data = await response.json();
+            showGeneratedMap(data.result);
+            showNotification(`Mapa importado: ${data.result.concepts.length} conceptos y ${data.result.relationships.length} relaciones`, 'success');
+        } catch (error) {
+            console.error('Error:', error);
+            showNotification(error.message, 'error');
+        } finally {
+            showLoading(false);
+        }
+    }
+    
+    // Subir un documento (PDF, DOCX, HTML, Markdown o TXT) y generar su mapa
+    async function uploadDocument(file) {
+        const extension = file.name.includes('.') ? file.name.slice(file.name.lastIndexOf('.')).toLowerCase() : '';
+        const upload = planConfig && planConfig.upload;
+        
+        // Los mapas de otras herramientas se leen en el navegador y se importan
+        if (importExtensions.includes(extension)) {
+            const content = await file.text();
+            fileInput.value = '';
+            await importMap(content, file.name);
+            return;
+        }
+        
+        if (upload && !upload.extensions.includes(extension)) {
+            showNotification(`Formato no admitido. Sube un archivo ${[...upload.extensions, ...importExtensions].join(', ')}`, 'error');
+            return;
+        }
+        
+        if (upload && file.size > upload.maxFileSizeBytes) {
+            showNotification(`El archivo supera el tamaño máximo de ${Math.round(upload.maxFileSizeBytes / (1024 * 1024))} MB`, 'error');
+            return;
+        }
+        
+        ensureBasicConceptMap();
+        showLoading(true);
+        
+        try {
+            const formData = new FormData();
+            formData.append('file', file);
+            formData.append('options', JSON.stringify(collectOptions()));
+            
+            console.log(`Subiendo documento ${file.name} (${file.size} bytes)...`);
+            
+            const response = await fetch('/api/generate-map/upload', {
+                method: 'POST',
+                body: formData
+            });
+            
+            if (!response.ok) {
+                const errorText = await response.text();
+                console.error('Error en la respuesta:', errorText);
+                throw new Error(describeApiError(response.status, errorText));
+            }
+            
+            const data = await response.json();
+            loadPlanConfiguration(); // Actualizar la cuota restante
+            
+            showGeneratedMap(data.result);
+            showNotification(`Mapa conceptual generado a partir de ${data.document.name}`, 'success');
+        } catch (error) {
+            console.error('Error:', error);
+            showNotification(error.message, 'error');
+        } finally {
+            showLoading(false);
+            fileInput.value = '';
+        }
+    }
+    
+    // Zona de arrastre de documentos
+    fileBrowseBtn.addEventListener('click', () => fileInput.click());
+    
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) {
+            uploadDocument(fileInput.files[0]);
+        }
+    });
+    
+    ['dragenter', 'dragover'].forEach(type => {
+        dropZone.addEventListener(type, (e) => {
+            e.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+    });
+    
+    ['dragleave', 'drop'].forEach(type => {
+        dropZone.addEventListener(type, (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('drag-over');
+        });
+    });
+    
+    dropZone.addEventListener('drop', (e) => {
+        const files = e.dataTransfer.files;
+        if (files.length > 1) {
+            showNotification('Sube un solo documento cada vez', 'error');
+            return;
+        }
+        if (files.length === 1) {
+            uploadDocument(files[0]);
+        }
+    });
+    
+    // Guardar mapa conceptual en el servidor
+    saveBtn.addEventListener('click', async () => {
+        if (!currentResult) {
+            showNotification('No hay un mapa conceptual generado para guardar', 'error');
+            return;
+        }
+        
+        if (!currentUser) {
+            showNotification('Inicia sesión para guardar tus mapas conceptuales', 'info');
+            openAccountModal();
+            return;
+        }
+        
+        await saveCurrentMap();
+    });
+    
+    // Función para guardar el mapa actual: lo actualiza si ya estaba guardado o lo crea
+    async function saveCurrentMap() {
+        try {
+            // Actualizar el mapa si ya estaba guardado, crearlo en caso contrario
+            const response = await fetch(currentMapId ? `/api/maps/${currentMapId}` : '/api/maps', {
+                method: currentMapId ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ result: currentResult })
+            });
+            
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `Error al guardar el mapa: ${response.status}`);
+            }
+            
+            currentMapId = data.map.id;
+            showNotification('Mapa conceptual guardado', 'success');
+            loadSavedMaps();
+        } catch (error) {
+            console.error('Error al guardar el mapa:', error);
+            showNotification(error.message, 'error');
+        }
+    }
+    
+    // Descargar mapa conceptual: Markdown en el navegador, SVG, PNG y PDF generados en el servidor
+    downloadBtn.addEventListener('click', async () => {
+        if (!currentMapData) {
+            showNotification('No hay un mapa conceptual para descargar', 'error');
+            return;
+        }
+        
+        const format = downloadFormat.value;
+        if (format === 'md') {
+            saveFile(new Blob([currentMapData], { type: 'text/markdown' }), 'mapa-conceptual.md');
+            showNotification('Mapa conceptual descargado', 'success');
+            return;
+        }
+        
+        try {
+            // Un mapa guardado se exporta desde el servidor; uno sin guardar se envía completo
+            const response = currentMapId ?
+                await fetch(`/api/maps/${currentMapId}/export?format=${format}`) :
+                await fetch(`/api/export?format=${format}`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ result: currentResult })
+                });
+            
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || `Error al exportar el mapa: ${response.status}`);
+            }
+            
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+            saveFile(await response.blob(), match ? match[1] : `mapa-conceptual.${format}`);
+            showNotification('Mapa conceptual descargado', 'success');
+        } catch (error) {
+            console.error('Error al descargar el mapa:', error);
+            showNotification(error.message, 'error');
+        }
+    });
+    
+    // Función para guardar un archivo en el equipo del usuario
+    function saveFile(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    
+    // Compartir mapa conceptual mediante un enlace público de solo lectura
+    shareBtn.addEventListener('click', async () => {
+        if (!currentResult) {
+            showNotification('No hay un mapa conceptual para compartir', 'error');
+            return;
+        }
+        
+        if (!currentUser) {
+            showNotification('Inicia sesión para compartir tus mapas conceptuales', 'info');
+            openAccountModal();
+            return;
+        }
+        
+        // Solo se comparten mapas guardados: guardar antes si hace falta
+        if (!currentMapId) {
+            await saveCurrentMap();
+            if (!currentMapId) return;
+        }
+        
+        shareForm.reset();
+        document.getElementById('new-share').hidden = true;
+        shareModal.hidden = false;
+        loadShares();
+    });
+    
+    shareModal.querySelector('.modal-close').addEventListener('click', () => {
+        shareModal.hidden = true;
+    });
+    
+    shareModal.addEventListener('click', (e) => {
+        if (e.target === shareModal) {
+            shareModal.hidden = true;
+        }
+    });
+    
+    // Crear un enlace con la caducidad y la contraseña elegidas
+    shareForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        const expiry = document.getElementById('share-expiry').value;
+        
+        try {
+            const response = await fetch(`/api/maps/${currentMapId}/shares`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    expiresInDays: expiry === 'never' ? null : Number(expiry),
+                    password: document.getElementById('share-password').value,
+                    permission: document.getElementById('share-edit').checked ? 'edit' : 'view'
+                })
+            });
+            
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `Error al crear el enlace: ${response.status}`);
+            }
+            
+            shareForm.reset();
+            
+            // El enlace completo solo se muestra una vez
+            document.getElementById('new-share-message').textContent = data.message;
+            document.getElementById('new-share-url').value = data.url;
+            document.getElementById('new-share-embed').value = data.embedHtml;
+            document.getElementById('new-share').hidden = false;
+            
+            loadShares();
+        } catch (error) {
+            console.error('Error al crear el enlace:', error);
+            showNotification(error.message, 'error');
+        }
+    });
+    
+    // Copiar el enlace o el fragmento <iframe> al portapapeles
+    shareModal.querySelectorAll('[data-copy]').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            const field = document.getElementById(btn.getAttribute('data-copy'));
+            
+            try {
+                await navigator.clipboard.writeText(field.value);
+                showNotification('Copiado al portapapeles', 'success', 2000);
+            } catch (error) {
+                // Sin acceso al portapapeles: dejar el texto seleccionado para copiarlo a mano
+                field.select();
+            }
+        });
+    });
+    
+    // Función para cargar los enlaces del mapa actual
+    async function loadShares() {
+        const list = document.getElementById('shares-list');
+        
+        try {
+            const response = await fetch(`/api/maps/${currentMapId}/shares`);
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `Error al listar los enlaces: ${response.status}`);
+            }
+            
+            list.innerHTML = '';
+            
+            if (data.shares.length === 0) {
+                const empty = document.createElement('li');
+                empty.textContent = 'Este mapa no tiene enlaces';
+                list.appendChild(empty);
+                return;
+            }
+            
+            const statusLabels = { active: 'activo', expired: 'caducado', revoked: 'revocado' };
+            
+            data.shares.slice().reverse().forEach(share => {
+                const item = document.createElement('li');
+                
+                const label = document.createElement('span');
+                const code = document.createElement('code');
+                code.textContent = `/m/${share.prefix}…`;
+                label.appendChild(code);
+                
+                const details = [statusLabels[share.status]];
+                details.push(share.expiresAt ? `hasta el ${new Date(share.expiresAt).toLocaleDateString()}` : 'sin caducidad');
+                if (share.passwordProtected) details.push('con contraseña');
+                if (share.permission === 'edit') details.push('edición en grupo');
+                details.push(`${share.views} ${share.views === 1 ? 'visita' : 'visitas'}`);
+                
+                const status = document.createElement('span');
+                status.className = 'share-status';
+                status.textContent = details.join(' · ');
+                label.appendChild(status);
+                item.appendChild(label);
+                
+                if (share.status === 'active') {
+                    const revokeBtn = document.createElement('button');
+                    revokeBtn.className = 'saved-map-delete';
+                    revokeBtn.textContent = 'Revocar';
+                    revokeBtn.addEventListener('click', () => revokeShare(share.id));
+                    item.appendChild(revokeBtn);
+                }
+                
+                list.appendChild(item);
+            });
+        } catch (error) {
+            console.error('Error al cargar los enlaces:', error);
+        }
+    }
+    
+    // Función para revocar un enlace del mapa actual
+    async function revokeShare(id) {
+        if (!confirm('¿Revocar este enlace? Quien lo tenga ya no podrá ver el mapa, tampoco en las páginas donde esté insertado.')) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/api/maps/${currentMapId}/shares/${id}`, { method: 'DELETE' });
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `Error al revocar el enlace: ${response.status}`);
+            }
+            
+            showNotification('Enlace revocado', 'success');
+            loadShares();
+        } catch (error) {
+            console.error('Error al revocar el enlace:', error);
+            showNotification(error.message, 'error');
+        }
+    }
+    
+    // Historial de versiones del mapa guardado
+    historyBtn.addEventListener('click', () => {
+        if (!currentMapId) {
+            showNotification('Guarda el mapa para llevar su historial de versiones', 'info');
+            return;
+        }
+        
+        versionDiff.hidden = true;
+        historyModal.hidden = false;
+        loadVersions();
+    });
+    
+    historyModal.querySelector('.modal-close').addEventListener('click', () => {
+        historyModal.hidden = true;
+    });
+    
+    historyModal.addEventListener('click', (e) => {
+        if (e.target === historyModal) {
+            historyModal.hidden = true;
+        }
+    });
+    
+    // Función para cargar las versiones del mapa actual
+    async function loadVersions() {
+        const list = document.getElementById('versions-list');
+        
+        try {
+            const response = await fetch(`/api/maps/${currentMapId}/versions`);
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `Error al listar las versiones: ${response.status}`);
+            }
+            
+            list.innerHTML = '';
+            const latest = data.versions.length > 0 ? data.versions[0].version : null;
+            
+            data.versions.forEach(version => {
+                const item = document.createElement('li');
+                
+                const label = document.createElement('span');
+                const number = document.createElement('strong');
+                number.textContent = `v${version.version}`;
+                label.appendChild(number);
+                
+                const origin = version.source === 'restore' ? `restaurada de v${version.restoredFrom}` :
+                    version.source === 'create' ? 'creada' : 'guardada';
+                const details = document.createElement('span');
+                details.className = 'share-status';
+                details.textContent = [
+                    new Date(version.createdAt).toLocaleString(),
+                    origin,
+                    `${version.conceptCount} conceptos`,
+                    version.version === latest ? 'actual' : null
+                ].filter(Boolean).join(' · ');
+                label.appendChild(details);
+                
+                const actions = document.createElement('span');
+                actions.className = 'version-actions';
+                
+                const diffBtn = document.createElement('button');
+                diffBtn.textContent = 'Cambios';
+                diffBtn.title = 'Comparar con la versión anterior';
+                diffBtn.disabled = version.version === 1;
+                diffBtn.addEventListener('click', () => showVersionDiff(version.version - 1, version.version));
+                actions.appendChild(diffBtn);
+                
+                if (version.version !== latest) {
+                    const currentDiffBtn = document.createElement('button');
+                    currentDiffBtn.textContent = 'Comparar con la actual';
+                    currentDiffBtn.addEventListener('click', () => showVersionDiff(version.version, latest));
+                    actions.appendChild(currentDiffBtn);
+                    
+                    const restoreBtn = document.createElement('button');
+                    restoreBtn.textContent = 'Restaurar';
+                    restoreBtn.addEventListener('click', () => restoreVersion(version.version));
+                    actions.appendChild(restoreBtn);
+                }
+                
+                item.appendChild(label);
+                item.appendChild(actions);
+                list.appendChild(item);
+            });
+        } catch (error) {
+            console.error('Error al cargar las versiones:', error);
+            showNotification(error.message, 'error');
+        }
+    }
+    
+    // Función para mostrar los cambios entre dos versiones
+    async function showVersionDiff(from, to) {
+        try {
+            const response = await fetch(`/api/maps/${currentMapId}/diff?from=${from}&to=${to}`);
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `Error al comparar las versiones: ${response.status}`);
+            }
+            
+            const { concepts, relationships } = data.diff;
+            const relation = rel => `${rel.sourceName} → ${rel.targetName}`;
+            const sections = [
+                ['Conceptos añadidos', concepts.added, 'diff-added', c => c.name],
+                ['Conceptos eliminados', concepts.removed, 'diff-removed', c => c.name],
+                ['Conceptos renombrados', concepts.renamed, 'diff-changed', c => `${c.before} → ${c.after}`],
+                ['Definiciones cambiadas', concepts.definitionChanged, 'diff-changed', c => `${c.name}: ${c.after || '(sin definición)'}`],
+                ['Relaciones añadidas', relationships.added, 'diff-added', rel => `${relation(rel)} (${rel.label || rel.type})`],
+                ['Relaciones eliminadas', relationships.removed, 'diff-removed', rel => `${relation(rel)} (${rel.label || rel.type})`],
+                ['Relaciones con otro tipo', relationships.retyped, 'diff-changed', rel => `${relation(rel)}: ${rel.before.type} → ${rel.after.type}`]
+            ];
+            
+            versionDiff.innerHTML = '';
+            const heading = document.createElement('h4');
+            heading.textContent = `Cambios de v${data.from} a v${data.to}`;
+            versionDiff.appendChild(heading);
+            
+            const nonEmpty = sections.filter(([, entries]) => entries.length > 0);
+            if (nonEmpty.length === 0) {
+                const empty = document.createElement('p');
+                empty.textContent = 'Sin cambios en los conceptos ni en las relaciones';
+                versionDiff.appendChild(empty);
+            }
+            
+            nonEmpty.forEach(([title, entries, className, describe]) => {
+                const sectionTitle = document.createElement('h5');
+                sectionTitle.textContent = `${title} (${entries.length})`;
+                const list = document.createElement('ul');
+                entries.forEach(entry => {
+                    const item = document.createElement('li');
+                    item.className = className;
+                    item.textContent = describe(entry);
+                    list.appendChild(item);
+                });
+                versionDiff.appendChild(sectionTitle);
+                versionDiff.appendChild(list);
+            });
+            
+            versionDiff.hidden = false;
+        } catch (error) {
+            console.error('Error al comparar las versiones:', error);
+            showNotification(error.message, 'error');
+        }
+    }
+    
+    // Función para restaurar una versión: se guarda como la versión más reciente
+    async function restoreVersion(version) {
+        if (!confirm(`¿Restaurar la versión ${version}? El mapa actual seguirá disponible en el historial.`)) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/api/maps/${currentMapId}/versions/${version}/restore`, { method: 'POST' });
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `Error al restaurar la versión: ${response.status}`);
+            }
+            
+            showNotification(data.message, 'success');
+            versionDiff.hidden = true;
+            await openSavedMap(currentMapId);
+            loadVersions();
+            loadSavedMaps();
+        } catch (error) {
+            console.error('Error al restaurar la versión:', error);
+            showNotification(error.message, 'error');
+        }
+    }
+    
+    // Editar mapa conceptual en el editor interactivo
+    editBtn.addEventListener('click', () => {
+        if (!currentResult) {
+            showNotification('No hay un mapa conceptual para editar', 'error');
+            return;
+        }
+        
+        stopCollaboration();
+        showGraphEditor();
+        graphEditor.load(currentResult.knowledgeGraph || graphFromResult(currentResult));
+        graphEditorElement.focus();
+    });
+    
+    // Función para mostrar el editor, creándolo la primera vez. En la edición en grupo
+    // los cambios y la presencia se envían a la sesión y los botones guardan una versión o salen
+    function showGraphEditor() {
+        if (!graphEditor) {
+            graphEditor = createGraphEditor(graphEditorElement, {
+                onSave: (graph) => collaboration ? saveCollaboration() : saveEditedGraph(graph),
+                onCancel: () => collaboration ? leaveCollaboration() : closeGraphEditor(),
+                onChange: (change) => collaboration && collaboration.apply(change),
+                onPresence: (presence) => collaboration && collaboration.setPresence(presence)
+            });
+        }
+        
+        markmapContainer.hidden = true;
+        mindMapElement.hidden = true;
+        graphEditorElement.hidden = false;
+    }
+    
+    // Editar el mapa guardado en grupo: los cambios de cada participante se ven al momento
+    collaborateBtn.addEventListener('click', async () => {
+        if (!currentResult) {
+            showNotification('No hay un mapa conceptual para editar', 'error');
+            return;
+        }
+        
+        if (!currentUser) {
+            showNotification('Inicia sesión para editar tus mapas en grupo', 'info');
+            openAccountModal();
+            return;
+        }
+        
+        // Solo se editan en grupo los mapas guardados: guardar antes si hace falta
+        if (!currentMapId) {
+            await saveCurrentMap();
+            if (!currentMapId) return;
+        }
+        
+        startCollaboration({ mapId: currentMapId });
+    });
+    
+    // Función para unirse a la edición en grupo de un mapa propio ({ mapId }) o de un enlace de edición ({ shareToken })
+    function startCollaboration(options) {
+        stopCollaboration();
+        
+        const session = createCollaboration({
+            ...options,
+            onReady: (graph, info) => {
+                showGraphEditor();
+                graphEditor.setCollaborative(true);
+                graphEditor.load(graph);
+                graphEditorElement.focus();
+                showNotification(`Editando "${info.title}" en grupo. Los cambios se guardan automáticamente`, 'info');
+            },
+            onChange: (graph) => graphEditor.update(graph),
+            onPeers: (peers) => graphEditor.showPeers(peers),
+            onSaved: (info) => {
+                if (collaborationSaveRequested) {
+                    collaborationSaveRequested = false;
+                    showNotification(info.changed ? `Cambios guardados como versión ${info.version}` : 'No hay cambios nuevos que guardar', 'success');
+                }
+            },
+            onStatus: (status) => {
+                const messages = {
+                    reconnecting: ['Se ha perdido la conexión. Reconectando…', 'error'],
+                    connected: ['Conexión recuperada', 'success'],
+                    reset: ['El mapa se ha modificado fuera de la edición en grupo; se muestra la versión nueva', 'info']
+                };
+                showNotification(...messages[status]);
+            },
+            onError: (error) => showNotification(error.error, 'error'),
+            onClosed: (error) => {
+                if (collaboration !== session) return;
+                stopCollaboration();
+                
+                // Los enlaces con contraseña la piden antes de unirse
+                if (options.shareToken && (error.code === 'SHARE_PASSWORD_REQUIRED' || error.code === 'INVALID_SHARE_PASSWORD')) {
+                    const password = prompt(error.code === 'INVALID_SHARE_PASSWORD' ?
+                        'La contraseña no es correcta. Inténtalo de nuevo:' :
+                        'Este mapa está protegido con contraseña:');
+                    if (password) {
+                        startCollaboration({ ...options, password });
+                    }
+                    return;
+                }
+                
+                closeGraphEditor();
+                showNotification(error.error, 'error');
+            }
+        });
+        collaboration = session;
+    }
+    
+    // Función para pedir que se guarde ya una versión con los cambios del grupo
+    function saveCollaboration() {
+        collaborationSaveRequested = true;
+        collaboration.save();
+    }
+    
+    // Función para salir de la edición en grupo tras guardar los cambios pendientes
+    async function leaveCollaboration() {
+        const session = collaboration;
+        await session.leave();
+        if (collaboration !== session) return;
+        stopCollaboration();
+        
+        // Los invitados vuelven a la vista del enlace; el propietario, a su mapa actualizado
+        if (collaborationLink) {
+            window.location.href = `/m/${collaborationLink}`;
+            return;
+        }
+        await openSavedMap(currentMapId);
+        loadSavedMaps();
+    }
+    
+    // Función para cerrar la sesión de edición en grupo sin esperar al guardado
+    function stopCollaboration() {
+        if (collaboration) {
+            collaboration.close();
+            collaboration = null;
+            if (graphEditor) {
+                graphEditor.setCollaborative(false);
+            }
+        }
+    }
+    
+    // Los enlaces de edición abren la aplicación con #colaborar=<token>: el fragmento no llega al servidor
+    function joinFromLink() {
+        const match = window.location.hash.match(/^#colaborar=([A-Za-z0-9_-]+)$/);
+        if (!match) {
+            return;
+        }
+        
+        collaborationLink = match[1];
+        document.querySelector('[data-tab="output"]').click();
+        startCollaboration({
+            shareToken: collaborationLink,
+            name: currentUser ? undefined : (prompt('¿Con qué nombre te verán los demás?') || undefined)
+        });
+    }
+    
+    // Grafo del editor para mapas guardados antes de que el resultado incluyera knowledgeGraph
+    function graphFromResult(result) {
+        return {
+            nodes: result.concepts.map(concept => ({
+                id: concept.id,
+                label: concept.name,
+                level: concept.level || 0,
+                isMainConcept: Boolean(concept.isMainConcept)
+            })),
+            edges: result.relationships.map(rel => ({
+                id: rel.id,
+                source: rel.source,
+                target: rel.target,
+                label: rel.label || '',
+                type: rel.type
+            }))
+        };
+    }
+    
+    function closeGraphEditor() {
+        stopCollaboration();
+        graphEditorElement.hidden = true;
+        showMapView();
+    }
+    
+    // Mostrar la vista elegida: mapa conceptual (grafo con relaciones etiquetadas) o mapa mental (árbol de la jerarquía)
+    function showMapView() {
+        const showMindMap = mapView === 'mind' && Boolean(currentResult);
+        markmapContainer.hidden = showMindMap;
+        mindMapElement.hidden = !showMindMap;
+        mindMapLayout.hidden = !showMindMap;
+        viewButtons.forEach(button => button.classList.toggle('active', button.dataset.view === (showMindMap ? 'mind' : 'concept')));
+        
+        if (showMindMap) {
+            if (!mindMap) {
+                mindMap = createMindMap(mindMapElement.querySelector('.mind-map-canvas'));
+            }
+            mindMap.render(currentResult, mindMapLayout.value);
+        }
+    }
+    
+    viewButtons.forEach(button => {
+        button.addEventListener('click', () => {
+            if (button.dataset.view === 'mind' && !currentResult) {
+                showNotification('Genera o abre un mapa para verlo como mapa mental', 'error');
+                return;
+            }
+            if (!graphEditorElement.hidden && graphEditor.isDirty() && !confirm('¿Descartar los cambios del editor?')) {
+                return;
+            }
+            mapView = button.dataset.view;
+            stopCollaboration();
+            graphEditorElement.hidden = true;
+            showMapView();
+        });
+    });
+    
+    mindMapLayout.addEventListener('change', () => {
+        if (mindMap) {
+            mindMap.setLayout(mindMapLayout.value);
+        }
     });
     
-    // Generar mapa conceptual
-    generateBtn.addEventListener('click', async () => {
-        const text = textInput.value.trim();
-        
-        if (!text) {
-            showNotification('Por favor, ingresa un texto para generar el mapa conceptual', 'error');
+    mindMapElement.querySelector('[data-action="expand-all"]').addEventListener('click', () => mindMap && mindMap.expandAll());
+    mindMapElement.querySelector('[data-action="collapse-all"]').addEventListener('click', () => mindMap && mindMap.collapseAll());
+    
+    // Aplicar en el servidor los cambios del editor y guardar el mapa si hay sesión
+    async function saveEditedGraph(graph) {
+        if (graph.nodes.length === 0) {
+            showNotification('El mapa debe tener al menos un concepto', 'error');
             return;
         }
         
-        // Asegurar que el mapa conceptual base esté visible en el contenedor
-        ensureBasicConceptMap();
+        try {
+            const response = await fetch('/api/edit', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ result: currentResult, graph })
+            });
+            
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `Error al aplicar los cambios: ${response.status}`);
+            }
+            
+            currentResult = data.result;
+            currentMapData = data.result.content;
+            closeGraphEditor();
+            renderMarkmap(currentMapData);
+            
+            if (currentUser) {
+                await saveCurrentMap();
+            } else {
+                showNotification('Cambios aplicados. Inicia sesión para guardar el mapa', 'info');
+            }
+        } catch (error) {
+            console.error('Error al aplicar los cambios del editor:', error);
+            showNotification(error.message, 'error');
+        }
+    }
+    
+    // Función para construir un mensaje legible a partir de un error estructurado de la API
+    function describeApiError(status, errorText) {
+        let data = null;
+        try {
+            data = JSON.parse(errorText);
+        } catch (e) {
+            return `Error al generar el mapa conceptual: ${status} ${errorText}`;
+        }
         
-        // Mostrar indicador de carga
-        showLoading(true);
+        if (data.code === 'MONTHLY_QUOTA_EXCEEDED' && data.limit) {
+            return `${data.error}. La cuota se reinicia el ${new Date(data.limit.resetAt).toLocaleDateString()}`;
+        }
         
+        return data.error || `Error al generar el mapa conceptual: ${status}`;
+    }
+    
+    // Función para cargar los límites del plan y aplicarlos al formulario
+    async function loadPlanConfiguration() {
         try {
-            // Recopilar opciones de configuración
-            const options = {
-                stages: {
-                    organization: document.getElementById('stage1').checked,
-                    reasoning: document.getElementById('stage2').checked,
-                    enrichment: document.getElementById('stage3').checked,
-                    validation: document.getElementById('stage4').checked,
-                    aesthetics: document.getElementById('stage5').checked
-                },
-                visualStyle: document.getElementById('visual-style').value,
-                complexity: document.getElementById('complexity').value
-            };
+            const response = await fetch('/api/config');
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `Error al obtener la configuración: ${response.status}`);
+            }
             
-            console.log('Opciones de configuración:', options);
-            console.log('Texto a procesar (primeros 50 caracteres):', text.substring(0, 50));
+            planConfig = data.config;
             
-            // Simular procesamiento por etapas (en una implementación real, esto sería una llamada a la API)
-            await simulateProcessing(options);
+            // Desactivar las etapas que el plan no incluye
+            Object.entries(stageCheckboxes).forEach(([stage, checkboxId]) => {
+                const checkbox = document.getElementById(checkboxId);
+                const enabled = planConfig.enabledStages.includes(stage);
+                checkbox.disabled = !enabled;
+                if (!enabled) {
+                    checkbox.checked = false;
+                    checkbox.parentElement.title = `No disponible en el plan ${planConfig.plan}`;
+                }
+            });
+            
+            textInput.placeholder = `Pega o escribe aquí el texto que deseas convertir en un mapa conceptual (máximo ${planConfig.maxTextLength} caracteres)...`;
+            importExtensions = planConfig.importExtensions || importExtensions;
+            fileInput.accept = [...planConfig.upload.extensions, ...importExtensions].join(',');
+            
+            // Opciones de estilo visual tomadas del registro del servidor
+            const visualStyleSelect = document.getElementById('visual-style');
+            const selectedStyle = visualStyleSelect.value;
+            visualStyleSelect.replaceChildren(...planConfig.visualStyles.map(style => {
+                const option = new Option(style.label, style.id);
+                option.title = style.description;
+                return option;
+            }));
+            if (planConfig.visualStyles.some(style => style.id === selectedStyle)) {
+                visualStyleSelect.value = selectedStyle;
+            }
             
-            console.log('Iniciando llamada a la API...');
+            // Glosarios locales disponibles para el enriquecimiento
+            const lexiconSelect = document.getElementById('lexicon-domain');
+            const selectedDomain = lexiconSelect.value;
+            lexiconSelect.replaceChildren(new Option('Todos', ''), ...(planConfig.lexiconDomains || []).map(domain => {
+                const option = new Option(domain.name, domain.id);
+                option.title = `Idiomas: ${domain.languages.join(', ')}`;
+                return option;
+            }));
+            lexiconSelect.value = selectedDomain;
+            if (lexiconSelect.selectedIndex === -1) {
+                lexiconSelect.value = '';
+            }
             
-            // Llamada a la API para generar el mapa conceptual
-            const response = await fetch('/api/generate-map', {
+            // Desactivar los formatos de exportación que el plan no incluye
+            Array.from(downloadFormat.options).forEach(option => {
+                const enabled = option.value === 'md' || planConfig.exportFormats.includes(option.value);
+                option.disabled = !enabled;
+                option.title = enabled ? '' : `No disponible en el plan ${planConfig.plan}`;
+            });
+            if (downloadFormat.selectedOptions[0].disabled) {
+                downloadFormat.value = Array.from(downloadFormat.options).find(option => !option.disabled).value;
+            }
+        } catch (error) {
+            console.error('Error al cargar la configuración del plan:', error);
+        }
+    }
+    
+    // Abrir el modal de cuenta (formulario de acceso o panel de la cuenta)
+    loginLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        openAccountModal();
+    });
+    
+    accountModal.querySelector('.modal-close').addEventListener('click', () => {
+        accountModal.hidden = true;
+    });
+    
+    accountModal.addEventListener('click', (e) => {
+        if (e.target === accountModal) {
+            accountModal.hidden = true;
+        }
+    });
+    
+    // Alternar entre iniciar sesión y crear cuenta
+    accountModal.querySelectorAll('.auth-tab-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            authMode = btn.getAttribute('data-auth-mode');
+            accountModal.querySelectorAll('.auth-tab-btn').forEach(b => b.classList.toggle('active', b === btn));
+            authForm.querySelectorAll('.signup-only').forEach(el => {
+                el.hidden = authMode !== 'signup';
+            });
+            document.getElementById('auth-password').autocomplete = authMode === 'signup' ? 'new-password' : 'current-password';
+            document.getElementById('auth-submit').textContent = authMode === 'signup' ? 'Crear Cuenta' : 'Iniciar Sesión';
+        });
+    });
+    
+    // Enviar el formulario de acceso o registro
+    authForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        try {
+            const response = await fetch(`/api/auth/${authMode}`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ text, options })
+                body: JSON.stringify({
+                    name: document.getElementById('auth-name').value,
+                    email: document.getElementById('auth-email').value,
+                    password: document.getElementById('auth-password').value
+                })
             });
             
-            console.log('Respuesta API status:', response.status);
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `Error de autenticación: ${response.status}`);
+            }
             
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('Error en la respuesta:', errorText);
-                throw new Error(`Error al generar el mapa conceptual: ${response.status} ${errorText}`);
+            authForm.reset();
+            setCurrentUser(data.user);
+            showNotification(authMode === 'signup' ? 'Cuenta creada exitosamente' : `Bienvenido, ${data.user.name || data.user.email}`, 'success');
+            renderAccountPanel();
+        } catch (error) {
+            console.error('Error de autenticación:', error);
+            showNotification(error.message, 'error');
+        }
+    });
+    
+    // Crear una clave de API
+    apiKeyForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        try {
+            const response = await fetch('/api/auth/api-keys', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ name: document.getElementById('api-key-name').value })
+            });
+            
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `Error al crear la clave de API: ${response.status}`);
             }
             
+            apiKeyForm.reset();
+            
+            // La clave completa solo se muestra una vez
+            const newKey = document.getElementById('new-api-key');
+            newKey.innerHTML = '';
+            const message = document.createElement('p');
+            message.textContent = data.message;
+            const code = document.createElement('code');
+            code.textContent = data.key;
+            newKey.appendChild(message);
+            newKey.appendChild(code);
+            newKey.hidden = false;
+            
+            loadApiKeys();
+        } catch (error) {
+            console.error('Error al crear la clave de API:', error);
+            showNotification(error.message, 'error');
+        }
+    });
+    
+    // Cerrar sesión
+    logoutBtn.addEventListener('click', async () => {
+        try {
+            await fetch('/api/auth/logout', { method: 'POST' });
+            setCurrentUser(null);
+            accountModal.hidden = true;
+            showNotification('Sesión cerrada', 'info');
+        } catch (error) {
+            console.error('Error al cerrar sesión:', error);
+            showNotification(error.message, 'error');
+        }
+    });
+    
+    // Función para mostrar el modal de cuenta en el estado adecuado
+    function openAccountModal() {
+        renderAccountPanel();
+        accountModal.hidden = false;
+    }
+    
+    // Función para alternar entre el formulario de acceso y el panel de la cuenta
+    function renderAccountPanel() {
+        document.getElementById('auth-forms').hidden = Boolean(currentUser);
+        document.getElementById('account-panel').hidden = !currentUser;
+        document.getElementById('new-api-key').hidden = true;
+        
+        if (currentUser) {
+            document.getElementById('account-email').textContent = currentUser.email;
+            document.getElementById('account-plan').textContent = currentUser.plan;
+            loadApiKeys();
+        }
+    }
+    
+    // Función para actualizar el usuario actual y todo lo que depende de él
+    function setCurrentUser(user) {
+        currentUser = user;
+        loginLink.textContent = user ? (user.name || user.email) : 'Iniciar Sesión';
+        
+        // La edición en grupo de un mapa propio termina con la sesión
+        if (collaboration && !collaborationLink) {
+            closeGraphEditor();
+        }
+        
+        // Los mapas guardados y los límites dependen de la cuenta
+        currentMapId = null;
+        loadPlanConfiguration();
+        loadSavedMaps();
+    }
+    
+    // Función para consultar la sesión actual al cargar la página
+    async function loadCurrentUser() {
+        try {
+            const response = await fetch('/api/auth/me');
             const data = await response.json();
-            console.log('Datos recibidos:', data);
+            setCurrentUser(data.user || null);
+        } catch (error) {
+            console.error('Error al consultar la sesión:', error);
+            setCurrentUser(null);
+        }
+    }
+    
+    // Función para cargar las claves de API del usuario
+    async function loadApiKeys() {
+        const list = document.getElementById('api-keys-list');
+        
+        try {
+            const response = await fetch('/api/auth/api-keys');
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `Error al listar las claves de API: ${response.status}`);
+            }
             
-            if (data.success) {
-                // Guardar los datos del mapa - accediendo a la estructura correcta
-                currentMapData = data.result.content;
-                console.log('Contenido del mapa (primeros 100 caracteres):', data.result.content.substring(0, 100));
+            list.innerHTML = '';
+            
+            if (data.apiKeys.length === 0) {
+                const empty = document.createElement('li');
+                empty.textContent = 'No hay claves de API';
+                list.appendChild(empty);
+                return;
+            }
+            
+            data.apiKeys.forEach(apiKey => {
+                const item = document.createElement('li');
                 
-                // Renderizar el mapa conceptual
-                renderMarkmap(data.result.content);
+                const label = document.createElement('span');
+                const code = document.createElement('code');
+                code.textContent = `${apiKey.prefix}…`;
+                label.appendChild(code);
+                label.appendChild(document.createTextNode(` ${apiKey.name}`));
                 
-                // Cambiar a la pestaña de salida
-                document.querySelector('[data-tab="output"]').click();
+                const revokeBtn = document.createElement('button');
+                revokeBtn.className = 'saved-map-delete';
+                revokeBtn.textContent = 'Revocar';
+                revokeBtn.addEventListener('click', () => revokeApiKey(apiKey.id));
                 
-                showNotification('Mapa conceptual generado exitosamente', 'success');
-            } else {
-                console.error('Error en datos recibidos:', data.error || 'Error desconocido');
-                throw new Error(data.error || 'Error desconocido');
+                item.appendChild(label);
+                item.appendChild(revokeBtn);
+                list.appendChild(item);
+            });
+        } catch (error) {
+            console.error('Error al cargar las claves de API:', error);
+        }
+    }
+    
+    // Función para revocar una clave de API
+    async function revokeApiKey(id) {
+        if (!confirm('¿Revocar esta clave de API? Las integraciones que la usen dejarán de funcionar.')) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/api/auth/api-keys/${id}`, { method: 'DELETE' });
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `Error al revocar la clave de API: ${response.status}`);
             }
+            
+            showNotification('Clave de API revocada', 'success');
+            loadApiKeys();
         } catch (error) {
-            console.error('Error:', error);
+            console.error('Error al revocar la clave de API:', error);
             showNotification(error.message, 'error');
-        } finally {
-            showLoading(false);
         }
-    });
+    }
     
-    // Descargar mapa conceptual
-    downloadBtn.addEventListener('click', () => {
-        if (!currentMapData) {
-            showNotification('No hay un mapa conceptual para descargar', 'error');
+    // Función para cargar la lista de mapas guardados
+    async function loadSavedMaps() {
+        if (!currentUser) {
+            savedMapsList.innerHTML = '<li class="saved-maps-empty">Inicia sesión para guardar mapas</li>';
             return;
         }
         
-        // En una implementación real, aquí se generaría el archivo para descargar
-        // Por ahora, simplemente descargamos el contenido como un archivo markdown
-        const blob = new Blob([currentMapData], { type: 'text/markdown' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'mapa-conceptual.md';
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        
-        showNotification('Mapa conceptual descargado', 'success');
-    });
+        try {
+            const response = await fetch('/api/maps');
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `Error al listar los mapas: ${response.status}`);
+            }
+            
+            savedMapsList.innerHTML = '';
+            
+            if (data.maps.length === 0) {
+                const empty = document.createElement('li');
+                empty.className = 'saved-maps-empty';
+                empty.textContent = 'No hay mapas guardados';
+                savedMapsList.appendChild(empty);
+                return;
+            }
+            
+            data.maps.forEach(map => {
+                const item = document.createElement('li');
+                
+                const openBtn = document.createElement('button');
+                openBtn.className = 'saved-map-open';
+                openBtn.textContent = map.title;
+                openBtn.title = `${map.conceptCount} conceptos · ${new Date(map.updatedAt).toLocaleString()}`;
+                openBtn.addEventListener('click', () => openSavedMap(map.id));
+                
+                const deleteBtn = document.createElement('button');
+                deleteBtn.className = 'saved-map-delete';
+                deleteBtn.innerHTML = '&times;';
+                deleteBtn.title = 'Eliminar mapa';
+                deleteBtn.addEventListener('click', () => deleteSavedMap(map.id, map.title));
+                
+                item.appendChild(openBtn);
+                item.appendChild(deleteBtn);
+                savedMapsList.appendChild(item);
+            });
+        } catch (error) {
+            console.error('Error al cargar los mapas guardados:', error);
+        }
+    }
     
-    // Compartir mapa conceptual
-    shareBtn.addEventListener('click', () => {
-        if (!currentMapData) {
-            showNotification('No hay un mapa conceptual para compartir', 'error');
+    // Función para abrir un mapa guardado
+    async function openSavedMap(id) {
+        try {
+            const response = await fetch(`/api/maps/${id}`);
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `Error al abrir el mapa: ${response.status}`);
+            }
+            
+            currentResult = data.map.result;
+            currentMapData = data.map.result.content;
+            currentMapId = data.map.id;
+            
+            closeGraphEditor();
+            ensureBasicConceptMap();
+            renderMarkmap(currentMapData);
+            document.querySelector('[data-tab="output"]').click();
+        } catch (error) {
+            console.error('Error al abrir el mapa:', error);
+            showNotification(error.message, 'error');
+        }
+    }
+    
+    // Función para eliminar un mapa guardado
+    async function deleteSavedMap(id, title) {
+        if (!confirm(`¿Eliminar el mapa "${title}"?`)) {
             return;
         }
         
-        // Simular compartir (en una implementación real, esto abriría un modal o generaría un enlace)
-        showNotification('Función de compartir en desarrollo', 'info');
-    });
+        try {
+            const response = await fetch(`/api/maps/${id}`, { method: 'DELETE' });
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `Error al eliminar el mapa: ${response.status}`);
+            }
+            
+            if (currentMapId === id) {
+                currentMapId = null;
+            }
+            showNotification('Mapa conceptual eliminado', 'success');
+            loadSavedMaps();
+        } catch (error) {
+            console.error('Error al eliminar el mapa:', error);
+            showNotification(error.message, 'error');
+        }
+    }
     
-    // Editar mapa conceptual
-    editBtn.addEventListener('click', () => {
-        if (!currentMapData) {
-            showNotification('No hay un mapa conceptual para editar', 'error');
+    // Aplicar al SVG de Mermaid el renderizador del estilo visual del mapa
+    // (colores, tema y fuente ya vienen en el código Mermaid generado por el servidor)
+    function applyVisualStyle(svgElement) {
+        const styleId = currentResult && currentResult.metadata && currentResult.metadata.visualStyle;
+        const style = planConfig && planConfig.visualStyles.find(entry => entry.id === styleId);
+        if (!style || style.renderer !== 'sketch') {
             return;
         }
         
-        // Volver a la pestaña de entrada con el texto actual
-        textInput.value = currentMapData;
-        document.querySelector('[data-tab="input"]').click();
-    });
+        // Trazos a mano alzada: el filtro desplaza ligeramente los bordes de nodos y relaciones
+        const defs = svgElement.querySelector('defs') || svgElement.insertBefore(document.createElementNS('http://www.w3.org/2000/svg', 'defs'), svgElement.firstChild);
+        defs.insertAdjacentHTML('beforeend', `
+            <filter id="sketch-filter" x="-5%" y="-5%" width="110%" height="110%">
+                <feTurbulence type="fractalNoise" baseFrequency="0.04" numOctaves="2" seed="3" result="noise"></feTurbulence>
+                <feDisplacementMap in="SourceGraphic" in2="noise" scale="3" xChannelSelector="R" yChannelSelector="G"></feDisplacementMap>
+            </filter>
+        `);
+        svgElement.classList.add('sketch-style');
+    }
     
     // Función para renderizar el mapa conceptual usando Mermaid
     function renderMarkmap(content) {
@@ -527,6 +1785,8 @@ document.addEventListener('DOMContentLoaded', function() {
                                 // Identificar el componente
                                 svgElement.setAttribute('data-component-name', '<svg />');
                                 
+                                applyVisualStyle(svgElement);
+                                
                                 // Asegurar visibilidad
                                 svgElement.style.display = 'block';
                                 svgElement.style.margin = '0 auto';
@@ -754,28 +2014,94 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
     
-    // Función para simular el procesamiento por etapas
-    async function simulateProcessing(options) {
-        const stages = [
-            { name: 'Organización y Jerarquía', enabled: options.stages.organization, time: 500 },
-            { name: 'Razonamiento y Comprensión', enabled: options.stages.reasoning, time: 700 },
-            { name: 'Enriquecimiento Semántico', enabled: options.stages.enrichment, time: 600 },
-            { name: 'Validación y Verificación', enabled: options.stages.validation, time: 400 },
-            { name: 'Estética Adaptativa', enabled: options.stages.aesthetics, time: 300 }
-        ];
+    // Nombres de las etapas del pipeline para el indicador de carga
+    const stageLabels = {
+        organization: 'Organización y Jerarquía',
+        reasoning: 'Razonamiento y Comprensión',
+        enrichment: 'Enriquecimiento Semántico',
+        validation: 'Validación y Verificación',
+        aesthetics: 'Estética Adaptativa',
+        conclusion: 'Conclusión Descriptiva'
+    };
+    
+    // Función para actualizar el mensaje del loader con la etapa en curso
+    function updateLoaderMessage(stage, index, total, progress) {
+        const loaderMessage = document.querySelector('.loader-container p');
+        if (!loaderMessage) return;
+        
+        if (!stage) {
+            loaderMessage.textContent = 'En cola...';
+            return;
+        }
         
-        // Actualizar mensaje del loader para cada etapa
-        for (const stage of stages) {
-            if (stage.enabled) {
-                const loaderMessage = document.querySelector('.loader-container p');
-                if (loaderMessage) {
-                    loaderMessage.textContent = `Procesando: ${stage.name}...`;
+        loaderMessage.textContent = `Procesando: ${stageLabels[stage] || stage} (${index + 1}/${total}, ${progress}%)...`;
+    }
+    
+    // Función para esperar a que termine un trabajo de generación.
+    // Usa Server-Sent Events y recurre a sondeo si no están disponibles.
+    function waitForJob(jobId) {
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            
+            const fetchJob = async () => {
+                const response = await fetch(`/api/jobs/${jobId}`);
+                if (!response.ok) {
+                    throw new Error(`Error al consultar el trabajo: ${response.status}`);
                 }
-                
-                // Simular tiempo de procesamiento
-                await new Promise(resolve => setTimeout(resolve, stage.time));
+                const data = await response.json();
+                return data.job;
+            };
+            
+            const finish = () => {
+                if (settled) return;
+                settled = true;
+                fetchJob().then(resolve, reject);
+            };
+            
+            const poll = async () => {
+                try {
+                    const job = await fetchJob();
+                    if (job.status === 'completed' || job.status === 'failed') {
+                        settled = true;
+                        resolve(job);
+                        return;
+                    }
+                    updateLoaderMessage(job.currentStage, job.stages.indexOf(job.currentStage), job.stages.length, job.progress);
+                    setTimeout(poll, 1000);
+                } catch (error) {
+                    settled = true;
+                    reject(error);
+                }
+            };
+            
+            if (!window.EventSource) {
+                poll();
+                return;
             }
-        }
+            
+            const source = new EventSource(`/api/jobs/${jobId}/events`);
+            
+            source.addEventListener('stage-started', (e) => {
+                const event = JSON.parse(e.data);
+                updateLoaderMessage(event.stage, event.index, event.total, event.progress);
+            });
+            
+            ['completed', 'failed'].forEach(type => {
+                source.addEventListener(type, () => {
+                    source.close();
+                    finish();
+                });
+            });
+            
+            source.onerror = () => {
+                // Si la conexión se pierde antes de terminar, continuar por sondeo
+                source.close();
+                if (!settled) {
+                    console.warn('Conexión SSE interrumpida, consultando el estado por sondeo');
+                    poll();
+                }
+            };
+        });
     }
     
     // Añadir estilos para notificaciones y loader
@@ -884,6 +2210,10 @@ document.addEventListener('DOMContentLoaded', function() {
 - Estilos adaptativos
     `;
     
+    // Consultar la sesión; esto carga los límites del plan y los mapas guardados.
+    // Después, si se llegó con un enlace de edición, unirse a la edición en grupo
+    loadCurrentUser().then(joinFromLink);
+    
     // Renderizar el ejemplo inicial después de un breve retraso
     setTimeout(() => {
         currentMapData = exampleMarkmap;
@@ -0,0 +1,258 @@
+/**
+ * Cliente de la edición colaborativa de un mapa guardado (WebSocket)
+ *
+ * Mantiene una réplica del CRDT del mapa (MapCrdt, servido en /lib/mapCrdt.js):
+ * las operaciones locales se aplican al momento y se envían al servidor, las
+ * de los demás participantes se aplican al llegar y el grafo resultante se
+ * entrega a onChange. También sigue la presencia (cursores y selecciones) de
+ * los demás. Si la conexión se pierde, reintenta y reenvía los cambios hechos
+ * mientras tanto.
+ */
+(function() {
+    const RECONNECT_DELAYS = [1000, 2000, 5000, 10000];
+    const PRESENCE_MS = 50; // intervalo mínimo entre envíos de cursor y selección
+    const LEAVE_TIMEOUT_MS = 3000; // espera máxima del guardado al salir
+
+    /**
+     * Se une a la sala de un mapa
+     * @param {Object} options - { mapId } (propietario) o { shareToken, password, name } (enlace de edición),
+     *   y los callbacks onReady(graph, info), onChange(graph), onPeers(peers), onSaved(info),
+     *   onStatus(status), onError(error) y onClosed(error)
+     * @returns {Object} - { apply(change), setPresence(presence), save(), leave(), close() }
+     */
+    function createCollaboration(options) {
+        const callback = (name, ...args) => {
+            if (options[name]) {
+                options[name](...args);
+            }
+        };
+
+        let socket = null;
+        let doc = null;
+        let clientId = null;
+        let details = {};
+        let peers = new Map();
+        let queued = []; // Cambios locales hechos sin conexión
+        let presence = { cursor: null, selection: null };
+        let presenceTimer = null;
+        let changeFrame = null;
+        let savedWaiters = []; // Salidas pendientes del próximo guardado
+        let joined = false;
+        let fatalError = null;
+        let attempts = 0;
+        let closed = false;
+
+        // Grafo visible con el nivel y el concepto principal, que el CRDT no guarda
+        function graph() {
+            const current = MapCrdt.toGraph(doc);
+            current.nodes.forEach(node => Object.assign(node, details[node.id] || { level: 0, isMainConcept: false }));
+            return current;
+        }
+
+        // Agrupa en un fotograma los cambios remotos que llegan seguidos
+        function notifyChange() {
+            if (changeFrame === null) {
+                changeFrame = requestAnimationFrame(() => {
+                    changeFrame = null;
+                    callback('onChange', graph());
+                });
+            }
+        }
+
+        function notifyPeers() {
+            callback('onPeers', [...peers.values()]);
+        }
+
+        function send(message) {
+            if (socket && socket.readyState === WebSocket.OPEN) {
+                socket.send(JSON.stringify(message));
+                return true;
+            }
+            return false;
+        }
+
+        function connect() {
+            const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+            socket = new WebSocket(`${protocol}://${window.location.host}/api/collaborate`);
+            joined = false;
+
+            socket.addEventListener('open', () => {
+                send(options.shareToken ?
+                    { type: 'join', shareToken: options.shareToken, password: options.password, name: options.name } :
+                    { type: 'join', mapId: options.mapId });
+            });
+            socket.addEventListener('message', (event) => {
+                try {
+                    handleMessage(JSON.parse(event.data));
+                } catch (error) {
+                    console.error('Mensaje de colaboración no válido:', error);
+                }
+            });
+            socket.addEventListener('close', (event) => {
+                if (closed) {
+                    return;
+                }
+                // Los códigos 4xxx indican un error que impide seguir (sin permiso, mapa eliminado...)
+                if (event.code >= 4000 || attempts >= RECONNECT_DELAYS.length) {
+                    closed = true;
+                    callback('onClosed', fatalError || { code: 'CONNECTION_LOST', error: 'Se ha perdido la conexión con el servidor' });
+                    return;
+                }
+                callback('onStatus', 'reconnecting');
+                setTimeout(connect, RECONNECT_DELAYS[attempts++]);
+            });
+        }
+
+        function handleMessage(message) {
+            switch (message.type) {
+                case 'welcome': {
+                    const first = doc === null;
+                    clientId = message.clientId;
+                    doc = message.doc;
+                    details = message.details;
+                    peers = new Map(message.participants.map(peer => [peer.clientId, peer]));
+                    joined = true;
+                    attempts = 0;
+
+                    // Los cambios hechos sin conexión se aplican sobre el estado actual y se envían
+                    const pending = queued;
+                    queued = [];
+                    pending.forEach(apply);
+                    send({ type: 'presence', ...presence });
+
+                    if (first) {
+                        callback('onReady', graph(), { clientId, color: message.color, title: message.title, version: message.version });
+                    } else {
+                        callback('onStatus', 'connected');
+                        notifyChange();
+                    }
+                    notifyPeers();
+                    break;
+                }
+                case 'op':
+                    if (MapCrdt.applyOperation(doc, message.op)) {
+                        notifyChange();
+                    }
+                    break;
+                case 'reset':
+                    doc = message.doc;
+                    details = message.details;
+                    notifyChange();
+                    callback('onStatus', 'reset');
+                    break;
+                case 'saved':
+                    if (message.details) {
+                        details = message.details;
+                        notifyChange();
+                    }
+                    callback('onSaved', message);
+                    savedWaiters.splice(0).forEach(resolve => resolve());
+                    break;
+                case 'join':
+                    peers.set(message.participant.clientId, message.participant);
+                    notifyPeers();
+                    break;
+                case 'leave':
+                    peers.delete(message.clientId);
+                    notifyPeers();
+                    break;
+                case 'presence': {
+                    const peer = peers.get(message.clientId);
+                    if (peer) {
+                        peer.cursor = message.cursor;
+                        peer.selection = message.selection;
+                        notifyPeers();
+                    }
+                    break;
+                }
+                case 'error':
+                    // Antes de unirse a la sala, o con el mapa eliminado, el error cierra la conexión
+                    if (!joined || message.code === 'MAP_DELETED') {
+                        fatalError = message;
+                    } else {
+                        callback('onError', message);
+                    }
+                    break;
+            }
+        }
+
+        /**
+         * Aplica un cambio local y lo envía a los demás
+         * @param {Object} change - { kind, action, id, fields } (ver graphEditor)
+         */
+        function apply(change) {
+            if (!doc || closed) {
+                return;
+            }
+            if (!joined) {
+                queued.push(change);
+                return;
+            }
+
+            const op = { ...change, clock: [doc.clock + 1, clientId] };
+            const reason = MapCrdt.validateOperation(op);
+            if (reason) {
+                console.warn('Cambio no enviado:', reason, change);
+                return;
+            }
+            MapCrdt.applyOperation(doc, op);
+            if (!send({ type: 'op', op })) {
+                queued.push(change);
+            }
+        }
+
+        /**
+         * Actualiza el cursor o la selección propios
+         * @param {Object} update - { cursor } y/o { selection }
+         */
+        function setPresence(update) {
+            presence = { ...presence, ...update };
+            if (presenceTimer === null) {
+                presenceTimer = setTimeout(() => {
+                    presenceTimer = null;
+                    send({ type: 'presence', ...presence });
+                }, PRESENCE_MS);
+            }
+        }
+
+        function close() {
+            closed = true;
+            clearTimeout(presenceTimer);
+            if (socket) {
+                socket.close(1000);
+            }
+        }
+
+        /**
+         * Pide guardar los cambios pendientes y sale de la sala al confirmarse
+         * (o al agotarse la espera: el servidor guarda de todos modos al salir el último)
+         * @returns {Promise}
+         */
+        function leave() {
+            return new Promise(resolve => {
+                const finish = () => {
+                    clearTimeout(timer);
+                    close();
+                    resolve();
+                };
+                const timer = setTimeout(finish, LEAVE_TIMEOUT_MS);
+                savedWaiters.push(finish);
+                if (!send({ type: 'save' })) {
+                    finish();
+                }
+            });
+        }
+
+        connect();
+
+        return {
+            apply,
+            setPresence,
+            save: () => send({ type: 'save' }),
+            leave,
+            close
+        };
+    }
+
+    window.createCollaboration = createCollaboration;
+})();
@@ -0,0 +1,603 @@
+/**
+ * Editor interactivo del mapa conceptual (D3)
+ *
+ * Trabaja sobre el knowledgeGraph del resultado: permite arrastrar conceptos,
+ * acercar y desplazar la vista, añadir, renombrar y eliminar conceptos, trazar
+ * relaciones con etiqueta y cambiar su tipo. El grafo editado se entrega a
+ * onSave para que el servidor lo aplique al mapa (POST /api/edit).
+ *
+ * En modo colaborativo (setCollaborative) cada cambio se notifica al momento
+ * a onChange como una operación sobre conceptos o relaciones, el cursor y la
+ * selección a onPresence, y los cambios de los demás llegan con update; los
+ * cursores y selecciones de los demás se dibujan con showPeers.
+ */
+(function() {
+    // Tipos de relación del pipeline con su nombre y color en el editor
+    const RELATION_TYPES = {
+        hierarchical: { name: 'Jerárquica', color: '#4f46e5' },
+        causal: { name: 'Causal', color: '#dc2626' },
+        sequential: { name: 'Secuencial', color: '#d97706' },
+        descriptive: { name: 'Descriptiva', color: '#6b7280' },
+        example: { name: 'Ejemplo', color: '#059669' },
+        comparative: { name: 'Comparativa', color: '#7c3aed' }
+    };
+
+    const NODE_HEIGHT = 36;
+    const LEVEL_GAP = 120;
+    const DRAG_EMIT_MS = 50; // intervalo mínimo entre posiciones enviadas al arrastrar en modo colaborativo
+
+    // Ancho aproximado de un concepto según la longitud de su nombre
+    function nodeWidth(node) {
+        return Math.max(70, Math.min(240, node.label.length * 7.5 + 28));
+    }
+
+    // Punto del borde de un concepto en dirección a otro punto
+    function boundaryPoint(node, toward) {
+        const dx = toward.x - node.x;
+        const dy = toward.y - node.y;
+        if (dx === 0 && dy === 0) {
+            return { x: node.x, y: node.y };
+        }
+        const halfWidth = nodeWidth(node) / 2 + 4;
+        const halfHeight = NODE_HEIGHT / 2 + 4;
+        const scale = Math.min(halfWidth / Math.abs(dx || 1e-9), halfHeight / Math.abs(dy || 1e-9));
+        return { x: node.x + dx * Math.min(1, scale), y: node.y + dy * Math.min(1, scale) };
+    }
+
+    /**
+     * Crea el editor dentro de su contenedor (#graph-editor)
+     * @param {HTMLElement} root - Contenedor con la barra de herramientas, el lienzo y el panel
+     * @param {Object} callbacks - { onSave(graph), onCancel(), onChange(change), onPresence(presence) }
+     * @returns {Object} - { load(graph), update(graph), getGraph(), isDirty(), setCollaborative(active), showPeers(peers) }
+     */
+    function createGraphEditor(root, callbacks) {
+        const canvas = root.querySelector('.graph-editor-canvas');
+        const connectBtn = root.querySelector('[data-action="connect"]');
+        const hint = root.querySelector('.graph-editor-hint');
+        const nodePanel = root.querySelector('[data-panel="node"]');
+        const edgePanel = root.querySelector('[data-panel="edge"]');
+        const emptyPanel = root.querySelector('[data-panel="empty"]');
+        const nodeNameInput = nodePanel.querySelector('input');
+        const edgeLabelInput = edgePanel.querySelector('input');
+        const edgeTypeSelect = edgePanel.querySelector('select');
+        const saveBtn = root.querySelector('[data-action="save"]');
+        const cancelBtn = root.querySelector('[data-action="cancel"]');
+        const saveLabel = saveBtn.textContent;
+        const cancelLabel = cancelBtn.textContent;
+        const peersElement = root.querySelector('.graph-editor-peers');
+
+        let nodes = [];
+        let edges = [];
+        let selection = null; // { kind: 'node' | 'edge', id }
+        let connectSource = null; // Concepto de origen en el modo Relacionar
+        let connecting = false;
+        let dirty = false;
+        let createdCount = 0;
+        let collaborative = false;
+        let peers = []; // Otros participantes: { clientId, name, color, cursor, selection }
+        let draggingId = null;
+        let lastDragEmit = 0;
+
+        edgeTypeSelect.innerHTML = Object.entries(RELATION_TYPES)
+            .map(([type, info]) => `<option value="${type}">${info.name}</option>`)
+            .join('');
+
+        const svg = d3.select(canvas).append('svg').attr('class', 'graph-editor-svg');
+        const defs = svg.append('defs');
+        Object.entries(RELATION_TYPES).forEach(([type, info]) => {
+            defs.append('marker')
+                .attr('id', `graph-editor-arrow-${type}`)
+                .attr('viewBox', '0 0 10 10')
+                .attr('refX', 9)
+                .attr('refY', 5)
+                .attr('markerWidth', 7)
+                .attr('markerHeight', 7)
+                .attr('orient', 'auto-start-reverse')
+                .append('path')
+                .attr('d', 'M 0 0 L 10 5 L 0 10 z')
+                .attr('fill', info.color);
+        });
+
+        const viewport = svg.append('g');
+        const edgeLayer = viewport.append('g').attr('class', 'graph-editor-edges');
+        const labelLayer = viewport.append('g').attr('class', 'graph-editor-labels');
+        const nodeLayer = viewport.append('g').attr('class', 'graph-editor-nodes');
+        const presenceLayer = viewport.append('g').attr('class', 'graph-editor-presence');
+
+        // Acercar con la rueda y desplazar arrastrando el fondo
+        const zoom = d3.zoom()
+            .scaleExtent([0.2, 3])
+            .on('zoom', (event) => viewport.attr('transform', event.transform));
+        svg.call(zoom).on('dblclick.zoom', null);
+        svg.on('click', (event) => {
+            if (event.target === svg.node()) {
+                select(null);
+            }
+        });
+
+        // Cursor en coordenadas del mapa, para que los demás lo vean en el mismo sitio con otro zoom
+        svg.on('mousemove', (event) => {
+            if (collaborative) {
+                const [x, y] = d3.zoomTransform(svg.node()).invert(d3.pointer(event, svg.node()));
+                notifyPresence({ cursor: { x: Math.round(x), y: Math.round(y) } });
+            }
+        });
+        svg.on('mouseleave', () => notifyPresence({ cursor: null }));
+
+        const drag = d3.drag()
+            .on('start', (event, node) => {
+                event.sourceEvent.stopPropagation();
+                draggingId = node.id;
+            })
+            .on('drag', (event, node) => {
+                node.x = event.x;
+                node.y = event.y;
+                markChanged();
+                updatePositions();
+                if (Date.now() - lastDragEmit >= DRAG_EMIT_MS) {
+                    lastDragEmit = Date.now();
+                    emitPosition(node);
+                }
+            })
+            .on('end', (event, node) => {
+                draggingId = null;
+                emitPosition(node);
+            });
+
+        const nodeById = (id) => nodes.find(node => node.id === id);
+
+        // Un cambio local: fuera del modo colaborativo queda pendiente de guardar
+        function markChanged() {
+            if (!collaborative) {
+                dirty = true;
+            }
+        }
+
+        // Notifica una operación sobre un concepto o una relación en modo colaborativo
+        function emit(kind, action, id, fields) {
+            if (collaborative && callbacks.onChange) {
+                callbacks.onChange({ kind, action, id, ...(fields ? { fields } : {}) });
+            }
+        }
+
+        function emitPosition(node) {
+            emit('concept', 'set', node.id, { x: Math.round(node.x), y: Math.round(node.y) });
+        }
+
+        function notifyPresence(presence) {
+            if (collaborative && callbacks.onPresence) {
+                callbacks.onPresence(presence);
+            }
+        }
+
+        // Coloca con una simulación de fuerzas los conceptos que no tienen posición guardada.
+        // En modo colaborativo las posiciones calculadas se envían para que todos vean el mismo mapa
+        function placeNodes() {
+            const pending = nodes.filter(node => !Number.isFinite(node.x) || !Number.isFinite(node.y));
+            if (pending.length === 0) {
+                return;
+            }
+
+            nodes.forEach(node => {
+                if (Number.isFinite(node.x) && Number.isFinite(node.y)) {
+                    node.fx = node.x;
+                    node.fy = node.y;
+                }
+            });
+
+            const links = edges.map(edge => ({ source: edge.source, target: edge.target }));
+            d3.forceSimulation(nodes)
+                .force('link', d3.forceLink(links).id(node => node.id).distance(150).strength(0.3))
+                .force('charge', d3.forceManyBody().strength(-600))
+                .force('level', d3.forceY(node => (node.level || 0) * LEVEL_GAP).strength(0.8))
+                .force('center', d3.forceX(0).strength(0.05))
+                .force('collide', d3.forceCollide(node => nodeWidth(node) / 2 + 12))
+                .stop()
+                .tick(300);
+
+            nodes.forEach(node => {
+                delete node.fx;
+                delete node.fy;
+                delete node.vx;
+                delete node.vy;
+                delete node.index;
+            });
+            pending.forEach(emitPosition);
+        }
+
+        // Ajusta la vista para que todo el mapa quepa en el lienzo
+        function fitView() {
+            if (nodes.length === 0) {
+                return;
+            }
+            const width = canvas.clientWidth || 800;
+            const height = canvas.clientHeight || 600;
+            const xs = nodes.map(node => node.x);
+            const ys = nodes.map(node => node.y);
+            const minX = Math.min(...xs) - 140;
+            const maxX = Math.max(...xs) + 140;
+            const minY = Math.min(...ys) - 60;
+            const maxY = Math.max(...ys) + 60;
+            const scale = Math.min(1.5, width / (maxX - minX), height / (maxY - minY));
+            const transform = d3.zoomIdentity
+                .translate(width / 2, height / 2)
+                .scale(scale)
+                .translate(-(minX + maxX) / 2, -(minY + maxY) / 2);
+            svg.call(zoom.transform, transform);
+        }
+
+        function render() {
+            edgeLayer.selectAll('path')
+                .data(edges, edge => edge.id)
+                .join('path')
+                .attr('class', edge => `graph-editor-edge${isSelected('edge', edge.id) ? ' selected' : ''}`)
+                .attr('stroke', edge => (RELATION_TYPES[edge.type] || RELATION_TYPES.descriptive).color)
+                .attr('marker-end', edge => `url(#graph-editor-arrow-${RELATION_TYPES[edge.type] ? edge.type : 'descriptive'})`)
+                .on('click', (event, edge) => {
+                    event.stopPropagation();
+                    select({ kind: 'edge', id: edge.id });
+                });
+
+            labelLayer.selectAll('text')
+                .data(edges.filter(edge => edge.label), edge => edge.id)
+                .join('text')
+                .attr('class', 'graph-editor-edge-label')
+                .text(edge => edge.label)
+                .on('click', (event, edge) => {
+                    event.stopPropagation();
+                    select({ kind: 'edge', id: edge.id });
+                });
+
+            const nodeGroups = nodeLayer.selectAll('g')
+                .data(nodes, node => node.id)
+                .join(enter => {
+                    const group = enter.append('g').call(drag);
+                    group.append('rect');
+                    group.append('text').attr('text-anchor', 'middle').attr('dy', '0.35em');
+                    return group;
+                })
+                .attr('class', node => [
+                    'graph-editor-node',
+                    node.isMainConcept ? 'main' : '',
+                    isSelected('node', node.id) ? 'selected' : '',
+                    connectSource === node.id ? 'connect-source' : ''
+                ].filter(Boolean).join(' '))
+                .on('click', (event, node) => {
+                    event.stopPropagation();
+                    if (connecting) {
+                        connectTo(node);
+                    } else {
+                        select({ kind: 'node', id: node.id });
+                    }
+                })
+                .on('dblclick', (event, node) => {
+                    event.stopPropagation();
+                    select({ kind: 'node', id: node.id });
+                    nodeNameInput.select();
+                });
+
+            nodeGroups.select('rect')
+                .attr('width', nodeWidth)
+                .attr('height', NODE_HEIGHT)
+                .attr('x', node => -nodeWidth(node) / 2)
+                .attr('y', -NODE_HEIGHT / 2)
+                .attr('rx', node => node.isMainConcept ? NODE_HEIGHT / 2 : 8);
+            nodeGroups.select('text').text(node => node.label);
+
+            updatePositions();
+        }
+
+        function updatePositions() {
+            const geometry = (edge) => {
+                const source = nodeById(edge.source);
+                const target = nodeById(edge.target);
+                return { start: boundaryPoint(source, target), end: boundaryPoint(target, source) };
+            };
+
+            edgeLayer.selectAll('path').attr('d', edge => {
+                const { start, end } = geometry(edge);
+                return `M ${start.x} ${start.y} L ${end.x} ${end.y}`;
+            });
+            labelLayer.selectAll('text')
+                .attr('x', edge => {
+                    const { start, end } = geometry(edge);
+                    return (start.x + end.x) / 2;
+                })
+                .attr('y', edge => {
+                    const { start, end } = geometry(edge);
+                    return (start.y + end.y) / 2 - 4;
+                });
+            nodeLayer.selectAll('g').attr('transform', node => `translate(${node.x},${node.y})`);
+            renderPresence();
+        }
+
+        // Cursores y selecciones de los demás participantes, con su color
+        function renderPresence() {
+            const selected = peers.filter(peer => peer.selection && peer.selection.kind === 'node' && nodeById(peer.selection.id));
+            presenceLayer.selectAll('rect')
+                .data(selected, peer => peer.clientId)
+                .join('rect')
+                .attr('class', 'graph-editor-peer-selection')
+                .attr('stroke', peer => peer.color)
+                .attr('width', peer => nodeWidth(nodeById(peer.selection.id)) + 12)
+                .attr('height', NODE_HEIGHT + 12)
+                .attr('rx', 12)
+                .attr('x', peer => nodeById(peer.selection.id).x - nodeWidth(nodeById(peer.selection.id)) / 2 - 6)
+                .attr('y', peer => nodeById(peer.selection.id).y - NODE_HEIGHT / 2 - 6);
+
+            const cursors = presenceLayer.selectAll('g')
+                .data(peers.filter(peer => peer.cursor), peer => peer.clientId)
+                .join(enter => {
+                    const group = enter.append('g').attr('class', 'graph-editor-cursor');
+                    group.append('path').attr('d', 'M 0 0 L 0 16 L 4.5 12 L 8 19 L 10.5 18 L 7 11 L 12.5 11 Z');
+                    group.append('text').attr('x', 14).attr('y', 24);
+                    return group;
+                })
+                .attr('transform', peer => `translate(${peer.cursor.x},${peer.cursor.y})`);
+            cursors.select('path').attr('fill', peer => peer.color);
+            cursors.select('text').attr('fill', peer => peer.color).text(peer => peer.name);
+        }
+
+        function isSelected(kind, id) {
+            return Boolean(selection) && selection.kind === kind && selection.id === id;
+        }
+
+        // Selecciona un concepto o una relación y muestra sus propiedades en el panel
+        function select(item) {
+            selection = item;
+            showProperties();
+            notifyPresence({ selection });
+            render();
+        }
+
+        // Muestra en el panel las propiedades de la selección, sin tocar el campo que se está escribiendo
+        function showProperties() {
+            const node = selection && selection.kind === 'node' ? nodeById(selection.id) : null;
+            const edge = selection && selection.kind === 'edge' ? edges.find(e => e.id === selection.id) : null;
+
+            nodePanel.hidden = !node;
+            edgePanel.hidden = !edge;
+            emptyPanel.hidden = Boolean(node || edge);
+            if (node && document.activeElement !== nodeNameInput) {
+                nodeNameInput.value = node.label;
+            }
+            if (edge && document.activeElement !== edgeLabelInput) {
+                edgeLabelInput.value = edge.label || '';
+            }
+            if (edge) {
+                edgeTypeSelect.value = RELATION_TYPES[edge.type] ? edge.type : 'descriptive';
+            }
+        }
+
+        function setConnecting(active) {
+            connecting = active;
+            connectSource = null;
+            connectBtn.classList.toggle('active', active);
+            hint.textContent = active ?
+                'Haz clic en el concepto de origen y después en el de destino' :
+                'Arrastra los conceptos, usa la rueda para acercar y arrastra el fondo para desplazarte';
+            render();
+        }
+
+        function connectTo(node) {
+            if (!connectSource) {
+                connectSource = node.id;
+                render();
+                return;
+            }
+            if (connectSource === node.id) {
+                return;
+            }
+
+            const edge = {
+                id: `relation_new_${Date.now().toString(36)}_${++createdCount}`,
+                source: connectSource,
+                target: node.id,
+                label: '',
+                type: 'descriptive'
+            };
+            edges.push(edge);
+            markChanged();
+            emit('relationship', 'add', edge.id, { source: edge.source, target: edge.target, type: edge.type, label: edge.label });
+            setConnecting(false);
+            select({ kind: 'edge', id: edge.id });
+            edgeLabelInput.focus();
+        }
+
+        function addNode() {
+            // En el centro de la vista actual
+            const transform = d3.zoomTransform(svg.node());
+            const [x, y] = transform.invert([(canvas.clientWidth || 800) / 2, (canvas.clientHeight || 600) / 2]);
+            const node = { id: `concept_new_${Date.now().toString(36)}_${++createdCount}`, label: 'Nuevo concepto', x, y };
+            nodes.push(node);
+            markChanged();
+            emit('concept', 'add', node.id, { name: node.label, x: Math.round(x), y: Math.round(y) });
+            select({ kind: 'node', id: node.id });
+            nodeNameInput.select();
+        }
+
+        function deleteSelection() {
+            if (!selection) {
+                return;
+            }
+            if (selection.kind === 'node') {
+                const attached = edges.filter(edge => edge.source === selection.id || edge.target === selection.id);
+                nodes = nodes.filter(node => node.id !== selection.id);
+                edges = edges.filter(edge => !attached.includes(edge));
+                emit('concept', 'remove', selection.id);
+                attached.forEach(edge => emit('relationship', 'remove', edge.id));
+            } else {
+                edges = edges.filter(edge => edge.id !== selection.id);
+                emit('relationship', 'remove', selection.id);
+            }
+            markChanged();
+            select(null);
+        }
+
+        // Barra de herramientas
+        root.querySelector('[data-action="add-node"]').addEventListener('click', addNode);
+        connectBtn.addEventListener('click', () => setConnecting(!connecting));
+        root.querySelectorAll('[data-action="delete"]').forEach(btn => btn.addEventListener('click', deleteSelection));
+        root.querySelector('[data-action="fit"]').addEventListener('click', fitView);
+        saveBtn.addEventListener('click', () => callbacks.onSave(getGraph()));
+        cancelBtn.addEventListener('click', () => {
+            if (!dirty || confirm('¿Descartar los cambios del editor?')) {
+                callbacks.onCancel();
+            }
+        });
+
+        // Panel de propiedades
+        nodeNameInput.addEventListener('input', () => {
+            const node = selection && nodeById(selection.id);
+            if (node) {
+                node.label = nodeNameInput.value;
+                markChanged();
+                // Un nombre vacío no se envía: el resto sigue viendo el anterior hasta que se escriba otro
+                if (nodeNameInput.value.trim()) {
+                    emit('concept', 'set', node.id, { name: nodeNameInput.value.trim() });
+                }
+                render();
+            }
+        });
+        edgeLabelInput.addEventListener('input', () => {
+            const edge = selection && edges.find(e => e.id === selection.id);
+            if (edge) {
+                edge.label = edgeLabelInput.value;
+                markChanged();
+                emit('relationship', 'set', edge.id, { label: edgeLabelInput.value.trim() });
+                render();
+            }
+        });
+        edgeTypeSelect.addEventListener('change', () => {
+            const edge = selection && edges.find(e => e.id === selection.id);
+            if (edge) {
+                edge.type = edgeTypeSelect.value;
+                markChanged();
+                emit('relationship', 'set', edge.id, { type: edge.type });
+                render();
+            }
+        });
+
+        // Suprimir borra la selección; Escape sale del modo Relacionar
+        root.addEventListener('keydown', (event) => {
+            if (event.target.matches('input, select, textarea')) {
+                return;
+            }
+            if (event.key === 'Delete' || event.key === 'Backspace') {
+                event.preventDefault();
+                deleteSelection();
+            } else if (event.key === 'Escape') {
+                setConnecting(false);
+            }
+        });
+
+        /**
+         * Carga un grafo ({ nodes, edges }) en el editor
+         * @param {Object} graph - knowledgeGraph del resultado
+         */
+        function load(graph) {
+            nodes = graph.nodes.map(node => ({ ...node }));
+            const ids = new Set(nodes.map(node => node.id));
+            edges = graph.edges
+                .filter(edge => ids.has(edge.source) && ids.has(edge.target))
+                .map(edge => ({ ...edge }));
+            dirty = false;
+            placeNodes();
+            setConnecting(false);
+            select(null);
+            fitView();
+        }
+
+        /**
+         * Aplica el grafo actualizado por otros participantes sin mover la vista
+         * ni perder la selección, el concepto que se arrastra o el texto que se escribe
+         * @param {Object} graph - { nodes, edges }
+         */
+        function update(graph) {
+            const previous = new Map(nodes.map(node => [node.id, node]));
+            nodes = graph.nodes.map(node => {
+                const current = previous.get(node.id);
+                if (!current) {
+                    return { ...node };
+                }
+                const position = current.id === draggingId ? { x: current.x, y: current.y } : {};
+                return Object.assign(current, node, position);
+            });
+            const ids = new Set(nodes.map(node => node.id));
+            edges = graph.edges
+                .filter(edge => ids.has(edge.source) && ids.has(edge.target))
+                .map(edge => ({ ...edge }));
+            if (connectSource && !ids.has(connectSource)) {
+                connectSource = null;
+            }
+
+            placeNodes();
+            const selected = selection && (selection.kind === 'node' ? ids.has(selection.id) : edges.some(edge => edge.id === selection.id));
+            if (selection && !selected) {
+                select(null);
+                return;
+            }
+            showProperties();
+            render();
+        }
+
+        /**
+         * Activa o desactiva el modo colaborativo: los cambios se envían al momento
+         * y los botones pasan a guardar una versión y a salir
+         * @param {boolean} active
+         */
+        function setCollaborative(active) {
+            collaborative = active;
+            dirty = false;
+            saveBtn.textContent = active ? 'Guardar versión' : saveLabel;
+            cancelBtn.textContent = active ? 'Salir' : cancelLabel;
+            root.classList.toggle('collaborative', active);
+            peersElement.hidden = !active;
+            showPeers([]);
+        }
+
+        /**
+         * Dibuja los cursores y selecciones de los demás participantes
+         * @param {Array<Object>} list - [{ clientId, name, color, cursor, selection }]
+         */
+        function showPeers(list) {
+            peers = list;
+            renderPresence();
+
+            peersElement.innerHTML = '';
+            if (peers.length === 0) {
+                peersElement.textContent = 'Nadie más conectado';
+            }
+            peers.forEach(peer => {
+                const chip = document.createElement('span');
+                chip.className = 'graph-editor-peer';
+                chip.style.backgroundColor = peer.color;
+                chip.textContent = peer.name.charAt(0).toUpperCase();
+                chip.title = peer.name;
+                peersElement.appendChild(chip);
+            });
+        }
+
+        /**
+         * Grafo editado con las posiciones de los conceptos
+         * @returns {Object} - { nodes: [{ id, label, x, y }], edges: [{ id, source, target, label, type }] }
+         */
+        function getGraph() {
+            return {
+                nodes: nodes.map(node => ({ id: node.id, label: node.label.trim(), x: Math.round(node.x), y: Math.round(node.y) })),
+                edges: edges.map(edge => ({ id: edge.id, source: edge.source, target: edge.target, label: (edge.label || '').trim(), type: edge.type }))
+            };
+        }
+
+        return {
+            load,
+            update,
+            getGraph,
+            isDirty: () => dirty,
+            setCollaborative,
+            showPeers
+        };
+    }
+
+    window.createGraphEditor = createGraphEditor;
+})();
@@ -0,0 +1,270 @@
+/**
+ * Vista de mapa mental (D3), al estilo de Markmap
+ *
+ * Dibuja el árbol de result.hierarchy en disposición horizontal o radial.
+ * Cada rama se pliega y despliega con un clic; los niveles por debajo de
+ * INITIAL_DEPTH empiezan plegados y sus nodos solo se crean al desplegarlos,
+ * de modo que los mapas profundos se abren rápido.
+ */
+(function() {
+    const INITIAL_DEPTH = 2;
+    const LEVEL_WIDTH = 200; // Separación horizontal entre niveles
+    const SIBLING_HEIGHT = 34; // Separación vertical entre hermanos
+    const RING_WIDTH = 140; // Separación entre anillos en la disposición radial
+    const DURATION = 300;
+
+    /**
+     * Árbol de conceptos a partir de la jerarquía del resultado. Los mapas sin
+     * hierarchy.tree se reconstruyen con el parentId de cada concepto.
+     * @param {Object} result - Resultado del mapa
+     * @returns {Object|null} - { id, name, definition, children }
+     */
+    function buildTree(result) {
+        const concepts = new Map(result.concepts.map(concept => [concept.id, concept]));
+        const toNode = (id, name) => ({
+            id,
+            name: concepts.has(id) ? concepts.get(id).name : name,
+            definition: concepts.has(id) ? concepts.get(id).definition : null,
+            children: []
+        });
+
+        if (result.hierarchy && result.hierarchy.tree) {
+            const copy = (node) => Object.assign(toNode(node.id, node.name), { children: (node.children || []).map(copy) });
+            return copy(result.hierarchy.tree);
+        }
+
+        if (result.concepts.length === 0) {
+            return null;
+        }
+
+        const nodes = new Map(result.concepts.map(concept => [concept.id, toNode(concept.id, concept.name)]));
+        const root = result.concepts.find(concept => concept.isMainConcept) || result.concepts[0];
+        result.concepts.forEach(concept => {
+            if (concept.id === root.id) {
+                return;
+            }
+            const parent = nodes.get(concept.parentId) || nodes.get(root.id);
+            parent.children.push(nodes.get(concept.id));
+        });
+        return nodes.get(root.id);
+    }
+
+    /**
+     * Crea la vista de mapa mental en un contenedor
+     * @param {HTMLElement} container - Elemento donde se dibuja
+     * @returns {Object} - { render(result, layout), setLayout(layout), expandAll(), collapseAll() }
+     */
+    function createMindMap(container) {
+        const svg = d3.select(container).append('svg').attr('class', 'mind-map-svg');
+        const viewport = svg.append('g');
+        const linkLayer = viewport.append('g').attr('class', 'mind-map-links');
+        const nodeLayer = viewport.append('g').attr('class', 'mind-map-nodes');
+        const color = d3.scaleOrdinal(d3.schemeTableau10);
+
+        const zoom = d3.zoom()
+            .scaleExtent([0.2, 3])
+            .on('zoom', (event) => viewport.attr('transform', event.transform));
+        svg.call(zoom).on('dblclick.zoom', null);
+
+        let root = null;
+        let layout = 'horizontal';
+
+        // Color de la rama de primer nivel a la que pertenece un nodo
+        const branchColor = (node) => {
+            const branch = node.ancestors().find(ancestor => ancestor.depth === 1);
+            return branch ? color(branch.data.id) : '#4f46e5';
+        };
+
+        // Pliega o despliega una rama
+        function toggle(node) {
+            node.data.expanded = !node.data.expanded;
+            // Al desplegar, los hijos muestran su primer nivel
+            if (node.data.expanded) {
+                node.data.children.forEach(child => {
+                    child.expanded = false;
+                });
+            }
+            update(node);
+        }
+
+        // Posición en pantalla de un nodo según la disposición
+        function point(node) {
+            if (layout === 'radial') {
+                const angle = node.x - Math.PI / 2;
+                return { x: node.y * Math.cos(angle), y: node.y * Math.sin(angle) };
+            }
+            return { x: node.y, y: node.x };
+        }
+
+        // Solo las ramas desplegadas entran en d3.hierarchy: los niveles plegados no se recorren ni se dibujan
+        function computeLayout() {
+            const hierarchy = d3.hierarchy(root, item => (item.expanded ? item.children : null));
+            if (layout === 'radial') {
+                const depth = d3.max(hierarchy.descendants(), node => node.depth) || 1;
+                d3.tree()
+                    .size([2 * Math.PI, depth * RING_WIDTH])
+                    .separation((a, b) => (a.parent === b.parent ? 1 : 2) / Math.max(1, a.depth))(hierarchy);
+            } else {
+                d3.tree()
+                    .nodeSize([SIBLING_HEIGHT, LEVEL_WIDTH])
+                    .separation((a, b) => (a.parent === b.parent ? 1 : 1.4))(hierarchy);
+            }
+            return hierarchy;
+        }
+
+        /**
+         * Redibuja el árbol con una transición desde el nodo que cambió
+         * @param {Object} [origin] - Nodo plegado o desplegado
+         */
+        function update(origin) {
+            const hierarchy = computeLayout();
+            const nodes = hierarchy.descendants();
+            const links = hierarchy.links();
+            const start = origin ? point(origin) : { x: 0, y: 0 };
+            const positions = new Map(nodes.map(node => [node.data.id, point(node)]));
+
+            const linkPath = (source, target) => {
+                if (layout === 'radial') {
+                    return `M ${source.x} ${source.y} Q ${(source.x + target.x) / 2 * 0.9} ${(source.y + target.y) / 2 * 0.9} ${target.x} ${target.y}`;
+                }
+                const middle = (source.x + target.x) / 2;
+                return `M ${source.x} ${source.y} C ${middle} ${source.y}, ${middle} ${target.y}, ${target.x} ${target.y}`;
+            };
+
+            linkLayer.selectAll('path')
+                .data(links, link => link.target.data.id)
+                .join(
+                    enter => enter.append('path')
+                        .attr('d', linkPath(start, start))
+                        .attr('stroke-opacity', 0),
+                    updateSelection => updateSelection,
+                    exit => exit.transition().duration(DURATION).attr('stroke-opacity', 0).remove()
+                )
+                .attr('stroke', link => branchColor(link.target))
+                .attr('stroke-width', link => Math.max(1.5, 4 - link.target.depth))
+                .transition()
+                .duration(DURATION)
+                .attr('stroke-opacity', 0.8)
+                .attr('d', link => linkPath(positions.get(link.source.data.id), positions.get(link.target.data.id)));
+
+            const groups = nodeLayer.selectAll('g.mind-map-node')
+                .data(nodes, node => node.data.id)
+                .join(
+                    enter => {
+                        const group = enter.append('g')
+                            .attr('class', 'mind-map-node')
+                            .attr('transform', `translate(${start.x},${start.y})`)
+                            .attr('opacity', 0);
+                        group.append('circle').attr('r', 5);
+                        group.append('text').attr('dy', '0.32em');
+                        group.append('title');
+                        return group;
+                    },
+                    updateSelection => updateSelection,
+                    exit => exit.transition().duration(DURATION).attr('opacity', 0).remove()
+                )
+                .classed('root', node => node.depth === 0)
+                .classed('collapsible', node => node.data.children.length > 0)
+                .on('click', (event, node) => {
+                    if (node.data.children.length > 0) {
+                        toggle(node);
+                    }
+                });
+
+            groups.select('circle')
+                .attr('stroke', branchColor)
+                .attr('fill', node => (node.data.children.length > 0 && !node.data.expanded ? branchColor(node) : '#ffffff'));
+
+            // Texto a la derecha del nodo; en la disposición radial, hacia fuera del centro
+            groups.select('text')
+                .text(node => {
+                    const hidden = node.data.expanded ? 0 : node.data.children.length;
+                    return hidden > 0 ? `${node.data.name} (+${hidden})` : node.data.name;
+                })
+                .attr('text-anchor', node => {
+                    if (layout === 'radial' && node.depth > 0) {
+                        return node.x > Math.PI ? 'end' : 'start';
+                    }
+                    return node.depth === 0 ? 'middle' : 'start';
+                })
+                .attr('x', node => {
+                    if (node.depth === 0) return 0;
+                    if (layout === 'radial') return node.x > Math.PI ? -9 : 9;
+                    return 9;
+                })
+                .attr('y', node => (node.depth === 0 ? -14 : 0));
+            groups.select('title').text(node => node.data.definition || node.data.name);
+
+            groups.transition()
+                .duration(DURATION)
+                .attr('opacity', 1)
+                .attr('transform', node => {
+                    const position = positions.get(node.data.id);
+                    return `translate(${position.x},${position.y})`;
+                });
+        }
+
+        // Centra el mapa en el lienzo
+        function center() {
+            const width = container.clientWidth || 800;
+            const height = container.clientHeight || 600;
+            const x = layout === 'radial' ? width / 2 : 80;
+            svg.call(zoom.transform, d3.zoomIdentity.translate(x, height / 2));
+        }
+
+        function setExpanded(node, expanded, depth) {
+            node.expanded = expanded(depth);
+            node.children.forEach(child => setExpanded(child, expanded, depth + 1));
+        }
+
+        /**
+         * Dibuja el mapa mental de un resultado
+         * @param {Object} result - Resultado del mapa (concepts, hierarchy)
+         * @param {string} [nextLayout] - 'horizontal' o 'radial'
+         */
+        function render(result, nextLayout = layout) {
+            layout = nextLayout;
+            linkLayer.selectAll('*').remove();
+            nodeLayer.selectAll('*').remove();
+
+            root = buildTree(result);
+            if (!root) {
+                return;
+            }
+            setExpanded(root, depth => depth < INITIAL_DEPTH, 0);
+            update(null);
+            center();
+        }
+
+        /**
+         * Cambia la disposición conservando las ramas desplegadas
+         * @param {string} nextLayout - 'horizontal' o 'radial'
+         */
+        function setLayout(nextLayout) {
+            layout = nextLayout;
+            if (root) {
+                update(null);
+                center();
+            }
+        }
+
+        return {
+            render,
+            setLayout,
+            expandAll: () => {
+                if (root) {
+                    setExpanded(root, () => true, 0);
+                    update(null);
+                }
+            },
+            collapseAll: () => {
+                if (root) {
+                    setExpanded(root, depth => depth === 0, 0);
+                    update(null);
+                }
+            }
+        };
+    }
+
+    window.createMindMap = createMindMap;
+})();
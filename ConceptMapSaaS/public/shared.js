@@ -0,0 +1,98 @@
+// Página de solo lectura de un mapa compartido (/m/:token)
+document.addEventListener('DOMContentLoaded', function() {
+    const title = document.getElementById('shared-title');
+    const meta = document.getElementById('shared-meta');
+    const status = document.getElementById('shared-status');
+    const passwordForm = document.getElementById('shared-password-form');
+    const passwordInput = document.getElementById('shared-password');
+    const mapContainer = document.getElementById('shared-map');
+    const editLink = document.getElementById('shared-edit');
+
+    const token = decodeURIComponent(window.location.pathname.split('/').pop());
+
+    // Con ?embed=1 la página se muestra sin cabecera, para un <iframe>
+    if (new URLSearchParams(window.location.search).get('embed') === '1') {
+        document.body.classList.add('embedded');
+    }
+
+    // Mensajes para los errores que el visitante puede encontrar
+    const errorMessages = {
+        SHARE_NOT_FOUND: 'Este enlace no existe o el mapa se ha eliminado.',
+        SHARE_REVOKED: 'El propietario del mapa ha desactivado este enlace.',
+        SHARE_EXPIRED: 'Este enlace ha caducado.',
+        TOO_MANY_SHARE_ATTEMPTS: 'Demasiadas contraseñas incorrectas. Vuelva a intentarlo más tarde.'
+    };
+
+    // Función para pedir el mapa, con la contraseña si el enlace la tiene
+    async function loadSharedMap(password) {
+        try {
+            const response = await fetch(`/api/shared/${encodeURIComponent(token)}`, {
+                headers: password ? { 'X-Share-Password': password } : {}
+            });
+            const data = await response.json().catch(() => ({}));
+
+            if (data.code === 'SHARE_PASSWORD_REQUIRED' || data.code === 'INVALID_SHARE_PASSWORD') {
+                status.textContent = data.code === 'INVALID_SHARE_PASSWORD' ? data.error : '';
+                status.hidden = !status.textContent;
+                status.classList.toggle('error', Boolean(status.textContent));
+                passwordForm.hidden = false;
+                passwordInput.value = '';
+                passwordInput.focus();
+                return;
+            }
+
+            if (!response.ok || !data.success) {
+                throw new Error(errorMessages[data.code] || data.error || `Error al abrir el mapa: ${response.status}`);
+            }
+
+            await showMap(data.map);
+        } catch (error) {
+            console.error('Error al abrir el mapa compartido:', error);
+            passwordForm.hidden = true;
+            status.hidden = false;
+            status.classList.add('error');
+            status.textContent = error.message;
+        }
+    }
+
+    // El mismo renderizador que la aplicación (Mermaid); estricto porque el contenido es de otra persona
+    mermaid.initialize({ startOnLoad: false, securityLevel: 'strict' });
+
+    // Función para dibujar el diagrama Mermaid del mapa en la página
+    async function showMap(map) {
+        document.title = `${map.title} - ConceptMap SaaS`;
+        title.textContent = map.title;
+        const access = map.permission === 'edit' ? 'Edición en grupo' : 'Solo lectura';
+        meta.textContent = map.expiresAt ?
+            `${access} · disponible hasta el ${new Date(map.expiresAt).toLocaleDateString()}` :
+            access;
+
+        // Los enlaces de edición abren el editor de la aplicación con el token en el fragmento
+        if (map.permission === 'edit') {
+            editLink.href = `/#colaborar=${encodeURIComponent(token)}`;
+            editLink.hidden = false;
+        }
+
+        const fenced = map.content.match(/```mermaid[^\n]*\n([\s\S]*?)```/);
+        if (!fenced) {
+            throw new Error('Este mapa todavía no tiene conceptos.');
+        }
+
+        const { svg } = await mermaid.render('shared-map-svg', fenced[1].trim());
+        mapContainer.innerHTML = svg;
+        const svgElement = mapContainer.querySelector('svg');
+        svgElement.setAttribute('role', 'img');
+        svgElement.setAttribute('aria-label', map.title);
+
+        mapContainer.hidden = false;
+        passwordForm.hidden = true;
+        status.hidden = true;
+    }
+
+    passwordForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        loadSharedMap(passwordInput.value);
+    });
+
+    loadSharedMap();
+});
@@ -2,6 +2,8 @@
  * Configuración global para la aplicación ConceptMap SaaS
  */
 
+const path = require('path');
+
 module.exports = {
   // Configuración del servidor
   server: {
@@ -9,6 +11,76 @@ module.exports = {
     environment: process.env.NODE_ENV || 'development'
   },
   
+  // Configuración del almacenamiento persistente
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'file', // file | memory
+    dataDir: process.env.DATA_DIR || path.join(__dirname, '../data')
+  },
+  
+  // Subida de documentos para generar mapas (PDF, DOCX, HTML, Markdown y TXT)
+  uploads: {
+    maxFileSizeBytes: 10 * 1024 * 1024, // 10 MB; el texto extraído sigue sujeto a maxTextLength del plan
+    fieldName: 'file' // campo multipart con el archivo
+  },
+  
+  // Exportación de mapas a SVG, PNG y PDF
+  exports: {
+    fontFamily: 'DejaVu Sans, Arial, Helvetica, sans-serif', // fuente del SVG y del PNG; el PDF usa Helvetica
+    maxLabelWidth: 180, // anchura máxima del texto de un concepto antes de partirlo en líneas
+    levelGap: 70, // separación vertical entre niveles de la jerarquía
+    siblingGap: 24, // separación horizontal entre conceptos vecinos
+    margin: 32, // margen alrededor del mapa
+    maxRowWidth: 2400, // anchura máxima de una fila de conceptos hermanos; los siguientes pasan a otra fila
+    pngScale: 2, // resolución del PNG respecto al tamaño del SVG
+    maxConcepts: 1000, // conceptos como máximo por exportación
+    maxRelationships: 4000, // relaciones como máximo por exportación
+    maxCanvasSize: 16000, // anchura o altura máxima del dibujo (SVG, PNG y PDF)
+    maxPngPixels: 50 * 1000 * 1000 // píxeles máximos del PNG ya escalado (unos 200 MB en memoria al rasterizar)
+  },
+  
+  // Configuración de cuentas y sesiones
+  auth: {
+    sessionCookie: 'cm_session',
+    sessionTtlMs: 7 * 24 * 60 * 60 * 1000, // 7 días
+    signupPlan: 'free', // plan asignado a las cuentas nuevas
+    minPasswordLength: 8,
+    apiKeyPrefix: 'cmk_',
+    apiKeyTouchIntervalMs: 10 * 60 * 1000, // lastUsedAt de una clave se guarda como mucho una vez en este intervalo
+    roles: ['user', 'admin'], // admin gestiona los glosarios; solo se concede con npm run users:role
+    defaultRole: 'user' // rol de las cuentas nuevas, sea cual sea el correo
+  },
+  
+  // Enlaces públicos a mapas guardados (/m/:token): de solo lectura o, con permiso de edición, para colaborar
+  sharing: {
+    tokenBytes: 24, // bytes aleatorios del token del enlace (32 caracteres base64url)
+    defaultExpiryDays: 30, // caducidad si el propietario no indica otra
+    maxExpiryDays: 365, // caducidad máxima; null en la solicitud crea un enlace sin caducidad
+    minPasswordLength: 8, // contraseña opcional del enlace, como la de las cuentas
+    maxPasswordAttempts: 10, // contraseñas incorrectas por enlace antes de bloquearlo
+    passwordLockoutMs: 15 * 60 * 1000, // duración del bloqueo, contada desde el primer fallo
+    embedWidth: 800, // tamaño por defecto del <iframe> para insertar el mapa
+    embedHeight: 600
+  },
+  
+  // Edición colaborativa en tiempo real de los mapas guardados (WebSocket)
+  collaboration: {
+    path: '/api/collaborate', // ruta del canal; cada mapa tiene su propia sala
+    saveDelayMs: 5000, // espera tras el último cambio antes de guardar una versión del mapa
+    joinTimeoutMs: 10000, // tiempo para enviar el mensaje join tras conectar
+    heartbeatMs: 30000, // intervalo de ping para cerrar las conexiones caídas
+    maxParticipants: 20, // clientes conectados a la vez a un mismo mapa
+    maxMessageBytes: 64 * 1024 // tamaño máximo de un mensaje
+  },
+  
+  // Glosarios locales para el enriquecimiento sin conexión (definiciones, sinónimos, ejemplos y categorías)
+  lexicon: {
+    dir: process.env.LEXICON_DIR || null, // carpeta adicional con glosarios .json o .sqlite que se cargan al arrancar
+    fallbackDomain: 'general', // dominio consultado después de los que elige la solicitud
+    maxFileSizeBytes: 20 * 1024 * 1024, // 20 MB por glosario subido
+    maxEntries: 50000, // entradas por glosario
+    fieldName: 'file' // campo multipart con el archivo
+  },
+  
   // Configuración de APIs externas
   apis: {
     deepseek: {
@@ -23,33 +95,101 @@ module.exports = {
     }
   },
   
+  // Proveedor de modelo de lenguaje para las etapas de organización y razonamiento
+  llm: {
+    provider: process.env.LLM_PROVIDER || null, // deepseek | openai | mock; sin proveedor se usa el análisis heurístico
+    model: process.env.LLM_MODEL || null, // por defecto, el modelo del proveedor
+    baseUrl: process.env.LLM_BASE_URL || null, // sustituye la URL del proveedor (APIs compatibles con OpenAI)
+    apiKey: process.env.LLM_API_KEY || null, // sustituye la clave del proveedor
+    timeoutMs: 30000, // tiempo máximo por petición
+    maxRetries: 2, // reintentos ante errores de red, 429 y 5xx
+    retryDelayMs: 500, // espera base entre reintentos (exponencial)
+    temperature: 0,
+    maxTokens: 2000,
+    maxInputChars: 24000, // el texto se recorta a esta longitud antes de enviarlo
+    mock: {
+      port: process.env.LLM_MOCK_PORT || 4010
+    }
+  },
+  
   // Configuración de procesamiento de mapas conceptuales
   conceptMap: {
+    // Plan aplicado a las solicitudes sin cuenta asociada (y a cuentas con un plan desconocido).
+    // Es el más restrictivo: sin sesión nunca se obtiene más que con una cuenta gratuita
+    defaultPlan: 'free',
+    
     // Límites por plan
     limits: {
       free: {
         maxTextLength: 5000, // caracteres
         maxMapsPerMonth: 5,
-        enabledStages: ['organization', 'reasoning', 'aesthetics']
+        enabledStages: ['organization', 'reasoning', 'aesthetics'],
+        exportFormats: ['png']
       },
       professional: {
         maxTextLength: 20000,
         maxMapsPerMonth: 50,
-        enabledStages: ['organization', 'reasoning', 'enrichment', 'validation', 'aesthetics', 'conclusion']
+        enabledStages: ['organization', 'reasoning', 'enrichment', 'validation', 'aesthetics', 'conclusion'],
+        exportFormats: ['svg', 'png', 'pdf', 'graphml', 'gexf', 'dot', 'cxl', 'jsonld']
       },
       enterprise: {
         maxTextLength: 50000,
         maxMapsPerMonth: -1, // ilimitado
-        enabledStages: ['organization', 'reasoning', 'enrichment', 'validation', 'aesthetics', 'conclusion']
+        enabledStages: ['organization', 'reasoning', 'enrichment', 'validation', 'aesthetics', 'conclusion'],
+        exportFormats: ['svg', 'png', 'pdf', 'graphml', 'gexf', 'dot', 'cxl', 'jsonld']
       }
     },
     
-    // Estilos visuales disponibles
-    visualStyles: [
-      'professional',
-      'sketch',
-      'minimalist',
-      'colorful'
-    ]
+    // Detección de relaciones por coincidencia en el texto
+    relationships: {
+      windowSize: 8, // palabras entre menciones de oraciones contiguas que aún cuentan como cercanas
+      headingWeight: 0.5, // peso de un concepto del título con uno de su sección
+      paragraphWeight: 0.15, // peso de dos conceptos en el mismo párrafo pero lejos
+      minStrength: 0.2, // fuerza mínima para conservar una relación
+      maxPerConcept: 6 // relaciones máximas por concepto, priorizando las más fuertes
+    },
+    
+    // Construcción de la jerarquía (un padre por concepto)
+    hierarchy: {
+      sectionWeight: 1, // peso de aparecer en la sección de un título
+      cooccurrenceWeight: 1, // peso de la fuerza de coincidencia con el candidato
+      paragraphWeight: 0.5, // peso de la proporción de párrafos compartidos
+      minScore: 0.3 // puntuación mínima; por debajo se usa la sección de la primera mención o la raíz
+    },
+    
+    // Niveles del control de complejidad: de una vista general (1) a un mapa detallado (5).
+    // maxConcepts es el número objetivo de conceptos, maxDepth los niveles bajo la raíz (null: sin límite),
+    // pruneRatio la fracción de la importancia media por debajo de la cual la etapa 4 descarta un concepto
+    // y detailNodes los nodos de detalle que se dibujan junto a cada concepto
+    complexity: {
+      defaultLevel: 3,
+      levels: {
+        1: { maxConcepts: 6, maxDepth: 1, pruneRatio: 0.8, detailNodes: { definitions: false, examples: false, attributes: false, contextNotes: false } },
+        2: { maxConcepts: 12, maxDepth: 2, pruneRatio: 0.6, detailNodes: { definitions: true, examples: false, attributes: false, contextNotes: false } },
+        3: { maxConcepts: 20, maxDepth: 4, pruneRatio: 0.4, detailNodes: { definitions: true, examples: true, attributes: true, contextNotes: true } },
+        4: { maxConcepts: 30, maxDepth: 6, pruneRatio: 0.25, detailNodes: { definitions: true, examples: true, attributes: true, contextNotes: true } },
+        5: { maxConcepts: 40, maxDepth: null, pruneRatio: 0.1, detailNodes: { definitions: true, examples: true, attributes: true, contextNotes: true } }
+      }
+    },
+    
+    // Procesamiento por fragmentos de los textos largos
+    chunking: {
+      maxChunkChars: 10000, // longitud máxima de cada fragmento; los textos más cortos se procesan de una vez
+      sectionBreakRatio: 0.5, // un título cierra el fragmento si ya ocupa esta proporción del máximo
+      mergeSimilarity: 0.85, // similitud de nombres a partir de la cual dos conceptos se unifican
+      recurrenceBonus: 0.05 // importancia añadida por cada fragmento adicional donde aparece un concepto
+    },
+    
+    // Trabajos de generación en segundo plano
+    jobs: {
+      maxConcurrent: 2, // trabajos ejecutándose a la vez; el resto espera en cola
+      retentionMs: 60 * 60 * 1000, // tiempo que se conserva un trabajo terminado
+      heartbeatMs: 15000 // intervalo de comentarios SSE para mantener viva la conexión
+    },
+    
+    // Historial de versiones de los mapas guardados
+    versions: {
+      renameSimilarity: 0.6 // similitud de nombre mínima para considerar renombrado un concepto sin id en común
+    }
   }
 };
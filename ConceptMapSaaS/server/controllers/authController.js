@@ -0,0 +1,161 @@
+/**
+ * Controlador para cuentas de usuario, sesiones y claves de API
+ */
+
+const config = require('../config');
+const authService = require('../services/authService');
+const { readCookie } = require('../middleware/auth');
+const { sendError } = require('../utils/errors');
+
+/**
+ * Opciones de la cookie de sesión
+ * @returns {Object}
+ */
+function sessionCookieOptions() {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: config.server.environment === 'production',
+    path: '/'
+  };
+}
+
+/**
+ * Registra una cuenta nueva e inicia su sesión
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ */
+async function signup(req, res) {
+  try {
+    const { email, password, name } = req.body;
+    await authService.signup({ email, password, name });
+    const session = await authService.login({ email, password });
+    
+    res.cookie(config.auth.sessionCookie, session.token, {
+      ...sessionCookieOptions(),
+      maxAge: config.auth.sessionTtlMs
+    });
+    
+    res.status(201).json({
+      success: true,
+      user: session.user,
+      message: 'Cuenta creada exitosamente'
+    });
+  } catch (error) {
+    sendError(res, error, 'Error al crear la cuenta');
+  }
+}
+
+/**
+ * Inicia sesión con correo y contraseña
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ */
+async function login(req, res) {
+  try {
+    const { email, password } = req.body;
+    const session = await authService.login({ email, password });
+    
+    res.cookie(config.auth.sessionCookie, session.token, {
+      ...sessionCookieOptions(),
+      maxAge: config.auth.sessionTtlMs
+    });
+    
+    res.json({
+      success: true,
+      user: session.user,
+      expiresAt: session.expiresAt
+    });
+  } catch (error) {
+    sendError(res, error, 'Error al iniciar sesión');
+  }
+}
+
+/**
+ * Cierra la sesión actual
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ */
+async function logout(req, res) {
+  try {
+    await authService.logout(readCookie(req, config.auth.sessionCookie));
+    res.clearCookie(config.auth.sessionCookie, sessionCookieOptions());
+    res.json({ success: true, message: 'Sesión cerrada' });
+  } catch (error) {
+    sendError(res, error, 'Error al cerrar la sesión');
+  }
+}
+
+/**
+ * Devuelve el usuario autenticado (o null si la solicitud es anónima)
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ */
+function me(req, res) {
+  res.json({ success: true, user: req.user });
+}
+
+/**
+ * Lista las claves de API del usuario
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ */
+async function listApiKeys(req, res) {
+  try {
+    const apiKeys = await authService.listApiKeys(req.user.id);
+    res.json({ success: true, apiKeys });
+  } catch (error) {
+    sendError(res, error, 'Error al listar las claves de API');
+  }
+}
+
+/**
+ * Crea una clave de API para el usuario
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ */
+async function createApiKey(req, res) {
+  try {
+    const { key, apiKey } = await authService.createApiKey(req.user.id, req.body.name);
+    res.status(201).json({
+      success: true,
+      key,
+      apiKey,
+      message: 'Guarda esta clave ahora: no volverá a mostrarse'
+    });
+  } catch (error) {
+    sendError(res, error, 'Error al crear la clave de API');
+  }
+}
+
+/**
+ * Revoca una clave de API del usuario
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ */
+async function revokeApiKey(req, res) {
+  try {
+    const revoked = await authService.revokeApiKey(req.user.id, req.params.id);
+    
+    if (!revoked) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Clave de API no encontrada' 
+      });
+    }
+    
+    res.json({ success: true, message: 'Clave de API revocada' });
+  } catch (error) {
+    sendError(res, error, 'Error al revocar la clave de API');
+  }
+}
+
+module.exports = {
+  signup,
+  login,
+  logout,
+  me,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey
+};
@@ -0,0 +1,221 @@
+/**
+ * Controlador del canal WebSocket de edición colaborativa
+ *
+ * Atiende las conexiones a config.collaboration.path sobre el mismo servidor
+ * HTTP que Express. Tras conectar, el cliente envía un mensaje join:
+ *   { type: 'join', mapId } - propietario del mapa (cookie de sesión o clave de API)
+ *   { type: 'join', shareToken, password, name } - enlace compartido con permiso de edición
+ * y después mensajes op, presence y save (ver collaborationService). Los
+ * errores se envían como { type: 'error', code, error }; los que impiden
+ * seguir cierran la conexión con el código 4000 + el estado HTTP equivalente.
+ */
+
+const { WebSocketServer } = require('ws');
+const config = require('../config');
+const authService = require('../services/authService');
+const shareService = require('../services/shareService');
+const collaborationService = require('../services/collaborationService');
+const { mapRepository } = require('../repositories');
+const { readCookie, readApiKey } = require('../middleware/auth');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Identifica al usuario de la solicitud de apertura (clave de API o cookie de sesión)
+ * @param {Object} req - Solicitud HTTP de apertura del WebSocket
+ * @returns {Promise<Object|null>} - Usuario o null si es anónima
+ */
+async function identify(req) {
+  const apiKey = readApiKey(req);
+  if (apiKey) {
+    const user = await authService.authenticateApiKey(apiKey);
+    if (!user) {
+      throw new AppError('Clave de API no válida', 401, 'INVALID_API_KEY');
+    }
+    return user;
+  }
+  
+  const sessionToken = readCookie(req, config.auth.sessionCookie);
+  return sessionToken ? authService.authenticateSession(sessionToken) : null;
+}
+
+/**
+ * Comprueba que una conexión desde un navegador venga de la propia aplicación:
+ * la cookie de sesión también se envía a los WebSocket abiertos desde otros sitios
+ * @param {Object} req - Solicitud HTTP de apertura del WebSocket
+ * @returns {boolean}
+ */
+function isSameOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Resuelve el mapa y la identidad de un mensaje join
+ * @param {Object} message - Mensaje join
+ * @param {Object|null} user - Usuario de la conexión
+ * @returns {Promise<Object>} - { map, identity }
+ */
+async function resolveJoin(message, user) {
+  if (message.shareToken) {
+    const { share, map } = await shareService.openShare(message.shareToken, message.password);
+    if (share.permission !== 'edit') {
+      throw new AppError('Este enlace solo permite ver el mapa', 403, 'SHARE_READ_ONLY');
+    }
+    
+    const guestName = typeof message.name === 'string' ? message.name.replace(/\s+/g, ' ').trim().slice(0, 40) : '';
+    
+    return {
+      map,
+      identity: {
+        userId: user ? user.id : null,
+        name: (user && (user.name || user.email)) || guestName || 'Invitado'
+      }
+    };
+  }
+  
+  if (!user) {
+    throw new AppError('Se requiere iniciar sesión, una clave de API o un enlace de edición', 401, 'AUTH_REQUIRED');
+  }
+  
+  const map = typeof message.mapId === 'string' ? await mapRepository.findById(message.mapId) : null;
+  if (!map || map.ownerId !== user.id) {
+    throw new AppError('Mapa no encontrado', 404, 'MAP_NOT_FOUND');
+  }
+  
+  return { map, identity: { userId: user.id, name: user.name || user.email } };
+}
+
+/**
+ * Atiende una conexión: espera el join, une al participante y reenvía sus mensajes
+ * @param {WebSocket} socket - Conexión
+ * @param {Object} req - Solicitud HTTP de apertura
+ */
+function handleConnection(socket, req) {
+  const send = message => {
+    if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+  };
+  const fail = error => {
+    const known = error instanceof AppError;
+    if (!known) console.error('Error en la edición colaborativa:', error);
+    
+    send({
+      type: 'error',
+      code: known ? error.code : 'COLLABORATION_ERROR',
+      error: known ? error.message : 'Error en la edición colaborativa'
+    });
+    return known ? error.status : 500;
+  };
+  
+  let participant = null;
+  let joining = false;
+  const joinTimer = setTimeout(() => socket.close(4408, 'JOIN_TIMEOUT'), config.collaboration.joinTimeoutMs);
+  
+  socket.isAlive = true;
+  socket.on('pong', () => {
+    socket.isAlive = true;
+  });
+  
+  socket.on('message', async (data, isBinary) => {
+    let message;
+    try {
+      message = isBinary ? null : JSON.parse(data.toString('utf8'));
+    } catch (error) {
+      message = null;
+    }
+    
+    if (!message || typeof message !== 'object') {
+      fail(new AppError('Los mensajes deben ser objetos JSON', 400, 'INVALID_MESSAGE'));
+      return;
+    }
+    
+    if (participant) {
+      try {
+        await collaborationService.receive(participant, message);
+      } catch (error) {
+        fail(error);
+      }
+      return;
+    }
+    
+    if (message.type !== 'join' || joining) {
+      fail(new AppError('Envía primero un mensaje join', 400, 'NOT_JOINED'));
+      return;
+    }
+    
+    joining = true;
+    try {
+      const { map, identity } = await resolveJoin(message, await identify(req));
+      if (socket.readyState !== socket.OPEN) return;
+      
+      clearTimeout(joinTimer);
+      participant = collaborationService.join(map, identity, {
+        send,
+        close: (code, reason) => socket.close(code, reason)
+      });
+    } catch (error) {
+      const status = fail(error);
+      socket.close(4000 + status, error.code || 'COLLABORATION_ERROR');
+    }
+  });
+  
+  socket.on('close', () => {
+    clearTimeout(joinTimer);
+    if (participant) {
+      collaborationService.leave(participant).catch(error => {
+        console.error('Error al salir de la edición colaborativa:', error);
+      });
+    }
+  });
+}
+
+/**
+ * Conecta el canal de colaboración al servidor HTTP
+ * @param {http.Server} server - Servidor devuelto por app.listen
+ * @returns {WebSocketServer}
+ */
+function attach(server) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: config.collaboration.maxMessageBytes });
+  
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    
+    if (pathname !== config.collaboration.path) {
+      socket.destroy();
+      return;
+    }
+    
+    if (!isSameOrigin(req)) {
+      socket.write('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+    
+    wss.handleUpgrade(req, socket, head, ws => handleConnection(ws, req));
+  });
+  
+  // Las conexiones que no responden al ping se dan por perdidas
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) {
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, config.collaboration.heartbeatMs);
+  heartbeat.unref();
+  wss.on('close', () => clearInterval(heartbeat));
+  
+  return wss;
+}
+
+module.exports = {
+  attach
+};
@@ -3,10 +3,20 @@
  */
 
 const conceptMapService = require('../services/conceptMapService');
+const documentService = require('../services/documentService');
+const importService = require('../services/importService');
+const lexiconService = require('../services/lexiconService');
+const { listVisualStyles } = require('../services/visualStyles');
 const config = require('../config');
+const { buildProcessConfig, toPublicResult } = require('../utils/processing');
+const { isValidSeed } = require('../utils/random');
+const { sendError } = require('../utils/errors');
+const { resolvePlan, currentPeriod, quotaResetAt, consumeQuota } = require('../middleware/planLimits');
+const { usageRepository } = require('../repositories');
 
 /**
- * Genera un mapa conceptual a partir de texto
+ * Genera un mapa conceptual a partir de texto. También atiende la subida de
+ * documentos: receiveDocument deja el texto extraído en req.body y el archivo en req.document
  * @param {Object} req - Solicitud HTTP
  * @param {Object} res - Respuesta HTTP
  */
@@ -22,23 +32,21 @@ async function generateMap(req, res) {
       });
     }
     
+    if (options.seed !== undefined && options.seed !== null && !isValidSeed(options.seed)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'La semilla debe ser un entero no negativo o una cadena no vacía' 
+      });
+    }
+    
+    if (!await consumeQuota(req, res)) {
+      return;
+    }
+    
     console.log(`Procesando texto de ${text.length} caracteres con opciones:`, options);
     
     // Configurar opciones para el procesamiento
-    const processConfig = {
-      maxConcepts: options.maxConcepts || 20,
-      style: options.style || 'educational',
-      stages: {
-        organization: options.stages?.organization !== false,
-        reasoning: options.stages?.reasoning !== false,
-        enrichment: options.stages?.enrichment !== false,
-        validation: options.stages?.validation !== false,
-        aesthetics: options.stages?.aesthetics !== false,
-        conclusion: options.stages?.conclusion !== false
-      },
-      includeExamples: options.includeExamples !== false,
-      includeDefinitions: options.includeDefinitions !== false
-    };
+    const processConfig = buildProcessConfig(options, req.plan);
     
     // Procesar el texto usando el servicio de mapas conceptuales
     const result = await conceptMapService.processText(text, processConfig);
@@ -46,13 +54,8 @@ async function generateMap(req, res) {
     // Responder con el resultado
     res.json({
       success: true,
-      result: {
-        concepts: result.concepts,
-        relationships: result.relationships,
-        content: result.content,
-        metadata: result.metadata,
-        knowledgeGraph: result.knowledgeGraph
-      },
+      result: toPublicResult(result),
+      ...(req.document ? { document: req.document } : {}),
       message: 'Mapa conceptual generado exitosamente'
     });
     
@@ -66,22 +69,92 @@ async function generateMap(req, res) {
   }
 }
 
+/**
+ * Importa un mapa de otra herramienta (CXL, OPML, FreeMind) o un diagrama
+ * Mermaid y lo procesa con las etapas de enriquecimiento en adelante. Los
+ * conceptos y relaciones del mapa se conservan; descuenta un mapa de la cuota
+ * cuando el archivo se ha leído bien.
+ * @param {Object} req - Solicitud HTTP; body: { content, format?, filename?, options? }
+ * @param {Object} res - Respuesta HTTP
+ */
+async function importMap(req, res) {
+  try {
+    const { content, format, filename, options = {} } = req.body;
+    
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'El contenido del mapa es requerido',
+        code: 'MISSING_CONTENT'
+      });
+    }
+    
+    if (options.seed !== undefined && options.seed !== null && !isValidSeed(options.seed)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'La semilla debe ser un entero no negativo o una cadena no vacía' 
+      });
+    }
+    
+    const map = importService.parse(content, { format, filename });
+    
+    if (!await consumeQuota(req, res)) {
+      return;
+    }
+    
+    console.log(`Importando mapa ${map.format}: ${map.concepts.length} conceptos, ${map.relationships.length} relaciones`);
+    
+    // El mapa importado conserva todos sus conceptos y niveles salvo que se pida un máximo;
+    // la complejidad solo decide qué nodos de detalle se dibujan y cuánto poda la etapa 4
+    const processConfig = {
+      ...buildProcessConfig({ maxConcepts: map.concepts.length, ...options }, req.plan),
+      maxDepth: null
+    };
+    const result = await conceptMapService.processImportedMap(map, processConfig);
+    
+    res.json({
+      success: true,
+      result: toPublicResult(result),
+      import: { format: map.format, title: map.title },
+      message: 'Mapa conceptual importado exitosamente'
+    });
+    
+  } catch (error) {
+    sendError(res, error, 'Error al importar el mapa');
+  }
+}
+
 /**
  * Obtiene la configuración disponible para mapas conceptuales
  * @param {Object} req - Solicitud HTTP
  * @param {Object} res - Respuesta HTTP
  */
-function getConfiguration(req, res) {
+async function getConfiguration(req, res) {
   try {
-    // Simular plan del usuario
-    const userPlan = 'professional'; // En una implementación real, esto vendría del usuario autenticado
+    const plan = resolvePlan(req);
+    const maxMapsPerMonth = plan.limits.maxMapsPerMonth;
+    const used = await usageRepository.getCount(plan.accountId, currentPeriod());
     
     res.json({
       success: true,
       config: {
-        visualStyles: config.conceptMap.visualStyles,
-        enabledStages: config.conceptMap.limits[userPlan].enabledStages,
-        maxTextLength: config.conceptMap.limits[userPlan].maxTextLength
+        plan: plan.name,
+        visualStyles: listVisualStyles(),
+        enabledStages: plan.limits.enabledStages,
+        maxTextLength: plan.limits.maxTextLength,
+        exportFormats: plan.limits.exportFormats,
+        upload: {
+          maxFileSizeBytes: config.uploads.maxFileSizeBytes,
+          extensions: documentService.getSupportedExtensions()
+        },
+        importExtensions: importService.getSupportedExtensions(),
+        lexiconDomains: await lexiconService.listDomains(),
+        maxMapsPerMonth,
+        usage: {
+          used,
+          remaining: maxMapsPerMonth === -1 ? null : Math.max(0, maxMapsPerMonth - used),
+          resetAt: quotaResetAt()
+        }
       }
     });
   } catch (error) {
@@ -96,5 +169,6 @@ function getConfiguration(req, res) {
 
 module.exports = {
   generateMap,
+  importMap,
   getConfiguration
 };
@@ -0,0 +1,158 @@
+/**
+ * Controlador para los trabajos de generación en segundo plano
+ */
+
+const jobService = require('../services/jobService');
+const config = require('../config');
+const { buildProcessConfig } = require('../utils/processing');
+const { isValidSeed } = require('../utils/random');
+const { resolvePlan, consumeQuota } = require('../middleware/planLimits');
+
+/**
+ * Crea un trabajo de generación de mapa conceptual
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ */
+async function createJob(req, res) {
+  try {
+    const { text, options = {} } = req.body;
+    
+    // Validar entrada
+    if (!text) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'El texto es requerido' 
+      });
+    }
+    
+    if (options.seed !== undefined && options.seed !== null && !isValidSeed(options.seed)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'La semilla debe ser un entero no negativo o una cadena no vacía' 
+      });
+    }
+    
+    if (!await consumeQuota(req, res)) {
+      return;
+    }
+    
+    console.log(`Creando trabajo para texto de ${text.length} caracteres con opciones:`, options);
+    
+    const job = jobService.createJob(text, buildProcessConfig(options, req.plan), req.plan.accountId);
+    
+    res.status(202)
+      .location(`/api/jobs/${job.id}`)
+      .json({
+        success: true,
+        job: jobService.toPublicJob(job),
+        links: {
+          self: `/api/jobs/${job.id}`,
+          events: `/api/jobs/${job.id}/events`
+        },
+        message: 'Trabajo de generación creado'
+      });
+  } catch (error) {
+    console.error('Error al crear el trabajo de generación:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Error al crear el trabajo de generación', 
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Busca un trabajo de la cuenta que hace la solicitud (la del usuario o, si es
+ * anónima, la de su IP, como en los límites del plan)
+ * @param {Object} req - Solicitud HTTP
+ * @returns {Object|null} - Trabajo o null si no existe o es de otra cuenta
+ */
+function findOwnedJob(req) {
+  return jobService.getOwnedJob(req.params.id, resolvePlan(req).accountId);
+}
+
+/**
+ * Obtiene el estado de un trabajo (y su resultado cuando ha terminado)
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ */
+function getJob(req, res) {
+  const job = findOwnedJob(req);
+  
+  if (!job) {
+    return res.status(404).json({ 
+      success: false, 
+      error: 'Trabajo no encontrado' 
+    });
+  }
+  
+  res.json({
+    success: true,
+    job: jobService.toPublicJob(job)
+  });
+}
+
+/**
+ * Transmite los eventos de progreso de un trabajo mediante Server-Sent Events.
+ * Al conectarse se reenvían los eventos ya ocurridos (o los posteriores a
+ * Last-Event-ID si el navegador se está reconectando).
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ */
+function streamJobEvents(req, res) {
+  const job = findOwnedJob(req);
+  
+  if (!job) {
+    return res.status(404).json({ 
+      success: false, 
+      error: 'Trabajo no encontrado' 
+    });
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Evitar que proxies como nginx almacenen la respuesta
+  });
+  
+  const sendEvent = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+  
+  // Reenviar el historial pendiente
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+  job.events
+    .filter(event => event.id > lastEventId)
+    .forEach(sendEvent);
+  
+  if (jobService.isFinished(job)) {
+    return res.end();
+  }
+  
+  // Comentarios periódicos para que proxies y balanceadores no cierren la conexión
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, config.conceptMap.jobs.heartbeatMs);
+  
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+  
+  const unsubscribe = jobService.subscribe(job.id, (event) => {
+    sendEvent(event);
+    if (jobService.isFinished(job)) {
+      close();
+      res.end();
+    }
+  });
+  
+  req.on('close', close);
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  streamJobEvents
+};
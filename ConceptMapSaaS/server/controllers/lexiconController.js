@@ -0,0 +1,146 @@
+/**
+ * Controlador de los glosarios locales del enriquecimiento
+ *
+ * La consulta es pública; subir y eliminar glosarios requiere una cuenta
+ * administradora (middleware requireAdmin).
+ */
+
+const multer = require('multer');
+const config = require('../config');
+const lexiconService = require('../services/lexiconService');
+const { isSupportedLanguage, DEFAULT_LANGUAGE } = require('../services/nlp/languages');
+const { sendError } = require('../utils/errors');
+
+// El glosario se valida en memoria y se guarda ya normalizado
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.lexicon.maxFileSizeBytes, files: 1 }
+}).single(config.lexicon.fieldName);
+
+/**
+ * Dominios de una consulta: "ciencias,general" o varios parámetros domains
+ * @param {string|Array} value - Valor del parámetro
+ * @returns {Array<string>|null}
+ */
+function parseDomains(value) {
+  const values = (Array.isArray(value) ? value : [value]).filter(item => typeof item === 'string');
+  const domains = values.flatMap(item => item.split(',')).map(item => lexiconService.normalizeDomain(item)).filter(Boolean);
+  return domains.length > 0 ? domains : null;
+}
+
+/**
+ * Lista los glosarios disponibles
+ * @param {Object} req - Solicitud HTTP (query: language, domain)
+ * @param {Object} res - Respuesta HTTP
+ */
+async function listLexicons(req, res) {
+  try {
+    const lexicons = await lexiconService.list({
+      language: isSupportedLanguage(req.query.language) ? req.query.language : null,
+      domain: req.query.domain ? lexiconService.normalizeDomain(req.query.domain) : null
+    });
+    
+    res.json({ success: true, lexicons });
+  } catch (error) {
+    sendError(res, error, 'Error al listar los glosarios');
+  }
+}
+
+/**
+ * Busca un término en los glosarios, como lo haría la etapa de enriquecimiento
+ * @param {Object} req - Solicitud HTTP (query: term, language, domains)
+ * @param {Object} res - Respuesta HTTP
+ */
+async function lookupTerm(req, res) {
+  try {
+    const term = typeof req.query.term === 'string' ? req.query.term.trim() : '';
+    
+    if (!term) {
+      return res.status(400).json({
+        success: false,
+        error: 'El término es requerido (parámetro "term")',
+        code: 'TERM_REQUIRED'
+      });
+    }
+    
+    const language = isSupportedLanguage(req.query.language) ? req.query.language : DEFAULT_LANGUAGE;
+    const match = await lexiconService.lookup(term, { language, domains: parseDomains(req.query.domains) });
+    
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        error: `"${term}" no aparece en los glosarios`,
+        code: 'TERM_NOT_FOUND'
+      });
+    }
+    
+    res.json({ success: true, term, language, ...match });
+  } catch (error) {
+    sendError(res, error, 'Error al buscar el término');
+  }
+}
+
+/**
+ * Sube un glosario JSON o SQLite (multipart, campo config.lexicon.fieldName).
+ * Los campos name, domain y language del formulario prevalecen sobre los del archivo.
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ */
+function uploadLexicon(req, res) {
+  upload(req, res, async (uploadError) => {
+    if (uploadError) {
+      if (uploadError instanceof multer.MulterError && uploadError.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          success: false,
+          error: `El glosario supera el tamaño máximo de ${Math.round(config.lexicon.maxFileSizeBytes / (1024 * 1024))} MB`,
+          code: 'FILE_TOO_LARGE',
+          limit: { maxFileSizeBytes: config.lexicon.maxFileSizeBytes }
+        });
+      }
+      
+      return res.status(400).json({
+        success: false,
+        error: `No se pudo recibir el archivo: ${uploadError.message}`,
+        code: 'INVALID_UPLOAD'
+      });
+    }
+    
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: `El archivo es requerido (campo "${config.lexicon.fieldName}" de un formulario multipart: ${lexiconService.getSupportedExtensions().join(', ')})`,
+        code: 'FILE_REQUIRED'
+      });
+    }
+    
+    try {
+      const { name, domain, language } = req.body || {};
+      const { lexicon, replaced } = await lexiconService.install(req.file, { name, domain, language }, req.user);
+      
+      res.status(replaced ? 200 : 201).json({ success: true, lexicon, replaced });
+    } catch (error) {
+      sendError(res, error, 'Error al instalar el glosario');
+    }
+  });
+}
+
+/**
+ * Elimina un glosario subido
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ */
+async function deleteLexicon(req, res) {
+  try {
+    await lexiconService.remove(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Error al eliminar el glosario');
+  }
+}
+
+module.exports = {
+  listLexicons,
+  lookupTerm,
+  uploadLexicon,
+  deleteLexicon
+};
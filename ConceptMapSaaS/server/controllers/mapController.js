@@ -0,0 +1,552 @@
+/**
+ * Controlador para los mapas conceptuales guardados
+ */
+
+const { mapRepository } = require('../repositories');
+const { resolvePlan } = require('../middleware/planLimits');
+const exportService = require('../services/exportService');
+const conceptMapService = require('../services/conceptMapService');
+const shareService = require('../services/shareService');
+const collaborationService = require('../services/collaborationService');
+const { toPublicResult } = require('../utils/processing');
+const { sendError } = require('../utils/errors');
+
+/**
+ * Comprueba que el resultado recibido tenga la forma de un mapa generado
+ * @param {Object} result - Resultado enviado por el cliente
+ * @returns {boolean}
+ */
+function isValidResult(result) {
+  return Boolean(result) &&
+    typeof result === 'object' &&
+    Array.isArray(result.concepts) &&
+    Array.isArray(result.relationships);
+}
+
+/**
+ * Comprueba que el grafo editado tenga nodos con id y aristas con origen y destino
+ * @param {Object} graph - knowledgeGraph enviado por el editor
+ * @returns {boolean}
+ */
+function isValidGraph(graph) {
+  const isId = value => (typeof value === 'string' && value !== '') || Number.isInteger(value);
+  return Boolean(graph) &&
+    typeof graph === 'object' &&
+    Array.isArray(graph.nodes) &&
+    Array.isArray(graph.edges) &&
+    graph.nodes.every(node => node && isId(node.id) && typeof node.label === 'string') &&
+    graph.edges.every(edge => edge && isId(edge.source) && isId(edge.target));
+}
+
+/**
+ * Deduce un título para el mapa a partir de su concepto principal
+ * @param {Object} result - Resultado del mapa
+ * @returns {string} - Título del mapa
+ */
+function deriveTitle(result) {
+  const mainConcept = result.concepts.find(c => c.isMainConcept) || result.concepts[0];
+  return mainConcept ? mainConcept.name : 'Mapa conceptual sin título';
+}
+
+/**
+ * Busca un mapa del usuario autenticado
+ * @param {Object} req - Solicitud HTTP (con req.user)
+ * @returns {Promise<Object|null>} - Mapa o null si no existe o pertenece a otra cuenta
+ */
+async function findOwnedMap(req) {
+  const map = await mapRepository.findById(req.params.id);
+  return map && map.ownerId === req.user.id ? map : null;
+}
+
+/**
+ * Lista los mapas guardados
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ */
+async function listMaps(req, res) {
+  try {
+    const maps = await mapRepository.list({ ownerId: req.user.id });
+    res.json({ success: true, maps });
+  } catch (error) {
+    console.error('Error al listar mapas:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Error al listar los mapas', 
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Obtiene un mapa guardado completo
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ */
+async function getMap(req, res) {
+  try {
+    const map = await findOwnedMap(req);
+    
+    if (!map) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Mapa no encontrado' 
+      });
+    }
+    
+    res.json({ success: true, map });
+  } catch (error) {
+    console.error('Error al obtener el mapa:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Error al obtener el mapa', 
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Guarda un mapa generado
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ */
+async function createMap(req, res) {
+  try {
+    const { title, result } = req.body;
+    
+    if (!isValidResult(result)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'El resultado del mapa es requerido (concepts y relationships)' 
+      });
+    }
+    
+    const map = await mapRepository.create({
+      ownerId: req.user.id,
+      title: title || deriveTitle(result),
+      result
+    });
+    
+    res.status(201)
+      .location(`/api/maps/${map.id}`)
+      .json({ 
+        success: true, 
+        map,
+        message: 'Mapa conceptual guardado'
+      });
+  } catch (error) {
+    console.error('Error al guardar el mapa:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Error al guardar el mapa', 
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Actualiza el título o el contenido de un mapa guardado
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ */
+async function updateMap(req, res) {
+  try {
+    const { title, result } = req.body;
+    const changes = {};
+    
+    if (result !== undefined) {
+      if (!isValidResult(result)) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'El resultado del mapa no es válido (concepts y relationships)' 
+        });
+      }
+      changes.result = result;
+    }
+    
+    if (title !== undefined) {
+      changes.title = title;
+    }
+    
+    if (!await findOwnedMap(req)) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Mapa no encontrado' 
+      });
+    }
+    
+    const map = await mapRepository.update(req.params.id, changes);
+    
+    if (!map) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Mapa no encontrado' 
+      });
+    }
+    
+    // Quien esté editando el mapa en grupo pasa a trabajar sobre el resultado nuevo
+    if (changes.result) {
+      collaborationService.reload(map);
+    }
+    
+    res.json({ 
+      success: true, 
+      map,
+      message: 'Mapa conceptual actualizado'
+    });
+  } catch (error) {
+    console.error('Error al actualizar el mapa:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Error al actualizar el mapa', 
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Elimina un mapa guardado
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ */
+async function deleteMap(req, res) {
+  try {
+    const deleted = await findOwnedMap(req) && await mapRepository.delete(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Mapa no encontrado' 
+      });
+    }
+    
+    // Los enlaces compartidos y la edición en grupo del mapa dejan de tener sentido
+    await shareService.deleteMapShares(req.params.id);
+    collaborationService.closeMap(req.params.id);
+    
+    res.json({ 
+      success: true,
+      message: 'Mapa conceptual eliminado'
+    });
+  } catch (error) {
+    console.error('Error al eliminar el mapa:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Error al eliminar el mapa', 
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Interpreta un número de versión de la URL
+ * @param {*} value - Valor recibido
+ * @returns {number|null} - Entero positivo o null si no es válido
+ */
+function parseVersion(value) {
+  return /^[1-9]\d*$/.test(String(value)) ? Number(value) : null;
+}
+
+/**
+ * Lista las versiones de un mapa guardado, de la más reciente a la más antigua
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ */
+async function listVersions(req, res) {
+  try {
+    const versions = await findOwnedMap(req) && await mapRepository.listVersions(req.params.id);
+    
+    if (!versions) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Mapa no encontrado' 
+      });
+    }
+    
+    res.json({ success: true, versions });
+  } catch (error) {
+    console.error('Error al listar las versiones:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Error al listar las versiones del mapa', 
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Obtiene una versión completa de un mapa guardado
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ */
+async function getVersion(req, res) {
+  try {
+    const number = parseVersion(req.params.version);
+    const version = number && await findOwnedMap(req) && await mapRepository.findVersion(req.params.id, number);
+    
+    if (!version) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Versión no encontrada',
+        code: 'VERSION_NOT_FOUND'
+      });
+    }
+    
+    res.json({ success: true, version });
+  } catch (error) {
+    console.error('Error al obtener la versión:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Error al obtener la versión del mapa', 
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Compara dos versiones de un mapa guardado (?from=N&to=M). Sin `to` se usa
+ * la versión actual y sin `from`, la anterior a `to`.
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ */
+async function diffVersions(req, res) {
+  try {
+    const map = await findOwnedMap(req);
+    
+    if (!map) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Mapa no encontrado' 
+      });
+    }
+    
+    const to = req.query.to === undefined ? (map.version || 1) : parseVersion(req.query.to);
+    const from = req.query.from === undefined ? (to && to - 1) : parseVersion(req.query.from);
+    
+    if (!to || !from) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Indica dos versiones válidas para comparar (from y to)',
+        code: 'INVALID_VERSION_RANGE'
+      });
+    }
+    
+    const [before, after] = await Promise.all([
+      mapRepository.findVersion(map.id, from),
+      mapRepository.findVersion(map.id, to)
+    ]);
+    
+    if (!before || !after) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Versión no encontrada',
+        code: 'VERSION_NOT_FOUND'
+      });
+    }
+    
+    res.json({ 
+      success: true,
+      from,
+      to,
+      diff: conceptMapService.diffResults(before.result, after.result)
+    });
+  } catch (error) {
+    console.error('Error al comparar las versiones:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Error al comparar las versiones del mapa', 
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Restaura una versión anterior de un mapa guardado. El historial no se
+ * reescribe: el contenido restaurado se guarda como una versión nueva.
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ */
+async function restoreVersion(req, res) {
+  try {
+    const number = parseVersion(req.params.version);
+    const version = number && await findOwnedMap(req) && await mapRepository.findVersion(req.params.id, number);
+    
+    if (!version) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Versión no encontrada',
+        code: 'VERSION_NOT_FOUND'
+      });
+    }
+    
+    const map = await mapRepository.update(
+      req.params.id,
+      { title: version.title, result: version.result },
+      { source: 'restore', restoredFrom: version.version }
+    );
+    collaborationService.reload(map);
+    
+    res.json({ 
+      success: true, 
+      map,
+      message: `Versión ${version.version} restaurada como versión ${map.version}`
+    });
+  } catch (error) {
+    console.error('Error al restaurar la versión:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Error al restaurar la versión del mapa', 
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Nombre de archivo de una exportación a partir del título del mapa
+ * @param {string} title - Título del mapa
+ * @param {string} extension - Extensión del formato
+ * @returns {string} - Nombre en ASCII, sin espacios
+ */
+function exportFileName(title, extension) {
+  const slug = String(title || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  return `${slug || 'mapa-conceptual'}.${extension}`;
+}
+
+/**
+ * Exporta un mapa en el formato pedido (?format=svg|png|pdf|graphml|gexf|dot|cxl|jsonld)
+ * y lo envía como archivo adjunto
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ * @param {Object} result - Resultado del mapa
+ * @param {string} title - Título del mapa
+ * @param {string} [id] - Identificador del mapa guardado
+ */
+async function sendExport(req, res, result, title, id) {
+  const format = String(req.query.format || '').toLowerCase();
+  const plan = resolvePlan(req);
+  
+  if (exportService.getFormats().includes(format) && !plan.limits.exportFormats.includes(format)) {
+    return res.status(403).json({
+      success: false,
+      error: `La exportación en ${format.toUpperCase()} no está incluida en el plan ${plan.name}`,
+      code: 'EXPORT_FORMAT_NOT_IN_PLAN',
+      limit: {
+        plan: plan.name,
+        exportFormats: plan.limits.exportFormats
+      }
+    });
+  }
+  
+  const file = await exportService.exportMap(result, format, { title, id });
+  
+  res.attachment(exportFileName(title, file.extension))
+    .type(file.contentType)
+    .send(file.content);
+}
+
+/**
+ * Exporta un mapa guardado a una imagen, un PDF o un formato de intercambio
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ */
+async function exportMap(req, res) {
+  try {
+    const map = await findOwnedMap(req);
+    
+    if (!map) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Mapa no encontrado' 
+      });
+    }
+    
+    await sendExport(req, res, map.result, map.title, map.id);
+  } catch (error) {
+    sendError(res, error, 'Error al exportar el mapa');
+  }
+}
+
+/**
+ * Exporta un mapa recién generado, sin guardarlo, a una imagen, un PDF o un formato de intercambio
+ * @param {Object} req - Solicitud HTTP (body: { result, title })
+ * @param {Object} res - Respuesta HTTP
+ */
+async function exportResult(req, res) {
+  try {
+    const { title, result } = req.body;
+    
+    if (!isValidResult(result)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'El resultado del mapa es requerido (concepts y relationships)' 
+      });
+    }
+    
+    await sendExport(req, res, result, title || deriveTitle(result));
+  } catch (error) {
+    sendError(res, error, 'Error al exportar el mapa');
+  }
+}
+
+/**
+ * Aplica al resultado de un mapa los cambios hechos en el editor interactivo
+ * y devuelve el resultado actualizado (jerarquía, contenido y grafo regenerados).
+ * No guarda nada: el cliente guarda el resultado con POST o PUT /api/maps.
+ * @param {Object} req - Solicitud HTTP (body: { result, graph })
+ * @param {Object} res - Respuesta HTTP
+ */
+async function applyEdits(req, res) {
+  try {
+    const { result, graph } = req.body;
+    
+    if (!isValidResult(result)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'El resultado del mapa es requerido (concepts y relationships)' 
+      });
+    }
+    
+    if (!isValidGraph(graph)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'El grafo editado no es válido (nodes con id y label, edges con source y target)',
+        code: 'INVALID_GRAPH'
+      });
+    }
+    
+    const edited = conceptMapService.applyGraphEdits(result, graph);
+    
+    res.json({ 
+      success: true, 
+      result: toPublicResult(edited),
+      message: 'Cambios aplicados al mapa conceptual'
+    });
+  } catch (error) {
+    console.error('Error al aplicar los cambios del editor:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Error al aplicar los cambios', 
+      details: error.message 
+    });
+  }
+}
+
+module.exports = {
+  listMaps,
+  getMap,
+  createMap,
+  updateMap,
+  deleteMap,
+  listVersions,
+  getVersion,
+  diffVersions,
+  restoreVersion,
+  exportMap,
+  exportResult,
+  applyEdits
+};
@@ -0,0 +1,161 @@
+/**
+ * Controlador para los enlaces públicos de los mapas guardados
+ */
+
+const path = require('path');
+const { mapRepository } = require('../repositories');
+const shareService = require('../services/shareService');
+const { sendError } = require('../utils/errors');
+
+/**
+ * Busca un mapa del usuario autenticado
+ * @param {Object} req - Solicitud HTTP (con req.user)
+ * @returns {Promise<Object|null>} - Mapa o null si no existe o pertenece a otra cuenta
+ */
+async function findOwnedMap(req) {
+  const map = await mapRepository.findById(req.params.id);
+  return map && map.ownerId === req.user.id ? map : null;
+}
+
+/**
+ * Origen público de la aplicación para construir los enlaces
+ * @param {Object} req - Solicitud HTTP
+ * @returns {string} - Protocolo y host
+ */
+function baseUrl(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Lista los enlaces de un mapa guardado
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ */
+async function listShares(req, res) {
+  try {
+    const map = await findOwnedMap(req);
+    
+    if (!map) {
+      return res.status(404).json({
+        success: false,
+        error: 'Mapa no encontrado'
+      });
+    }
+    
+    res.json({ success: true, shares: await shareService.listShares(map) });
+  } catch (error) {
+    sendError(res, error, 'Error al listar los enlaces');
+  }
+}
+
+/**
+ * Crea un enlace público para un mapa guardado, de solo lectura o de edición.
+ * El token solo se devuelve en esta respuesta.
+ * @param {Object} req - Solicitud HTTP (body: { expiresInDays, password, permission })
+ * @param {Object} res - Respuesta HTTP
+ */
+async function createShare(req, res) {
+  try {
+    const map = await findOwnedMap(req);
+    
+    if (!map) {
+      return res.status(404).json({
+        success: false,
+        error: 'Mapa no encontrado'
+      });
+    }
+    
+    const { expiresInDays, password, permission } = req.body || {};
+    const { token, share } = await shareService.createShare(map, { expiresInDays, password, permission });
+    
+    res.status(201).json({
+      success: true,
+      share,
+      ...shareService.buildLinks(baseUrl(req), token, map.title),
+      message: 'Enlace creado. Cópialo ahora: no se volverá a mostrar completo.'
+    });
+  } catch (error) {
+    sendError(res, error, 'Error al crear el enlace');
+  }
+}
+
+/**
+ * Revoca un enlace de un mapa guardado
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ */
+async function revokeShare(req, res) {
+  try {
+    const map = await findOwnedMap(req);
+    const share = map && await shareService.revokeShare(map, req.params.shareId);
+    
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        error: 'Enlace no encontrado'
+      });
+    }
+    
+    res.json({
+      success: true,
+      share,
+      message: 'Enlace revocado'
+    });
+  } catch (error) {
+    sendError(res, error, 'Error al revocar el enlace');
+  }
+}
+
+/**
+ * Devuelve el contenido de un mapa compartido (Markdown con el diagrama
+ * Mermaid); la página lo dibuja con el mismo renderizador que la aplicación.
+ * La contraseña, si el enlace la tiene, llega en la cabecera X-Share-Password.
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ */
+async function getSharedMap(req, res) {
+  // Los mapas compartidos no deben quedar en cachés intermedias tras revocar el enlace
+  res.set('Cache-Control', 'no-store');
+  
+  try {
+    const { share, map } = await shareService.openShare(req.params.token, req.get('X-Share-Password'));
+    
+    res.json({
+      success: true,
+      map: {
+        title: map.title,
+        updatedAt: map.updatedAt,
+        expiresAt: share.expiresAt,
+        permission: share.permission,
+        content: map.result.content || ''
+      }
+    });
+  } catch (error) {
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    sendError(res, error, 'Error al abrir el mapa compartido');
+  }
+}
+
+/**
+ * Sirve la página de solo lectura de un enlace (/m/:token). La página pide
+ * el mapa a GET /api/shared/:token; con ?embed=1 se muestra sin cabecera,
+ * para insertarla en un <iframe>.
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ */
+function sharedPage(req, res) {
+  // El token va en la URL: no enviarlo a otros sitios en la cabecera Referer
+  res.set('Referrer-Policy', 'no-referrer');
+  res.set('Cache-Control', 'no-store');
+  res.sendFile(path.join(__dirname, '../../public', 'shared.html'));
+}
+
+module.exports = {
+  listShares,
+  createShare,
+  revokeShare,
+  getSharedMap,
+  sharedPage
+};
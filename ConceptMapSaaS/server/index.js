@@ -18,11 +18,78 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '../public', 'index.html'));
 });
 
-// Importar controladores
+// Importar controladores y middleware
+const { authenticate, requireAuth, requireAdmin } = require('./middleware/auth');
+const { enforcePlanLimits } = require('./middleware/planLimits');
+const { receiveDocument } = require('./middleware/documentUpload');
+const authController = require('./controllers/authController');
 const conceptMapController = require('./controllers/conceptMapController');
+const jobController = require('./controllers/jobController');
+const mapController = require('./controllers/mapController');
+const shareController = require('./controllers/shareController');
+const collaborationController = require('./controllers/collaborationController');
+const lexiconController = require('./controllers/lexiconController');
+
+// Identificar al usuario (sesión o clave de API) en todas las rutas de la API
+app.use('/api', authenticate);
+
+// Cuentas, sesiones y claves de API
+app.post('/api/auth/signup', authController.signup);
+app.post('/api/auth/login', authController.login);
+app.post('/api/auth/logout', authController.logout);
+app.get('/api/auth/me', authController.me);
+app.get('/api/auth/api-keys', requireAuth, authController.listApiKeys);
+app.post('/api/auth/api-keys', requireAuth, authController.createApiKey);
+app.delete('/api/auth/api-keys/:id', requireAuth, authController.revokeApiKey);
 
 // Rutas de la API
-app.post('/api/generate-map', conceptMapController.generateMap);
+app.get('/api/config', conceptMapController.getConfiguration);
+app.post('/api/generate-map', enforcePlanLimits, conceptMapController.generateMap);
+app.post('/api/generate-map/upload', receiveDocument, enforcePlanLimits, conceptMapController.generateMap);
+app.post('/api/import', enforcePlanLimits, conceptMapController.importMap);
+
+// Trabajos de generación en segundo plano
+app.post('/api/jobs', enforcePlanLimits, jobController.createJob);
+app.get('/api/jobs/:id', jobController.getJob);
+app.get('/api/jobs/:id/events', jobController.streamJobEvents);
+
+// Mapas conceptuales guardados (por cuenta)
+app.get('/api/maps', requireAuth, mapController.listMaps);
+app.post('/api/maps', requireAuth, mapController.createMap);
+app.get('/api/maps/:id', requireAuth, mapController.getMap);
+app.put('/api/maps/:id', requireAuth, mapController.updateMap);
+app.delete('/api/maps/:id', requireAuth, mapController.deleteMap);
+app.get('/api/maps/:id/export', requireAuth, mapController.exportMap);
+
+// Historial de versiones de un mapa guardado
+app.get('/api/maps/:id/versions', requireAuth, mapController.listVersions);
+app.get('/api/maps/:id/versions/:version', requireAuth, mapController.getVersion);
+app.post('/api/maps/:id/versions/:version/restore', requireAuth, mapController.restoreVersion);
+app.get('/api/maps/:id/diff', requireAuth, mapController.diffVersions);
+
+// Enlaces públicos de solo lectura de un mapa guardado
+app.get('/api/maps/:id/shares', requireAuth, shareController.listShares);
+app.post('/api/maps/:id/shares', requireAuth, shareController.createShare);
+app.delete('/api/maps/:id/shares/:shareId', requireAuth, shareController.revokeShare);
+app.get('/api/shared/:token', shareController.getSharedMap);
+app.get('/m/:token', shareController.sharedPage);
+
+// Glosarios locales del enriquecimiento (subir y eliminar, solo administradores)
+app.get('/api/lexicons', lexiconController.listLexicons);
+app.get('/api/lexicons/lookup', lexiconController.lookupTerm);
+app.post('/api/lexicons', requireAuth, requireAdmin, lexiconController.uploadLexicon);
+app.delete('/api/lexicons/:id', requireAuth, requireAdmin, lexiconController.deleteLexicon);
+
+// Módulo CRDT de la edición colaborativa, compartido con el navegador
+app.get('/lib/mapCrdt.js', (req, res) => {
+  res.sendFile(path.join(__dirname, 'services/collaboration/mapCrdt.js'));
+});
+
+// Exportación de un mapa sin guardar (imagen, PDF o formato de intercambio)
+app.post('/api/export', mapController.exportResult);
+
+// Cambios del editor interactivo sobre un mapa (guardado o no)
+app.post('/api/edit', mapController.applyEdits);
 
 // Iniciar el servidor con manejo de errores
 const server = app.listen(PORT, () => {
@@ -32,6 +99,9 @@ const server = app.listen(PORT, () => {
   console.log(`Accede a la aplicación en tu navegador usando la URL anterior`);
 });
 
+// Edición colaborativa en tiempo real (WebSocket en config.collaboration.path)
+collaborationController.attach(server);
+
 // Manejar errores del servidor
 server.on('error', (error) => {
   console.error('Error al iniciar el servidor:', error);
@@ -0,0 +1,139 @@
+/**
+ * Middleware de autenticación
+ * 
+ * Identifica al usuario de la solicitud mediante la cookie de sesión (interfaz
+ * web) o una clave de API (integraciones) y lo deja en req.user.
+ */
+
+const config = require('../config');
+const authService = require('../services/authService');
+
+/**
+ * Obtiene el valor de una cookie de la cabecera Cookie
+ * @param {Object} req - Solicitud HTTP
+ * @param {string} name - Nombre de la cookie
+ * @returns {string|null}
+ */
+function readCookie(req, name) {
+  const header = req.headers.cookie;
+  if (!header) return null;
+  
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    
+    if (part.slice(0, index).trim() === name) {
+      // Un valor mal codificado ("%E0%A4%A") se trata como si no hubiera cookie
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Obtiene la clave de API enviada en Authorization: Bearer o en X-API-Key
+ * @param {Object} req - Solicitud HTTP (también la de apertura de un WebSocket)
+ * @returns {string|null}
+ */
+function readApiKey(req) {
+  const authorization = req.headers.authorization;
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  
+  return req.headers['x-api-key'] || null;
+}
+
+/**
+ * Identifica al usuario si hay credenciales; las solicitudes anónimas continúan
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ * @param {Function} next - Siguiente middleware
+ */
+async function authenticate(req, res, next) {
+  try {
+    req.user = null;
+    
+    const apiKey = readApiKey(req);
+    if (apiKey) {
+      req.user = await authService.authenticateApiKey(apiKey);
+      
+      // Una clave enviada pero inválida es un error, no una solicitud anónima
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          error: 'Clave de API no válida',
+          code: 'INVALID_API_KEY'
+        });
+      }
+      
+      req.authMethod = 'api-key';
+      return next();
+    }
+    
+    const sessionToken = readCookie(req, config.auth.sessionCookie);
+    if (sessionToken) {
+      req.user = await authService.authenticateSession(sessionToken);
+      req.authMethod = req.user ? 'session' : null;
+    }
+    
+    next();
+  } catch (error) {
+    console.error('Error al autenticar la solicitud:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Error al autenticar la solicitud', 
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Rechaza las solicitudes sin usuario autenticado
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ * @param {Function} next - Siguiente middleware
+ */
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Se requiere iniciar sesión o una clave de API',
+      code: 'AUTH_REQUIRED'
+    });
+  }
+  
+  next();
+}
+
+/**
+ * Rechaza las solicitudes que no vienen de una cuenta con rol admin; se usa
+ * detrás de requireAuth
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ * @param {Function} next - Siguiente middleware
+ */
+function requireAdmin(req, res, next) {
+  if (!authService.isAdmin(req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Esta operación requiere una cuenta administradora',
+      code: 'ADMIN_REQUIRED'
+    });
+  }
+  
+  next();
+}
+
+module.exports = {
+  readCookie,
+  readApiKey,
+  authenticate,
+  requireAuth,
+  requireAdmin
+};
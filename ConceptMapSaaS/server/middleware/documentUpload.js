@@ -0,0 +1,98 @@
+/**
+ * Middleware de subida de documentos
+ *
+ * Recibe un archivo multipart (campo config.uploads.fieldName), lo convierte
+ * en texto con documentService y lo deja en req.body.text, de modo que los
+ * límites del plan y el controlador de generación lo tratan igual que un
+ * texto pegado. Las opciones llegan como JSON en el campo "options".
+ */
+
+const multer = require('multer');
+const config = require('../config');
+const documentService = require('../services/documentService');
+const { sendError } = require('../utils/errors');
+
+// El archivo se mantiene en memoria: solo se necesita durante la conversión
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.uploads.maxFileSizeBytes, files: 1 }
+}).single(config.uploads.fieldName);
+
+/**
+ * Lee las opciones de generación enviadas como JSON en un campo del formulario
+ * @param {string} [value] - Valor del campo "options"
+ * @returns {Object|null} - Opciones, o null si no son un objeto JSON
+ */
+function parseOptions(value) {
+  if (value === undefined || value === '') return {};
+  
+  try {
+    const options = JSON.parse(value);
+    return options && typeof options === 'object' && !Array.isArray(options) ? options : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Recibe el documento, extrae su texto y continúa con la generación
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ * @param {Function} next - Siguiente middleware
+ */
+function receiveDocument(req, res, next) {
+  upload(req, res, async (uploadError) => {
+    if (uploadError) {
+      if (uploadError instanceof multer.MulterError && uploadError.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          success: false,
+          error: `El archivo supera el tamaño máximo de ${Math.round(config.uploads.maxFileSizeBytes / (1024 * 1024))} MB`,
+          code: 'FILE_TOO_LARGE',
+          limit: { maxFileSizeBytes: config.uploads.maxFileSizeBytes }
+        });
+      }
+      
+      return res.status(400).json({
+        success: false,
+        error: `No se pudo recibir el archivo: ${uploadError.message}`,
+        code: 'INVALID_UPLOAD'
+      });
+    }
+    
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: `El archivo es requerido (campo "${config.uploads.fieldName}" de un formulario multipart)`,
+        code: 'FILE_REQUIRED'
+      });
+    }
+    
+    const options = parseOptions(req.body.options);
+    if (!options) {
+      return res.status(400).json({
+        success: false,
+        error: 'Las opciones deben ser un objeto JSON',
+        code: 'INVALID_OPTIONS'
+      });
+    }
+    
+    try {
+      const { text, format } = await documentService.extractText(req.file);
+      
+      req.body = { text, options };
+      req.document = {
+        name: req.file.originalname,
+        format,
+        size: req.file.size,
+        characters: text.length
+      };
+      next();
+    } catch (error) {
+      sendError(res, error, 'Error al leer el documento');
+    }
+  });
+}
+
+module.exports = {
+  receiveDocument
+};
@@ -0,0 +1,154 @@
+/**
+ * Middleware de límites por plan
+ * 
+ * Aplica los límites de config.conceptMap.limits a las solicitudes de
+ * generación: longitud máxima del texto, etapas habilitadas y cuota
+ * mensual de mapas por cuenta. La cuota no se descuenta aquí: el
+ * controlador llama a consumeQuota cuando la solicitud ya es válida y la
+ * generación va a empezar, para que una solicitud rechazada no gaste mapas.
+ */
+
+const config = require('../config');
+const { usageRepository } = require('../repositories');
+
+// Campos de la solicitud sujetos a maxTextLength: el texto a generar o el mapa a importar
+const INPUT_FIELDS = {
+  text: 'El texto',
+  content: 'El contenido del mapa'
+};
+
+/**
+ * Obtiene el plan y la cuenta asociados a la solicitud
+ * @param {Object} req - Solicitud HTTP
+ * @returns {Object} - { name, limits, accountId }
+ */
+function resolvePlan(req) {
+  const name = req.user?.plan && config.conceptMap.limits[req.user.plan] ?
+    req.user.plan :
+    config.conceptMap.defaultPlan;
+  
+  return {
+    name,
+    limits: config.conceptMap.limits[name],
+    // Las solicitudes anónimas se contabilizan por dirección IP
+    accountId: req.user?.id ? `user:${req.user.id}` : `ip:${req.ip}`
+  };
+}
+
+/**
+ * Periodo mensual actual en UTC (AAAA-MM)
+ * @param {Date} date - Fecha de referencia
+ * @returns {string}
+ */
+function currentPeriod(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Momento en que se reinicia la cuota mensual (inicio del mes siguiente en UTC)
+ * @param {Date} date - Fecha de referencia
+ * @returns {string} - Fecha ISO del reinicio
+ */
+function quotaResetAt(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)).toISOString();
+}
+
+/**
+ * Comprueba la longitud del texto o del mapa importado. Deja el plan resuelto
+ * en req.plan para que el controlador limite las etapas y descuente la cuota
+ * con consumeQuota.
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ * @param {Function} next - Siguiente middleware
+ */
+function enforcePlanLimits(req, res, next) {
+  try {
+    const plan = resolvePlan(req);
+    
+    for (const [field, label] of Object.entries(INPUT_FIELDS)) {
+      const value = req.body[field];
+      
+      // La entrada ausente la valida el controlador; aquí solo se rechazan tipos inválidos
+      if (value !== undefined && typeof value !== 'string') {
+        return res.status(422).json({
+          success: false,
+          error: `${label} debe ser una cadena de caracteres`,
+          code: 'INVALID_TEXT'
+        });
+      }
+      
+      if (value && value.length > plan.limits.maxTextLength) {
+        return res.status(413).json({
+          success: false,
+          error: `${label} supera la longitud máxima de ${plan.limits.maxTextLength} caracteres del plan ${plan.name}`,
+          code: 'TEXT_TOO_LONG',
+          limit: {
+            plan: plan.name,
+            maxTextLength: plan.limits.maxTextLength,
+            textLength: value.length
+          }
+        });
+      }
+    }
+    
+    req.plan = plan;
+    next();
+  } catch (error) {
+    console.error('Error al aplicar los límites del plan:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Error al verificar los límites del plan', 
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Consume una unidad de la cuota mensual del plan de la solicitud. Si la
+ * cuota está agotada responde 429 y devuelve false.
+ * @param {Object} req - Solicitud HTTP (con req.plan de enforcePlanLimits)
+ * @param {Object} res - Respuesta HTTP
+ * @returns {Promise<boolean>} - true si la generación puede empezar
+ */
+async function consumeQuota(req, res) {
+  const plan = req.plan;
+  const maxMaps = plan.limits.maxMapsPerMonth;
+  const resetAt = quotaResetAt();
+  const usage = await usageRepository.consume(plan.accountId, currentPeriod(), maxMaps);
+  
+  if (maxMaps !== -1) {
+    res.set({
+      'X-Quota-Limit': String(maxMaps),
+      'X-Quota-Remaining': String(Math.max(0, maxMaps - usage.count)),
+      'X-Quota-Reset': resetAt
+    });
+  }
+  
+  if (!usage.allowed) {
+    const retryAfter = Math.ceil((Date.parse(resetAt) - Date.now()) / 1000);
+    res.status(429)
+      .set('Retry-After', String(retryAfter))
+      .json({
+        success: false,
+        error: `Se alcanzó el máximo de ${maxMaps} mapas mensuales del plan ${plan.name}`,
+        code: 'MONTHLY_QUOTA_EXCEEDED',
+        limit: {
+          plan: plan.name,
+          maxMapsPerMonth: maxMaps,
+          used: usage.count,
+          resetAt
+        }
+      });
+    return false;
+  }
+  
+  return true;
+}
+
+module.exports = {
+  resolvePlan,
+  currentPeriod,
+  quotaResetAt,
+  enforcePlanLimits,
+  consumeQuota
+};
@@ -0,0 +1,295 @@
+/**
+ * Repositorio de mapas conceptuales basado en archivos JSON
+ * 
+ * Guarda cada mapa en un archivo <id>.json dentro de config.storage.dataDir/maps
+ * y sus versiones en config.storage.dataDir/versions/<id>/<número>.json.
+ * Los listados salen de un índice (maps-index.json) con el resumen y el
+ * propietario de cada mapa, así que solo se lee el archivo completo de un
+ * mapa cuando se pide. Si el índice no existe se construye una vez a partir
+ * de los archivos. Las escrituras de un mismo mapa se encadenan, para que
+ * dos guardados simultáneos (un PUT y el autoguardado de la edición
+ * colaborativa) no calculen el mismo número de versión. No necesita
+ * servicios externos, por lo que funciona sin conexión.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const MapRepository = require('./mapRepository');
+
+// Los identificadores se usan como nombre de archivo: solo se aceptan UUID
+const ID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+class FileMapRepository extends MapRepository {
+  /**
+   * @param {string} dataDir - Directorio raíz de datos
+   * @param {JsonStore} index - Almacén del índice de mapas: { maps: { [id]: resumen con ownerId } }
+   */
+  constructor(dataDir, index) {
+    super();
+    this.dir = path.join(dataDir, 'maps');
+    this.versionsDir = path.join(dataDir, 'versions');
+    this.index = index;
+    // Última escritura pendiente de cada mapa: id → Promise
+    this.pending = new Map();
+  }
+
+  async list(filter = {}) {
+    const entries = Object.values(await this._readIndex());
+    
+    return entries
+      .filter(entry => this.matchesFilter(entry, filter))
+      .map(({ ownerId, ...summary }) => summary)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  async findById(id) {
+    if (!ID_PATTERN.test(id)) return null;
+    return this._read(this._filePath(id));
+  }
+
+  async create(map, info = {}) {
+    const now = new Date().toISOString();
+    const stored = {
+      id: crypto.randomUUID(),
+      ownerId: map.ownerId || null,
+      title: map.title,
+      createdAt: now,
+      updatedAt: now,
+      version: 1,
+      result: map.result
+    };
+    
+    await this._write(stored);
+    await this._writeVersion(this.toVersion(stored, { source: 'create', ...info }));
+    await this._indexMap(stored);
+    return stored;
+  }
+
+  update(id, changes, info = {}) {
+    return this._serialize(id, async () => {
+      const existing = await this.findById(id);
+      if (!existing) return null;
+      
+      // Un mapa anterior al historial conserva su estado actual como versión 1
+      if (!existing.version) {
+        await this._writeVersion(this.toVersion(existing, { source: 'create' }));
+      }
+      
+      const updated = {
+        ...existing,
+        ...changes,
+        id: existing.id,
+        ownerId: existing.ownerId,
+        createdAt: existing.createdAt,
+        updatedAt: new Date().toISOString(),
+        version: (existing.version || 1) + 1
+      };
+      
+      // La versión primero: si ya existiera, el mapa no avanza sin su historial
+      await this._writeVersion(this.toVersion(updated, info));
+      await this._write(updated);
+      await this._indexMap(updated);
+      return updated;
+    });
+  }
+
+  delete(id) {
+    if (!ID_PATTERN.test(id)) return Promise.resolve(false);
+    
+    return this._serialize(id, async () => {
+      try {
+        await fs.unlink(this._filePath(id));
+        await fs.rm(path.join(this.versionsDir, id), { recursive: true, force: true });
+        await this._updateIndex(maps => { delete maps[id]; });
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    });
+  }
+
+  async listVersions(id) {
+    const map = await this.findById(id);
+    if (!map) return null;
+    if (!map.version) return [this.toVersionSummary(this.toVersion(map, { source: 'create' }))];
+    
+    let files = [];
+    try {
+      files = (await fs.readdir(path.join(this.versionsDir, id))).filter(file => /^\d+\.json$/.test(file));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    
+    const versions = await Promise.all(files.map(file => this._read(path.join(this.versionsDir, id, file))));
+    return versions
+      .filter(Boolean)
+      .map(version => this.toVersionSummary(version))
+      .sort((a, b) => b.version - a.version);
+  }
+
+  async findVersion(id, version) {
+    if (!ID_PATTERN.test(id) || !Number.isInteger(version) || version < 1) return null;
+    
+    const found = await this._read(this._versionPath(id, version));
+    if (found || version !== 1) return found;
+    
+    // Mapa anterior al historial: su estado actual es la versión 1
+    const map = await this.findById(id);
+    return map && !map.version ? this.toVersion(map, { source: 'create' }) : null;
+  }
+
+  /**
+   * Ejecuta una escritura de un mapa cuando terminan las anteriores del mismo mapa
+   * @param {string} id - Identificador del mapa
+   * @param {Function} task - Escritura; devuelve una promesa
+   * @returns {Promise<*>} - Valor devuelto por la escritura
+   * @private
+   */
+  _serialize(id, task) {
+    const run = (this.pending.get(id) || Promise.resolve()).then(task);
+    // Un error en una escritura no debe bloquear las siguientes
+    const settled = run.catch(() => {});
+    this.pending.set(id, settled);
+    settled.then(() => {
+      if (this.pending.get(id) === settled) this.pending.delete(id);
+    });
+    return run;
+  }
+
+  /**
+   * Ruta del archivo de un mapa
+   * @param {string} id - Identificador del mapa
+   * @returns {string}
+   * @private
+   */
+  _filePath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  /**
+   * Ruta del archivo de una versión
+   * @param {string} id - Identificador del mapa
+   * @param {number} version - Número de versión
+   * @returns {string}
+   * @private
+   */
+  _versionPath(id, version) {
+    return path.join(this.versionsDir, id, `${version}.json`);
+  }
+
+  /**
+   * Entrada del índice de un mapa: su resumen y su propietario
+   * @param {Object} map - Mapa completo
+   * @returns {Object}
+   * @private
+   */
+  _toIndexEntry(map) {
+    return { ...this.toSummary(map), ownerId: map.ownerId || null };
+  }
+
+  /**
+   * Lee las entradas del índice, construyéndolo antes si no existe
+   * @returns {Promise<Object>} - { [id]: entrada }
+   * @private
+   */
+  async _readIndex() {
+    const data = await this.index.read();
+    return data.maps || this._updateIndex(maps => maps);
+  }
+
+  /**
+   * Modifica el índice. La primera vez, si no existe, lo construye leyendo
+   * todos los archivos de mapas (datos guardados antes del índice)
+   * @param {Function} mutator - Recibe las entradas { [id]: entrada } y las modifica
+   * @returns {Promise<*>} - Valor devuelto por el mutador
+   * @private
+   */
+  _updateIndex(mutator) {
+    return this.index.update(async data => {
+      if (!data.maps) {
+        await this._ensureDir();
+        const files = (await fs.readdir(this.dir)).filter(file => file.endsWith('.json'));
+        const maps = await Promise.all(files.map(file => this._read(path.join(this.dir, file))));
+        
+        data.maps = {};
+        maps.filter(Boolean).forEach(map => {
+          data.maps[map.id] = this._toIndexEntry(map);
+        });
+      }
+      
+      return mutator(data.maps);
+    });
+  }
+
+  /**
+   * Registra o actualiza un mapa en el índice
+   * @param {Object} map - Mapa completo
+   * @private
+   */
+  async _indexMap(map) {
+    await this._updateIndex(maps => {
+      maps[map.id] = this._toIndexEntry(map);
+    });
+  }
+
+  /**
+   * Crea el directorio de mapas si no existe
+   * @private
+   */
+  async _ensureDir() {
+    await fs.mkdir(this.dir, { recursive: true });
+  }
+
+  /**
+   * Lee y parsea un archivo de mapa
+   * @param {string} filePath - Ruta del archivo
+   * @returns {Promise<Object|null>} - Mapa o null si no existe
+   * @private
+   */
+  async _read(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Escribe un mapa de forma atómica (archivo temporal + renombrado)
+   * para no dejar archivos a medio escribir si el proceso se interrumpe
+   * @param {Object} map - Mapa a guardar
+   * @private
+   */
+  async _write(map) {
+    await this._ensureDir();
+    const target = this._filePath(map.id);
+    const temp = `${target}.${process.pid}.tmp`;
+    
+    await fs.writeFile(temp, JSON.stringify(map), 'utf8');
+    await fs.rename(temp, target);
+  }
+
+  /**
+   * Escribe una versión. Las versiones son inmutables: el enlace duro falla
+   * si ya existe un archivo con ese número, en lugar de reemplazarlo.
+   * @param {Object} version - Versión a guardar
+   * @private
+   */
+  async _writeVersion(version) {
+    const target = this._versionPath(version.mapId, version.version);
+    const temp = `${target}.${process.pid}.tmp`;
+    
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(temp, JSON.stringify(version), 'utf8');
+    try {
+      await fs.link(temp, target);
+    } finally {
+      await fs.unlink(temp);
+    }
+  }
+}
+
+module.exports = FileMapRepository;
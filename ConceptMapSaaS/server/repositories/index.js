@@ -0,0 +1,53 @@
+/**
+ * Punto de acceso a los repositorios de persistencia
+ * 
+ * Selecciona la implementación según config.storage.driver.
+ */
+
+const path = require('path');
+const config = require('../config');
+const FileMapRepository = require('./fileMapRepository');
+const MemoryMapRepository = require('./memoryMapRepository');
+const JsonStore = require('./jsonStore');
+const UsageRepository = require('./usageRepository');
+const UserRepository = require('./userRepository');
+const SessionRepository = require('./sessionRepository');
+const ShareRepository = require('./shareRepository');
+const LexiconRepository = require('./lexiconRepository');
+
+/**
+ * Crea un repositorio de mapas para el driver indicado
+ * @param {string} driver - Nombre del driver (file, memory)
+ * @returns {MapRepository} - Implementación del repositorio
+ */
+function createMapRepository(driver = config.storage.driver) {
+  switch (driver) {
+    case 'file':
+      return new FileMapRepository(config.storage.dataDir, createStore('maps-index.json', driver));
+    case 'memory':
+      return new MemoryMapRepository();
+    default:
+      throw new Error(`Driver de almacenamiento no soportado: ${driver}`);
+  }
+}
+
+/**
+ * Crea un almacén JSON para el driver indicado
+ * @param {string} fileName - Nombre del archivo dentro de config.storage.dataDir
+ * @param {string} driver - Nombre del driver (file, memory)
+ * @returns {JsonStore} - Almacén persistente o en memoria
+ */
+function createStore(fileName, driver = config.storage.driver) {
+  return new JsonStore(driver === 'file' ? path.join(config.storage.dataDir, fileName) : null);
+}
+
+module.exports = {
+  createMapRepository,
+  createStore,
+  mapRepository: createMapRepository(),
+  usageRepository: new UsageRepository(createStore('usage.json')),
+  userRepository: new UserRepository(createStore('users.json')),
+  sessionRepository: new SessionRepository(createStore('sessions.json')),
+  shareRepository: new ShareRepository(createStore('shares.json')),
+  lexiconRepository: new LexiconRepository(createStore('lexicons.json'))
+};
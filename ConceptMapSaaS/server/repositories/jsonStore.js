@@ -0,0 +1,102 @@
+/**
+ * Almacén de documentos JSON para repositorios pequeños
+ * 
+ * Mantiene un único objeto JSON en un archivo (o solo en memoria si no se
+ * indica ruta). Las actualizaciones se encadenan para que dos escrituras
+ * simultáneas no se pisen entre sí.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+class JsonStore {
+  /**
+   * @param {string|null} filePath - Ruta del archivo, o null para guardar solo en memoria
+   */
+  constructor(filePath = null) {
+    this.filePath = filePath;
+    this.data = null;
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Lee el documento completo
+   * @returns {Promise<Object>} - Documento almacenado
+   */
+  async read() {
+    await this.pending;
+    return this._load();
+  }
+
+  /**
+   * Modifica el documento y lo persiste
+   * @param {Function} mutator - Recibe el documento, lo modifica y puede devolver un valor
+   * @returns {Promise<*>} - Valor devuelto por el mutador
+   */
+  update(mutator) {
+    const run = this.pending.then(async () => {
+      const data = await this._load();
+      const value = await mutator(data);
+      await this._save(data);
+      return value;
+    });
+    
+    // Un error en una actualización no debe bloquear las siguientes
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Carga el documento desde disco la primera vez. Solo se guarda en caché
+   * tras leerlo bien: un archivo dañado lanza un error en cada acceso en vez
+   * de tratarse como vacío, que la siguiente escritura lo sobrescribiría
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _load() {
+    if (this.data) return this.data;
+    
+    if (!this.filePath) {
+      this.data = {};
+      return this.data;
+    }
+    
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.data = {};
+      return this.data;
+    }
+    
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`El archivo ${this.filePath} está dañado (${error.message}); restáuralo o muévelo antes de continuar`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error(`El archivo ${this.filePath} está dañado: no contiene un objeto JSON`);
+    }
+    
+    this.data = data;
+    return this.data;
+  }
+
+  /**
+   * Escribe el documento de forma atómica
+   * @param {Object} data - Documento
+   * @private
+   */
+  async _save(data) {
+    if (!this.filePath) return;
+    
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const temp = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(data), 'utf8');
+    await fs.rename(temp, this.filePath);
+  }
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,66 @@
+/**
+ * Repositorio de los glosarios subidos por los administradores
+ *
+ * Guarda cada glosario ya validado, con sus entradas normalizadas, sea cual
+ * sea el formato en que se subió (JSON o SQLite). Los glosarios incluidos en
+ * la aplicación no pasan por aquí: se leen de services/lexicon/glossaries.
+ */
+
+class LexiconRepository {
+  /**
+   * @param {JsonStore} store - Almacén donde se guardan los glosarios
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Lista los glosarios subidos
+   * @returns {Promise<Array>}
+   */
+  async list() {
+    const data = await this.store.read();
+    return data.lexicons || [];
+  }
+
+  /**
+   * Guarda un glosario; si ya existe uno con el mismo id, lo sustituye
+   * @param {Object} lexicon - { id, name, domain, language, description, format, fileName, entries, uploadedBy }
+   * @returns {Promise<Object>} - { lexicon, replaced }
+   */
+  async save(lexicon) {
+    return this.store.update(data => {
+      data.lexicons = data.lexicons || [];
+      
+      const now = new Date().toISOString();
+      const index = data.lexicons.findIndex(item => item.id === lexicon.id);
+      const saved = {
+        ...lexicon,
+        createdAt: index === -1 ? now : data.lexicons[index].createdAt,
+        updatedAt: now
+      };
+      
+      if (index === -1) {
+        data.lexicons.push(saved);
+      } else {
+        data.lexicons[index] = saved;
+      }
+      return { lexicon: saved, replaced: index !== -1 };
+    });
+  }
+
+  /**
+   * Elimina un glosario subido
+   * @param {string} id - Identificador del glosario
+   * @returns {Promise<boolean>} - true si existía
+   */
+  async remove(id) {
+    return this.store.update(data => {
+      const before = (data.lexicons || []).length;
+      data.lexicons = (data.lexicons || []).filter(item => item.id !== id);
+      return data.lexicons.length !== before;
+    });
+  }
+}
+
+module.exports = LexiconRepository;
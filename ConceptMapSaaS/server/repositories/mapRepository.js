@@ -0,0 +1,152 @@
+/**
+ * Interfaz del repositorio de mapas conceptuales
+ * 
+ * Define las operaciones de persistencia que debe ofrecer cualquier
+ * implementación (archivos, memoria, base de datos...). Los controladores
+ * solo dependen de esta interfaz, de modo que el almacenamiento puede
+ * sustituirse cambiando config.storage.driver.
+ * 
+ * Un mapa almacenado tiene la forma:
+ * {
+ *   id, ownerId, title, createdAt, updatedAt, version,
+ *   result: { concepts, relationships, knowledgeGraph, metadata, content }
+ * }
+ * 
+ * Cada vez que se guarda un mapa (create o update) se registra una versión
+ * inmutable con su título y su resultado:
+ * { mapId, version, title, createdAt, source, restoredFrom, result }
+ * `version` empieza en 1 y el mapa guarda el número de la última. Los mapas
+ * guardados antes del historial no tienen `version`: su estado actual cuenta
+ * como la versión 1.
+ */
+
+class MapRepository {
+  /**
+   * Lista los mapas almacenados (solo datos de resumen)
+   * @param {Object} filter - Filtros opcionales ({ ownerId })
+   * @returns {Promise<Array>} - Resúmenes ordenados del más reciente al más antiguo
+   */
+  async list(filter = {}) {
+    throw new Error('MapRepository.list no está implementado');
+  }
+
+  /**
+   * Busca un mapa por su identificador
+   * @param {string} id - Identificador del mapa
+   * @returns {Promise<Object|null>} - Mapa completo o null si no existe
+   */
+  async findById(id) {
+    throw new Error('MapRepository.findById no está implementado');
+  }
+
+  /**
+   * Guarda un mapa nuevo y su primera versión
+   * @param {Object} map - Datos del mapa ({ ownerId, title, result })
+   * @param {Object} info - Origen de la versión ({ source })
+   * @returns {Promise<Object>} - Mapa almacenado con id y marcas de tiempo
+   */
+  async create(map, info = {}) {
+    throw new Error('MapRepository.create no está implementado');
+  }
+
+  /**
+   * Actualiza un mapa existente y registra la versión resultante
+   * @param {string} id - Identificador del mapa
+   * @param {Object} changes - Campos a reemplazar ({ title, result })
+   * @param {Object} info - Origen de la versión ({ source, restoredFrom })
+   * @returns {Promise<Object|null>} - Mapa actualizado o null si no existe
+   */
+  async update(id, changes, info = {}) {
+    throw new Error('MapRepository.update no está implementado');
+  }
+
+  /**
+   * Elimina un mapa y su historial de versiones
+   * @param {string} id - Identificador del mapa
+   * @returns {Promise<boolean>} - true si el mapa existía
+   */
+  async delete(id) {
+    throw new Error('MapRepository.delete no está implementado');
+  }
+
+  /**
+   * Lista las versiones de un mapa (solo datos de resumen)
+   * @param {string} id - Identificador del mapa
+   * @returns {Promise<Array|null>} - Resúmenes de la más reciente a la más antigua, o null si el mapa no existe
+   */
+  async listVersions(id) {
+    throw new Error('MapRepository.listVersions no está implementado');
+  }
+
+  /**
+   * Busca una versión de un mapa
+   * @param {string} id - Identificador del mapa
+   * @param {number} version - Número de versión
+   * @returns {Promise<Object|null>} - Versión completa o null si no existe
+   */
+  async findVersion(id, version) {
+    throw new Error('MapRepository.findVersion no está implementado');
+  }
+
+  /**
+   * Construye la versión inmutable que corresponde al estado de un mapa
+   * @param {Object} map - Mapa completo, con su número de versión
+   * @param {Object} info - Origen de la versión ({ source, restoredFrom })
+   * @returns {Object} - Versión
+   */
+  toVersion(map, info = {}) {
+    return {
+      mapId: map.id,
+      version: map.version || 1,
+      title: map.title,
+      createdAt: map.updatedAt,
+      source: info.source || 'update', // create | update | restore
+      restoredFrom: info.restoredFrom ?? null,
+      result: map.result
+    };
+  }
+
+  /**
+   * Construye el resumen de una versión para los listados
+   * @param {Object} version - Versión completa
+   * @returns {Object} - Resumen de la versión
+   */
+  toVersionSummary(version) {
+    const { result, ...summary } = version;
+    return {
+      ...summary,
+      conceptCount: (result?.concepts || []).length,
+      relationshipCount: (result?.relationships || []).length
+    };
+  }
+
+  /**
+   * Comprueba si un mapa cumple los filtros de un listado
+   * @param {Object} map - Mapa completo
+   * @param {Object} filter - Filtros ({ ownerId })
+   * @returns {boolean}
+   */
+  matchesFilter(map, filter) {
+    return filter.ownerId === undefined || map.ownerId === filter.ownerId;
+  }
+
+  /**
+   * Construye el resumen de un mapa para los listados
+   * @param {Object} map - Mapa completo
+   * @returns {Object} - Resumen del mapa
+   */
+  toSummary(map) {
+    const metadata = map.result?.metadata || {};
+    return {
+      id: map.id,
+      title: map.title,
+      createdAt: map.createdAt,
+      updatedAt: map.updatedAt,
+      version: map.version || 1,
+      conceptCount: metadata.conceptCount ?? (map.result?.concepts || []).length,
+      relationshipCount: metadata.relationshipCount ?? (map.result?.relationships || []).length
+    };
+  }
+}
+
+module.exports = MapRepository;
@@ -0,0 +1,101 @@
+/**
+ * Repositorio de mapas conceptuales en memoria
+ * 
+ * Útil para desarrollo y pruebas: los datos se pierden al reiniciar el servidor.
+ */
+
+const crypto = require('crypto');
+const MapRepository = require('./mapRepository');
+
+class MemoryMapRepository extends MapRepository {
+  constructor() {
+    super();
+    this.maps = new Map();
+    this.versions = new Map(); // id del mapa -> versiones en orden
+  }
+
+  async list(filter = {}) {
+    return [...this.maps.values()]
+      .filter(map => this.matchesFilter(map, filter))
+      .map(map => this.toSummary(map))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  async findById(id) {
+    const map = this.maps.get(id);
+    // Devolver copias para que los llamadores no modifiquen el almacenamiento
+    return map ? structuredClone(map) : null;
+  }
+
+  async create(map, info = {}) {
+    const now = new Date().toISOString();
+    const stored = {
+      id: crypto.randomUUID(),
+      ownerId: map.ownerId || null,
+      title: map.title,
+      createdAt: now,
+      updatedAt: now,
+      version: 1,
+      result: map.result
+    };
+    
+    this.maps.set(stored.id, structuredClone(stored));
+    this.versions.set(stored.id, [structuredClone(this.toVersion(stored, { source: 'create', ...info }))]);
+    return stored;
+  }
+
+  async update(id, changes, info = {}) {
+    const existing = this.maps.get(id);
+    if (!existing) return null;
+    
+    const versions = this._versionsOf(existing);
+    const updated = {
+      ...existing,
+      ...changes,
+      id: existing.id,
+      ownerId: existing.ownerId,
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString(),
+      version: versions[versions.length - 1].version + 1
+    };
+    
+    this.maps.set(id, structuredClone(updated));
+    versions.push(structuredClone(this.toVersion(updated, info)));
+    return updated;
+  }
+
+  async delete(id) {
+    this.versions.delete(id);
+    return this.maps.delete(id);
+  }
+
+  async listVersions(id) {
+    const map = this.maps.get(id);
+    if (!map) return null;
+    
+    return this._versionsOf(map)
+      .map(version => this.toVersionSummary(version))
+      .reverse();
+  }
+
+  async findVersion(id, version) {
+    const map = this.maps.get(id);
+    const found = map && this._versionsOf(map).find(item => item.version === version);
+    return found ? structuredClone(found) : null;
+  }
+
+  /**
+   * Historial de un mapa; el de un mapa anterior al historial empieza por su estado actual
+   * @param {Object} map - Mapa almacenado
+   * @returns {Array} - Versiones en orden (la lista almacenada, no una copia)
+   * @private
+   */
+  _versionsOf(map) {
+    if (!this.versions.has(map.id)) {
+      this.versions.set(map.id, [structuredClone(this.toVersion(map, { source: 'create' }))]);
+    }
+    return this.versions.get(map.id);
+  }
+}
+
+module.exports = MemoryMapRepository;
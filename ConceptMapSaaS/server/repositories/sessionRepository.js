@@ -0,0 +1,61 @@
+/**
+ * Repositorio de sesiones web
+ * 
+ * Las sesiones se indexan por el hash del token de la cookie, de modo que
+ * un volcado del almacén no permite suplantar a los usuarios.
+ */
+
+class SessionRepository {
+  /**
+   * @param {JsonStore} store - Almacén donde se guardan las sesiones
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Crea una sesión
+   * @param {string} tokenHash - Hash del token de sesión
+   * @param {string} userId - Usuario de la sesión
+   * @param {string} expiresAt - Fecha ISO de expiración
+   */
+  async create(tokenHash, userId, expiresAt) {
+    await this.store.update(data => {
+      // Aprovechar cada inicio de sesión para descartar las sesiones vencidas
+      const now = new Date().toISOString();
+      Object.keys(data).forEach(hash => {
+        if (data[hash].expiresAt <= now) delete data[hash];
+      });
+      
+      data[tokenHash] = { userId, expiresAt, createdAt: now };
+    });
+  }
+
+  /**
+   * Busca una sesión vigente
+   * @param {string} tokenHash - Hash del token de sesión
+   * @returns {Promise<Object|null>} - Sesión o null si no existe o expiró
+   */
+  async find(tokenHash) {
+    const data = await this.store.read();
+    const session = data[tokenHash];
+    
+    if (!session || session.expiresAt <= new Date().toISOString()) {
+      return null;
+    }
+    
+    return session;
+  }
+
+  /**
+   * Elimina una sesión
+   * @param {string} tokenHash - Hash del token de sesión
+   */
+  async delete(tokenHash) {
+    await this.store.update(data => {
+      delete data[tokenHash];
+    });
+  }
+}
+
+module.exports = SessionRepository;
@@ -0,0 +1,113 @@
+/**
+ * Repositorio de enlaces públicos de mapas guardados
+ *
+ * Como las sesiones y las claves de API, los enlaces se guardan solo con el
+ * hash de su token: un volcado del almacén no permite abrir los mapas.
+ * Los enlaces revocados se conservan para responder que ya no están
+ * disponibles en lugar de que nunca existieron.
+ */
+
+const crypto = require('crypto');
+
+class ShareRepository {
+  /**
+   * @param {JsonStore} store - Almacén donde se guardan los enlaces
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Guarda un enlace nuevo
+   * @param {Object} share - { mapId, ownerId, tokenHash, prefix, passwordHash, permission, expiresAt }
+   * @returns {Promise<Object>} - Enlace almacenado
+   */
+  async create(share) {
+    return this.store.update(data => {
+      data.shares = data.shares || [];
+      
+      const created = {
+        id: crypto.randomUUID(),
+        mapId: share.mapId,
+        ownerId: share.ownerId,
+        tokenHash: share.tokenHash,
+        prefix: share.prefix,
+        passwordHash: share.passwordHash || null,
+        permission: share.permission || 'view',
+        expiresAt: share.expiresAt || null,
+        createdAt: new Date().toISOString(),
+        revokedAt: null,
+        lastViewedAt: null,
+        views: 0
+      };
+      
+      data.shares.push(created);
+      return created;
+    });
+  }
+
+  /**
+   * Busca un enlace por el hash de su token
+   * @param {string} tokenHash - Hash SHA-256 del token
+   * @returns {Promise<Object|null>}
+   */
+  async findByTokenHash(tokenHash) {
+    const data = await this.store.read();
+    return (data.shares || []).find(share => share.tokenHash === tokenHash) || null;
+  }
+
+  /**
+   * Lista los enlaces de un mapa
+   * @param {string} ownerId - Propietario del mapa
+   * @param {string} mapId - Identificador del mapa
+   * @returns {Promise<Array>}
+   */
+  async listByMap(ownerId, mapId) {
+    const data = await this.store.read();
+    return (data.shares || []).filter(share => share.ownerId === ownerId && share.mapId === mapId);
+  }
+
+  /**
+   * Registra una visita al enlace
+   * @param {string} id - Identificador del enlace
+   */
+  async touch(id) {
+    await this.store.update(data => {
+      const share = (data.shares || []).find(item => item.id === id);
+      if (share) {
+        share.lastViewedAt = new Date().toISOString();
+        share.views += 1;
+      }
+    });
+  }
+
+  /**
+   * Revoca un enlace de un mapa
+   * @param {string} ownerId - Propietario del mapa
+   * @param {string} mapId - Identificador del mapa
+   * @param {string} id - Identificador del enlace
+   * @returns {Promise<Object|null>} - Enlace revocado o null si no existe
+   */
+  async revoke(ownerId, mapId, id) {
+    return this.store.update(data => {
+      const share = (data.shares || []).find(item =>
+        item.id === id && item.ownerId === ownerId && item.mapId === mapId);
+      if (!share) return null;
+      
+      share.revokedAt = share.revokedAt || new Date().toISOString();
+      return share;
+    });
+  }
+
+  /**
+   * Elimina todos los enlaces de un mapa (al borrar el mapa)
+   * @param {string} mapId - Identificador del mapa
+   */
+  async deleteByMap(mapId) {
+    await this.store.update(data => {
+      data.shares = (data.shares || []).filter(share => share.mapId !== mapId);
+    });
+  }
+}
+
+module.exports = ShareRepository;
@@ -0,0 +1,50 @@
+/**
+ * Repositorio de consumo de mapas por cuenta
+ * 
+ * Registra cuántos mapas ha generado cada cuenta en cada periodo mensual
+ * (clave "AAAA-MM" en UTC) para aplicar maxMapsPerMonth.
+ */
+
+class UsageRepository {
+  /**
+   * @param {JsonStore} store - Almacén donde se guardan los contadores
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Obtiene el número de mapas generados por una cuenta en un periodo
+   * @param {string} accountId - Identificador de la cuenta
+   * @param {string} period - Periodo mensual (AAAA-MM)
+   * @returns {Promise<number>}
+   */
+  async getCount(accountId, period) {
+    const data = await this.store.read();
+    return data[accountId]?.[period] || 0;
+  }
+
+  /**
+   * Incrementa el contador de una cuenta si no supera el máximo indicado
+   * @param {string} accountId - Identificador de la cuenta
+   * @param {string} period - Periodo mensual (AAAA-MM)
+   * @param {number} max - Máximo permitido (-1 para ilimitado)
+   * @returns {Promise<{allowed: boolean, count: number}>} - Resultado y contador tras la operación
+   */
+  async consume(accountId, period, max) {
+    return this.store.update(data => {
+      const account = data[accountId] || (data[accountId] = {});
+      const count = account[period] || 0;
+      
+      if (max !== -1 && count >= max) {
+        return { allowed: false, count };
+      }
+      
+      // Conservar solo el periodo actual para que el archivo no crezca indefinidamente
+      data[accountId] = { [period]: count + 1 };
+      return { allowed: true, count: count + 1 };
+    });
+  }
+}
+
+module.exports = UsageRepository;
@@ -0,0 +1,157 @@
+/**
+ * Repositorio de cuentas de usuario y claves de API
+ */
+
+const crypto = require('crypto');
+
+class UserRepository {
+  /**
+   * @param {JsonStore} store - Almacén donde se guardan usuarios y claves
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Busca un usuario por su identificador
+   * @param {string} id - Identificador del usuario
+   * @returns {Promise<Object|null>}
+   */
+  async findById(id) {
+    const data = await this.store.read();
+    return (data.users || []).find(user => user.id === id) || null;
+  }
+
+  /**
+   * Busca un usuario por su correo electrónico (sin distinguir mayúsculas)
+   * @param {string} email - Correo electrónico
+   * @returns {Promise<Object|null>}
+   */
+  async findByEmail(email) {
+    const data = await this.store.read();
+    const normalized = email.trim().toLowerCase();
+    return (data.users || []).find(user => user.email === normalized) || null;
+  }
+
+  /**
+   * Crea un usuario si el correo no está registrado
+   * @param {Object} user - { email, name, passwordHash, plan, role }
+   * @returns {Promise<Object|null>} - Usuario creado o null si el correo ya existe
+   */
+  async create(user) {
+    return this.store.update(data => {
+      data.users = data.users || [];
+      const email = user.email.trim().toLowerCase();
+      
+      if (data.users.some(existing => existing.email === email)) {
+        return null;
+      }
+      
+      const created = {
+        id: crypto.randomUUID(),
+        email,
+        name: user.name || '',
+        passwordHash: user.passwordHash,
+        plan: user.plan,
+        role: user.role,
+        createdAt: new Date().toISOString()
+      };
+      
+      data.users.push(created);
+      return created;
+    });
+  }
+
+  /**
+   * Cambia el rol o el plan de un usuario
+   * @param {string} email - Correo electrónico del usuario
+   * @param {Object} changes - { role?, plan? }
+   * @returns {Promise<Object|null>} - Usuario actualizado o null si no existe
+   */
+  async updateByEmail(email, changes) {
+    return this.store.update(data => {
+      const normalized = email.trim().toLowerCase();
+      const user = (data.users || []).find(existing => existing.email === normalized);
+      
+      if (!user) {
+        return null;
+      }
+      
+      Object.assign(user, changes);
+      return user;
+    });
+  }
+
+  /**
+   * Lista las claves de API de un usuario
+   * @param {string} userId - Identificador del usuario
+   * @returns {Promise<Array>}
+   */
+  async listApiKeys(userId) {
+    const data = await this.store.read();
+    return (data.apiKeys || []).filter(key => key.userId === userId);
+  }
+
+  /**
+   * Guarda una clave de API (solo su hash)
+   * @param {Object} apiKey - { userId, name, prefix, keyHash }
+   * @returns {Promise<Object>} - Clave almacenada
+   */
+  async createApiKey(apiKey) {
+    return this.store.update(data => {
+      data.apiKeys = data.apiKeys || [];
+      
+      const created = {
+        id: crypto.randomUUID(),
+        userId: apiKey.userId,
+        name: apiKey.name || '',
+        prefix: apiKey.prefix,
+        keyHash: apiKey.keyHash,
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null
+      };
+      
+      data.apiKeys.push(created);
+      return created;
+    });
+  }
+
+  /**
+   * Busca una clave de API por su hash
+   * @param {string} keyHash - Hash SHA-256 de la clave
+   * @returns {Promise<Object|null>}
+   */
+  async findApiKeyByHash(keyHash) {
+    const data = await this.store.read();
+    return (data.apiKeys || []).find(key => key.keyHash === keyHash) || null;
+  }
+
+  /**
+   * Registra el último uso de una clave de API
+   * @param {string} id - Identificador de la clave
+   */
+  async touchApiKey(id) {
+    await this.store.update(data => {
+      const apiKey = (data.apiKeys || []).find(key => key.id === id);
+      if (apiKey) {
+        apiKey.lastUsedAt = new Date().toISOString();
+      }
+    });
+  }
+
+  /**
+   * Elimina una clave de API de un usuario
+   * @param {string} userId - Propietario de la clave
+   * @param {string} id - Identificador de la clave
+   * @returns {Promise<boolean>} - true si la clave existía
+   */
+  async deleteApiKey(userId, id) {
+    return this.store.update(data => {
+      const before = (data.apiKeys || []).length;
+      data.apiKeys = (data.apiKeys || []).filter(key => !(key.id === id && key.userId === userId));
+      return data.apiKeys.length < before;
+    });
+  }
+}
+
+module.exports = UserRepository;
@@ -0,0 +1,301 @@
+/**
+ * Servicio de Autenticación
+ * 
+ * Gestiona cuentas de usuario, sesiones web y claves de API. Las contraseñas
+ * se guardan con scrypt y sal aleatoria; los tokens de sesión y las claves de
+ * API solo se almacenan como hash SHA-256.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const config = require('../config');
+const { userRepository, sessionRepository } = require('../repositories');
+const { AppError } = require('../utils/errors');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Parámetros de scrypt: 64 bytes de clave derivada y 16 de sal
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+// Formato de correo electrónico aceptado (validación básica)
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class AuthService {
+  /**
+   * Registra una cuenta nueva
+   * @param {Object} data - { email, password, name }
+   * @returns {Promise<Object>} - Usuario público creado
+   */
+  async signup({ email, password, name }) {
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+      throw new AppError('El correo electrónico no es válido', 400, 'INVALID_EMAIL');
+    }
+    
+    if (typeof password !== 'string' || password.length < config.auth.minPasswordLength) {
+      throw new AppError(`La contraseña debe tener al menos ${config.auth.minPasswordLength} caracteres`, 400, 'WEAK_PASSWORD');
+    }
+    
+    const user = await userRepository.create({
+      email,
+      name: typeof name === 'string' ? name.trim() : '',
+      passwordHash: await this.hashPassword(password),
+      plan: config.auth.signupPlan,
+      role: config.auth.defaultRole
+    });
+    
+    if (!user) {
+      throw new AppError('Ya existe una cuenta con ese correo electrónico', 409, 'EMAIL_TAKEN');
+    }
+    
+    return this.toPublicUser(user);
+  }
+
+  /**
+   * Verifica las credenciales y abre una sesión
+   * @param {Object} data - { email, password }
+   * @returns {Promise<Object>} - { user, token, expiresAt }
+   */
+  async login({ email, password }) {
+    const user = typeof email === 'string' ? await userRepository.findByEmail(email) : null;
+    
+    // Verificar siempre una contraseña para no revelar qué correos existen por el tiempo de respuesta
+    const valid = await this.verifyPassword(
+      typeof password === 'string' ? password : '',
+      user ? user.passwordHash : await this._dummyHash()
+    );
+    
+    if (!user || !valid) {
+      throw new AppError('Correo electrónico o contraseña incorrectos', 401, 'INVALID_CREDENTIALS');
+    }
+    
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + config.auth.sessionTtlMs).toISOString();
+    await sessionRepository.create(this.hashToken(token), user.id, expiresAt);
+    
+    return { user: this.toPublicUser(user), token, expiresAt };
+  }
+
+  /**
+   * Cierra una sesión
+   * @param {string} token - Token de sesión de la cookie
+   */
+  async logout(token) {
+    if (token) {
+      await sessionRepository.delete(this.hashToken(token));
+    }
+  }
+
+  /**
+   * Obtiene el usuario de una sesión vigente
+   * @param {string} token - Token de sesión de la cookie
+   * @returns {Promise<Object|null>} - Usuario público o null
+   */
+  async authenticateSession(token) {
+    const session = await sessionRepository.find(this.hashToken(token));
+    if (!session) return null;
+    
+    const user = await userRepository.findById(session.userId);
+    return user ? this.toPublicUser(user) : null;
+  }
+
+  /**
+   * Obtiene el usuario propietario de una clave de API
+   * @param {string} key - Clave de API completa
+   * @returns {Promise<Object|null>} - Usuario público o null
+   */
+  async authenticateApiKey(key) {
+    if (!key.startsWith(config.auth.apiKeyPrefix)) return null;
+    
+    const apiKey = await userRepository.findApiKeyByHash(this.hashToken(key));
+    if (!apiKey) return null;
+    
+    const user = await userRepository.findById(apiKey.userId);
+    if (!user) return null;
+    
+    // Guardar el último uso en cada solicitud reescribiría el almacén de usuarios cada vez
+    const lastUsed = apiKey.lastUsedAt ? Date.parse(apiKey.lastUsedAt) : 0;
+    if (Date.now() - lastUsed >= config.auth.apiKeyTouchIntervalMs) {
+      await userRepository.touchApiKey(apiKey.id);
+    }
+    return this.toPublicUser(user);
+  }
+
+  /**
+   * Crea una clave de API. La clave completa solo se devuelve en este momento.
+   * @param {string} userId - Propietario de la clave
+   * @param {string} name - Nombre descriptivo
+   * @returns {Promise<Object>} - { key, apiKey }
+   */
+  async createApiKey(userId, name) {
+    const key = `${config.auth.apiKeyPrefix}${crypto.randomBytes(24).toString('base64url')}`;
+    
+    const apiKey = await userRepository.createApiKey({
+      userId,
+      name: typeof name === 'string' ? name.trim() : '',
+      prefix: key.slice(0, config.auth.apiKeyPrefix.length + 6),
+      keyHash: this.hashToken(key)
+    });
+    
+    return { key, apiKey: this.toPublicApiKey(apiKey) };
+  }
+
+  /**
+   * Lista las claves de API de un usuario (sin su valor)
+   * @param {string} userId - Propietario de las claves
+   * @returns {Promise<Array>}
+   */
+  async listApiKeys(userId) {
+    const keys = await userRepository.listApiKeys(userId);
+    return keys.map(key => this.toPublicApiKey(key));
+  }
+
+  /**
+   * Revoca una clave de API
+   * @param {string} userId - Propietario de la clave
+   * @param {string} id - Identificador de la clave
+   * @returns {Promise<boolean>} - true si la clave existía
+   */
+  async revokeApiKey(userId, id) {
+    return userRepository.deleteApiKey(userId, id);
+  }
+
+  /**
+   * Indica si una cuenta es administradora. El rol se guarda con el usuario y
+   * no depende del correo con el que se registró, que nadie ha verificado
+   * @param {Object|null} user - Usuario
+   * @returns {boolean}
+   */
+  isAdmin(user) {
+    return Boolean(user && user.role === 'admin');
+  }
+
+  /**
+   * Asigna un rol a una cuenta existente (npm run users:role)
+   * @param {string} email - Correo electrónico de la cuenta
+   * @param {string} role - Uno de config.auth.roles
+   * @returns {Promise<Object>} - Usuario público actualizado
+   */
+  async setRole(email, role) {
+    if (!config.auth.roles.includes(role)) {
+      throw new AppError(`Rol no válido: ${role} (${config.auth.roles.join(', ')})`, 400, 'INVALID_ROLE');
+    }
+    
+    return this._updateAccount(email, { role });
+  }
+
+  /**
+   * Asigna un plan a una cuenta existente (npm run users:plan)
+   * @param {string} email - Correo electrónico de la cuenta
+   * @param {string} plan - Uno de los planes de config.conceptMap.limits
+   * @returns {Promise<Object>} - Usuario público actualizado
+   */
+  async setPlan(email, plan) {
+    const plans = Object.keys(config.conceptMap.limits);
+    if (!plans.includes(plan)) {
+      throw new AppError(`Plan no válido: ${plan} (${plans.join(', ')})`, 400, 'INVALID_PLAN');
+    }
+    
+    return this._updateAccount(email, { plan });
+  }
+
+  /**
+   * Calcula el hash de una contraseña con scrypt
+   * @param {string} password - Contraseña en claro
+   * @returns {Promise<string>} - "scrypt$<sal>$<hash>" en base64url
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const derived = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('base64url')}$${derived.toString('base64url')}`;
+  }
+
+  /**
+   * Comprueba una contraseña contra su hash en tiempo constante
+   * @param {string} password - Contraseña en claro
+   * @param {string} stored - Hash almacenado
+   * @returns {Promise<boolean>}
+   */
+  async verifyPassword(password, stored) {
+    const [scheme, saltText, hashText] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !saltText || !hashText) return false;
+    
+    const expected = Buffer.from(hashText, 'base64url');
+    const derived = await scrypt(password, Buffer.from(saltText, 'base64url'), expected.length);
+    return crypto.timingSafeEqual(derived, expected);
+  }
+
+  /**
+   * Hash SHA-256 de un token de sesión o clave de API
+   * @param {string} token - Valor secreto
+   * @returns {string} - Hash en hexadecimal
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Datos del usuario que pueden enviarse al cliente
+   * @param {Object} user - Usuario almacenado
+   * @returns {Object}
+   */
+  toPublicUser(user) {
+    return {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      plan: user.plan,
+      role: user.role || config.auth.defaultRole,
+      isAdmin: this.isAdmin(user),
+      createdAt: user.createdAt
+    };
+  }
+
+  /**
+   * Datos de una clave de API que pueden enviarse al cliente
+   * @param {Object} apiKey - Clave almacenada
+   * @returns {Object}
+   */
+  toPublicApiKey(apiKey) {
+    return {
+      id: apiKey.id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      createdAt: apiKey.createdAt,
+      lastUsedAt: apiKey.lastUsedAt
+    };
+  }
+
+  /**
+   * Cambia el rol o el plan de la cuenta de un correo
+   * @param {string} email - Correo electrónico de la cuenta
+   * @param {Object} changes - { role?, plan? }
+   * @returns {Promise<Object>} - Usuario público actualizado
+   * @private
+   */
+  async _updateAccount(email, changes) {
+    const user = typeof email === 'string' ? await userRepository.updateByEmail(email, changes) : null;
+    
+    if (!user) {
+      throw new AppError('No existe ninguna cuenta con ese correo electrónico', 404, 'USER_NOT_FOUND');
+    }
+    
+    return this.toPublicUser(user);
+  }
+
+  /**
+   * Hash de referencia para igualar el coste de un login con correo inexistente
+   * @returns {Promise<string>}
+   * @private
+   */
+  async _dummyHash() {
+    if (!this.dummyHash) {
+      this.dummyHash = await this.hashPassword(crypto.randomBytes(16).toString('hex'));
+    }
+    return this.dummyHash;
+  }
+}
+
+const authService = new AuthService();
+
+module.exports = authService;
@@ -0,0 +1,160 @@
+/**
+ * Demostración de la edición colaborativa con dos clientes locales
+ *
+ * Conecta dos clientes WebSocket a un mapa guardado, hace que editen a la
+ * vez con cambios en conflicto (el mismo concepto renombrado por los dos,
+ * un concepto eliminado mientras el otro cliente lo relaciona, posiciones y
+ * tipos de relación) y comprueba que ambas réplicas convergen al mismo grafo
+ * y que cada cliente ve la presencia del otro. Se arranca con el servidor en
+ * marcha:
+ *
+ *   COLLAB_API_KEY=cmk_... npm run collab:demo -- <mapId>
+ *
+ * Con COLLAB_SHARE_TOKEN en lugar de la clave, los clientes entran mediante
+ * un enlace de edición. COLLAB_URL indica el servidor (http://localhost:3000).
+ * Termina con código 1 si las réplicas no convergen.
+ */
+
+const WebSocket = require('ws');
+const config = require('../../config');
+const mapCrdt = require('./mapCrdt');
+
+const SETTLE_MS = 500;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Cliente mínimo: réplica del documento, operaciones locales y presencia recibida
+ * @param {string} name - Nombre del participante
+ * @param {Object} options - { url, apiKey, shareToken, mapId }
+ * @returns {Promise<Object>} - Cliente unido a la sala
+ */
+function connectClient(name, { url, apiKey, shareToken, mapId }) {
+  const socketUrl = `${url.replace(/^http/, 'ws')}${config.collaboration.path}`;
+  const socket = new WebSocket(socketUrl, { headers: apiKey ? { 'X-API-Key': apiKey } : {} });
+  const client = { name, socket, doc: null, clientId: null, peers: new Map(), saved: [] };
+
+  client.edit = (kind, action, id, fields) => {
+    const op = { kind, action, id, ...(fields ? { fields } : {}), clock: [client.doc.clock + 1, client.clientId] };
+    mapCrdt.applyOperation(client.doc, op);
+    socket.send(JSON.stringify({ type: 'op', op }));
+  };
+  client.presence = (cursor, selection) => {
+    socket.send(JSON.stringify({ type: 'presence', cursor, selection }));
+  };
+  client.graph = () => mapCrdt.toGraph(client.doc);
+  client.close = () => new Promise(resolve => {
+    socket.once('close', resolve);
+    socket.close();
+  });
+
+  return new Promise((resolve, reject) => {
+    socket.on('open', () => {
+      socket.send(JSON.stringify(shareToken ? { type: 'join', shareToken, name } : { type: 'join', mapId }));
+    });
+    socket.on('message', data => {
+      const message = JSON.parse(data.toString('utf8'));
+      switch (message.type) {
+        case 'welcome':
+          client.clientId = message.clientId;
+          client.doc = message.doc;
+          message.participants.forEach(peer => client.peers.set(peer.clientId, peer));
+          resolve(client);
+          break;
+        case 'reset':
+          client.doc = message.doc;
+          break;
+        case 'op':
+          mapCrdt.applyOperation(client.doc, message.op);
+          break;
+        case 'join':
+          client.peers.set(message.participant.clientId, message.participant);
+          break;
+        case 'leave':
+          client.peers.delete(message.clientId);
+          break;
+        case 'presence':
+          Object.assign(client.peers.get(message.clientId) || {}, { cursor: message.cursor, selection: message.selection });
+          break;
+        case 'saved':
+          client.saved.push(message.version);
+          break;
+        case 'error':
+          console.error(`[${name}] ${message.code}: ${message.error}`);
+          if (!client.doc) reject(new Error(message.error));
+          break;
+      }
+    });
+    socket.on('error', reject);
+  });
+}
+
+/**
+ * Grafo en un orden estable para comparar réplicas
+ */
+function canonical(graph) {
+  const byId = (a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+  return JSON.stringify({ nodes: [...graph.nodes].sort(byId), edges: [...graph.edges].sort(byId) });
+}
+
+async function main() {
+  const options = {
+    url: process.env.COLLAB_URL || `http://localhost:${config.server.port}`,
+    apiKey: process.env.COLLAB_API_KEY || null,
+    shareToken: process.env.COLLAB_SHARE_TOKEN || null,
+    mapId: process.argv[2]
+  };
+  if (!options.shareToken && (!options.apiKey || !options.mapId)) {
+    console.error('Uso: COLLAB_API_KEY=cmk_... npm run collab:demo -- <mapId>  (o COLLAB_SHARE_TOKEN=...)');
+    process.exit(2);
+  }
+
+  const ana = await connectClient('Ana', options);
+  const luis = await connectClient('Luis', options);
+  const [first, second, third] = ana.graph().nodes;
+  if (!second) {
+    throw new Error('El mapa necesita al menos dos conceptos para la demostración');
+  }
+  console.log(`Conectados: Ana (${ana.clientId.slice(0, 8)}) y Luis (${luis.clientId.slice(0, 8)}), ${ana.graph().nodes.length} conceptos`);
+
+  // Presencia: cursor y selección de cada uno
+  ana.presence({ x: 10, y: 20 }, { kind: 'node', id: first.id });
+  luis.presence({ x: -40, y: 5 }, { kind: 'node', id: second.id });
+
+  // Ediciones simultáneas: cada cliente aplica las suyas antes de recibir las del otro
+  ana.edit('concept', 'set', first.id, { name: `${first.label} (Ana)` });
+  luis.edit('concept', 'set', first.id, { name: `${first.label} (Luis)` });
+  ana.edit('concept', 'set', second.id, { x: 100, y: 200 });
+  luis.edit('concept', 'set', second.id, { name: `${second.label} revisado` });
+  ana.edit('concept', 'add', 'concept_demo_ana', { name: 'Concepto de Ana', x: 0, y: 300 });
+  luis.edit('relationship', 'add', 'relation_demo_luis', { source: second.id, target: first.id, type: 'causal', label: 'influye en' });
+  if (third) {
+    ana.edit('concept', 'remove', third.id);
+    luis.edit('relationship', 'add', 'relation_demo_third', { source: third.id, target: first.id, type: 'example', label: 'ilustra' });
+  }
+
+  await wait(SETTLE_MS);
+
+  const anaGraph = canonical(ana.graph());
+  const luisGraph = canonical(luis.graph());
+  const converged = anaGraph === luisGraph;
+  const renamed = ana.graph().nodes.find(node => node.id === first.id).label;
+
+  console.log(`Nombre final del primer concepto: "${renamed}"`);
+  console.log(`Ana ve el cursor de Luis en ${JSON.stringify(ana.peers.get(luis.clientId).cursor)}`);
+  console.log(`Luis ve la selección de Ana: ${JSON.stringify(luis.peers.get(ana.clientId).selection)}`);
+  console.log(converged ? 'Las dos réplicas convergen al mismo grafo' : 'Las réplicas NO convergen');
+
+  await ana.close();
+  await luis.close();
+  process.exit(converged ? 0 : 1);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Error en la demostración:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { connectClient };
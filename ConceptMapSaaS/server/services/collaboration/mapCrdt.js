@@ -0,0 +1,261 @@
+/**
+ * CRDT de los conceptos y relaciones de un mapa para la edición colaborativa
+ *
+ * Cada concepto y cada relación es un conjunto de registros "el último gana"
+ * (LWW): uno por campo y otro para la eliminación. Cada operación lleva un
+ * reloj de Lamport [contador, réplica] y un registro solo acepta valores con
+ * un reloj mayor que el suyo, de modo que todas las réplicas convergen al
+ * mismo estado sin importar el orden en que reciban las operaciones, y
+ * aplicar dos veces la misma operación no cambia nada.
+ *
+ * Reglas de los conflictos:
+ * - Dos cambios del mismo campo: gana el de reloj mayor.
+ * - Cambios de campos distintos: se conservan los dos.
+ * - Eliminar frente a editar: la eliminación se mantiene (editar no resucita).
+ * - Eliminar frente a volver a añadir: gana la operación de reloj mayor.
+ * - Una relación con un extremo eliminado deja de verse.
+ *
+ * El servidor y el navegador comparten este módulo (UMD): el servidor lo
+ * carga con require y el cliente desde /lib/mapCrdt.js (window.MapCrdt).
+ *
+ * Una operación tiene la forma:
+ * { kind: 'concept' | 'relationship', action: 'add' | 'set' | 'remove', id, fields, clock: [contador, réplica] }
+ */
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MapCrdt = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  const RELATION_TYPES = ['hierarchical', 'causal', 'sequential', 'descriptive', 'example', 'comparative'];
+
+  // Campos editables de cada tipo de elemento y su validación
+  const FIELDS = {
+    concept: {
+      name: value => typeof value === 'string' && value.trim() !== '' && value.length <= 200,
+      x: Number.isFinite,
+      y: Number.isFinite
+    },
+    relationship: {
+      source: value => typeof value === 'string' && value !== '',
+      target: value => typeof value === 'string' && value !== '',
+      type: value => RELATION_TYPES.includes(value),
+      label: value => typeof value === 'string' && value.length <= 200
+    }
+  };
+
+  const COLLECTIONS = { concept: 'concepts', relationship: 'relationships' };
+  const ACTIONS = ['add', 'set', 'remove'];
+
+  // Reloj de los datos iniciales: cualquier operación posterior lo supera
+  const INITIAL_CLOCK = [0, ''];
+
+  // Identificadores que, como clave de un objeto, alcanzarían su prototipo
+  const RESERVED_IDS = ['__proto__', 'constructor', 'prototype'];
+
+  /**
+   * Indica si una clave es propia del objeto (no heredada de su prototipo)
+   * @param {Object} object - Objeto
+   * @param {string} key - Clave
+   * @returns {boolean}
+   */
+  function has(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+  }
+
+  /**
+   * Comprueba un campo de un tipo de elemento
+   * @returns {boolean} - true si el campo existe y el valor es válido
+   */
+  function isValidField(kind, field, value) {
+    return has(FIELDS[kind], field) && FIELDS[kind][field](value);
+  }
+
+  /**
+   * Compara dos relojes de Lamport
+   * @param {Array} a - [contador, réplica]
+   * @param {Array} b - [contador, réplica]
+   * @returns {number} - Negativo si a es anterior, positivo si es posterior, 0 si son iguales
+   */
+  function compareClocks(a, b) {
+    if (a[0] !== b[0]) return a[0] - b[0];
+    return a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0;
+  }
+
+  /**
+   * Crea un documento vacío. Las colecciones no tienen prototipo, así que
+   * ningún identificador puede alcanzar Object.prototype
+   * @returns {Object} - { concepts, relationships, clock }
+   */
+  function createDocument() {
+    return { concepts: Object.create(null), relationships: Object.create(null), clock: 0 };
+  }
+
+  /**
+   * Crea el documento de un mapa a partir de su grafo
+   * @param {Object} graph - knowledgeGraph: { nodes: [{ id, label, x, y }], edges: [{ id, source, target, type, label }] }
+   * @returns {Object} - Documento con todos los elementos en el reloj inicial
+   */
+  function fromGraph(graph) {
+    const doc = createDocument();
+
+    graph.nodes.forEach(node => {
+      applyOperation(doc, {
+        kind: 'concept',
+        action: 'add',
+        id: String(node.id),
+        fields: pickFields('concept', { name: node.label, x: node.x, y: node.y }),
+        clock: INITIAL_CLOCK
+      });
+    });
+    graph.edges.forEach(edge => {
+      applyOperation(doc, {
+        kind: 'relationship',
+        action: 'add',
+        id: String(edge.id),
+        fields: pickFields('relationship', {
+          source: String(edge.source),
+          target: String(edge.target),
+          type: RELATION_TYPES.includes(edge.type) ? edge.type : 'descriptive',
+          label: edge.label || ''
+        }),
+        clock: INITIAL_CLOCK
+      });
+    });
+
+    return doc;
+  }
+
+  /**
+   * Conserva solo los campos válidos de un elemento
+   * @param {string} kind - concept | relationship
+   * @param {Object} fields - Campos propuestos
+   * @returns {Object}
+   */
+  function pickFields(kind, fields) {
+    const picked = {};
+    Object.entries(fields).forEach(([field, value]) => {
+      if (isValidField(kind, field, value)) picked[field] = value;
+    });
+    return picked;
+  }
+
+  /**
+   * Comprueba la forma de una operación recibida de un cliente
+   * @param {Object} op - Operación
+   * @returns {string|null} - Motivo del rechazo o null si es válida
+   */
+  function validateOperation(op) {
+    if (!op || typeof op !== 'object') return 'La operación debe ser un objeto';
+    if (!has(FIELDS, op.kind)) return 'Tipo de elemento desconocido (concept o relationship)';
+    if (!ACTIONS.includes(op.action)) return 'Acción desconocida (add, set o remove)';
+    if (typeof op.id !== 'string' || op.id === '' || op.id.length > 100 || RESERVED_IDS.includes(op.id)) {
+      return 'Identificador no válido';
+    }
+    if (!Array.isArray(op.clock) || !Number.isInteger(op.clock[0]) || op.clock[0] < 1) return 'Reloj no válido';
+
+    if (op.action !== 'remove') {
+      if (!op.fields || typeof op.fields !== 'object' || Object.keys(op.fields).length === 0) {
+        return 'La operación no tiene campos';
+      }
+      const invalid = Object.keys(op.fields).find(field => !isValidField(op.kind, field, op.fields[field]));
+      if (invalid) return `Campo no válido: ${invalid}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Asigna un valor a un registro si su reloj es posterior
+   * @returns {boolean} - true si el registro cambió
+   */
+  function assign(registers, key, value, clock) {
+    const current = has(registers, key) ? registers[key] : null;
+    if (current && compareClocks(clock, current.clock) <= 0) return false;
+    registers[key] = { value, clock: [clock[0], clock[1]] };
+    return true;
+  }
+
+  /**
+   * Aplica una operación al documento
+   * @param {Object} doc - Documento
+   * @param {Object} op - Operación ya validada
+   * @returns {boolean} - true si el documento cambió
+   */
+  function applyOperation(doc, op) {
+    const collection = doc[COLLECTIONS[op.kind]];
+    const element = has(collection, op.id) ?
+      collection[op.id] :
+      (collection[op.id] = { fields: Object.create(null), removed: null });
+    let changed = false;
+
+    if (op.action === 'remove') {
+      changed = assign(element, 'removed', true, op.clock);
+    } else {
+      if (op.action === 'add') {
+        changed = assign(element, 'removed', false, op.clock);
+      }
+      Object.entries(op.fields).forEach(([field, value]) => {
+        changed = assign(element.fields, field, value, op.clock) || changed;
+      });
+    }
+
+    doc.clock = Math.max(doc.clock, op.clock[0]);
+    return changed;
+  }
+
+  /**
+   * Valores actuales de los elementos visibles de una colección
+   * @returns {Array<Object>} - [{ id, ...campos }]
+   */
+  function visible(collection) {
+    return Object.entries(collection)
+      .filter(([, element]) => element.removed && element.removed.value === false)
+      .map(([id, element]) => {
+        const values = { id };
+        Object.entries(element.fields).forEach(([field, register]) => {
+          values[field] = register.value;
+        });
+        return values;
+      });
+  }
+
+  /**
+   * Grafo visible del documento, con la forma del knowledgeGraph
+   * @param {Object} doc - Documento
+   * @returns {Object} - { nodes: [{ id, label, x, y }], edges: [{ id, source, target, type, label }] }
+   */
+  function toGraph(doc) {
+    const nodes = visible(doc.concepts)
+      .filter(concept => typeof concept.name === 'string')
+      .map(concept => ({
+        id: concept.id,
+        label: concept.name,
+        x: concept.x,
+        y: concept.y
+      }));
+    const ids = new Set(nodes.map(node => node.id));
+    const edges = visible(doc.relationships)
+      .filter(rel => ids.has(rel.source) && ids.has(rel.target) && rel.source !== rel.target)
+      .map(rel => ({
+        id: rel.id,
+        source: rel.source,
+        target: rel.target,
+        type: rel.type || 'descriptive',
+        label: rel.label || ''
+      }));
+
+    return { nodes, edges };
+  }
+
+  return {
+    RELATION_TYPES,
+    compareClocks,
+    createDocument,
+    fromGraph,
+    validateOperation,
+    applyOperation,
+    toGraph
+  };
+});
@@ -0,0 +1,347 @@
+/**
+ * Servicio de edición colaborativa
+ *
+ * Mantiene una sala por mapa guardado con la réplica de referencia del CRDT
+ * de conceptos y relaciones (collaboration/mapCrdt.js) y sus participantes.
+ * Valida las operaciones de cada participante, las aplica y las reenvía al
+ * resto, difunde la presencia (cursor y selección) y guarda el mapa como una
+ * versión nueva poco después del último cambio y cuando sale el último
+ * participante. No conoce el transporte: cada participante aporta sus
+ * funciones send y close (ver controllers/collaborationController.js).
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const conceptMapService = require('./conceptMapService');
+const mapCrdt = require('./collaboration/mapCrdt');
+const { mapRepository } = require('../repositories');
+const { toPublicResult } = require('../utils/processing');
+const { AppError } = require('../utils/errors');
+
+// Colores de presencia, asignados por orden de llegada a la sala
+const COLORS = ['#e11d48', '#2563eb', '#16a34a', '#d97706', '#7c3aed', '#0891b2', '#db2777', '#65a30d'];
+
+const SELECTION_KINDS = ['node', 'edge'];
+
+/**
+ * Datos de presentación de los conceptos que el CRDT no edita (nivel y concepto principal)
+ * @param {Object} result - Resultado del mapa
+ * @returns {Object} - { [id]: { level, isMainConcept } }
+ */
+function conceptDetails(result) {
+  const details = {};
+  result.concepts.forEach(concept => {
+    details[concept.id] = { level: concept.level || 0, isMainConcept: Boolean(concept.isMainConcept) };
+  });
+  return details;
+}
+
+class CollaborationService {
+  constructor() {
+    this.rooms = new Map();
+  }
+
+  /**
+   * Une un participante a la sala de un mapa y le envía el estado actual
+   * @param {Object} map - Mapa guardado (ya comprobado el acceso)
+   * @param {Object} identity - { userId, name }
+   * @param {Object} transport - { send(message), close(code, reason) }
+   * @returns {Object} - Participante, para receive y leave
+   */
+  join(map, identity, transport) {
+    const room = this.rooms.get(map.id) || this._openRoom(map);
+    
+    if (room.participants.size >= config.collaboration.maxParticipants) {
+      throw new AppError('Hay demasiadas personas editando este mapa', 429, 'ROOM_FULL');
+    }
+    
+    const participant = {
+      id: crypto.randomUUID(),
+      mapId: map.id,
+      userId: identity.userId || null,
+      name: identity.name,
+      color: COLORS[room.joined++ % COLORS.length],
+      cursor: null,
+      selection: null,
+      send: transport.send,
+      close: transport.close
+    };
+    
+    const others = [...room.participants.values()].map(other => this._toPublicParticipant(other));
+    room.participants.set(participant.id, participant);
+    
+    participant.send({
+      type: 'welcome',
+      clientId: participant.id,
+      color: participant.color,
+      mapId: map.id,
+      title: room.title,
+      version: room.version,
+      doc: room.doc,
+      details: room.details,
+      participants: others
+    });
+    this._broadcast(room, { type: 'join', participant: this._toPublicParticipant(participant) }, participant.id);
+    
+    return participant;
+  }
+
+  /**
+   * Procesa un mensaje de un participante
+   * @param {Object} participant - Participante devuelto por join
+   * @param {Object} message - { type: 'op', op } | { type: 'presence', cursor, selection } | { type: 'save' }
+   * @returns {Promise|undefined}
+   */
+  receive(participant, message) {
+    const room = this.rooms.get(participant.mapId);
+    if (!room || !room.participants.has(participant.id)) return;
+    
+    switch (message && message.type) {
+      case 'op':
+        return this._applyOperation(room, participant, message.op);
+      case 'presence':
+        return this._updatePresence(room, participant, message);
+      case 'save':
+        return this.save(room, participant);
+      default:
+        throw new AppError('Tipo de mensaje desconocido (op, presence o save)', 400, 'UNKNOWN_MESSAGE');
+    }
+  }
+
+  /**
+   * Saca a un participante de su sala; al salir el último se guarda el mapa y se cierra la sala
+   * @param {Object} participant - Participante devuelto por join
+   * @returns {Promise}
+   */
+  async leave(participant) {
+    const room = this.rooms.get(participant.mapId);
+    if (!room || !room.participants.delete(participant.id)) return;
+    
+    this._broadcast(room, { type: 'leave', clientId: participant.id });
+    
+    if (room.participants.size === 0) {
+      await this.save(room);
+      // Si alguien entró mientras se guardaba, la sala sigue abierta
+      if (room.participants.size === 0 && this.rooms.get(room.mapId) === room) {
+        this.rooms.delete(room.mapId);
+      }
+    }
+  }
+
+  /**
+   * Guarda los cambios pendientes de una sala como una versión nueva del mapa
+   * @param {Object} room - Sala
+   * @param {Object} [requester] - Participante que pidió guardar; recibe la respuesta aunque no haya cambios
+   * @returns {Promise}
+   */
+  save(room, requester = null) {
+    clearTimeout(room.saveTimer);
+    room.saveTimer = null;
+    
+    // Los guardados de una sala se encadenan para no solaparse
+    room.saving = room.saving
+      .then(() => this._persist(room))
+      .then(saved => {
+        if (!saved && requester) {
+          requester.send({ type: 'saved', changed: false, version: room.version });
+        }
+      });
+    return room.saving;
+  }
+
+  /**
+   * Sustituye el estado de la sala de un mapa modificado fuera de la colaboración
+   * (guardado desde el editor clásico o versión restaurada)
+   * @param {Object} map - Mapa actualizado
+   */
+  reload(map) {
+    const room = this.rooms.get(map.id);
+    if (!room) return;
+    
+    const fresh = this._createRoomState(map);
+    Object.assign(room, fresh, { dirty: false });
+    clearTimeout(room.saveTimer);
+    room.saveTimer = null;
+    this._broadcast(room, { type: 'reset', title: room.title, version: room.version, doc: room.doc, details: room.details });
+  }
+
+  /**
+   * Cierra la sala de un mapa eliminado
+   * @param {string} mapId - Identificador del mapa
+   */
+  closeMap(mapId) {
+    const room = this.rooms.get(mapId);
+    if (room) {
+      this._closeRoom(room, new AppError('El mapa se ha eliminado', 410, 'MAP_DELETED'));
+    }
+  }
+
+  /**
+   * Crea la sala de un mapa a partir de su resultado guardado
+   * @param {Object} map - Mapa guardado
+   * @returns {Object} - Sala
+   */
+  _openRoom(map) {
+    const room = {
+      mapId: map.id,
+      participants: new Map(),
+      joined: 0,
+      dirty: false,
+      saveTimer: null,
+      saving: Promise.resolve(),
+      ...this._createRoomState(map)
+    };
+    
+    this.rooms.set(map.id, room);
+    return room;
+  }
+
+  /**
+   * Estado editable de un mapa: documento CRDT y datos de presentación
+   * @param {Object} map - Mapa guardado
+   * @returns {Object} - { title, version, doc, details }
+   */
+  _createRoomState(map) {
+    const graph = map.result.knowledgeGraph || conceptMapService.buildKnowledgeGraph(map.result);
+    
+    return {
+      title: map.title,
+      version: map.version || 1,
+      doc: mapCrdt.fromGraph(graph),
+      details: conceptDetails(map.result)
+    };
+  }
+
+  /**
+   * Aplica una operación de un participante y la reenvía al resto
+   */
+  _applyOperation(room, participant, op) {
+    const reason = mapCrdt.validateOperation(op);
+    if (reason) {
+      throw new AppError(reason, 400, 'INVALID_OPERATION');
+    }
+    
+    // La réplica del reloj es siempre la del participante, no la que declare el cliente
+    const stamped = {
+      kind: op.kind,
+      action: op.action,
+      id: op.id,
+      ...(op.action === 'remove' ? {} : { fields: op.fields }),
+      clock: [op.clock[0], participant.id]
+    };
+    
+    // Una operación repetida u obsoleta no cambia el documento y no se difunde
+    if (!mapCrdt.applyOperation(room.doc, stamped)) return;
+    
+    this._broadcast(room, { type: 'op', op: stamped }, participant.id);
+    room.dirty = true;
+    clearTimeout(room.saveTimer);
+    room.saveTimer = setTimeout(() => this.save(room), config.collaboration.saveDelayMs);
+  }
+
+  /**
+   * Registra el cursor y la selección de un participante y los difunde
+   */
+  _updatePresence(room, participant, message) {
+    const { cursor = null, selection = null } = message;
+    
+    if (cursor !== null && !(cursor && Number.isFinite(cursor.x) && Number.isFinite(cursor.y))) {
+      throw new AppError('El cursor debe ser { x, y } o null', 400, 'INVALID_PRESENCE');
+    }
+    if (selection !== null && !(selection && SELECTION_KINDS.includes(selection.kind) && typeof selection.id === 'string')) {
+      throw new AppError('La selección debe ser { kind: node | edge, id } o null', 400, 'INVALID_PRESENCE');
+    }
+    
+    participant.cursor = cursor && { x: cursor.x, y: cursor.y };
+    participant.selection = selection && { kind: selection.kind, id: selection.id };
+    this._broadcast(room, {
+      type: 'presence',
+      clientId: participant.id,
+      cursor: participant.cursor,
+      selection: participant.selection
+    }, participant.id);
+  }
+
+  /**
+   * Guarda el grafo del documento en el mapa si hay cambios pendientes
+   * @param {Object} room - Sala
+   * @returns {Promise<boolean>} - true si se guardó una versión
+   */
+  async _persist(room) {
+    if (!room.dirty) return false;
+    
+    try {
+      const map = await mapRepository.findById(room.mapId);
+      if (!map) {
+        this._closeRoom(room, new AppError('El mapa se ha eliminado', 410, 'MAP_DELETED'));
+        return false;
+      }
+      
+      // Los cambios que lleguen durante el guardado quedan pendientes para el siguiente
+      room.dirty = false;
+      const edited = conceptMapService.applyGraphEdits(map.result, mapCrdt.toGraph(room.doc));
+      const updated = await mapRepository.update(room.mapId, { result: toPublicResult(edited) }, { source: 'collaboration' });
+      
+      room.version = updated.version;
+      room.details = conceptDetails(edited);
+      this._broadcast(room, {
+        type: 'saved',
+        changed: true,
+        version: updated.version,
+        savedAt: updated.updatedAt,
+        details: room.details
+      });
+      return true;
+    } catch (error) {
+      console.error(`Error al guardar el mapa colaborativo ${room.mapId}:`, error);
+      room.dirty = true;
+      this._broadcast(room, { type: 'error', code: 'SAVE_FAILED', error: 'No se han podido guardar los cambios' });
+      return false;
+    }
+  }
+
+  /**
+   * Envía un mensaje a los participantes de una sala
+   * @param {Object} room - Sala
+   * @param {Object} message - Mensaje
+   * @param {string} [exceptId] - Participante que no lo recibe (el autor)
+   */
+  _broadcast(room, message, exceptId = null) {
+    room.participants.forEach(participant => {
+      if (participant.id !== exceptId) participant.send(message);
+    });
+  }
+
+  /**
+   * Cierra una sala y desconecta a sus participantes con un error
+   */
+  _closeRoom(room, error) {
+    clearTimeout(room.saveTimer);
+    room.saveTimer = null;
+    room.dirty = false;
+    this.rooms.delete(room.mapId);
+    
+    room.participants.forEach(participant => {
+      participant.send({ type: 'error', code: error.code, error: error.message });
+      participant.close(4000 + error.status, error.code);
+    });
+    room.participants.clear();
+  }
+
+  /**
+   * Datos de un participante visibles para el resto
+   */
+  _toPublicParticipant(participant) {
+    return {
+      clientId: participant.id,
+      name: participant.name,
+      color: participant.color,
+      cursor: participant.cursor,
+      selection: participant.selection
+    };
+  }
+}
+
+const collaborationService = new CollaborationService();
+
+module.exports = collaborationService;
@@ -6,20 +6,70 @@
  * descrita en la documentación.
  */
 
+const { llmProvider } = require('./llm');
+const { buildConceptMessages, buildRelationshipMessages, parseJsonList } = require('./llm/conceptPrompts');
+const { RELATION_CUES, DEFAULT_LABELS } = require('./nlp/relationCues');
+const { termPattern, splitSentences, findTermOccurrences } = require('./nlp/textUtils');
+const { extractTerms } = require('./nlp/termExtractor');
+const { lemmatize } = require('./nlp/lemmatizer');
+const { parseMarkdownStructure } = require('./nlp/markdownStructure');
+const { DEFAULT_LANGUAGE, getLanguagePack, isSupportedLanguage, detectLanguage } = require('./nlp/languages');
+const { createRandom } = require('../utils/random');
+const { resolveVisualStyle, getVisualStyle } = require('./visualStyles');
+const lexiconService = require('./lexiconService');
+const appConfig = require('../config');
+
+// Tipos de relación admitidos en todo el pipeline
+const RELATION_TYPES = ['hierarchical', 'causal', 'sequential', 'descriptive', 'example', 'comparative'];
+
+// Frases de enlace precompiladas, con el tipo y la orientación que indican
+const CUE_PATTERNS = RELATION_CUES.flatMap(cue =>
+  cue.phrases.map(phrase => ({ cue, phrase, pattern: termPattern(phrase) }))
+);
+
+// Confianza de una relación según la evidencia encontrada en el texto
+const CONFIDENCE = {
+  cueBetween: 0.9,      // frase de enlace entre las dos menciones
+  cueInSentence: 0.65,  // frase del tipo ya propuesto en otra parte de la oración
+  cooccurrence: 0.5,    // ambos conceptos en la misma oración, sin frase de enlace
+  structural: 0.3,      // sin oración común (relación deducida de la jerarquía)
+  markup: 0.95,         // anidamiento explícito del Markdown (título, lista)
+  extraSentence: 0.03,  // bonificación por cada oración adicional que confirma el tipo
+  max: 0.97
+};
+
+// Importancia inicial de los términos marcados en el Markdown
+const MARKUP_IMPORTANCE = {
+  definition: 0.85,
+  bold: 0.8,
+  list: 0.7
+};
+
 class ConceptMapService {
+  /**
+   * @param {LLMProvider|null} provider - Modelo de lenguaje para las etapas 1 y 2; null usa solo heurísticas
+   * @param {Object} lexicon - Glosarios locales de la etapa de enriquecimiento
+   */
+  constructor(provider = llmProvider, lexicon = lexiconService) {
+    this.llmProvider = provider;
+    this.lexicon = lexicon;
+  }
+
   /**
    * Procesa el texto y genera un mapa conceptual
    * @param {string} text - Texto de entrada
    * @param {Object} config - Configuración del procesamiento
+   * @param {Object} hooks - Callbacks de progreso opcionales
+   * @param {Function} [hooks.onStageStart] - Se invoca con (etapa) antes de ejecutar cada etapa
+   * @param {Function} [hooks.onStageComplete] - Se invoca con (etapa, stageResult) al terminar cada etapa
    * @returns {Object} - Resultado del procesamiento
    */
-  async processText(text, config = {}) {
+  async processText(text, config = {}, hooks = {}) {
     try {
       console.log('Iniciando procesamiento de texto...');
       
       // Configuración por defecto
       const defaultConfig = {
-        maxConcepts: 20,
         style: 'educational',
         stages: {
           organization: true,
@@ -36,6 +86,17 @@ class ConceptMapService {
       // Combinar configuración por defecto con la proporcionada
       config = { ...defaultConfig, ...config };
       
+      // El nivel de complejidad fija el número de conceptos, la profundidad, la poda y los nodos de detalle
+      const complexity = this.getComplexitySettings(config.complexity);
+      config = {
+        ...config,
+        complexity: complexity.level,
+        maxConcepts: config.maxConcepts || complexity.maxConcepts,
+        maxDepth: config.maxDepth === undefined ? complexity.maxDepth : config.maxDepth,
+        pruneRatio: complexity.pruneRatio,
+        detailNodes: complexity.detailNodes
+      };
+      
       // Objeto para almacenar el resultado
       const result = {
         concepts: [],
@@ -49,51 +110,141 @@ class ConceptMapService {
         }
       };
       
+      // Idioma del texto: el indicado en las opciones o el detectado
+      result.metadata.language = this.resolveLanguage(text, config.language);
+      result.metadata.visualStyle = resolveVisualStyle(config.style);
+      result.metadata.complexity = config.complexity;
+      const pack = getLanguagePack(result.metadata.language.code);
+      
+      // Toda elección aleatoria usa este generador; la semilla se devuelve para reproducir el mapa
+      const random = createRandom(config.seed);
+      result.metadata.seed = random.seed;
+      
+      // Registrar el plan aplicado y las etapas que desactivó
+      if (config.plan) {
+        result.metadata.plan = config.plan;
+      }
+      
+      // Contabilidad del modelo de lenguaje para este proceso
+      if (this.llmProvider) {
+        result.metadata.llm = {
+          provider: this.llmProvider.name,
+          model: this.llmProvider.model,
+          sources: {},
+          usage: { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+        };
+      }
+      
+      // Notificar inicio y fin de cada etapa a quien siga el progreso
+      const startStage = (stage) => {
+        if (typeof hooks.onStageStart === 'function') {
+          hooks.onStageStart(stage);
+        }
+      };
+      const completeStage = (stage) => {
+        if (typeof hooks.onStageComplete === 'function') {
+          hooks.onStageComplete(stage, result.metadata.stageResults[stage]);
+        }
+      };
+      
+      // Los textos largos se dividen en fragmentos por secciones y párrafos: las
+      // etapas 1 a 4 se aplican a cada uno y después se fusionan los mapas parciales
+      // Un mapa importado ya tiene su estructura y no se fragmenta
+      const chunks = config.imported ? [{ text, start: 0, end: text.length, headings: [] }] : this.splitIntoChunks(text);
+      const units = chunks.length > 1 ?
+        chunks.map(chunk => ({ text: chunk.text, result: this.createChunkResult(result) })) :
+        [{ text, result }];
+      const forEachUnit = async (step) => {
+        for (const unit of units) {
+          await step(unit);
+        }
+      };
+      const sumUnits = (read) => units.reduce((sum, unit) => sum + read(unit.result), 0);
+      const mergeUnits = async () => {
+        if (units.length > 1 && !result.metadata.chunking) {
+          await this.mergeChunkResults(units.map(unit => unit.result), chunks, result, text, config);
+        }
+      };
+      
+      // Mapa importado: sus conceptos, relaciones y jerarquía sustituyen a las etapas 1 y 2
+      if (config.imported) {
+        this.applyImportedMap(config.imported, result, pack);
+        result.metadata.stageResults.import = {
+          completedAt: new Date().toISOString(),
+          format: config.imported.format,
+          conceptsImported: result.concepts.length,
+          relationshipsImported: result.relationships.length
+        };
+      }
+      
       // Etapa 1: Organización y Jerarquización
-      if (config.stages.organization) {
+      if (config.stages.organization && !config.imported) {
+        startStage('organization');
         console.log('Ejecutando Etapa 1: Organización y Jerarquización');
-        await this.step1_OrganizeAndHierarchize(text, result);
+        await forEachUnit(unit => this.step1_OrganizeAndHierarchize(unit.text, unit.result, config));
         result.metadata.stageResults.organization = {
           completedAt: new Date().toISOString(),
-          conceptsExtracted: result.concepts.length
+          conceptsExtracted: sumUnits(unitResult => unitResult.concepts.length),
+          source: this.getStageSource(result, 'organization')
         };
+        completeStage('organization');
       }
       
       // Etapa 2: Análisis de Relaciones
-      if (config.stages.reasoning) {
+      if (config.stages.reasoning && !config.imported) {
+        startStage('reasoning');
         console.log('Ejecutando Etapa 2: Análisis de Relaciones');
-        await this.step2_AnalyzeRelationships(text, result);
+        await forEachUnit(unit => this.step2_AnalyzeRelationships(unit.text, unit.result));
         result.metadata.stageResults.reasoning = {
           completedAt: new Date().toISOString(),
-          relationshipsIdentified: result.relationships.length
+          relationshipsIdentified: sumUnits(unitResult => unitResult.relationships.length),
+          source: this.getStageSource(result, 'reasoning')
         };
+        completeStage('reasoning');
       }
       
       // Etapa 3: Enriquecimiento Semántico
       if (config.stages.enrichment) {
+        startStage('enrichment');
         console.log('Ejecutando Etapa 3: Enriquecimiento Semántico');
-        await this.step3_EnrichSemantically(text, result, config);
+        await forEachUnit(unit => this.step3_EnrichSemantically(unit.text, unit.result, config, random));
         result.metadata.stageResults.enrichment = {
           completedAt: new Date().toISOString(),
-          definitionsAdded: result.concepts.filter(c => c.definition).length,
-          examplesAdded: result.concepts.filter(c => c.examples && c.examples.length > 0).length
+          definitionsAdded: sumUnits(unitResult => unitResult.concepts.filter(c => c.definition && c.definitionSource !== 'placeholder').length),
+          placeholderDefinitions: sumUnits(unitResult => unitResult.concepts.filter(c => c.definitionSource === 'placeholder').length),
+          examplesAdded: sumUnits(unitResult => unitResult.concepts.filter(c => c.examples && c.examples.length > 0).length),
+          lexiconMatches: sumUnits(unitResult => unitResult.concepts.filter(c => c.lexicon).length)
         };
+        completeStage('enrichment');
       }
       
       // Etapa 4: Validación y Verificación
       if (config.stages.validation) {
+        startStage('validation');
         console.log('Ejecutando Etapa 4: Validación y Verificación');
-        await this.step4_VerifyAndValidate(result);
+        await forEachUnit(unit => this.step4_VerifyAndValidate(unit.result, config));
+        
+        // La coherencia se mide sobre el mapa ya fusionado
+        await mergeUnits();
+        if (units.length > 1) {
+          result.metadata.coherenceScore = this.calculateCoherenceScore(result.concepts, result.relationships);
+        }
+        
         result.metadata.stageResults.validation = {
           completedAt: new Date().toISOString(),
           coherenceScore: result.metadata.coherenceScore || 0,
-          conceptsRemoved: result.metadata.conceptsRemoved || 0,
-          relationshipsRemoved: result.metadata.relationshipsRemoved || 0
+          conceptsRemoved: sumUnits(unitResult => unitResult.metadata.conceptsRemoved || 0),
+          relationshipsRemoved: sumUnits(unitResult => unitResult.metadata.relationshipsRemoved || 0)
         };
+        completeStage('validation');
       }
       
+      // Fusionar los mapas parciales aunque no se haya validado
+      await mergeUnits();
+      
       // Etapa 5: Estética Adaptativa
       if (config.stages.aesthetics) {
+        startStage('aesthetics');
         console.log('Ejecutando Etapa 5: Estética Adaptativa');
         await this.step5_OptimizeVisualPresentation(result, config);
         result.metadata.stageResults.aesthetics = {
@@ -101,16 +252,19 @@ class ConceptMapService {
           visualStyle: config.style,
           formatAttributesApplied: result.concepts.filter(c => c.formatting).length
         };
+        completeStage('aesthetics');
       }
       
       // Etapa 6: Conclusión Descriptiva
       if (config.stages.conclusion) {
+        startStage('conclusion');
         console.log('Ejecutando Etapa 6: Conclusión Descriptiva');
-        result.metadata.summary = this.generateConceptualSummary(result);
+        result.metadata.summary = this.generateConceptualSummary(result, pack);
         result.metadata.stageResults.conclusion = {
           completedAt: new Date().toISOString(),
           summaryLength: result.metadata.summary.length
         };
+        completeStage('conclusion');
       }
       
       // Limitación de conceptos según configuración
@@ -134,8 +288,25 @@ class ConceptMapService {
         };
       }
       
+      // Reconectar la jerarquía tras la validación y la limitación de conceptos
+      if (result.hierarchy) {
+        result.hierarchy = this.pruneHierarchy(result.hierarchy, result.concepts);
+        
+        // Profundidad máxima del nivel de complejidad: los conceptos más profundos suben al último nivel permitido
+        if (config.maxDepth !== null) {
+          const deepConcepts = result.concepts.filter(concept => concept.level > config.maxDepth).length;
+          if (deepConcepts > 0) {
+            result.hierarchy = this.limitHierarchyDepth(result.hierarchy, result.concepts, config.maxDepth);
+            result.metadata.depthLimitApplied = { maxDepth: config.maxDepth, conceptsMoved: deepConcepts };
+          }
+        }
+      }
+      
       // Generar contenido del mapa en formato educativo
-      result.content = this.generateEducationalConceptMap(result, config);
+      result.content = this.generateEducationalConceptMap(result, config, pack);
+      
+      // Grafo para el editor interactivo
+      result.knowledgeGraph = this.buildKnowledgeGraph(result);
       
       // Actualización de metadatos
       result.metadata.conceptCount = result.concepts.length;
@@ -150,160 +321,892 @@ class ConceptMapService {
     }
   }
 
+  /**
+   * Procesa un mapa importado (CXL, OPML, FreeMind o Mermaid): conserva sus
+   * conceptos, relaciones y jerarquía y aplica las etapas 3 a 6. El texto del
+   * proceso se compone a partir del propio mapa para detectar el idioma y
+   * extraer los atributos de los conceptos.
+   * @param {Object} map - Resultado de importService.parse
+   * @param {Object} config - Configuración del procesamiento
+   * @param {Object} hooks - Callbacks de progreso opcionales (ver processText)
+   * @returns {Object} - Resultado del procesamiento
+   */
+  async processImportedMap(map, config = {}, hooks = {}) {
+    const text = this.describeImportedMap(map);
+    return this.processText(text, { ...config, imported: map }, hooks);
+  }
+  
+  /**
+   * Redacta un mapa importado como Markdown: un título por concepto según su
+   * profundidad, su definición y una oración por cada relación que parte de él
+   * @param {Object} map - { concepts, relationships, parents, rootId }
+   * @returns {string}
+   */
+  describeImportedMap(map) {
+    const byId = new Map(map.concepts.map(c => [c.id, c]));
+    const children = new Map(map.concepts.map(c => [c.id, []]));
+    map.concepts.forEach(concept => {
+      const parentId = map.parents.get(concept.id);
+      if (parentId && children.has(parentId)) children.get(parentId).push(concept);
+    });
+    
+    const blocks = [];
+    const visited = new Set();
+    const describe = (concept, depth) => {
+      if (visited.has(concept.id)) return;
+      visited.add(concept.id);
+      
+      const lines = [`${'#'.repeat(Math.min(depth + 1, 6))} ${concept.name}`];
+      if (concept.definition) lines.push('', concept.definition);
+      const sentences = map.relationships
+        .filter(rel => rel.source === concept.id && rel.label && byId.has(rel.target))
+        .map(rel => `${concept.name} ${rel.label} ${byId.get(rel.target).name}.`);
+      if (sentences.length > 0) lines.push('', sentences.join(' '));
+      blocks.push(lines.join('\n'));
+      
+      children.get(concept.id).forEach(child => describe(child, depth + 1));
+    };
+    describe(byId.get(map.rootId), 0);
+    
+    return blocks.join('\n\n');
+  }
+  
+  /**
+   * Carga en el resultado los conceptos, relaciones y jerarquía de un mapa importado.
+   * La importancia depende de la profundidad y las relaciones sin etiqueta
+   * reciben la de su tipo en el idioma del proceso.
+   * @param {Object} map - Resultado de importService.parse
+   * @param {Object} result - Resultado en construcción
+   * @param {Object} pack - Paquete del idioma del proceso
+   */
+  applyImportedMap(map, result, pack) {
+    result.concepts = map.concepts.map(concept => ({ ...concept, examples: [...(concept.examples || [])], frequency: 1 }));
+    result.hierarchy = this.buildHierarchyTree(result.concepts, map.parents, map.rootId);
+    
+    result.concepts.forEach(concept => {
+      concept.importance = concept.isMainConcept ? 1.0 : Number(Math.max(0.5, 1 - concept.level * 0.15).toFixed(2));
+    });
+    
+    result.relationships = map.relationships.map(rel => ({
+      ...rel,
+      label: rel.label || pack.relationLabels[DEFAULT_LABELS[rel.type]]
+    }));
+  }
+  
+  /**
+   * Construye el grafo que edita la interfaz: un nodo por concepto y una
+   * arista por relación, con las posiciones guardadas en el editor
+   * @param {Object} result - Resultado del mapa
+   * @param {Map} [positions] - id → { x, y } de los nodos colocados a mano
+   * @returns {Object} - { nodes, edges, metadata }
+   */
+  buildKnowledgeGraph(result, positions = new Map()) {
+    const nodes = result.concepts.map(concept => ({
+      id: concept.id,
+      label: concept.name,
+      level: concept.level || 0,
+      parentId: concept.parentId || null,
+      category: concept.category || null,
+      importance: concept.importance || 0,
+      isMainConcept: Boolean(concept.isMainConcept),
+      definition: concept.definition || null,
+      ...(positions.get(concept.id) || {})
+    }));
+    
+    const edges = result.relationships.map(rel => ({
+      id: rel.id,
+      source: rel.source,
+      target: rel.target,
+      label: rel.label || '',
+      type: rel.type,
+      strength: rel.strength || 0
+    }));
+    
+    const maxRelations = (nodes.length * (nodes.length - 1)) / 2;
+    return {
+      nodes,
+      edges,
+      metadata: {
+        conceptCount: nodes.length,
+        relationshipCount: edges.length,
+        hierarchicalDepth: Math.max(0, ...nodes.map(node => node.level)),
+        semanticDensity: maxRelations > 0 ? Number((edges.length / maxRelations).toFixed(3)) : 0,
+        relationTypes: RELATION_TYPES
+      }
+    };
+  }
+  
+  /**
+   * Aplica al mapa los cambios hechos en el editor: conceptos añadidos,
+   * renombrados o eliminados y relaciones nuevas, con otra etiqueta o con
+   * otro tipo. La jerarquía se conserva; los conceptos nuevos cuelgan del
+   * origen de su primera relación (o de la raíz) y el contenido Mermaid se
+   * vuelve a generar.
+   * @param {Object} result - Resultado del mapa antes de editarlo
+   * @param {Object} graph - knowledgeGraph editado ({ nodes, edges })
+   * @returns {Object} - Nuevo resultado del mapa
+   */
+  applyGraphEdits(result, graph) {
+    const metadata = { ...(result.metadata || {}) };
+    const pack = getLanguagePack(this.getResultLanguage({ metadata }));
+    const previousConcepts = new Map(result.concepts.map(c => [c.id, c]));
+    const previousRelationships = new Map(result.relationships.map(rel => [rel.id, rel]));
+    
+    // Conceptos: se conservan los datos de los existentes y se crean los nuevos
+    const positions = new Map();
+    const concepts = [];
+    graph.nodes.forEach(node => {
+      const name = String(node.label || '').replace(/\s+/g, ' ').trim();
+      if (!name || concepts.some(c => c.id === node.id)) return;
+      
+      const previous = previousConcepts.get(node.id);
+      concepts.push(previous ?
+        { ...previous, name, ...(previous.name !== name ? { originalForm: name, edited: true } : {}) } :
+        { id: String(node.id), name, originalForm: name, definition: null, examples: [], relatedTerms: [], edited: true });
+      if (Number.isFinite(node.x) && Number.isFinite(node.y)) {
+        positions.set(String(node.id), { x: Math.round(node.x), y: Math.round(node.y) });
+      }
+    });
+    const conceptIds = new Set(concepts.map(c => c.id));
+    
+    // Relaciones entre conceptos existentes; una etiqueta vacía toma la de su tipo
+    const relationships = [];
+    graph.edges.forEach((edge, index) => {
+      if (!conceptIds.has(edge.source) || !conceptIds.has(edge.target) || edge.source === edge.target) return;
+      
+      const type = RELATION_TYPES.includes(edge.type) ? edge.type : 'descriptive';
+      const label = String(edge.label || '').trim() || pack.relationLabels[DEFAULT_LABELS[type]];
+      const id = edge.id && !relationships.some(rel => rel.id === edge.id) ? String(edge.id) : `relation_edit_${index + 1}`;
+      const previous = previousRelationships.get(id);
+      const changed = !previous || previous.source !== edge.source || previous.target !== edge.target ||
+                      previous.type !== type || (previous.label || '') !== label;
+      relationships.push(previous && !changed ?
+        previous :
+        { ...(previous || { strength: 1, confidence: 1 }), id, source: edge.source, target: edge.target, type, label, edited: true });
+    });
+    
+    // Jerarquía: padres conocidos y, para los conceptos nuevos, el origen de su primera relación
+    const parents = { ...((result.hierarchy && result.hierarchy.parents) || {}) };
+    result.concepts.forEach(concept => {
+      if (!(concept.id in parents)) parents[concept.id] = concept.parentId || null;
+    });
+    // Un concepto nuevo solo cuelga de otro ya colocado, para no formar ciclos
+    const placed = new Set(concepts.filter(c => previousConcepts.has(c.id)).map(c => c.id));
+    let pending = concepts.filter(c => !placed.has(c.id));
+    let progress = true;
+    while (pending.length > 0 && progress) {
+      progress = false;
+      pending = pending.filter(concept => {
+        const linked = rel => (rel.target === concept.id && placed.has(rel.source)) || (rel.source === concept.id && placed.has(rel.target));
+        const rel = relationships.find(r => linked(r) && r.type === 'hierarchical' && r.target === concept.id) ||
+                    relationships.find(r => linked(r) && r.target === concept.id) ||
+                    relationships.find(linked);
+        if (!rel) return true;
+        parents[concept.id] = rel.target === concept.id ? rel.source : rel.target;
+        placed.add(concept.id);
+        progress = true;
+        return false;
+      });
+    }
+    pending.forEach(concept => {
+      parents[concept.id] = null;
+    });
+    
+    const edited = { ...result, concepts, relationships, metadata };
+    if (concepts.length > 0) {
+      // El concepto principal sigue siendo la raíz mientras exista
+      const mainConcept = concepts.find(c => c.isMainConcept) || concepts.find(c => !parents[c.id]) || concepts[0];
+      edited.hierarchy = this.pruneHierarchy({ rootId: mainConcept.id, parents: { ...parents, [mainConcept.id]: null } }, concepts);
+      concepts.forEach(concept => {
+        concept.isMainConcept = concept.id === edited.hierarchy.rootId;
+        if (!previousConcepts.has(concept.id)) {
+          concept.importance = Number(Math.max(0.5, 1 - concept.level * 0.15).toFixed(2));
+        }
+      });
+    } else {
+      edited.hierarchy = null;
+    }
+    
+    edited.content = concepts.length > 0 ? this.generateEducationalConceptMap(edited, {}, pack) : '';
+    edited.knowledgeGraph = this.buildKnowledgeGraph(edited, positions);
+    metadata.conceptCount = concepts.length;
+    metadata.relationshipCount = relationships.length;
+    metadata.editedAt = new Date().toISOString();
+    
+    return edited;
+  }
+  
+  /**
+   * Compara dos versiones de un mapa: conceptos añadidos, eliminados o
+   * renombrados, definiciones cambiadas y relaciones añadidas, eliminadas o
+   * con otro tipo. Los conceptos se emparejan por id mientras el nombre no
+   * delate que el id pasó a otro concepto (al regenerar un mapa los ids se
+   * reasignan), después por nombre idéntico y, por último, por similitud de
+   * nombre con calculateStringSimilarity. Las relaciones se emparejan por sus
+   * extremos, traducidos a los ids de la versión nueva.
+   * @param {Object} before - Resultado de la versión anterior
+   * @param {Object} after - Resultado de la versión nueva
+   * @returns {Object} - { concepts: { added, removed, renamed, definitionChanged }, relationships: { added, removed, retyped }, summary }
+   */
+  diffResults(before, after) {
+    const normalize = name => String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    const threshold = appConfig.conceptMap.versions.renameSimilarity;
+    const beforeConcepts = before.concepts || [];
+    const afterConcepts = after.concepts || [];
+    const afterById = new Map(afterConcepts.map(c => [c.id, c]));
+    const matches = new Map(); // id anterior -> { concept nuevo, criterio, similitud }
+    const matchedAfter = new Set();
+    const match = (previous, current, matchedBy, similarity) => {
+      matches.set(previous.id, { concept: current, matchedBy, similarity: Number(similarity.toFixed(3)) });
+      matchedAfter.add(current.id);
+    };
+    
+    // 1. Mismo id y mismo nombre
+    beforeConcepts.forEach(previous => {
+      const current = afterById.get(previous.id);
+      if (current && normalize(current.name) === normalize(previous.name)) match(previous, current, 'id', 1);
+    });
+    
+    // 2. Mismo nombre con otro id (mapa regenerado)
+    beforeConcepts.forEach(previous => {
+      if (matches.has(previous.id)) return;
+      const current = afterConcepts.find(c => !matchedAfter.has(c.id) && normalize(c.name) === normalize(previous.name));
+      if (current) match(previous, current, 'name', 1);
+    });
+    
+    // 3. Mismo id con otro nombre: un concepto renombrado en el editor
+    beforeConcepts.forEach(previous => {
+      const current = afterById.get(previous.id);
+      if (!matches.has(previous.id) && current && !matchedAfter.has(current.id)) {
+        match(previous, current, 'id', this.calculateStringSimilarity(normalize(previous.name), normalize(current.name)));
+      }
+    });
+    
+    // 4. Nombres parecidos, de la pareja más similar a la menos
+    const candidates = [];
+    beforeConcepts.filter(previous => !matches.has(previous.id)).forEach(previous => {
+      afterConcepts.filter(c => !matchedAfter.has(c.id)).forEach(current => {
+        const similarity = this.calculateStringSimilarity(normalize(previous.name), normalize(current.name));
+        if (similarity >= threshold) candidates.push({ previous, current, similarity });
+      });
+    });
+    candidates
+      .sort((a, b) => b.similarity - a.similarity)
+      .forEach(({ previous, current, similarity }) => {
+        if (!matches.has(previous.id) && !matchedAfter.has(current.id)) {
+          match(previous, current, 'similarity', similarity);
+        }
+      });
+    
+    const conceptRef = concept => ({ id: concept.id, name: concept.name });
+    const concepts = {
+      added: afterConcepts.filter(c => !matchedAfter.has(c.id)).map(conceptRef),
+      removed: beforeConcepts.filter(c => !matches.has(c.id)).map(conceptRef),
+      renamed: [],
+      definitionChanged: []
+    };
+    beforeConcepts.forEach(previous => {
+      const found = matches.get(previous.id);
+      if (!found) return;
+      const current = found.concept;
+      
+      if (previous.name !== current.name) {
+        concepts.renamed.push({
+          id: current.id,
+          previousId: previous.id,
+          before: previous.name,
+          after: current.name,
+          matchedBy: found.matchedBy,
+          similarity: found.similarity
+        });
+      }
+      if ((previous.definition || null) !== (current.definition || null)) {
+        concepts.definitionChanged.push({ id: current.id, name: current.name, before: previous.definition || null, after: current.definition || null });
+      }
+    });
+    
+    // Relaciones: los extremos anteriores se traducen a ids nuevos; varias entre
+    // los mismos conceptos se emparejan en orden
+    const afterNames = new Map(afterConcepts.map(c => [c.id, c.name]));
+    const beforeNames = new Map(beforeConcepts.map(c => [c.id, c.name]));
+    const relationRef = (rel, names) => ({
+      id: rel.id,
+      source: rel.source,
+      target: rel.target,
+      sourceName: names.get(rel.source) || rel.source,
+      targetName: names.get(rel.target) || rel.target,
+      type: rel.type,
+      label: rel.label || ''
+    });
+    const pending = new Map();
+    (after.relationships || []).forEach(rel => {
+      const key = `${rel.source}\u0000${rel.target}`;
+      if (!pending.has(key)) pending.set(key, []);
+      pending.get(key).push(rel);
+    });
+    
+    const relationships = { added: [], removed: [], retyped: [] };
+    (before.relationships || []).forEach(rel => {
+      const source = matches.get(rel.source);
+      const target = matches.get(rel.target);
+      const candidates = source && target ? pending.get(`${source.concept.id}\u0000${target.concept.id}`) || [] : [];
+      const index = Math.max(0, candidates.findIndex(current => current.type === rel.type));
+      const current = candidates.splice(index, 1)[0];
+      
+      if (!current) {
+        relationships.removed.push(relationRef(rel, beforeNames));
+      } else if (current.type !== rel.type) {
+        relationships.retyped.push({
+          ...relationRef(current, afterNames),
+          before: { type: rel.type, label: rel.label || '' },
+          after: { type: current.type, label: current.label || '' }
+        });
+      }
+    });
+    pending.forEach(rels => rels.forEach(rel => relationships.added.push(relationRef(rel, afterNames))));
+    
+    return {
+      concepts,
+      relationships,
+      summary: {
+        conceptsAdded: concepts.added.length,
+        conceptsRemoved: concepts.removed.length,
+        conceptsRenamed: concepts.renamed.length,
+        definitionsChanged: concepts.definitionChanged.length,
+        relationshipsAdded: relationships.added.length,
+        relationshipsRemoved: relationships.removed.length,
+        relationshipsRetyped: relationships.retyped.length
+      }
+    };
+  }
+  
+  /**
+   * Ejecuta una petición al modelo de lenguaje y registra su consumo.
+   * Si no hay proveedor o la petición falla, devuelve null para usar la heurística.
+   * @param {Object} result - Resultado en construcción
+   * @param {string} stage - Etapa que hace la petición
+   * @param {Function} request - Recibe el proveedor y devuelve una promesa con { value, usage }
+   * @returns {Promise<*>} - Valor obtenido del modelo, o null
+   */
+  async runWithLLM(result, stage, request) {
+    if (!this.llmProvider) {
+      return null;
+    }
+    
+    try {
+      const { value, usage } = await request(this.llmProvider);
+      const totals = result.metadata.llm.usage;
+      totals.requests++;
+      totals.promptTokens += usage.promptTokens;
+      totals.completionTokens += usage.completionTokens;
+      totals.totalTokens += usage.totalTokens;
+      
+      if (value && value.length > 0) {
+        result.metadata.llm.sources[stage] = 'llm';
+        return value;
+      }
+      
+      console.warn(`El modelo no devolvió resultados para la etapa ${stage}; se usa el análisis heurístico`);
+    } catch (error) {
+      console.warn(`Fallo del modelo en la etapa ${stage}; se usa el análisis heurístico:`, error.message);
+      result.metadata.llm.errors = [...(result.metadata.llm.errors || []), { stage, message: error.message }];
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Indica si una etapa se resolvió con el modelo de lenguaje o con heurísticas
+   * @param {Object} result - Resultado del proceso
+   * @param {string} stage - Nombre de la etapa
+   * @returns {string} - 'llm' o 'heuristic'
+   */
+  getStageSource(result, stage) {
+    return result.metadata.llm && result.metadata.llm.sources[stage] === 'llm' ? 'llm' : 'heuristic';
+  }
+  
+  /**
+   * Determina el idioma del proceso
+   * @param {string} text - Texto de entrada
+   * @param {string} [requested] - Idioma pedido en las opciones ('es', 'en'); otro valor o ninguno activa la detección
+   * @returns {Object} - { code, source: 'option' | 'detected', confidence }
+   */
+  resolveLanguage(text, requested) {
+    if (isSupportedLanguage(requested)) {
+      return { code: requested, source: 'option', confidence: 1 };
+    }
+    
+    const { language, confidence } = detectLanguage(text);
+    return { code: language, source: 'detected', confidence };
+  }
+  
+  /**
+   * Ajustes de un nivel de complejidad (config.conceptMap.complexity)
+   * @param {number|string} [level] - Nivel de 1 a 5; otro valor o ninguno usa el nivel por defecto
+   * @returns {Object} - { level, maxConcepts, maxDepth, pruneRatio, detailNodes }
+   */
+  getComplexitySettings(level) {
+    const { defaultLevel, levels } = appConfig.conceptMap.complexity;
+    const requested = Number(level);
+    const key = Number.isInteger(requested) && levels[requested] ? requested : defaultLevel;
+    return { level: key, ...levels[key] };
+  }
+  
+  /**
+   * Código de idioma de un resultado en construcción
+   * @param {Object} result - Resultado del proceso
+   * @returns {string} - Código ISO 639-1
+   */
+  getResultLanguage(result) {
+    return (result.metadata.language && result.metadata.language.code) || DEFAULT_LANGUAGE;
+  }
+  
+  /**
+   * Divide un texto largo en fragmentos de config.conceptMap.chunking.maxChunkChars
+   * como máximo. Corta entre párrafos y, si el fragmento ya está medio lleno,
+   * antes de un título; un párrafo demasiado largo se corta entre oraciones.
+   * Cada fragmento empieza con los títulos de las secciones en las que está,
+   * para que conserve su lugar en la estructura del documento.
+   * @param {string} text - Texto original
+   * @param {number} [maxChars] - Longitud máxima de un fragmento
+   * @returns {Array<Object>} - { text, start, end, headings }; un solo fragmento si el texto es corto
+   */
+  splitIntoChunks(text, maxChars = appConfig.conceptMap.chunking.maxChunkChars) {
+    if (text.length <= maxChars) {
+      return [{ text, start: 0, end: text.length, headings: [] }];
+    }
+    
+    const { headings } = parseMarkdownStructure(text);
+    const headingStarts = new Set(headings.map(heading => heading.start));
+    
+    // Límites entre párrafos y al comienzo de cada título
+    const boundaries = new Set([0, text.length, ...headingStarts]);
+    for (const match of text.matchAll(/\n[ \t]*\n\s*/g)) {
+      boundaries.add(match.index + match[0].length);
+    }
+    const sorted = [...boundaries].sort((a, b) => a - b);
+    
+    // Unidades indivisibles; las que no caben se cortan entre oraciones (o a la fuerza)
+    const units = [];
+    sorted.slice(0, -1).forEach((start, index) => {
+      const end = sorted[index + 1];
+      let cursor = start;
+      while (end - cursor > maxChars) {
+        const window = text.slice(cursor, cursor + maxChars);
+        const sentenceEnds = [...window.matchAll(/[.!?;](?=\s)/g)];
+        const cut = sentenceEnds.length > 0 ? sentenceEnds[sentenceEnds.length - 1].index + 1 : maxChars;
+        units.push({ start: cursor, end: cursor + cut });
+        cursor += cut;
+      }
+      units.push({ start: cursor, end });
+    });
+    
+    const minSectionChunk = maxChars * appConfig.conceptMap.chunking.sectionBreakRatio;
+    const ranges = [];
+    let current = null;
+    units.forEach(unit => {
+      if (current) {
+        const overflows = unit.end - current.start > maxChars;
+        const opensSection = headingStarts.has(unit.start) && current.end - current.start >= minSectionChunk;
+        if (overflows || opensSection) {
+          ranges.push(current);
+          current = null;
+        }
+      }
+      current = current ? { start: current.start, end: unit.end } : { ...unit };
+    });
+    ranges.push(current);
+    
+    return ranges
+      .filter(range => text.slice(range.start, range.end).trim())
+      .map(range => {
+        // Títulos de las secciones abiertas donde empieza el fragmento
+        const open = headings.filter(heading => heading.start < range.start && range.start < heading.end);
+        const context = open.map(heading => `${'#'.repeat(heading.depth)} ${heading.title}`).join('\n');
+        const body = text.slice(range.start, range.end).trim();
+        return {
+          text: context ? `${context}\n\n${body}` : body,
+          start: range.start,
+          end: range.end,
+          headings: open.map(heading => heading.title)
+        };
+      });
+  }
+  
+  /**
+   * Crea el resultado parcial de un fragmento; comparte idioma, semilla y
+   * contabilidad del modelo de lenguaje con el resultado principal
+   * @param {Object} result - Resultado principal
+   * @returns {Object} - Resultado vacío del fragmento
+   */
+  createChunkResult(result) {
+    return {
+      concepts: [],
+      relationships: [],
+      metadata: {
+        language: result.metadata.language,
+        seed: result.metadata.seed,
+        llm: result.metadata.llm,
+        stageResults: {}
+      }
+    };
+  }
+  
+  /**
+   * Fusiona los mapas parciales de los fragmentos en el resultado principal:
+   * unifica los conceptos duplicados (calculateStringSimilarity o mismo lema),
+   * conserva las relaciones de todos los fragmentos, busca relaciones entre
+   * conceptos que nunca coincidieron en un fragmento y une las jerarquías
+   * bajo el concepto principal del primer fragmento
+   * @param {Array<Object>} chunkResults - Resultados parciales, en orden del documento
+   * @param {Array<Object>} chunks - Fragmentos de splitIntoChunks
+   * @param {Object} result - Resultado principal
+   * @param {string} text - Texto completo
+   * @param {Object} config - Configuración del procesamiento
+   * @returns {Promise<Object>} - Resultado principal con conceptos, relaciones y jerarquía fusionados
+   */
+  async mergeChunkResults(chunkResults, chunks, result, text, config = {}) {
+    const settings = appConfig.conceptMap.chunking;
+    const language = this.getResultLanguage(result);
+    const concepts = [];
+    const idMaps = chunkResults.map(() => new Map());
+    
+    // 1. Conceptos: cada uno se une al primer concepto fusionado equivalente
+    chunkResults.forEach((chunk, chunkIndex) => {
+      chunk.concepts.forEach(concept => {
+        const name = concept.name.toLowerCase().trim();
+        const match = concepts.find(existing =>
+          (concept.lemma && existing.lemma === concept.lemma) ||
+          this.calculateStringSimilarity(existing.name.toLowerCase().trim(), name) >= settings.mergeSimilarity
+        );
+        
+        if (match) {
+          this.mergeConceptInto(match, concept, chunkIndex);
+          idMaps[chunkIndex].set(concept.id, match.id);
+          return;
+        }
+        
+        const merged = {
+          ...concept,
+          id: `concept_${concepts.length + 1}`,
+          examples: [...(concept.examples || [])],
+          relatedTerms: [...(concept.relatedTerms || [])],
+          chunks: [chunkIndex]
+        };
+        concepts.push(merged);
+        idMaps[chunkIndex].set(concept.id, merged.id);
+      });
+    });
+    
+    // Referencias internas de cada fragmento a los identificadores fusionados
+    chunkResults.forEach((chunk, chunkIndex) => chunk.concepts.forEach(concept => {
+      const merged = concepts.find(c => c.id === idMaps[chunkIndex].get(concept.id));
+      if (concept.structuralParent && merged.chunks[0] === chunkIndex) {
+        merged.structuralParent = idMaps[chunkIndex].get(concept.structuralParent) || null;
+      }
+    }));
+    
+    // 2. Relaciones: la de más confianza representa a cada par de conceptos
+    const relationsByPair = new Map();
+    chunkResults.forEach((chunk, chunkIndex) => chunk.relationships.forEach(rel => {
+      const source = idMaps[chunkIndex].get(rel.source);
+      const target = idMaps[chunkIndex].get(rel.target);
+      if (!source || !target || source === target) return;
+      
+      const key = [source, target].sort().join('|');
+      const existing = relationsByPair.get(key);
+      if (!existing) {
+        relationsByPair.set(key, { ...rel, source, target, chunks: [chunkIndex] });
+      } else {
+        const chunkList = [...new Set([...existing.chunks, chunkIndex])];
+        const best = (rel.confidence || 0) > (existing.confidence || 0) ? { ...rel, source, target } : existing;
+        relationsByPair.set(key, { ...best, strength: Math.max(existing.strength || 0, rel.strength || 0), chunks: chunkList });
+      }
+    }));
+    
+    // 3. Relaciones entre conceptos que nunca coincidieron en un mismo fragmento, buscadas en el texto completo
+    let crossChunk = [];
+    if (config.stages && config.stages.reasoning && concepts.length > 1) {
+      const byId = new Map(concepts.map(c => [c.id, c]));
+      const candidates = (await this.detectConceptRelationships(concepts, text, language)).filter(rel => {
+        const key = [rel.source, rel.target].sort().join('|');
+        const shareChunk = byId.get(rel.source).chunks.some(index => byId.get(rel.target).chunks.includes(index));
+        return !relationsByPair.has(key) && !shareChunk;
+      });
+      crossChunk = (await this.classifyRelationshipTypes(candidates, concepts, text, { language }))
+        .map(rel => ({ ...rel, crossChunk: true }));
+    }
+    
+    const relationshipsBeforeMerge = chunkResults.reduce((sum, chunk) => sum + chunk.relationships.length, 0);
+    const relationships = [...relationsByPair.values(), ...crossChunk]
+      .map((rel, index) => ({ ...rel, id: `relation_${index + 1}` }));
+    
+    // 4. Jerarquía: cada concepto conserva el padre del primer fragmento donde aparece;
+    // la raíz de cada fragmento cuelga de la raíz del primero
+    const firstWithHierarchy = chunkResults.findIndex(chunk => chunk.hierarchy && chunk.hierarchy.rootId);
+    result.concepts = concepts;
+    result.relationships = relationships;
+    
+    if (firstWithHierarchy !== -1) {
+      const rootId = idMaps[firstWithHierarchy].get(chunkResults[firstWithHierarchy].hierarchy.rootId);
+      const parents = new Map([[rootId, null]]);
+      const isAncestor = (ancestorId, id) => {
+        for (let current = id; current; current = parents.get(current)) {
+          if (current === ancestorId) return true;
+        }
+        return false;
+      };
+      
+      chunkResults.forEach((chunk, chunkIndex) => {
+        if (!chunk.hierarchy || !chunk.hierarchy.tree) return;
+        
+        // Recorrido en anchura: el padre siempre se coloca antes que sus hijos
+        const queue = [chunk.hierarchy.tree];
+        while (queue.length > 0) {
+          const node = queue.shift();
+          queue.push(...node.children);
+          
+          const id = idMaps[chunkIndex].get(node.id);
+          if (!id || parents.has(id)) continue;
+          
+          const localParent = chunk.hierarchy.parents[node.id];
+          const parent = localParent ? idMaps[chunkIndex].get(localParent) : rootId;
+          // Un concepto unificado no puede colgar de uno de sus descendientes
+          parents.set(id, parent && parent !== id && !isAncestor(id, parent) ? parent : rootId);
+        }
+      });
+      
+      concepts.forEach(concept => {
+        if (!parents.has(concept.id)) parents.set(concept.id, rootId);
+        concept.isMainConcept = concept.id === rootId;
+      });
+      result.hierarchy = this.buildHierarchyTree(concepts, parents, rootId);
+    }
+    
+    const conceptsBeforeMerge = chunkResults.reduce((sum, chunk) => sum + chunk.concepts.length, 0);
+    result.metadata.chunking = {
+      chunks: chunks.length,
+      maxChunkChars: settings.maxChunkChars,
+      ranges: chunks.map(chunk => ({ start: chunk.start, end: chunk.end })),
+      conceptsBeforeMerge,
+      conceptsMerged: conceptsBeforeMerge - concepts.length,
+      sharedConcepts: concepts.filter(c => c.chunks.length > 1).length,
+      relationshipsBeforeMerge,
+      crossChunkRelationships: crossChunk.length
+    };
+    
+    console.log(`Fusionados ${chunks.length} fragmentos: ${conceptsBeforeMerge} -> ${concepts.length} conceptos, ${relationships.length} relaciones`);
+    return result;
+  }
+  
+  /**
+   * Une un concepto de otro fragmento a su equivalente ya fusionado
+   * @param {Object} target - Concepto fusionado
+   * @param {Object} concept - Concepto duplicado del fragmento
+   * @param {number} chunkIndex - Fragmento del que procede
+   */
+  mergeConceptInto(target, concept, chunkIndex) {
+    const settings = appConfig.conceptMap.chunking;
+    
+    // Aparecer en varios fragmentos indica un concepto que recorre el documento
+    const isNewChunk = !target.chunks.includes(chunkIndex);
+    const importance = Math.max(target.importance || 0, concept.importance || 0);
+    target.importance = Number(Math.min(1, importance + (isNewChunk ? settings.recurrenceBonus : 0)).toFixed(2));
+    target.frequency = (target.frequency || 0) + (concept.frequency || 0);
+    if (isNewChunk) target.chunks.push(chunkIndex);
+    
+    // La definición escrita en el documento prevalece sobre la generada
+    if (concept.definition && (!target.definition || (concept.markup === 'definition' && target.markup !== 'definition'))) {
+      target.definition = concept.definition;
+      if (concept.markup) target.markup = concept.markup;
+    }
+    
+    target.examples = [...new Set([...(target.examples || []), ...(concept.examples || [])])];
+    target.relatedTerms = [...new Set([...(target.relatedTerms || []), ...(concept.relatedTerms || [])])];
+  }
+  
   /**
    * Paso 1: Organizar y Jerarquizar
    * Detecta y analiza los conceptos, arreglándolos lógicamente de general a específico
    */
-  async step1_OrganizeAndHierarchize(text, result) {
-    // Extraer conceptos principales y secundarios
-    const mainConcepts = this.extractMainConcepts(text);
+  async step1_OrganizeAndHierarchize(text, result, config = {}) {
+    // Extraer conceptos principales y secundarios (modelo de lenguaje o heurística)
+    const language = this.getResultLanguage(result);
+    const mainConcepts = await this.runWithLLM(result, 'organization', provider =>
+      this.extractConceptsWithLLM(provider, text, config.maxConcepts || 20, language)
+    ) || this.extractMainConcepts(text, { maxTerms: (config.maxConcepts || 20) * 2, language });
     
     // Ordenar conceptos por relevancia e importancia
     const sortedConcepts = this.sortConceptsByRelevance(mainConcepts);
     
-    // Establecer jerarquía (crear estructura de árbol)
-    const hierarchyTree = this.createHierarchicalStructure(sortedConcepts);
+    // Establecer jerarquía (un padre por concepto); fija el nivel definitivo de cada uno
+    const hierarchy = this.createHierarchicalStructure(sortedConcepts, text, language);
     
     // Guardar resultados
-    result.concepts = sortedConcepts;
-    result.hierarchy = hierarchyTree;
+    result.concepts = this.sortConceptsByRelevance(sortedConcepts);
+    result.hierarchy = hierarchy;
     
     return result;
   }
   
   /**
-   * Extrae conceptos principales del texto
+   * Extrae conceptos principales del texto. La estructura Markdown fija los
+   * niveles: los títulos según su profundidad y las negritas, definiciones
+   * ("Término: definición") y elementos de lista breves un nivel por debajo
+   * del título o elemento que los contiene. Se completan con los términos
+   * clave (de una o varias palabras) puntuados con C-value.
    * @param {string} text - Texto a analizar
-   * @returns {Array} - Lista de conceptos
+   * @param {Object} options - { maxTerms: número máximo de términos clave, language: idioma del texto }
+   * @returns {Array} - Lista de conceptos con frecuencia y puntuación
    */
-  extractMainConcepts(text) {
+  extractMainConcepts(text, options = {}) {
     console.log('Extracting main concepts from text...');
     
-    // En una implementación completa, aquí se utilizarían herramientas como spaCy y LangGraph
-    // Para esta versión, utilizamos una implementación simplificada
-    
-    // Simular procesamiento de texto para extracción de conceptos
     const concepts = [];
-    
-    // Dividir el texto en párrafos
-    const paragraphs = text.split(/\n+/);
-    
-    // Contador para IDs únicos
+    const conceptByKey = new Map();
     let idCounter = 1;
+    const addConcept = (concept) => {
+      const full = { id: `concept_${idCounter++}`, ...concept };
+      concepts.push(full);
+      conceptByKey.set(full.name.toLowerCase(), full);
+      return full;
+    };
     
-    // Extraer títulos y subtitulos como conceptos principales
-    const titlePattern = /^#+\s+(.+)$|^([^\n]+)\n[=\-]{2,}$/gm;
-    let match;
-    const titleMatches = [...text.matchAll(titlePattern)];
-    
-    if (titleMatches.length > 0) {
-      // Si hay títulos, usarlos como conceptos de nivel superior
-      titleMatches.forEach((match, index) => {
-        const title = (match[1] || match[2]).trim();
-        concepts.push({
-          id: `concept_${idCounter++}`,
-          name: title,
-          level: index === 0 ? 0 : 1, // El primer título es nivel 0, el resto nivel 1
-          importance: 1.0 - (index * 0.1),
-          originalForm: title,
-          isMainConcept: index === 0
-        });
+    const structure = parseMarkdownStructure(text, { language: options.language });
+    
+    // Títulos y subtítulos como conceptos principales; el nivel sigue la profundidad del título
+    const minDepth = Math.min(...structure.headings.map(heading => heading.depth));
+    structure.headings.forEach((heading, index) => {
+      if (conceptByKey.has(heading.title.toLowerCase())) return;
+      
+      let ancestor = heading.parent;
+      while (ancestor && !conceptByKey.has(ancestor.title.toLowerCase())) {
+        ancestor = ancestor.parent;
+      }
+      const parent = ancestor ? conceptByKey.get(ancestor.title.toLowerCase()) : concepts[0];
+      const relativeDepth = heading.depth - minDepth;
+      
+      addConcept({
+        name: heading.title,
+        level: index === 0 ? 0 : Math.max(1, relativeDepth),
+        importance: index === 0 ? 1.0 : Number(Math.max(0.5, 0.95 - relativeDepth * 0.1).toFixed(2)),
+        originalForm: heading.title,
+        isMainConcept: index === 0,
+        frequency: findTermOccurrences(text, heading.title).length,
+        structuralParent: parent ? parent.id : null,
+        markup: 'heading'
       });
-    } else {
-      // Si no hay títulos, extraer frases clave del primer párrafo como concepto principal
-      if (paragraphs.length > 0) {
-        const firstParagraph = paragraphs[0].trim();
-        if (firstParagraph.length > 0) {
-          // Usar la primera oración como concepto principal
-          const firstSentence = firstParagraph.split(/[.!?]\s+/)[0];
-          
-          // Extraer posible concepto principal (sustantivo principal)
-          const mainNoun = firstSentence.split(/\s+/)
-            .filter(word => word.length > 3)
-            .find(word => /^[A-ZÁÉÍÓÚ][a-záéíóú]+/.test(word)) || firstSentence.split(/\s+/)[0];
-          
-          concepts.push({
-            id: `concept_${idCounter++}`,
-            name: mainNoun,
-            level: 0,
-            importance: 1.0,
-            originalForm: mainNoun,
-            isMainConcept: true
-          });
-        }
+    });
+    const headingCount = concepts.length;
+    
+    // Negritas, definiciones y elementos de lista: un nivel por debajo de lo que los contiene
+    structure.terms.forEach(term => {
+      const existing = conceptByKey.get(term.name.toLowerCase());
+      if (existing) {
+        if (term.definition && !existing.definition) existing.definition = term.definition;
+        return;
       }
-    }
-    
-    // Extraer conceptos secundarios de cada párrafo
-    paragraphs.forEach(paragraph => {
-      // Ignorar párrafos muy cortos o vacíos
-      if (paragraph.trim().length < 10) return;
       
-      // Dividir en oraciones
-      const sentences = paragraph.split(/[.!?]\s+/);
+      const parent = (term.parent && conceptByKey.get(term.parent.name.toLowerCase())) ||
+                     (term.section && conceptByKey.get(term.section.title.toLowerCase())) ||
+                     null;
       
-      sentences.forEach(sentence => {
-        // Extraer sustantivos como posibles conceptos
-        const words = sentence.split(/\s+/)
-          .map(word => word.replace(/[.,;:!?()\[\]{}'"‘’“”]/g, '').trim())
-          .filter(word => word.length > 3);
-        
-        // Seleccionar palabras que podrían ser conceptos (simplificado)
-        const potentialConcepts = words.filter(word => 
-          // Excluir palabras comunes y verbos frecuentes (simplificado)
-          !['para', 'como', 'este', 'esta', 'esto', 'estos', 'estas', 'porque', 'aunque', 'cuando', 'donde'].includes(word.toLowerCase())
-        );
-        
-        // Añadir conceptos potenciales
-        potentialConcepts.forEach(word => {
-          // Evitar duplicados (comparando formas normalizadas)
-          const normalizedWord = word.toLowerCase();
-          const existing = concepts.find(c => c.name.toLowerCase() === normalizedWord);
-          
-          if (!existing) {
-            concepts.push({
-              id: `concept_${idCounter++}`,
-              name: word,
-              level: concepts.some(c => c.isMainConcept) ? 2 : 1, // Nivel 2 si ya hay concepto principal, sino nivel 1
-              importance: 0.5,
-              originalForm: this.findOriginalForm(word, text) || word
-            });
-          }
-        });
+      addConcept({
+        name: term.name,
+        level: parent ? parent.level + 1 : 1,
+        importance: MARKUP_IMPORTANCE[term.kind],
+        originalForm: term.name,
+        isMainConcept: false,
+        lemma: term.name.toLowerCase().split(' ').map(word => lemmatize(word, options.language)).join(' '),
+        frequency: Math.max(1, findTermOccurrences(text, term.name).length),
+        structuralParent: parent ? parent.id : null,
+        markup: term.kind,
+        ...(term.definition ? { definition: term.definition } : {})
+      });
+    });
+    
+    // Términos clave puntuados; los títulos y términos marcados ya incluidos no se repiten.
+    // La importancia se normaliza con la mejor puntuación de todos los términos, también
+    // los descartados: si no, un término citado una vez superaría a los títulos
+    const knownLemmas = new Set(concepts.map(c => c.lemma).filter(Boolean));
+    const scoredTerms = extractTerms(text, { maxTerms: options.maxTerms || 40, language: options.language });
+    const terms = scoredTerms.filter(term => !conceptByKey.has(term.term.toLowerCase()) && !knownLemmas.has(term.lemma));
+    const topScore = scoredTerms.length > 0 ? Math.max(...scoredTerms.map(term => term.score)) : 1;
+    
+    // Sin títulos, el término mejor puntuado de la primera oración es el concepto principal
+    let mainTerm = null;
+    if (headingCount === 0 && terms.length > 0) {
+      const firstSentenceEnd = text.search(/[.!?]\s|\n/);
+      const inFirstSentence = terms.filter(term => firstSentenceEnd === -1 || term.firstIndex < firstSentenceEnd);
+      mainTerm = inFirstSentence[0] || terms[0];
+    }
+    
+    // Sin títulos, el primer cuarto de los términos forma el nivel 1
+    const levelOneCount = headingCount === 0 ? Math.ceil(terms.length / 4) : 0;
+    
+    terms.forEach((term, index) => {
+      const isMain = term === mainTerm;
+      addConcept({
+        name: term.term,
+        level: isMain ? 0 : index < levelOneCount ? 1 : 2,
+        importance: isMain ? 1.0 : Number((0.3 + 0.6 * (term.score / topScore)).toFixed(2)),
+        originalForm: term.term,
+        isMainConcept: isMain,
+        lemma: term.lemma,
+        frequency: term.frequency,
+        termScore: term.score
       });
     });
     
-    // Palabras clave especiales (listas, definiciones, términos destacados)
-    const listItems = text.match(/^\s*[\*\-\+\d]\s+(.+)$/gm) || [];
-    listItems.forEach(item => {
-      const content = item.replace(/^\s*[\*\-\+\d]\s+/, '').trim();
-      if (content.length > 3) {
-        const firstWord = content.split(/\s+/)[0].replace(/[.,;:!?()\[\]{}'"‘’“”]/g, '');
-        if (firstWord.length > 3) {
-          const normalizedWord = firstWord.toLowerCase();
-          const existing = concepts.find(c => c.name.toLowerCase() === normalizedWord);
-          
-          if (!existing) {
-            concepts.push({
-              id: `concept_${idCounter++}`,
-              name: firstWord,
-              level: 2,
-              importance: 0.4,
-              originalForm: this.findOriginalForm(firstWord, text) || firstWord,
-              examples: [content] // La línea completa como ejemplo
-            });
-          }
-        }
+    // Los elementos de lista que no son términos sirven como ejemplo del primer concepto que mencionan
+    structure.listItems.filter(item => !item.term).forEach(({ text: content }) => {
+      const concept = concepts.find(c => !c.isMainConcept && findTermOccurrences(content, c.name).length > 0);
+      if (concept && content.length > concept.name.length) {
+        concept.examples = [...(concept.examples || []), content];
       }
     });
     
-    // Eliminar conceptos demasiado genéricos o irrelevantes
-    const filteredConcepts = concepts.filter(concept => 
-      !['es', 'son', 'estar', 'estará', 'estaba', 'ser', 'hay', 'tiene', 'tienen'].includes(concept.name.toLowerCase())
+    console.log(`Extracted ${concepts.length} concepts from text`);
+    return concepts;
+  }
+  
+  /**
+   * Pide al modelo de lenguaje los conceptos del texto
+   * @param {LLMProvider} provider - Proveedor configurado
+   * @param {string} text - Texto a analizar
+   * @param {number} maxConcepts - Número máximo de conceptos
+   * @param {string} [language] - Idioma de la respuesta
+   * @returns {Promise<Object>} - { value: conceptos con el formato de extractMainConcepts, usage }
+   */
+  async extractConceptsWithLLM(provider, text, maxConcepts, language = DEFAULT_LANGUAGE) {
+    const response = await provider.chat(
+      buildConceptMessages(text.slice(0, appConfig.llm.maxInputChars), { maxConcepts, language }),
+      { responseFormat: 'json' }
     );
     
-    console.log(`Extracted ${filteredConcepts.length} concepts from text`);
-    return filteredConcepts;
+    const concepts = [];
+    const seen = new Set();
+    
+    parseJsonList(response.content, 'concepts').forEach(item => {
+      const name = item && typeof item.name === 'string' ? item.name.trim() : '';
+      if (!name || seen.has(name.toLowerCase())) return;
+      seen.add(name.toLowerCase());
+      
+      const level = Math.min(3, Math.max(0, Math.round(Number(item.level) || 0)));
+      const importance = Number(item.importance);
+      
+      concepts.push({
+        id: `concept_${concepts.length + 1}`,
+        name,
+        level,
+        importance: importance >= 0 && importance <= 1 ? importance : 1.0 - level * 0.25,
+        originalForm: this.findOriginalForm(name, text),
+        isMainConcept: level === 0,
+        ...(typeof item.definition === 'string' && item.definition.trim() ? { definition: item.definition.trim() } : {})
+      });
+    });
+    
+    return { value: concepts, usage: response.usage };
   }
   
   /**
@@ -362,52 +1265,217 @@ class ConceptMapService {
   }
   
   /**
-   * Crea una estructura jerárquica de árbol a partir de conceptos
-   * @param {Array} concepts - Lista de conceptos ordenados
-   * @returns {Object} - Estructura jerárquica de árbol
+   * Construye la jerarquía de conceptos asignando a cada uno un único padre.
+   * Los títulos cuelgan del título de la sección que los contiene y los
+   * términos marcados en el Markdown, de su título o elemento de lista; el
+   * resto de conceptos, del candidato más general con mejor puntuación según la
+   * sección donde aparecen, la fuerza de coincidencia y los párrafos que
+   * comparten. La profundidad no está limitada y pasa a ser el nivel del concepto.
+   * @param {Array} concepts - Conceptos ordenados de general a específico
+   * @param {string} text - Texto original
+   * @param {string} [language] - Idioma del texto
+   * @returns {Object} - { rootId, tree: nodo raíz { id, name, level, children }, parents: id → id del padre o null }
    */
-  createHierarchicalStructure(concepts) {
-    // Encontrar el concepto raíz (nivel 0 o concepto principal)
-    const rootConcepts = concepts.filter(c => c.level === 0 || c.isMainConcept);
+  createHierarchicalStructure(concepts, text = '', language = DEFAULT_LANGUAGE) {
+    if (concepts.length === 0) {
+      return { rootId: null, tree: null, parents: {} };
+    }
+    
+    const settings = appConfig.conceptMap.hierarchy;
+    const root = concepts.find(c => c.isMainConcept) || concepts.find(c => c.level === 0) || concepts[0];
+    const parents = new Map([[root.id, null]]);
+    
+    // Concepto que da nombre a cada sección del documento
+    const sections = this.parseSections(text);
+    const conceptByName = new Map();
+    concepts.forEach(concept => {
+      [concept.name, concept.originalForm].filter(Boolean).forEach(name => {
+        const key = name.trim().toLowerCase();
+        if (!conceptByName.has(key)) conceptByName.set(key, concept);
+      });
+    });
+    sections.forEach(section => {
+      const concept = conceptByName.get(section.title.toLowerCase());
+      // Un concepto nombra una sola sección (la primera)
+      if (concept && !sections.some(other => other.concept === concept)) {
+        section.concept = concept;
+      }
+    });
+    
+    // Sección más interna con concepto propio que contiene una posición del texto
+    const sectionConceptAt = (index) => {
+      let current = sections.filter(section => section.start <= index && index < section.end).pop();
+      while (current && !current.concept) {
+        current = current.parent;
+      }
+      return current ? current.concept : null;
+    };
+    
+    // Los títulos cuelgan del título que los contiene, o de la raíz
+    const headingIds = new Set();
+    sections.forEach(section => {
+      if (!section.concept || parents.has(section.concept.id)) return;
+      let ancestor = section.parent;
+      while (ancestor && !ancestor.concept) {
+        ancestor = ancestor.parent;
+      }
+      parents.set(section.concept.id, ancestor ? ancestor.concept.id : root.id);
+      headingIds.add(section.concept.id);
+    });
     
-    // Si no hay conceptos de nivel 0, usar el primero como raíz
-    if (rootConcepts.length === 0 && concepts.length > 0) {
-      rootConcepts.push({...concepts[0], level: 0, isMainConcept: true});
+    // Las negritas, definiciones y elementos de lista cuelgan de lo que los contiene en el Markdown
+    let placedByMarkup = true;
+    while (placedByMarkup) {
+      placedByMarkup = false;
+      concepts.forEach(concept => {
+        if (parents.has(concept.id) || !concept.structuralParent || !parents.has(concept.structuralParent)) return;
+        parents.set(concept.id, concept.structuralParent);
+        placedByMarkup = true;
+      });
     }
     
-    // Crear árbol jerárquico
-    const tree = rootConcepts.map(root => {
-      return this.buildConceptChildren(root, concepts);
+    // El resto elige el mejor padre entre los conceptos ya colocados
+    const { pairs, paragraphs } = this.scoreCooccurrences(concepts, text, language);
+    const placed = concepts.filter(c => parents.has(c.id));
+    const pending = concepts.filter(c => !parents.has(c.id));
+    
+    pending.forEach(concept => {
+      const occurrences = [...new Set([concept.name, concept.originalForm].filter(Boolean))]
+        .flatMap(term => findTermOccurrences(text, term));
+      
+      // Cuántas menciones caen en la sección de cada título
+      const sectionVotes = new Map();
+      occurrences.forEach(({ index }) => {
+        const owner = sectionConceptAt(index);
+        if (owner) sectionVotes.set(owner.id, (sectionVotes.get(owner.id) || 0) + 1);
+      });
+      const ownParagraphs = paragraphs.get(concept.id) || new Set();
+      
+      let best = null;
+      placed.forEach(candidate => {
+        // Un término solo cuelga de otro término si este es al menos igual de frecuente
+        if (!headingIds.has(candidate.id) && candidate.id !== root.id &&
+            (candidate.frequency || 0) < (concept.frequency || 0)) return;
+        
+        const pair = pairs.get([candidate.id, concept.id].sort().join('|'));
+        const sharedParagraphs = [...ownParagraphs].filter(index => (paragraphs.get(candidate.id) || new Set()).has(index)).length;
+        const score =
+          settings.sectionWeight * (occurrences.length > 0 ? (sectionVotes.get(candidate.id) || 0) / occurrences.length : 0) +
+          settings.cooccurrenceWeight * (pair ? this.cooccurrenceStrength(pair) : 0) +
+          settings.paragraphWeight * (ownParagraphs.size > 0 ? sharedParagraphs / ownParagraphs.size : 0);
+        
+        if (!best || score > best.score) {
+          best = { candidate, score };
+        }
+      });
+      
+      // Sin candidato convincente: el título de la sección de la primera mención o la raíz
+      const fallback = (occurrences.length > 0 && sectionConceptAt(occurrences[0].index)) || root;
+      const parent = best && best.score >= settings.minScore ? best.candidate : fallback;
+      parents.set(concept.id, parent.id);
+      placed.push(concept);
     });
     
-    return tree;
+    return this.buildHierarchyTree(concepts, parents, root.id);
+  }
+  
+  /**
+   * Localiza los títulos Markdown (ATX y subrayados) y la sección que abarca cada uno
+   * @param {string} text - Texto original
+   * @returns {Array<Object>} - { title, depth, start, end, parent } en orden del documento
+   */
+  parseSections(text) {
+    return parseMarkdownStructure(text).headings;
   }
   
   /**
-   * Construye la estructura jerárquica de hijos para un concepto
-   * @param {Object} parent - Concepto padre
-   * @param {Array} allConcepts - Todos los conceptos disponibles
-   * @returns {Object} - Árbol de hijos para este concepto
+   * Construye el árbol a partir del mapa de padres y actualiza el nivel
+   * y el padre de cada concepto según su profundidad
+   * @param {Array} concepts - Conceptos; el orden define el de los hijos
+   * @param {Map} parents - id → id del padre (null en la raíz)
+   * @param {string} rootId - Concepto raíz
+   * @returns {Object} - { rootId, tree, parents }
    */
-  buildConceptChildren(parent, allConcepts) {
-    // Crear nodo para este concepto
-    const node = {
-      ...parent,
-      children: []
+  buildHierarchyTree(concepts, parents, rootId) {
+    const nodes = new Map(concepts.map(c => [c.id, { id: c.id, name: c.name, level: 0, children: [] }]));
+    
+    concepts.forEach(concept => {
+      const parentId = parents.get(concept.id);
+      if (parentId && nodes.has(parentId)) {
+        nodes.get(parentId).children.push(nodes.get(concept.id));
+      }
+    });
+    
+    // Profundidad desde la raíz
+    const assignLevels = (node, level) => {
+      node.level = level;
+      node.children.forEach(child => assignLevels(child, level + 1));
     };
+    const tree = nodes.get(rootId);
+    assignLevels(tree, 0);
     
-    // Encontrar posibles hijos (conceptos de nivel inmediatamente inferior)
-    const childLevel = parent.level + 1;
-    const potentialChildren = allConcepts.filter(c => 
-      c.level === childLevel && c.id !== parent.id
-    );
+    concepts.forEach(concept => {
+      concept.level = nodes.get(concept.id).level;
+      concept.parentId = parents.get(concept.id) || null;
+    });
     
-    // Asignar hijos recursivamente
-    node.children = potentialChildren.map(child => 
-      this.buildConceptChildren(child, allConcepts.filter(c => c.id !== child.id))
-    );
+    return {
+      rootId,
+      tree,
+      parents: Object.fromEntries(concepts.map(c => [c.id, parents.get(c.id) || null]))
+    };
+  }
+  
+  /**
+   * Ajusta la jerarquía tras eliminar conceptos: cada concepto conservado
+   * cuelga de su antepasado conservado más cercano
+   * @param {Object} hierarchy - Jerarquía de createHierarchicalStructure
+   * @param {Array} concepts - Conceptos conservados
+   * @returns {Object} - { rootId, tree, parents }
+   */
+  pruneHierarchy(hierarchy, concepts) {
+    if (!hierarchy || !hierarchy.rootId || concepts.length === 0) {
+      return hierarchy;
+    }
+    
+    const kept = new Set(concepts.map(c => c.id));
+    const rootId = kept.has(hierarchy.rootId) ? hierarchy.rootId : concepts[0].id;
+    const parents = new Map([[rootId, null]]);
     
-    return node;
+    concepts.forEach(concept => {
+      if (concept.id === rootId) return;
+      let ancestor = hierarchy.parents[concept.id];
+      while (ancestor && !kept.has(ancestor)) {
+        ancestor = hierarchy.parents[ancestor];
+      }
+      parents.set(concept.id, ancestor && ancestor !== concept.id ? ancestor : rootId);
+    });
+    
+    return this.buildHierarchyTree(concepts, parents, rootId);
+  }
+  
+  /**
+   * Limita la profundidad de la jerarquía: cada concepto por debajo de maxDepth
+   * pasa a colgar de su ancestro en el nivel maxDepth - 1
+   * @param {Object} hierarchy - Jerarquía de buildHierarchyTree
+   * @param {Array} concepts - Conceptos del mapa
+   * @param {number} maxDepth - Niveles permitidos bajo la raíz (1 o más)
+   * @returns {Object} - Jerarquía reconstruida
+   */
+  limitHierarchyDepth(hierarchy, concepts, maxDepth) {
+    const parents = new Map();
+    concepts.forEach(concept => {
+      // Ancestros desde la raíz hasta el padre
+      const path = [];
+      let ancestor = hierarchy.parents[concept.id];
+      while (ancestor) {
+        path.unshift(ancestor);
+        ancestor = hierarchy.parents[ancestor];
+      }
+      parents.set(concept.id, path.length > maxDepth ? path[maxDepth - 1] : (hierarchy.parents[concept.id] || null));
+    });
+    
+    return this.buildHierarchyTree(concepts, parents, hierarchy.rootId);
   }
 
   /**
@@ -417,116 +1485,549 @@ class ConceptMapService {
   async step2_AnalyzeRelationships(text, result) {
     console.log('Analizando relaciones entre conceptos...');
     
-    // Detectar relaciones entre conceptos
-    const relationships = await this.detectConceptRelationships(result.concepts, text);
+    // Detectar relaciones entre conceptos (modelo de lenguaje o heurística)
+    const language = this.getResultLanguage(result);
+    const llmRelationships = await this.runWithLLM(result, 'reasoning', provider =>
+      this.detectRelationshipsWithLLM(provider, result.concepts, text, language)
+    );
+    const relationships = llmRelationships || await this.detectConceptRelationships(result.concepts, text, language);
+    
+    // Clasificar tipos de relaciones con la evidencia del texto; los tipos
+    // propuestos por el modelo se conservan y solo se documentan
+    const classifiedRelationships = await this.classifyRelationshipTypes(relationships, result.concepts, text, {
+      preserveTypes: Boolean(llmRelationships),
+      language
+    });
     
-    // Clasificar tipos de relaciones
-    const classifiedRelationships = await this.classifyRelationshipTypes(relationships);
+    // El anidamiento explícito del Markdown sustituye a la relación detectada entre los mismos conceptos
+    const markupRelationships = await this.classifyRelationshipTypes(
+      this.buildMarkupRelationships(result.concepts, language), result.concepts, text, { preserveTypes: true, language }
+    );
+    const markupPairs = new Set(markupRelationships.map(rel => [rel.source, rel.target].sort().join('|')));
     
     // Guardar relaciones
-    result.relationships = classifiedRelationships;
+    result.relationships = [
+      ...markupRelationships,
+      ...classifiedRelationships.filter(rel => !markupPairs.has([rel.source, rel.target].sort().join('|')))
+    ].map((rel, index) => ({ ...rel, id: `relation_${index + 1}` }));
     
     return result;
   }
   
   /**
-   * Detecta relaciones entre conceptos basados en su proximidad en el texto
-   * y patrones lingüísticos
+   * Relaciones jerárquicas que el propio Markdown declara: título → subtítulo,
+   * título o elemento de lista → término que contiene
+   * @param {Array} concepts - Conceptos con structuralParent
+   * @param {string} [language] - Idioma de las etiquetas
+   * @returns {Array} - Relaciones con el formato de detectConceptRelationships
+   */
+  buildMarkupRelationships(concepts, language = DEFAULT_LANGUAGE) {
+    const { relationLabels } = getLanguagePack(language);
+    const ids = new Set(concepts.map(c => c.id));
+    
+    return concepts
+      .filter(concept => concept.structuralParent && ids.has(concept.structuralParent))
+      .map((concept, index) => ({
+        id: `relation_markup_${index + 1}`,
+        source: concept.structuralParent,
+        target: concept.id,
+        type: 'hierarchical',
+        label: relationLabels.includes,
+        strength: CONFIDENCE.markup,
+        confidence: CONFIDENCE.markup
+      }));
+  }
+  
+  /**
+   * Detecta relaciones entre conceptos según dónde coinciden en el texto:
+   * la misma oración, una ventana de palabras entre oraciones contiguas,
+   * el mismo párrafo o el título de su sección. La fuerza crece con la
+   * frecuencia de las coincidencias y decrece con la distancia entre menciones.
    * @param {Array} concepts - Lista de conceptos
    * @param {string} text - Texto original
+   * @param {string} [language] - Idioma del texto, para descartar sus palabras vacías al medir distancias
    * @returns {Array} - Lista de relaciones detectadas
    */
-  async detectConceptRelationships(concepts, text) {
+  async detectConceptRelationships(concepts, text, language = DEFAULT_LANGUAGE) {
     console.log(`Detectando relaciones entre ${concepts.length} conceptos...`);
     
+    const settings = appConfig.conceptMap.relationships;
+    const conceptsById = new Map(concepts.map(c => [c.id, c]));
+    const { pairs, firstSeen } = this.scoreCooccurrences(concepts, text, language);
+    
+    const candidates = [...pairs.entries()]
+      .map(([pairKey, pair]) => ({ ids: pairKey.split('|'), pair, strength: this.cooccurrenceStrength(pair) }))
+      .filter(candidate => candidate.strength >= settings.minStrength)
+      .sort((a, b) => b.strength - a.strength || a.ids.join().localeCompare(b.ids.join()));
+    
+    // Limitar el número de relaciones por concepto, empezando por las más fuertes
+    const degree = new Map();
     const relationships = [];
-    let relationCounter = 1;
     
-    // Detectar relaciones basadas en jerarquía de niveles
-    for (let i = 0; i < concepts.length; i++) {
-      const concept1 = concepts[i];
+    candidates.forEach(({ ids, pair, strength }) => {
+      if (ids.some(id => (degree.get(id) || 0) >= settings.maxPerConcept)) return;
+      ids.forEach(id => degree.set(id, (degree.get(id) || 0) + 1));
       
-      // Buscar conceptos de nivel inmediatamente inferior
-      for (let j = 0; j < concepts.length; j++) {
-        if (i === j) continue; // Ignorar comparación con uno mismo
-        
-        const concept2 = concepts[j];
-        
-        // Crear relaciones jerárquicas (basadas en nivel)
-        if (concept2.level === concept1.level + 1) {
-          // Crear relación jerárquica
-          relationships.push({
-            id: `relation_${relationCounter++}`,
-            source: concept1.id,
-            target: concept2.id,
-            type: 'hierarchical',
-            strength: 0.8,
-            label: 'incluye'
-          });
+      // Orientar de general a específico y, a igual nivel, por orden de aparición
+      const [source, target] = ids.map(id => conceptsById.get(id)).sort((a, b) =>
+        ((a.level || 0) - (b.level || 0)) ||
+        (firstSeen.get(a.id)[0] - firstSeen.get(b.id)[0]) ||
+        (firstSeen.get(a.id)[1] - firstSeen.get(b.id)[1])
+      );
+      
+      relationships.push({
+        id: `relation_${relationships.length + 1}`,
+        source: source.id,
+        target: target.id,
+        type: (source.level || 0) !== (target.level || 0) ? 'hierarchical' : 'descriptive',
+        strength,
+        cooccurrence: {
+          sentences: pair.counts.sentence,
+          windows: pair.counts.window,
+          paragraphs: pair.counts.paragraph,
+          headings: pair.counts.heading,
+          minDistance: Number.isFinite(pair.minDistance) ? pair.minDistance : null
+        }
+      });
+    });
+    
+    console.log(`Detectadas ${relationships.length} relaciones entre conceptos`);
+    return relationships;
+  }
+  
+  /**
+   * Puntúa las coincidencias de cada par de conceptos en el texto: la misma
+   * oración, una ventana de palabras entre oraciones contiguas, el mismo
+   * párrafo o el título de su sección
+   * @param {Array} concepts - Lista de conceptos
+   * @param {string} text - Texto original
+   * @param {string} [language] - Idioma del texto
+   * @returns {Object} - { pairs: Map('idA|idB' → { score, counts, minDistance }),
+   *                      firstSeen: Map(id → [párrafo, posición]), paragraphs: Map(id → Set de párrafos) }
+   */
+  scoreCooccurrences(concepts, text, language = DEFAULT_LANGUAGE) {
+    const settings = appConfig.conceptMap.relationships;
+    const { stopWords } = getLanguagePack(language);
+    const pairs = new Map();
+    const firstSeen = new Map();
+    const paragraphs = new Map();
+    
+    this.splitParagraphs(text).forEach((paragraph, paragraphIndex) => {
+      const mentions = this.findParagraphMentions(paragraph, concepts, stopWords);
+      
+      mentions.forEach(mention => {
+        if (!firstSeen.has(mention.conceptId)) {
+          firstSeen.set(mention.conceptId, [paragraphIndex, mention.start]);
+          paragraphs.set(mention.conceptId, new Set());
+        }
+        paragraphs.get(mention.conceptId).add(paragraphIndex);
+      });
+      
+      // Mejor coincidencia de cada par por unidad (cada oración cuenta por separado;
+      // ventana, párrafo y título cuentan una vez por párrafo)
+      const units = new Map();
+      
+      for (let i = 0; i < mentions.length; i++) {
+        for (let j = i + 1; j < mentions.length; j++) {
+          const a = mentions[i];
+          const b = mentions[j];
+          if (a.conceptId === b.conceptId) continue;
+          if (a.start < b.end && b.start < a.end) continue; // menciones solapadas
+          
+          const [first, second] = a.start <= b.start ? [a, b] : [b, a];
+          const distance = Math.max(0, second.token - first.tokenEnd);
+          let scope;
+          let weight;
+          
+          if (a.isHeading !== b.isHeading) {
+            scope = 'heading';
+            weight = settings.headingWeight;
+          } else if (a.sentence === b.sentence) {
+            scope = 'sentence';
+            weight = 1 / (1 + distance / settings.windowSize);
+          } else if (distance <= settings.windowSize) {
+            scope = 'window';
+            weight = 0.5 / (1 + distance / settings.windowSize);
+          } else {
+            scope = 'paragraph';
+            weight = settings.paragraphWeight;
+          }
+          
+          const pairKey = [a.conceptId, b.conceptId].sort().join('|');
+          const unitKey = `${pairKey}|${scope === 'sentence' ? `sentence:${a.sentence}` : scope}`;
+          const unit = units.get(unitKey);
+          if (!unit || weight > unit.weight) {
+            units.set(unitKey, { pairKey, scope, weight, distance });
+          }
         }
       }
+      
+      units.forEach(({ pairKey, scope, weight, distance }) => {
+        const pair = pairs.get(pairKey) || {
+          score: 0,
+          counts: { sentence: 0, window: 0, paragraph: 0, heading: 0 },
+          minDistance: Infinity
+        };
+        pair.score += weight;
+        pair.counts[scope]++;
+        if (scope === 'sentence' || scope === 'window') {
+          pair.minDistance = Math.min(pair.minDistance, distance);
+        }
+        pairs.set(pairKey, pair);
+      });
+    });
+    
+    return { pairs, firstSeen, paragraphs };
+  }
+  
+  /**
+   * Fuerza saturada en [0, 1) de un par puntuado por scoreCooccurrences:
+   * más coincidencias y más cercanas → más fuerza
+   * @param {Object} pair - { score }
+   * @returns {number} - Fuerza con dos decimales
+   */
+  cooccurrenceStrength(pair) {
+    return Number((1 - Math.exp(-pair.score)).toFixed(2));
+  }
+  
+  /**
+   * Divide el texto en párrafos separados por líneas en blanco; un título
+   * se une al párrafo que lo sigue para relacionarlo con su contenido
+   * @param {string} text - Texto original
+   * @returns {Array<string>} - Párrafos
+   */
+  splitParagraphs(text) {
+    const blocks = text.split(/\n\s*\n/).map(block => block.trim()).filter(Boolean);
+    const paragraphs = [];
+    let pendingHeading = null;
+    
+    blocks.forEach(block => {
+      const isHeadingOnly = block.split('\n').every(line => /^#+\s+/.test(line));
+      if (isHeadingOnly) {
+        pendingHeading = pendingHeading ? `${pendingHeading}\n${block}` : block;
+        return;
+      }
+      paragraphs.push(pendingHeading ? `${pendingHeading}\n${block}` : block);
+      pendingHeading = null;
+    });
+    
+    if (pendingHeading) {
+      paragraphs.push(pendingHeading);
     }
     
-    // Para relaciones más sofisticadas, se utilizarían herramientas como LangGraph y GraphRAG
-    // Esta implementación es simplificada
+    return paragraphs;
+  }
+  
+  /**
+   * Localiza las menciones de los conceptos en un párrafo, con la oración
+   * y la posición en palabras de contenido de cada una
+   * @param {string} paragraph - Párrafo a analizar
+   * @param {Array} concepts - Lista de conceptos
+   * @param {Set<string>} stopWords - Palabras vacías del idioma del texto
+   * @returns {Array<Object>} - { conceptId, start, end, sentence, token, tokenEnd, isHeading }
+   */
+  findParagraphMentions(paragraph, concepts, stopWords) {
+    // La distancia se mide en palabras de contenido: "A es un tipo de B" están contiguas
+    const tokenStarts = [...paragraph.matchAll(/[\p{L}\p{N}]+/gu)]
+      .filter(match => !stopWords.has(match[0].toLowerCase()))
+      .map(match => match.index);
+    const boundaries = [...paragraph.matchAll(/[.!?;](?=\s)|\n/g)].map(match => match.index);
+    const headingEnd = (paragraph.match(/^(?:#+\s+.*(?:\n|$))+/) || [''])[0].length;
+    const countBefore = (positions, index) => positions.filter(position => position < index).length;
+    const mentions = [];
     
-    console.log(`Detectadas ${relationships.length} relaciones entre conceptos`);
-    return relationships;
+    concepts.forEach(concept => {
+      const terms = [...new Set([concept.name, concept.originalForm].filter(Boolean))];
+      const seen = new Set();
+      
+      terms.flatMap(term => findTermOccurrences(paragraph, term)).forEach(({ index, length }) => {
+        if (seen.has(index)) return;
+        seen.add(index);
+        mentions.push({
+          conceptId: concept.id,
+          start: index,
+          end: index + length,
+          sentence: countBefore(boundaries, index),
+          token: countBefore(tokenStarts, index),
+          tokenEnd: countBefore(tokenStarts, index + length),
+          isHeading: index < headingEnd
+        });
+      });
+    });
+    
+    // Una mención dentro de otra más larga no cuenta ("aprendizaje" en "aprendizaje automático")
+    return mentions
+      .filter(mention => !mentions.some(other =>
+        other !== mention && other.start <= mention.start && other.end >= mention.end &&
+        other.end - other.start > mention.end - mention.start
+      ))
+      .sort((a, b) => a.start - b.start);
+  }
+  
+  /**
+   * Pide al modelo de lenguaje relaciones tipificadas entre los conceptos conocidos
+   * @param {LLMProvider} provider - Proveedor configurado
+   * @param {Array} concepts - Lista de conceptos
+   * @param {string} text - Texto original
+   * @param {string} [language] - Idioma de las etiquetas
+   * @returns {Promise<Object>} - { value: relaciones con el formato de detectConceptRelationships, usage }
+   */
+  async detectRelationshipsWithLLM(provider, concepts, text, language = DEFAULT_LANGUAGE) {
+    if (concepts.length < 2) {
+      return { value: [], usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 } };
+    }
+    
+    const response = await provider.chat(
+      buildRelationshipMessages(text.slice(0, appConfig.llm.maxInputChars), concepts, RELATION_TYPES, language),
+      { responseFormat: 'json' }
+    );
+    
+    const idsByName = new Map(concepts.map(c => [c.name.toLowerCase(), c.id]));
+    const relationships = [];
+    const seen = new Set();
+    
+    parseJsonList(response.content, 'relationships').forEach(item => {
+      if (!item || typeof item.source !== 'string' || typeof item.target !== 'string') return;
+      
+      // Descartar relaciones con conceptos inventados o tipos no admitidos
+      const source = idsByName.get(item.source.trim().toLowerCase());
+      const target = idsByName.get(item.target.trim().toLowerCase());
+      if (!source || !target || source === target || !RELATION_TYPES.includes(item.type)) return;
+      
+      const key = `${source}|${target}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      
+      const confidence = Number(item.confidence);
+      relationships.push({
+        id: `relation_${relationships.length + 1}`,
+        source,
+        target,
+        type: item.type,
+        strength: confidence >= 0 && confidence <= 1 ? confidence : 0.8,
+        confidence: confidence >= 0 && confidence <= 1 ? confidence : CONFIDENCE.cooccurrence,
+        ...(typeof item.label === 'string' && item.label.trim() ? { label: item.label.trim() } : {})
+      });
+    });
+    
+    return { value: relationships, usage: response.usage };
   }
   
   /**
-   * Clasifica tipos de relaciones entre conceptos
+   * Clasifica tipos de relaciones a partir de las oraciones donde coinciden ambos conceptos.
+   * Busca frases de enlace en español e inglés (relationCues) y guarda la oración
+   * como evidencia junto con una confianza. El resultado es determinista.
    * @param {Array} relationships - Lista de relaciones
-   * @returns {Array} - Relaciones clasificadas
+   * @param {Array} concepts - Conceptos referenciados por las relaciones
+   * @param {string} text - Texto original
+   * @param {Object} options - { preserveTypes: conservar tipo, etiqueta y orientación existentes; language: idioma de las etiquetas }
+   * @returns {Array} - Relaciones clasificadas con evidence, cue y confidence
    */
-  async classifyRelationshipTypes(relationships) {
-    // Tipos de relaciones semánticas entre conceptos
-    const relationTypes = [
-      { type: 'hierarchical', labels: ['contiene', 'incluye', 'abarca', 'comprende'] },
-      { type: 'causal', labels: ['causa', 'produce', 'genera', 'provoca'] },
-      { type: 'sequential', labels: ['precede a', 'sigue a', 'conduce a', 'deriva en'] },
-      { type: 'descriptive', labels: ['describe', 'caracteriza', 'define'] },
-      { type: 'example', labels: ['ejemplifica', 'ilustra', 'muestra'] },
-      { type: 'comparative', labels: ['similar a', 'diferente de', 'contrasta con'] }
-    ];
-    
-    // Asignar etiquetas más descriptivas
-    return relationships.map(rel => {
-      // Si ya tiene un tipo asignado
-      if (rel.type) {
-        // Seleccionar una etiqueta aleatoria para ese tipo si no la tiene ya
-        if (!rel.label) {
-          const matchingType = relationTypes.find(rt => rt.type === rel.type);
-          if (matchingType) {
-            const randomIndex = Math.floor(Math.random() * matchingType.labels.length);
-            rel.label = matchingType.labels[randomIndex];
-          }
+  async classifyRelationshipTypes(relationships, concepts = [], text = '', options = {}) {
+    const { relationLabels } = getLanguagePack(options.language);
+    const sentences = splitSentences(text);
+    const mentions = this.indexConceptMentions(concepts, sentences);
+    const cueCache = new Map();
+    
+    // Todas las menciones de cada oración, para saber si otro concepto se interpone
+    const sentenceMentions = new Map();
+    mentions.forEach(bySentence => bySentence.forEach((mention, sentenceIndex) => {
+      if (!sentenceMentions.has(sentenceIndex)) sentenceMentions.set(sentenceIndex, []);
+      sentenceMentions.get(sentenceIndex).push(mention);
+    }));
+    const classified = new Map();
+    
+    relationships.forEach(rel => {
+      const requiredType = options.preserveTypes ? rel.type : null;
+      const evidence = this.findRelationEvidence(
+        mentions.get(rel.source), mentions.get(rel.target), sentences, cueCache, sentenceMentions, requiredType
+      );
+      
+      let next;
+      if (evidence && evidence.cue) {
+        // Orientar según la frase: "A produce B" → A origen; "A es un tipo de B" → B origen
+        const { direction } = evidence.cue;
+        const swap = !options.preserveTypes && (
+          (direction === 'forward' && !evidence.sourceFirst) ||
+          (direction === 'reverse' && evidence.sourceFirst)
+        );
+        
+        next = {
+          ...rel,
+          source: swap ? rel.target : rel.source,
+          target: swap ? rel.source : rel.target,
+          type: evidence.cue.type,
+          label: (options.preserveTypes && rel.label) || relationLabels[evidence.cue.label],
+          evidence: evidence.sentence,
+          cue: evidence.phrase,
+          confidence: evidence.confidence
+        };
+      } else {
+        // Sin frase de enlace se mantiene el tipo estructural con su etiqueta por defecto
+        const type = RELATION_TYPES.includes(rel.type) ? rel.type : 'descriptive';
+        next = {
+          ...rel,
+          type,
+          label: rel.label || relationLabels[DEFAULT_LABELS[type]],
+          evidence: evidence ? evidence.sentence : null,
+          cue: null,
+          confidence: rel.confidence !== undefined ? rel.confidence :
+                      evidence ? CONFIDENCE.cooccurrence : CONFIDENCE.structural
+        };
+      }
+      
+      // Al reorientar pueden coincidir dos relaciones; se conserva la de más confianza
+      const key = `${next.source}|${next.target}`;
+      const existing = classified.get(key);
+      if (!existing || next.confidence > existing.confidence) {
+        classified.set(key, next);
+      }
+    });
+    
+    return [...classified.values()];
+  }
+  
+  /**
+   * Localiza la primera mención de cada concepto en cada oración
+   * @param {Array} concepts - Lista de conceptos
+   * @param {Array<string>} sentences - Oraciones del texto
+   * @returns {Map} - id de concepto → Map(índice de oración → { index, length })
+   */
+  indexConceptMentions(concepts, sentences) {
+    const mentions = new Map();
+    
+    concepts.forEach(concept => {
+      const terms = [...new Set([concept.name, concept.originalForm].filter(Boolean))];
+      const bySentence = new Map();
+      
+      sentences.forEach((sentence, sentenceIndex) => {
+        const first = terms
+          .flatMap(term => findTermOccurrences(sentence, term))
+          .sort((a, b) => a.index - b.index)[0];
+        if (first) {
+          bySentence.set(sentenceIndex, first);
         }
-        return rel;
+      });
+      
+      mentions.set(concept.id, bySentence);
+    });
+    
+    return mentions;
+  }
+  
+  /**
+   * Busca la oración que mejor justifica una relación entre dos conceptos
+   * @param {Map} sourceMentions - Menciones del concepto origen por oración
+   * @param {Map} targetMentions - Menciones del concepto destino por oración
+   * @param {Array<string>} sentences - Oraciones del texto
+   * @param {Map} cueCache - Frases de enlace ya encontradas por oración
+   * @param {Map} sentenceMentions - Menciones de todos los conceptos por oración
+   * @param {string|null} requiredType - Solo aceptar frases de este tipo
+   * @returns {Object|null} - { sentence, cue, phrase, sourceFirst, confidence } o null si no coinciden nunca
+   */
+  findRelationEvidence(sourceMentions, targetMentions, sentences, cueCache, sentenceMentions, requiredType = null) {
+    if (!sourceMentions || !targetMentions) {
+      return null;
+    }
+    
+    let best = null;
+    const supportByType = {};
+    
+    sourceMentions.forEach((sourceMention, sentenceIndex) => {
+      const targetMention = targetMentions.get(sentenceIndex);
+      if (!targetMention) return;
+      
+      // Ignorar menciones solapadas (un concepto contenido en el otro)
+      const sourceEnd = sourceMention.index + sourceMention.length;
+      const targetEnd = targetMention.index + targetMention.length;
+      if (sourceMention.index < targetEnd && targetMention.index < sourceEnd) return;
+      
+      const sentence = sentences[sentenceIndex];
+      const sourceFirst = sourceMention.index < targetMention.index;
+      const spanStart = Math.min(sourceEnd, targetEnd);
+      const spanEnd = Math.max(sourceMention.index, targetMention.index);
+      
+      if (!cueCache.has(sentenceIndex)) {
+        cueCache.set(sentenceIndex, CUE_PATTERNS.flatMap(({ cue, phrase, pattern }) =>
+          [...sentence.matchAll(pattern)].map(match => ({
+            cue,
+            phrase,
+            start: match.index,
+            end: match.index + match[0].length
+          }))
+        ));
       }
       
-      // Asignar tipo aleatorio para esta implementación simplificada
-      const randomTypeIndex = Math.floor(Math.random() * relationTypes.length);
-      const selectedType = relationTypes[randomTypeIndex];
+      // La frase no puede formar parte del nombre de un concepto. Para deducir
+      // el tipo debe estar entre las dos menciones sin otro concepto en medio
+      // ("A es un tipo de B", no "A es un tipo de C que usa B"); fuera de ellas
+      // solo respalda un tipo ya propuesto (requiredType)
+      const overlaps = (match, start, end) => match.start < end && start < match.end;
+      const between = match => match.start >= spanStart && match.end <= spanEnd;
+      const intervening = (sentenceMentions.get(sentenceIndex) || []).filter(other =>
+        other.index >= spanStart && other.index + other.length <= spanEnd
+      );
+      const adjacent = match => !intervening.some(other =>
+        !overlaps(match, other.index, other.index + other.length)
+      );
+      // Las comparativas suelen abrir la oración: "A diferencia de X, Y..."
+      const leading = match => match.cue.direction === 'symmetric' && match.end <= Math.min(sourceMention.index, targetMention.index) &&
+        !(sentenceMentions.get(sentenceIndex) || []).some(other => other.index >= match.end && other.index < Math.min(sourceMention.index, targetMention.index));
+      const candidates = cueCache.get(sentenceIndex).filter(match =>
+        (requiredType ? match.cue.type === requiredType : (between(match) && adjacent(match)) || leading(match)) &&
+        !overlaps(match, sourceMention.index, sourceEnd) &&
+        !overlaps(match, targetMention.index, targetEnd)
+      );
       
-      // Seleccionar etiqueta aleatoria para el tipo
-      const randomLabelIndex = Math.floor(Math.random() * selectedType.labels.length);
+      // Preferir frases entre las dos menciones y, a igualdad, las más largas
+      candidates.sort((a, b) =>
+        (between(b) - between(a)) || (b.phrase.length - a.phrase.length) || (a.start - b.start)
+      );
       
-      return {
-        ...rel,
-        type: selectedType.type,
-        label: rel.label || selectedType.labels[randomLabelIndex]
+      const match = candidates[0];
+      const candidate = match ? {
+        sentence,
+        cue: match.cue,
+        phrase: match.phrase,
+        sourceFirst,
+        confidence: between(match) || leading(match) ? CONFIDENCE.cueBetween : CONFIDENCE.cueInSentence
+      } : {
+        sentence,
+        cue: null,
+        phrase: null,
+        sourceFirst,
+        confidence: CONFIDENCE.cooccurrence
       };
+      
+      if (match) {
+        supportByType[match.cue.type] = (supportByType[match.cue.type] || 0) + 1;
+      }
+      
+      if (!best || candidate.confidence > best.confidence) {
+        best = candidate;
+      }
     });
+    
+    // Cada oración adicional que confirma el mismo tipo aumenta la confianza
+    if (best && best.cue) {
+      const extra = supportByType[best.cue.type] - 1;
+      best.confidence = Math.min(CONFIDENCE.max, Number((best.confidence + extra * CONFIDENCE.extraSentence).toFixed(2)));
+    }
+    
+    return best;
   }
 
   /**
    * Paso 3: Enriquecer Semánticamente
    * Expande cada concepto con definiciones breves, ejemplos, sinónimos o clasificaciones
+   * tomados de los glosarios locales (lexiconService)
    */
-  async step3_EnrichSemantically(text, result, config = {}) {
+  async step3_EnrichSemantically(text, result, config = {}, random = createRandom()) {
     console.log(`Enriqueciendo semánticamente ${result.concepts.length} conceptos...`);
     
+    const pack = getLanguagePack(this.getResultLanguage(result));
+    const lookup = await this.lexicon.createLookup(pack.code, config.lexiconDomains);
+    
     // Procesamiento por lotes para evitar sobrecargas
     const batchSize = 5;
     const batches = Math.ceil(result.concepts.length / batchSize);
@@ -538,21 +2039,32 @@ class ConceptMapService {
       
       // Procesar cada concepto en el lote
       await Promise.all(batch.map(async (concept) => {
+        // Entrada del glosario que corresponde al concepto, si la hay
+        const match = lookup.find(concept.name);
+        if (match) {
+          concept.lexicon = { glossary: match.glossary.id, term: match.entry.term, match: match.match };
+        }
+        
         // Generar definición concisa
-        if (config.includeDefinitions !== false) {
-          concept.definition = await this.generateConciseDefinition(concept);
+        if (config.includeDefinitions !== false && !concept.definition) {
+          const { definition, source } = await this.generateConciseDefinition(concept, pack, match);
+          concept.definition = definition;
+          concept.definitionSource = source;
         }
         
         // Encontrar ejemplos relevantes
         if (config.includeExamples !== false) {
-          concept.examples = await this.findRelevantExamples(concept);
+          // Los ejemplos escritos en un mapa importado se conservan
+          concept.examples = concept.imported && concept.examples && concept.examples.length > 0 ?
+            concept.examples :
+            await this.findRelevantExamples(concept, pack, match);
         }
         
         // Identificar términos relacionados o sinónimos
-        concept.relatedTerms = await this.identifyRelatedTerms(concept);
+        concept.relatedTerms = await this.identifyRelatedTerms(concept, pack, match);
         
         // Clasificar el concepto
-        const classification = await this.classifyConcept(concept);
+        const classification = await this.classifyConcept(concept, pack, random, match);
         concept.category = classification.category;
         concept.subcategory = classification.subcategory;
         
@@ -561,7 +2073,7 @@ class ConceptMapService {
                              (1 / (concept.level + 1)) * (concept.relatedTerms.length + 1);
                              
         // Atributos para el concepto
-        concept.attributes = this.extractConceptAttributes(concept, text);
+        concept.attributes = this.extractConceptAttributes(concept, text, pack);
       }));
       
       console.log(`Procesado lote ${i+1}/${batches} de conceptos`);
@@ -573,66 +2085,33 @@ class ConceptMapService {
   /**
    * Genera una definición concisa para un concepto
    * @param {Object} concept - Concepto a definir
-   * @returns {string} - Definición concisa
+   * @param {Object} pack - Paquete del idioma del texto
+   * @param {Object|null} match - Entrada del glosario encontrada para el concepto
+   * @returns {Object} - { definition, source }: 'lexicon' o 'placeholder'
    */
-  async generateConciseDefinition(concept) {
-    // En una implementación completa, aquí se utilizaría Semantic Scholar y/o Wikidata
-    // Para esta versión, generamos definiciones simples basadas en el nombre del concepto
-    
-    const commonDefinitions = {
-      tecnología: "Conjunto de conocimientos, instrumentos y técnicas que permiten el aprovechamiento práctico del conocimiento científico.",
-      inteligencia: "Capacidad de entender, comprender y resolver problemas.",
-      artificial: "Hecho por el ser humano; no natural.",
-      educación: "Proceso de facilitar el aprendizaje o la adquisición de conocimientos, habilidades, valores y creencias.",
-      aprendizaje: "Proceso de adquirir conocimientos, habilidades o aptitudes por medio del estudio o la experiencia.",
-      conceptual: "Relativo a los conceptos o a la formación de conceptos.",
-      mapa: "Representación gráfica y métrica de elementos existentes o abstractos."
-    };
-    
-    // Buscar definición común
-    const lowerName = concept.name.toLowerCase();
-    for (const [key, value] of Object.entries(commonDefinitions)) {
-      if (lowerName.includes(key)) {
-        return value;
-      }
+  async generateConciseDefinition(concept, pack = getLanguagePack(DEFAULT_LANGUAGE), match = null) {
+    // Solo se toma la definición si la entrada es el concepto o su núcleo,
+    // no una palabra suelta de un nombre compuesto
+    if (match && match.match !== 'partial' && match.entry.definition) {
+      return { definition: match.entry.definition, source: 'lexicon' };
     }
     
-    // Si no hay definición predefinida, generar una basada en el nivel del concepto
-    if (concept.level === 0) {
-      return `Concepto principal que representa ${lowerName}.`;
-    } else if (concept.level === 1) {
-      return `Área o categoría importante dentro de ${lowerName}.`;
-    } else {
-      return `Elemento específico relacionado con ${lowerName}.`;
-    }
+    // Último recurso: plantilla según el nivel; la marca de genérica va en
+    // definitionSource, no en el texto
+    const templates = pack.templates.definitionByLevel;
+    const definition = templates[Math.min(concept.level || 0, templates.length - 1)](concept.name.toLowerCase());
+    return { definition, source: 'placeholder' };
   }
   
   /**
    * Busca ejemplos relevantes para un concepto
    * @param {Object} concept - Concepto para el que buscar ejemplos
+   * @param {Object} pack - Paquete del idioma del texto
+   * @param {Object|null} match - Entrada del glosario encontrada para el concepto
    * @returns {Array} - Lista de ejemplos
    */
-  async findRelevantExamples(concept) {
-    // En una implementación completa, aquí se utilizaría Semantic Scholar API
-    // Para esta versión, usamos ejemplos predefinidos basados en palabras clave
-    
-    const examplesByKeyword = {
-      tecnología: ["Inteligencia artificial", "Computación en la nube", "Internet de las cosas"],
-      educación: ["Aprendizaje basado en proyectos", "Aula invertida", "Aprendizaje colaborativo"],
-      inteligencia: ["Toma de decisiones", "Resolución de problemas", "Adaptabilidad"],
-      concepto: ["Ideas abstractas", "Categorías", "Representaciones mentales"],
-      mapa: ["Diagramas de flujo", "Mapas mentales", "Organizadores gráficos"]
-    };
-    
-    // Buscar ejemplos que coincidan con palabras clave en el nombre del concepto
-    const lowerName = concept.name.toLowerCase();
-    let examples = [];
-    
-    for (const [keyword, exampleList] of Object.entries(examplesByKeyword)) {
-      if (lowerName.includes(keyword)) {
-        examples = [...examples, ...exampleList];
-      }
-    }
+  async findRelevantExamples(concept, pack = getLanguagePack(DEFAULT_LANGUAGE), match = null) {
+    let examples = match && match.match !== 'partial' ? [...match.entry.examples] : [];
     
     // Si ya tiene ejemplos, mantenerlos
     if (concept.examples && concept.examples.length > 0) {
@@ -640,37 +2119,26 @@ class ConceptMapService {
     }
     
     // Limitar a 3 ejemplos como máximo
-    return examples.slice(0, 3);
+    return [...new Set(examples)].slice(0, 3);
   }
   
   /**
    * Identifica términos relacionados o sinónimos para un concepto
    * @param {Object} concept - Concepto a analizar
+   * @param {Object} pack - Paquete del idioma del texto
+   * @param {Object|null} match - Entrada del glosario encontrada para el concepto
    * @returns {Array} - Lista de términos relacionados
    */
-  async identifyRelatedTerms(concept) {
-    // En una implementación completa, aquí se utilizaría ConceptNet
-    // Para esta versión, definimos relaciones simplificadas
-    
-    const relatedTermsByKeyword = {
-      tecnología: ["innovación", "desarrollo", "herramientas", "avance"],
-      inteligencia: ["conocimiento", "aprendizaje", "cognición", "razonamiento"],
-      artificial: ["sintético", "creado", "simulado"],
-      educación: ["enseñanza", "pedagogía", "formación", "aprendizaje"],
-      mapa: ["representación", "esquema", "diagrama", "organizador"],
-      concepto: ["idea", "noción", "constructo", "abstracción"]
-    };
-    
-    // Buscar términos relacionados
-    const lowerName = concept.name.toLowerCase();
-    let relatedTerms = [];
-    
-    for (const [keyword, termsList] of Object.entries(relatedTermsByKeyword)) {
-      if (lowerName.includes(keyword)) {
-        relatedTerms = [...relatedTerms, ...termsList];
-      }
+  async identifyRelatedTerms(concept, pack = getLanguagePack(DEFAULT_LANGUAGE), match = null) {
+    if (!match) {
+      return [];
     }
     
+    // Sinónimos primero, sin repetir el propio nombre del concepto
+    const ownName = concept.name.toLowerCase();
+    const relatedTerms = [match.entry.term, ...match.entry.synonyms, ...match.entry.related]
+      .filter(term => term.toLowerCase() !== ownName);
+    
     // Eliminar duplicados si los hay
     return [...new Set(relatedTerms)];
   }
@@ -678,37 +2146,22 @@ class ConceptMapService {
   /**
    * Clasifica un concepto en categorías y subcategorías
    * @param {Object} concept - Concepto a clasificar
+   * @param {Object} pack - Paquete del idioma del texto
+   * @param {Object} random - Generador pseudoaleatorio del proceso (utils/random)
+   * @param {Object|null} match - Entrada del glosario encontrada para el concepto
    * @returns {Object} - Clasificación del concepto
    */
-  async classifyConcept(concept) {
-    // Categorías por palabras clave
-    const categoriesByKeyword = {
-      tecnología: {category: "Tecnología", subcategories: ["Hardware", "Software", "Redes", "Innovación"]},
-      educación: {category: "Educación", subcategories: ["Metodologías", "Evaluación", "Recursos", "Instituciones"]},
-      inteligencia: {category: "Cognición", subcategories: ["Procesos", "Capacidades", "Desarrollo"]},
-      concepto: {category: "Epistemología", subcategories: ["Teorías", "Modelos", "Paradigmas"]},
-      mapa: {category: "Visualización", subcategories: ["Diagramas", "Esquemas", "Representaciones"]}
-    };
-    
-    // Categorías por defecto según nivel
-    const defaultCategories = [
-      {category: "Concepto Principal", subcategory: "Fundamento"},
-      {category: "Concepto Secundario", subcategory: "Componente"},
-      {category: "Concepto Derivado", subcategory: "Ejemplo"}
-    ];
-    
-    // Buscar categoría por palabra clave
-    const lowerName = concept.name.toLowerCase();
+  async classifyConcept(concept, pack = getLanguagePack(DEFAULT_LANGUAGE), random = createRandom(), match = null) {
+    const { defaultCategories } = pack.enrichment;
     
-    for (const [keyword, categoryInfo] of Object.entries(categoriesByKeyword)) {
-      if (lowerName.includes(keyword)) {
+    // Categoría de la entrada del glosario
+    if (match && match.entry.category) {
+      const { category, subcategories } = match.entry;
+      return {
+        category,
         // Seleccionar una subcategoría aleatoria
-        const randomIndex = Math.floor(Math.random() * categoryInfo.subcategories.length);
-        return {
-          category: categoryInfo.category,
-          subcategory: categoryInfo.subcategories[randomIndex]
-        };
-      }
+        subcategory: subcategories.length > 0 ? random.pick(subcategories) : category
+      };
     }
     
     // Usar categoría predeterminada según nivel
@@ -720,7 +2173,7 @@ class ConceptMapService {
    * Paso 4: Verificar y Validar
    * Asegura coherencia y relevancia del mapa conceptual
    */
-  async step4_VerifyAndValidate(result) {
+  async step4_VerifyAndValidate(result, config = {}) {
     console.log('Iniciando validación y verificación');
     
     // Obtener conceptos antes de la validación para métricas
@@ -728,7 +2181,7 @@ class ConceptMapService {
     const initialRelationshipCount = result.relationships.length;
     
     // 1. Filtrar conceptos irrelevantes
-    result.concepts = this.filterIrrelevantConcepts(result.concepts);
+    result.concepts = this.filterIrrelevantConcepts(result.concepts, config.pruneRatio);
     console.log(`Filtrado de conceptos irrelevantes: ${initialConceptCount} -> ${result.concepts.length}`);
     
     // 2. Eliminar conceptos redundantes
@@ -756,9 +2209,10 @@ class ConceptMapService {
   /**
    * Filtra conceptos irrelevantes o poco importantes
    * @param {Array} concepts - Lista de conceptos
+   * @param {number} pruneRatio - Fracción de la importancia media por debajo de la cual se descarta un concepto
    * @returns {Array} - Lista de conceptos filtrada
    */
-  filterIrrelevantConcepts(concepts) {
+  filterIrrelevantConcepts(concepts, pruneRatio = 0.4) {
     // Calcular la importancia promedio
     const importanceValues = concepts.map(c => c.importance || 0);
     const avgImportance = importanceValues.reduce((sum, val) => sum + val, 0) / 
@@ -769,7 +2223,7 @@ class ConceptMapService {
     return concepts.filter(concept => 
       concept.level === 0 || 
       concept.isMainConcept || 
-      (concept.importance || 0) >= (avgImportance * 0.4)
+      (concept.importance || 0) >= (avgImportance * pruneRatio)
     );
   }
   
@@ -782,9 +2236,10 @@ class ConceptMapService {
     const uniqueConcepts = [];
     const seenNames = new Set();
     
-    // Ordenar por importancia (descendente)
+    // Ordenar por importancia (descendente), con los títulos y términos marcados del
+    // documento delante: un término suelto no desplaza al título que lo contiene
     const sortedConcepts = [...concepts].sort((a, b) => 
-      (b.importance || 0) - (a.importance || 0)
+      (b.markup ? 1 : 0) - (a.markup ? 1 : 0) || (b.importance || 0) - (a.importance || 0)
     );
     
     // Mantener solo la versión más importante de cada concepto con nombre similar
@@ -802,8 +2257,8 @@ class ConceptMapService {
         }
       }
       
-      // Si no es duplicado o es un concepto principal, conservarlo
-      if (!isDuplicate || concept.level === 0 || concept.isMainConcept) {
+      // Si no es duplicado, es un concepto principal o lo marcó el documento, conservarlo
+      if (!isDuplicate || concept.level === 0 || concept.isMainConcept || concept.markup) {
         uniqueConcepts.push(concept);
         seenNames.add(normalizedName);
       }
@@ -930,119 +2385,11 @@ class ConceptMapService {
   
   /**
    * Obtiene configuración visual para mapas conceptuales educativos
-   * @param {string} style - Estilo visual a usar (modern, classic, colorful, minimal)
+   * @param {string} style - Estilo visual del registro (professional, sketch, minimalist, colorful)
    * @returns {Object} - Configuración visual para el mapa conceptual
    */
-  getEducationalVisualSettings(style = 'modern') {
-    // Estilos predefinidos para mapas conceptuales
-    const visualStyles = {
-      // Estilo moderno con bordes redondeados y colores suaves
-      modern: {
-        nodeColors: {
-          0: '#6a0dad', // Color principal para conceptos de nivel 0 (púrpura)
-          1: '#4169e1', // Azul para conceptos de nivel 1
-          2: '#3cb371', // Verde para conceptos de nivel 2
-          3: '#ff8c00', // Naranja para conceptos de nivel 3
-          default: '#6495ed' // Azul claro para otros niveles
-        },
-        fontSizes: {
-          0: 18,
-          1: 16,
-          2: 14,
-          default: 12
-        },
-        lineStyles: {
-          causal: 'thick',
-          hierarchical: 'normal',
-          descriptive: 'dashed',
-          default: 'normal'
-        },
-        borderRadius: '8px',
-        shadowEffect: true,
-        animation: true
-      },
-      
-      // Estilo clásico con formas tradicionales
-      classic: {
-        nodeColors: {
-          0: '#000080', // Azul marino para conceptos principales
-          1: '#006400', // Verde oscuro para nivel 1
-          2: '#8b0000', // Rojo oscuro para nivel 2
-          3: '#4b0082', // Índigo para nivel 3
-          default: '#2f4f4f' // Gris oscuro para otros
-        },
-        fontSizes: {
-          0: 16,
-          1: 14,
-          2: 12,
-          default: 10
-        },
-        lineStyles: {
-          causal: 'solid',
-          hierarchical: 'solid',
-          descriptive: 'dotted',
-          default: 'solid'
-        },
-        borderRadius: '0px',
-        shadowEffect: false,
-        animation: false
-      },
-      
-      // Estilo colorido para mayor impacto visual
-      colorful: {
-        nodeColors: {
-          0: '#ff1493', // Rosa intenso para nivel 0
-          1: '#00bfff', // Azul cielo para nivel 1
-          2: '#32cd32', // Verde lima para nivel 2
-          3: '#ffd700', // Amarillo dorado para nivel 3
-          default: '#ff7f50' // Coral para otros niveles
-        },
-        fontSizes: {
-          0: 20,
-          1: 18,
-          2: 16,
-          default: 14
-        },
-        lineStyles: {
-          causal: 'bold',
-          hierarchical: 'bold',
-          descriptive: 'dashed',
-          default: 'normal'
-        },
-        borderRadius: '12px',
-        shadowEffect: true,
-        animation: true
-      },
-      
-      // Estilo minimalista para mayor claridad
-      minimal: {
-        nodeColors: {
-          0: '#333333', // Gris oscuro para nivel 0
-          1: '#666666', // Gris medio para nivel 1
-          2: '#888888', // Gris claro para nivel 2
-          3: '#aaaaaa', // Gris muy claro para nivel 3
-          default: '#666666' // Gris medio para otros niveles
-        },
-        fontSizes: {
-          0: 16,
-          1: 14,
-          2: 12,
-          default: 10
-        },
-        lineStyles: {
-          causal: 'normal',
-          hierarchical: 'normal',
-          descriptive: 'dotted',
-          default: 'normal'
-        },
-        borderRadius: '4px',
-        shadowEffect: false,
-        animation: false
-      }
-    };
-    
-    // Devolver el estilo solicitado o el estilo moderno por defecto
-    return visualStyles[style] || visualStyles.modern;
+  getEducationalVisualSettings(style) {
+    return getVisualStyle(style);
   }
   
   /**
@@ -1054,6 +2401,7 @@ class ConceptMapService {
     
     // 1. Obtener configuración visual según estilo
     const visualSettings = this.getEducationalVisualSettings(config.style);
+    const pack = getLanguagePack(this.getResultLanguage(result));
     
     // 2. Asignar colores y formas a conceptos según nivel y categoría
     result.concepts.forEach(concept => {
@@ -1070,12 +2418,11 @@ class ConceptMapService {
     // 3. Asignar estilos a relaciones según tipo
     result.relationships.forEach(rel => {
       rel.visualWeight = rel.strength || 1;
-      rel.style = rel.type === 'causal' ? 'thick' : 
-                 (rel.type === 'hierarchical' ? 'normal' : 'dashed');
+      rel.style = visualSettings.lineStyles[rel.type] || visualSettings.lineStyles.default;
     });
     
     // 4. Asignar emojis a conceptos para mayor claridad visual
-    result.conceptEmojis = this.assignRelevantEmojis(result.concepts);
+    result.conceptEmojis = this.assignRelevantEmojis(result.concepts, pack);
     
     // 5. Organizar conceptos por nivel para visualización jerárquica
     result.conceptsByLevel = result.concepts.reduce((acc, concept) => {
@@ -1086,7 +2433,7 @@ class ConceptMapService {
     }, {});
     
     // 6. Preparar notas adicionales como nubes de contexto
-    result.contextNotes = this.generateContextNotes(result.concepts);
+    result.contextNotes = this.generateContextNotes(result.concepts, pack);
     
     return result;
   }
@@ -1094,9 +2441,10 @@ class ConceptMapService {
   /**
    * Genera notas de contexto para los conceptos principales
    * @param {Array} concepts - Lista de conceptos
+   * @param {Object} pack - Paquete del idioma del texto
    * @returns {Array} - Notas de contexto
    */
-  generateContextNotes(concepts) {
+  generateContextNotes(concepts, pack = getLanguagePack(DEFAULT_LANGUAGE)) {
     const notes = [];
     
     // Identificar conceptos principales
@@ -1116,7 +2464,7 @@ class ConceptMapService {
       if (concept.origin) {
         notes.push({
           relatedConceptId: concept.id,
-          content: `Origen y matiz:\n• ${concept.origin}`
+          content: `${pack.templates.originHeading}\n• ${concept.origin}`
         });
       }
     });
@@ -1128,9 +2476,10 @@ class ConceptMapService {
    * Extrae atributos de un concepto
    * @param {Object} concept - Concepto a analizar
    * @param {string} text - Texto original
+   * @param {Object} pack - Paquete del idioma del texto
    * @returns {Array} - Lista de atributos
    */
-  extractConceptAttributes(concept, text) {
+  extractConceptAttributes(concept, text, pack = getLanguagePack(DEFAULT_LANGUAGE)) {
     // En una implementación completa, esto usaría NLP para extraer atributos
     // Por simplicidad, usamos una aproximación simulada
     
@@ -1139,21 +2488,23 @@ class ConceptMapService {
     // Si tenemos ejemplos, convertirlos en atributos
     if (concept.examples && concept.examples.length > 0) {
       attributes.push({
-        name: "Ejemplos",
+        name: pack.templates.examplesAttribute,
         value: concept.examples.join(", "),
         type: "example"
       });
     }
     
-    // Si hay definición, extraer palabras clave como atributos
-    if (concept.definition) {
-      // Extraer características de la definición
-      const words = concept.definition.split(/\s+/);
-      const keyWords = words.filter(w => w.length > 4).slice(0, 3);
+    // Si hay definición, extraer palabras clave como atributos; las de
+    // plantilla solo repetirían las palabras de la plantilla
+    if (concept.definition && concept.definitionSource !== 'placeholder') {
+      // Extraer características de la definición: palabras sin puntuación
+      // que no sean palabras vacías del idioma
+      const words = concept.definition.match(/[\p{L}\p{N}]+(?:[-'’][\p{L}\p{N}]+)*/gu) || [];
+      const keyWords = words.filter(w => w.length > 4 && !pack.stopWords.has(w.toLowerCase())).slice(0, 3);
       
       if (keyWords.length > 0) {
         attributes.push({
-          name: "Características",
+          name: pack.templates.characteristicsAttribute,
           subAttributes: keyWords.map(w => w.charAt(0).toUpperCase() + w.slice(1)),
           type: "characteristic"
         });
@@ -1166,9 +2517,10 @@ class ConceptMapService {
   /**
    * Asigna emojis relevantes a categorías de conceptos
    * @param {Array} concepts - Lista de conceptos
+   * @param {Object} pack - Paquete del idioma del texto
    * @returns {Object} - Mapeo de conceptos a emojis
    */
-  assignRelevantEmojis(concepts) {
+  assignRelevantEmojis(concepts, pack = getLanguagePack(DEFAULT_LANGUAGE)) {
     // Emojis por nivel de concepto
     const levelEmojis = {
       0: '💡', // 💡 bombilla (idea principal)
@@ -1185,6 +2537,13 @@ class ConceptMapService {
       // Asignar emoji base por nivel
       conceptEmojis[concept.id] = levelEmojis[concept.level] || levelEmojis[0];
       
+      // Un tema reconocible en el nombre tiene su propio emoji
+      const lowerName = concept.name.toLowerCase();
+      const keyword = Object.keys(pack.emoji).find(word => lowerName.includes(word));
+      if (keyword) {
+        conceptEmojis[concept.id] = pack.emoji[keyword];
+      }
+      
       // Si es un concepto crítico, usar emoji especial
       if (concept.isCritical) {
         conceptEmojis[concept.id] = criticalEmoji;
@@ -1198,22 +2557,30 @@ class ConceptMapService {
    * Genera un mapa conceptual en formato educativo usando Mermaid
    * @param {Object} result - Resultado del procesamiento
    * @param {Object} config - Configuración de generación
+   * @param {Object} pack - Paquete del idioma del texto
    * @returns {string} - Contenido del mapa conceptual en Markdown con Mermaid
    */
-  generateEducationalConceptMap(result, config) {
+  generateEducationalConceptMap(result, config, pack = getLanguagePack(DEFAULT_LANGUAGE)) {
+    // Tema, fuente y colores del estilo visual elegido
+    const visualStyle = getVisualStyle(config.style || result.metadata.visualStyle);
+    
+    // Nodos de detalle que admite el nivel de complejidad (el origen acompaña a la definición)
+    const detailNodes = config.detailNodes || this.getComplexitySettings(result.metadata.complexity).detailNodes;
+    const themeVariables = visualStyle.fontFamily ? { fontFamily: visualStyle.fontFamily } : {};
+    
     // Comenzar con la estructura básica del mapa conceptual en Mermaid
-    let mermaidContent = '```mermaid\nflowchart TD\n';
+    let mermaidContent = '```mermaid\n';
+    mermaidContent += `%%{init: ${JSON.stringify({ theme: visualStyle.mermaidTheme, themeVariables })}}%%\n`;
+    mermaidContent += 'flowchart TD\n';
     
     // Identificar el concepto principal
-    const mainConcept = this.identifyMainConcept(result);
+    const mainConcept = this.identifyMainConcept(result, pack);
     
     // Agregar clases personalizadas para estilos
-    mermaidContent += '    %% Definición de clases para estilizar nodos\n';
-    mermaidContent += '    classDef mainConcept fill:#ffffff,stroke:#555,stroke-width:2.5px;\n';
-    mermaidContent += '    classDef attributeNode fill:#FFF9C4,stroke:#FBC02D;\n';
-    mermaidContent += '    classDef exampleNode fill:#ffffff,stroke:#2E7D32;\n';
-    mermaidContent += '    classDef originNode fill:#ffffff,stroke:#6D4C41;\n';
-    mermaidContent += '    classDef cloudNode fill:#ffffff,stroke:#795548,rx:25,ry:25;\n\n';
+    Object.entries(visualStyle.classes).forEach(([className, definition]) => {
+      mermaidContent += `    classDef ${className} ${definition};\n`;
+    });
+    mermaidContent += `    linkStyle default stroke:${visualStyle.edgeColor};\n\n`;
     
     // Agregar nodos principales
     result.concepts.forEach(concept => {
@@ -1227,17 +2594,18 @@ class ConceptMapService {
         mermaidContent += `    class ${concept.id} mainConcept;\n`;
       } else {
         mermaidContent += `    ${concept.id}["${concept.name}"]\n`;
+        mermaidContent += `    class ${concept.id} conceptNode;\n`;
       }
       
       // Si hay una definición, agregarla como un nodo relacionado
-      if (concept.definition) {
+      if (detailNodes.definitions && concept.definition) {
         const defId = `${concept.id}_def`;
         mermaidContent += `    ${defId}["${concept.definition}"]\n`;
         mermaidContent += `    ${concept.id} --> ${defId}\n`;
       }
       
       // Si hay atributos, mostrarlos como nodos con estilo amarillo
-      if (concept.attributes && concept.attributes.length > 0) {
+      if (detailNodes.attributes && concept.attributes && concept.attributes.length > 0) {
         concept.attributes.forEach((attr, index) => {
           const attrId = `${concept.id}_attr_${index}`;
           mermaidContent += `    ${attrId}["${attr.name}"]\n`;
@@ -1257,9 +2625,9 @@ class ConceptMapService {
       }
       
       // Si hay ejemplos, agregarlos como nodos con formato especial
-      if (concept.examples && concept.examples.length > 0) {
+      if (detailNodes.examples && concept.examples && concept.examples.length > 0) {
         const exampleId = `${concept.id}_examples`;
-        let exampleContent = 'Ejemplos de uso:\n';
+        let exampleContent = `${pack.templates.examplesHeading}\n`;
         concept.examples.forEach(example => {
           exampleContent += `• ${example}\n`;
         });
@@ -1269,9 +2637,9 @@ class ConceptMapService {
       }
       
       // Si hay información de origen, agregarla como nodo con estilo propio
-      if (concept.origin) {
+      if (detailNodes.definitions && concept.origin) {
         const originId = `${concept.id}_origin`;
-        let originContent = 'Origen y matiz:\n';
+        let originContent = `${pack.templates.originHeading}\n`;
         originContent += `• ${concept.origin}\n`;
         mermaidContent += `    ${originId}["${originContent}"]\n`;
         mermaidContent += `    class ${originId} originNode;\n`;
@@ -1280,7 +2648,7 @@ class ConceptMapService {
     });
     
     // Agregar nodos de contexto adicional como nubes
-    if (result.contextNotes && result.contextNotes.length > 0) {
+    if (detailNodes.contextNotes && result.contextNotes && result.contextNotes.length > 0) {
       result.contextNotes.forEach((note, index) => {
         const noteId = `context_${index}`;
         mermaidContent += `    ${noteId}["${note.content}"]\n`;
@@ -1298,10 +2666,10 @@ class ConceptMapService {
     mermaidContent += '```';
     
     // Agregar contenido markdown antes y después del mapa para mayor contexto
-    let markdownContent = `# Mapa Conceptual: ${mainConcept.name}\n\n`;
+    let markdownContent = `# ${pack.templates.mapTitle(mainConcept.name)}\n\n`;
     
     if (result.metadata.summary) {
-      markdownContent += `## Resumen\n${result.metadata.summary}\n\n`;
+      markdownContent += `## ${pack.templates.summaryHeading}\n${result.metadata.summary}\n\n`;
     }
     
     markdownContent += mermaidContent;
@@ -1312,9 +2680,10 @@ class ConceptMapService {
   /**
    * Identifica el concepto principal del mapa conceptual
    * @param {Object} result - Resultado del procesamiento
+   * @param {Object} pack - Paquete de idioma para el nombre por defecto
    * @returns {Object} - El concepto principal
    */
-  identifyMainConcept(result) {
+  identifyMainConcept(result, pack = getLanguagePack(DEFAULT_LANGUAGE)) {
     // Si hay un concepto marcado explícitamente como principal, usarlo
     const explicitMain = result.concepts.find(c => c.isMainConcept);
     if (explicitMain) {
@@ -1323,7 +2692,7 @@ class ConceptMapService {
     
     // De lo contrario, usar el concepto con mayor importancia o el primer concepto
     result.concepts.sort((a, b) => (b.importance || 0) - (a.importance || 0));
-    return result.concepts[0] || { id: 'main', name: 'Concepto Principal' };
+    return result.concepts[0] || { id: 'main', name: pack.templates.defaultMainConcept };
   }
   
   /**
@@ -1340,34 +2709,36 @@ class ConceptMapService {
   /**
    * Genera un resumen descriptivo del mapa conceptual para la etapa de Conclusión
    * @param {Object} result - Resultado del mapa conceptual
+   * @param {Object} pack - Paquete del idioma del texto
    * @returns {string} - Resumen descriptivo detallado
    */
-  generateConceptualSummary(result) {
+  generateConceptualSummary(result, pack = getLanguagePack(DEFAULT_LANGUAGE)) {
     // En una implementación real, esto generaría un resumen completo basado en el análisis
     // Por ahora, generamos un resumen básico
     
-    const mainConcept = this.identifyMainConcept(result);
+    const mainConcept = this.identifyMainConcept(result, pack);
     const conceptCount = result.concepts.length;
     const relationshipCount = result.relationships.length;
+    const sentences = pack.templates.summary;
     
-    let summary = `Este mapa conceptual analiza "${mainConcept.name}" a través de ${conceptCount} conceptos interconectados mediante ${relationshipCount} relaciones. `;
+    let summary = sentences.intro(mainConcept.name, conceptCount, relationshipCount);
     
     // Agregar información sobre jerarquía
     const levels = [...new Set(result.concepts.map(c => c.level))].sort();
     if (levels.length > 1) {
-      summary += `Está organizado en ${levels.length} niveles jerárquicos, desde conceptos generales hasta específicos. `;
+      summary += sentences.levels(levels.length);
     }
     
     // Mencionar elementos enriquecidos
-    const withDefinitions = result.concepts.filter(c => c.definition).length;
+    const withDefinitions = result.concepts.filter(c => c.definition && c.definitionSource !== 'placeholder').length;
     const withExamples = result.concepts.filter(c => c.examples && c.examples.length > 0).length;
     
     if (withDefinitions > 0 || withExamples > 0) {
-      summary += `Incluye ${withDefinitions} definiciones conceptuales y ${withExamples} ejemplos ilustrativos para facilitar la comprensión. `;
+      summary += sentences.enrichment(withDefinitions, withExamples);
     }
     
     // Mencionar características visuales
-    summary += `La visualización destaca conceptos clave mediante una organización jerárquica con nodos y conexiones diferenciadas por color y formato.`;
+    summary += sentences.visual;
     
     return summary;
   }
@@ -0,0 +1,176 @@
+/**
+ * Servicio de Documentos
+ *
+ * Convierte los archivos subidos (PDF, DOCX, HTML, Markdown y TXT) en texto
+ * para el pipeline, sin servicios externos. Los formatos con estructura
+ * (DOCX, HTML) se pasan a Markdown para conservar títulos, listas y
+ * negritas; del PDF solo se recupera el texto y las viñetas.
+ */
+
+const path = require('path');
+const mammoth = require('mammoth');
+const { PDFParse } = require('pdf-parse');
+const { htmlToMarkdown } = require('../utils/htmlToMarkdown');
+const { AppError } = require('../utils/errors');
+
+// Formatos admitidos con sus extensiones y tipos MIME
+const FORMATS = {
+  pdf: {
+    extensions: ['.pdf'],
+    mimeTypes: ['application/pdf']
+  },
+  docx: {
+    extensions: ['.docx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document']
+  },
+  html: {
+    extensions: ['.html', '.htm', '.xhtml'],
+    mimeTypes: ['text/html', 'application/xhtml+xml']
+  },
+  markdown: {
+    extensions: ['.md', '.markdown'],
+    mimeTypes: ['text/markdown', 'text/x-markdown']
+  },
+  text: {
+    extensions: ['.txt', '.text'],
+    mimeTypes: ['text/plain']
+  }
+};
+
+// Viñetas que los PDF conservan como caracteres
+const PDF_BULLET = /^[ \t]*[•◦▪▫■□●○‣⁃∙·–][ \t]+/gm;
+
+class DocumentService {
+  /**
+   * Extensiones aceptadas, para el atributo accept del formulario y los mensajes de error
+   * @returns {Array<string>}
+   */
+  getSupportedExtensions() {
+    return Object.values(FORMATS).flatMap(format => format.extensions);
+  }
+
+  /**
+   * Determina el formato de un archivo por su extensión o, si no la tiene, por su tipo MIME
+   * @param {string} filename - Nombre original del archivo
+   * @param {string} [mimeType] - Tipo MIME declarado por el cliente
+   * @returns {string|null} - pdf | docx | html | markdown | text, o null si no se admite
+   */
+  detectFormat(filename = '', mimeType = '') {
+    const extension = path.extname(filename).toLowerCase();
+    const byExtension = Object.keys(FORMATS).find(format => FORMATS[format].extensions.includes(extension));
+    if (byExtension || extension) {
+      return byExtension || null;
+    }
+    
+    const mime = mimeType.split(';')[0].trim().toLowerCase();
+    return Object.keys(FORMATS).find(format => FORMATS[format].mimeTypes.includes(mime)) || null;
+  }
+
+  /**
+   * Convierte un archivo subido en texto para el pipeline
+   * @param {Object} file - { buffer, originalname, mimetype } (formato de multer)
+   * @returns {Promise<Object>} - { text, format }
+   */
+  async extractText(file) {
+    const format = this.detectFormat(file.originalname, file.mimetype);
+    if (!format) {
+      throw new AppError(
+        `Formato de archivo no admitido. Formatos aceptados: ${this.getSupportedExtensions().join(', ')}`,
+        415,
+        'UNSUPPORTED_FILE_TYPE'
+      );
+    }
+    
+    let text;
+    try {
+      text = await this.convert(file.buffer, format);
+    } catch (error) {
+      console.error(`Error al leer el documento ${file.originalname}:`, error);
+      throw new AppError(`No se pudo leer el archivo ${format.toUpperCase()}; puede estar dañado o protegido`, 422, 'UNREADABLE_DOCUMENT');
+    }
+    
+    text = this.normalizeText(text);
+    if (!text) {
+      // Los PDF escaneados solo contienen imágenes
+      throw new AppError('El documento no contiene texto extraíble', 422, 'EMPTY_DOCUMENT');
+    }
+    
+    return { text, format };
+  }
+
+  /**
+   * Convierte el contenido según su formato
+   * @param {Buffer} buffer - Contenido del archivo
+   * @param {string} format - Formato detectado
+   * @returns {Promise<string>} - Texto, en Markdown cuando el formato tiene estructura
+   */
+  async convert(buffer, format) {
+    switch (format) {
+      case 'pdf':
+        return this.pdfToText(buffer);
+      case 'docx': {
+        // mammoth traduce los estilos de título y las listas de Word a HTML
+        const { value } = await mammoth.convertToHtml({ buffer });
+        return htmlToMarkdown(value);
+      }
+      case 'html':
+        return htmlToMarkdown(this.decodeText(buffer));
+      default:
+        return this.decodeText(buffer);
+    }
+  }
+
+  /**
+   * Texto de un PDF: las viñetas pasan a elementos de lista y las líneas
+   * cortadas por el ancho de página se vuelven a unir
+   * @param {Buffer} buffer - Contenido del archivo
+   * @returns {Promise<string>}
+   */
+  async pdfToText(buffer) {
+    const parser = new PDFParse({ data: new Uint8Array(buffer) });
+    try {
+      const { pages } = await parser.getText();
+      return pages
+        .map(page => page.text
+          .replace(PDF_BULLET, '- ')
+          // Palabras partidas con guion al final de línea ("informa-\nción")
+          .replace(/(\p{L})-\n(\p{Ll})/gu, '$1$2')
+          // Una línea que sigue en minúscula continúa la oración anterior
+          .replace(/([^\n.!?:;])\n(?=\p{Ll})/gu, '$1 '))
+        .join('\n\n');
+    } finally {
+      await parser.destroy();
+    }
+  }
+
+  /**
+   * Decodifica un archivo de texto: UTF-8 (con o sin BOM) o, si no lo es, Windows-1252
+   * @param {Buffer} buffer - Contenido del archivo
+   * @returns {string}
+   */
+  decodeText(buffer) {
+    const utf8 = buffer.toString('utf8');
+    if (!utf8.includes('\uFFFD')) {
+      return utf8.replace(/^\uFEFF/, '');
+    }
+    return new TextDecoder('windows-1252').decode(buffer);
+  }
+
+  /**
+   * Unifica saltos de línea y espacios del texto extraído
+   * @param {string} text - Texto convertido
+   * @returns {string}
+   */
+  normalizeText(text) {
+    return text
+      .replace(/\r\n?/g, '\n')
+      .replace(/[\t\u00a0]/g, ' ')
+      .replace(/[ ]+$/gm, '')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+}
+
+const documentService = new DocumentService();
+
+module.exports = documentService;
@@ -0,0 +1,407 @@
+/**
+ * Formatos de intercambio de mapas conceptuales
+ *
+ * Serializa un mapa para abrirlo en otras herramientas:
+ * - GraphML (yEd, Cytoscape) y GEXF (Gephi), con atributos tipados.
+ * - DOT (Graphviz), con los colores y trazos de la etapa 5.
+ * - CXL, el XML de IHMC CmapTools: cada relación es una frase de enlace
+ *   y las posiciones salen del motor de disposición.
+ * - JSON-LD: conceptos SKOS (prefLabel, definition, broader) y relaciones
+ *   como recursos con su tipo.
+ * Todos conservan el nivel, la categoría, la definición de cada concepto y
+ * el tipo de cada relación.
+ */
+
+const { escapeXml } = require('../../utils/xml');
+const { layoutConceptMap } = require('./layout');
+
+// Vocabulario propio para lo que SKOS no cubre (nivel, categoría, relaciones tipadas)
+const VOCABULARY = 'urn:conceptmap:vocab:';
+
+/**
+ * Título e idioma del mapa
+ * @param {Object} result - Resultado del mapa
+ * @param {Object} options - { title }
+ * @returns {Object} - { title, language }
+ */
+function describeMap(result, options) {
+  const main = result.concepts.find(c => c.isMainConcept) || result.concepts[0];
+  const metadata = result.metadata || {};
+  return {
+    title: options.title || (main ? main.name : 'Mapa conceptual'),
+    language: (metadata.language && metadata.language.code) || 'es'
+  };
+}
+
+/**
+ * Padre de cada concepto en la jerarquía del mapa
+ * @param {Object} result - Resultado del mapa
+ * @returns {Object} - id → id del padre (null en las raíces)
+ */
+function parentsOf(result) {
+  const parents = result.hierarchy && result.hierarchy.parents ? result.hierarchy.parents : {};
+  return Object.fromEntries(result.concepts.map(c => [c.id, parents[c.id] !== undefined ? parents[c.id] : (c.parentId || null)]));
+}
+
+/**
+ * Atributos de un concepto comunes a todos los formatos
+ * @param {Object} concept - Concepto
+ * @returns {Object} - { label, level, category, importance, definition, examples }
+ */
+function conceptAttributes(concept) {
+  return {
+    label: concept.name,
+    level: Number.isInteger(concept.level) ? concept.level : 0,
+    category: concept.category || '',
+    importance: typeof concept.importance === 'number' ? concept.importance : 0,
+    definition: concept.definition || '',
+    examples: (concept.examples || []).join('; ')
+  };
+}
+
+/**
+ * Atributos de una relación comunes a todos los formatos
+ * @param {Object} rel - Relación
+ * @returns {Object} - { label, type, strength, confidence }
+ */
+function relationshipAttributes(rel) {
+  return {
+    label: rel.label || rel.type || '',
+    type: rel.type || '',
+    strength: typeof rel.strength === 'number' ? rel.strength : 0,
+    confidence: typeof rel.confidence === 'number' ? rel.confidence : 0
+  };
+}
+
+/**
+ * Relaciones entre conceptos presentes en el mapa
+ * @param {Object} result - Resultado del mapa
+ * @returns {Array}
+ */
+function validRelationships(result) {
+  const ids = new Set(result.concepts.map(c => c.id));
+  return (result.relationships || []).filter(rel => ids.has(rel.source) && ids.has(rel.target));
+}
+
+/**
+ * Componentes RGB de un color hexadecimal
+ * @param {string} color - Color (#rgb o #rrggbb)
+ * @returns {Array<number>|null}
+ */
+function hexToRgb(color) {
+  const match = String(color || '').match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (!match) return null;
+  const hex = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+  return [0, 2, 4].map(index => parseInt(hex.slice(index, index + 2), 16));
+}
+
+// Atributos declarados en GraphML y GEXF: nombre, destino y tipo
+const GRAPH_KEYS = [
+  { name: 'label', for: 'node', type: 'string' },
+  { name: 'level', for: 'node', type: 'int' },
+  { name: 'category', for: 'node', type: 'string' },
+  { name: 'importance', for: 'node', type: 'double' },
+  { name: 'definition', for: 'node', type: 'string' },
+  { name: 'examples', for: 'node', type: 'string' },
+  { name: 'label', for: 'edge', type: 'string' },
+  { name: 'type', for: 'edge', type: 'string' },
+  { name: 'strength', for: 'edge', type: 'double' },
+  { name: 'confidence', for: 'edge', type: 'double' }
+];
+
+/**
+ * Serializa un mapa en GraphML
+ * @param {Object} result - Resultado del mapa
+ * @param {Object} options - { title }
+ * @returns {string}
+ */
+function toGraphML(result, options = {}) {
+  const { title } = describeMap(result, options);
+  const keyId = (key) => `${key.for === 'node' ? 'n' : 'e'}_${key.name}`;
+  const data = (kind, attributes) => GRAPH_KEYS
+    .filter(key => key.for === kind && attributes[key.name] !== '')
+    .map(key => `      <data key="${keyId(key)}">${escapeXml(attributes[key.name])}</data>`)
+    .join('\n');
+
+  const keys = GRAPH_KEYS
+    .map(key => `  <key id="${keyId(key)}" for="${key.for}" attr.name="${key.name}" attr.type="${key.type}"/>`)
+    .join('\n');
+  const nodes = result.concepts
+    .map(concept => `    <node id="${escapeXml(concept.id)}">\n${data('node', conceptAttributes(concept))}\n    </node>`)
+    .join('\n');
+  const edges = validRelationships(result)
+    .map(rel => `    <edge id="${escapeXml(rel.id)}" source="${escapeXml(rel.source)}" target="${escapeXml(rel.target)}">\n${data('edge', relationshipAttributes(rel))}\n    </edge>`)
+    .join('\n');
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+    'xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">\n' +
+    `${keys}\n` +
+    `  <graph id="${escapeXml(title)}" edgedefault="directed">\n${nodes}\n${edges}\n  </graph>\n` +
+    '</graphml>\n';
+}
+
+/**
+ * Serializa un mapa en GEXF 1.3, con el color de cada concepto para Gephi
+ * @param {Object} result - Resultado del mapa
+ * @param {Object} options - { title }
+ * @returns {string}
+ */
+function toGexf(result, options = {}) {
+  const { title } = describeMap(result, options);
+  const gexfTypes = { int: 'integer', double: 'double', string: 'string' };
+  const attributeKeys = (kind) => GRAPH_KEYS.filter(key => key.for === kind && key.name !== 'label');
+  const declare = (kind) => attributeKeys(kind)
+    .map(key => `      <attribute id="${key.name}" title="${key.name}" type="${gexfTypes[key.type]}"/>`)
+    .join('\n');
+  const values = (kind, attributes) => attributeKeys(kind)
+    .filter(key => attributes[key.name] !== '')
+    .map(key => `          <attvalue for="${key.name}" value="${escapeXml(attributes[key.name])}"/>`)
+    .join('\n');
+
+  const nodes = result.concepts.map(concept => {
+    const attributes = conceptAttributes(concept);
+    const rgb = hexToRgb(concept.formatting && concept.formatting.color);
+    const color = rgb ? `\n        <viz:color r="${rgb[0]}" g="${rgb[1]}" b="${rgb[2]}"/>` : '';
+    return `      <node id="${escapeXml(concept.id)}" label="${escapeXml(attributes.label)}">\n` +
+      `        <attvalues>\n${values('node', attributes)}\n        </attvalues>${color}\n` +
+      `        <viz:size value="${(10 + attributes.importance * 20).toFixed(1)}"/>\n      </node>`;
+  }).join('\n');
+
+  const edges = validRelationships(result).map(rel => {
+    const attributes = relationshipAttributes(rel);
+    return `      <edge id="${escapeXml(rel.id)}" source="${escapeXml(rel.source)}" target="${escapeXml(rel.target)}" label="${escapeXml(attributes.label)}" weight="${attributes.strength || 1}">\n` +
+      `        <attvalues>\n${values('edge', attributes)}\n        </attvalues>\n      </edge>`;
+  }).join('\n');
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">\n' +
+    `  <meta>\n    <creator>ConceptMap SaaS</creator>\n    <description>${escapeXml(title)}</description>\n  </meta>\n` +
+    '  <graph defaultedgetype="directed" mode="static">\n' +
+    `    <attributes class="node">\n${declare('node')}\n    </attributes>\n` +
+    `    <attributes class="edge">\n${declare('edge')}\n    </attributes>\n` +
+    `    <nodes>\n${nodes}\n    </nodes>\n    <edges>\n${edges}\n    </edges>\n  </graph>\n` +
+    '</gexf>\n';
+}
+
+/**
+ * Cadena entre comillas para DOT
+ * @param {*} value - Valor
+ * @returns {string}
+ */
+function dotString(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+}
+
+// Trazo de Graphviz para cada rel.style
+const DOT_LINE_STYLES = {
+  thick: 'penwidth=2.5',
+  bold: 'penwidth=2.5',
+  dashed: 'style=dashed',
+  dotted: 'style=dotted'
+};
+
+/**
+ * Serializa un mapa en el lenguaje DOT de Graphviz
+ * @param {Object} result - Resultado del mapa
+ * @param {Object} options - { title }
+ * @returns {string}
+ */
+function toDot(result, options = {}) {
+  const { title } = describeMap(result, options);
+  const attributeList = (pairs) => pairs.filter(Boolean).join(', ');
+
+  const nodes = result.concepts.map(concept => {
+    const attributes = conceptAttributes(concept);
+    const formatting = concept.formatting || {};
+    return `  ${dotString(concept.id)} [${attributeList([
+      `label=${dotString(attributes.label)}`,
+      formatting.color && `fillcolor=${dotString(formatting.color)}`,
+      formatting.shape === 'ellipse' && 'shape=ellipse',
+      formatting.fontSize && `fontsize=${formatting.fontSize}`,
+      formatting.bold && 'fontname="Helvetica-Bold"',
+      attributes.definition && `tooltip=${dotString(attributes.definition)}`,
+      `level=${attributes.level}`,
+      attributes.category && `category=${dotString(attributes.category)}`,
+      `importance=${attributes.importance}`,
+      attributes.definition && `definition=${dotString(attributes.definition)}`,
+      attributes.examples && `examples=${dotString(attributes.examples)}`
+    ])}];`;
+  });
+
+  const edges = validRelationships(result).map(rel => {
+    const attributes = relationshipAttributes(rel);
+    return `  ${dotString(rel.source)} -> ${dotString(rel.target)} [${attributeList([
+      `label=${dotString(attributes.label)}`,
+      DOT_LINE_STYLES[rel.style],
+      attributes.type && `type=${dotString(attributes.type)}`,
+      `strength=${attributes.strength}`,
+      `confidence=${attributes.confidence}`
+    ])}];`;
+  });
+
+  return `digraph ${dotString(title)} {\n` +
+    '  graph [rankdir=TB, fontname="Helvetica"];\n' +
+    '  node [shape=box, style="rounded,filled", fillcolor="#6495ed", fontcolor="#ffffff", fontname="Helvetica"];\n' +
+    '  edge [fontname="Helvetica", fontsize=10, color="#555555"];\n' +
+    `${[...nodes, ...edges].join('\n')}\n}\n`;
+}
+
+/**
+ * Color de CmapTools ("r,g,b,a")
+ * @param {string} color - Color hexadecimal
+ * @returns {string|null}
+ */
+function cxlColor(color) {
+  const rgb = hexToRgb(color);
+  return rgb ? `${rgb.join(',')},255` : null;
+}
+
+/**
+ * Serializa un mapa en CXL (IHMC CmapTools)
+ * @param {Object} result - Resultado del mapa
+ * @param {Object} options - { title }
+ * @returns {string}
+ */
+function toCxl(result, options = {}) {
+  const { title, language } = describeMap(result, options);
+  const scene = layoutConceptMap(result, { title });
+  const nodes = new Map(scene.nodes.map(node => [node.id, node]));
+  const edges = new Map(scene.edges.map(edge => [edge.id, edge]));
+  const relationships = validRelationships(result);
+
+  const concepts = result.concepts.map(concept => {
+    const attributes = conceptAttributes(concept);
+    // CXL no tiene atributos libres: el nivel y la categoría van en el comentario largo
+    const details = [`level: ${attributes.level}`, attributes.category && `category: ${attributes.category}`, attributes.examples && `examples: ${attributes.examples}`]
+      .filter(Boolean)
+      .join('\n');
+    const comment = attributes.definition ? ` short-comment="${escapeXml(attributes.definition)}"` : '';
+    return `      <concept id="${escapeXml(concept.id)}" label="${escapeXml(attributes.label)}"${comment} long-comment="${escapeXml(details)}"/>`;
+  });
+
+  const phrases = relationships.map(rel => {
+    const attributes = relationshipAttributes(rel);
+    return `      <linking-phrase id="${escapeXml(`${rel.id}_phrase`)}" label="${escapeXml(attributes.label)}" long-comment="${escapeXml(`type: ${attributes.type}`)}"/>`;
+  });
+
+  // Cada relación une concepto → frase de enlace → concepto
+  const connections = relationships.flatMap(rel => [
+    `      <connection id="${escapeXml(`${rel.id}_from`)}" from-id="${escapeXml(rel.source)}" to-id="${escapeXml(`${rel.id}_phrase`)}"/>`,
+    `      <connection id="${escapeXml(`${rel.id}_to`)}" from-id="${escapeXml(`${rel.id}_phrase`)}" to-id="${escapeXml(rel.target)}"/>`
+  ]);
+
+  const conceptAppearances = result.concepts.map(concept => {
+    const node = nodes.get(concept.id);
+    const background = cxlColor(node.fill);
+    return `      <concept-appearance id="${escapeXml(concept.id)}" x="${Math.round(node.x)}" y="${Math.round(node.y)}" width="${node.width}" height="${node.height}"` +
+      `${background ? ` background-color="${background}"` : ''} font-color="${cxlColor(node.textColor)}" font-size="${node.fontSize}"${node.bold ? ' font-style="bold"' : ''}/>`;
+  });
+
+  const phraseAppearances = relationships.map(rel => {
+    const edge = edges.get(rel.id);
+    // Sin etiqueta dibujada, la frase se coloca en el punto de control de la curva
+    const point = edge && edge.label ? edge.label : edge ? edge.control : { x: 0, y: 0 };
+    return `      <linking-phrase-appearance id="${escapeXml(`${rel.id}_phrase`)}" x="${Math.round(point.x)}" y="${Math.round(point.y)}"/>`;
+  });
+
+  const list = (name, items) => `    <${name}>\n${items.join('\n')}\n    </${name}>\n`;
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<cmap xmlns="http://cmap.ihmc.us/xml/cmap/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/">\n' +
+    '  <res-meta>\n' +
+    `    <dc:title>${escapeXml(title)}</dc:title>\n` +
+    `    <dc:language>${escapeXml(language)}</dc:language>\n` +
+    '    <dc:format>x-cmap/x-storable</dc:format>\n' +
+    '  </res-meta>\n' +
+    '  <map>\n' +
+    list('concept-list', concepts) +
+    list('linking-phrase-list', phrases) +
+    list('connection-list', connections) +
+    list('concept-appearance-list', conceptAppearances) +
+    list('linking-phrase-appearance-list', phraseAppearances) +
+    '  </map>\n' +
+    '</cmap>\n';
+}
+
+/**
+ * Serializa un mapa en JSON-LD: un esquema de conceptos SKOS y sus relaciones tipadas
+ * @param {Object} result - Resultado del mapa
+ * @param {Object} options - { title, id: identificador del mapa guardado }
+ * @returns {string}
+ */
+function toJsonLd(result, options = {}) {
+  const { title, language } = describeMap(result, options);
+  const base = `urn:conceptmap:${options.id || 'map'}:`;
+  const parents = parentsOf(result);
+
+  const document = {
+    '@context': {
+      '@base': base,
+      '@language': language,
+      skos: 'http://www.w3.org/2004/02/skos/core#',
+      rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+      xsd: 'http://www.w3.org/2001/XMLSchema#',
+      cm: VOCABULARY,
+      label: 'skos:prefLabel',
+      definition: 'skos:definition',
+      example: 'skos:example',
+      broader: { '@id': 'skos:broader', '@type': '@id' },
+      inScheme: { '@id': 'skos:inScheme', '@type': '@id' },
+      level: { '@id': 'cm:level', '@type': 'xsd:integer' },
+      category: 'cm:category',
+      importance: { '@id': 'cm:importance', '@type': 'xsd:decimal' },
+      source: { '@id': 'cm:source', '@type': '@id' },
+      target: { '@id': 'cm:target', '@type': '@id' },
+      relationType: { '@id': 'cm:relationType', '@language': null },
+      linkingPhrase: 'rdfs:label',
+      strength: { '@id': 'cm:strength', '@type': 'xsd:decimal' },
+      confidence: { '@id': 'cm:confidence', '@type': 'xsd:decimal' }
+    },
+    '@graph': [
+      {
+        '@id': 'scheme',
+        '@type': 'skos:ConceptScheme',
+        label: title
+      },
+      ...result.concepts.map(concept => {
+        const attributes = conceptAttributes(concept);
+        return {
+          '@id': concept.id,
+          '@type': 'skos:Concept',
+          inScheme: 'scheme',
+          label: attributes.label,
+          ...(attributes.definition && { definition: attributes.definition }),
+          ...((concept.examples || []).length > 0 && { example: concept.examples }),
+          ...(parents[concept.id] && { broader: parents[concept.id] }),
+          level: attributes.level,
+          ...(attributes.category && { category: attributes.category }),
+          importance: attributes.importance
+        };
+      }),
+      ...validRelationships(result).map(rel => {
+        const attributes = relationshipAttributes(rel);
+        return {
+          '@id': rel.id,
+          '@type': 'cm:Relationship',
+          source: rel.source,
+          target: rel.target,
+          relationType: attributes.type,
+          linkingPhrase: attributes.label,
+          strength: attributes.strength,
+          confidence: attributes.confidence
+        };
+      })
+    ]
+  };
+
+  return `${JSON.stringify(document, null, 2)}\n`;
+}
+
+module.exports = {
+  toGraphML,
+  toGexf,
+  toDot,
+  toCxl,
+  toJsonLd
+};
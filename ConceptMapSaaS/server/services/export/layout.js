@@ -0,0 +1,446 @@
+/**
+ * Motor de disposición de los mapas exportados
+ *
+ * Calcula la posición de cada concepto sin dependencias externas: los
+ * conceptos se colocan por niveles siguiendo la jerarquía (un árbol de
+ * arriba abajo en el que cada subárbol recibe el ancho que necesita y los
+ * hermanos que no caben en config.exports.maxRowWidth pasan a otra fila) y las
+ * relaciones se trazan como curvas entre los bordes de los nodos. El
+ * resultado es una escena en coordenadas absolutas, independiente del
+ * formato, que dibujan los renderizadores de SVG y PDF.
+ *
+ * El aspecto sale de la etapa 5: concept.formatting (color, forma, tamaño
+ * de letra, negrita y borde) y rel.style (grosor y trazo de la línea). El
+ * estilo visual del mapa (metadata.visualStyle) aporta la fuente, el color
+ * de las relaciones y, en el estilo 'sketch', los trazos a mano alzada.
+ */
+
+const config = require('../../config');
+const { getVisualStyle } = require('../visualStyles');
+const { sketchScene } = require('./sketch');
+
+// Aspecto de un concepto que no pasó por la etapa de estética
+const DEFAULT_FORMATTING = { color: '#6495ed', shape: 'rectangle', fontSize: 12, bold: false, border: 1 };
+
+// Trazo de cada estilo de línea de las relaciones
+const LINE_STYLES = {
+  thick: { width: 2.5, dash: null },
+  bold: { width: 2.5, dash: null },
+  normal: { width: 1.25, dash: null },
+  solid: { width: 1.25, dash: null },
+  dashed: { width: 1.25, dash: [6, 4] },
+  dotted: { width: 1.25, dash: [2, 3] }
+};
+
+const LINE_HEIGHT = 1.25;
+const PADDING = { x: 12, y: 8 };
+const CORNER_RADIUS = 6;
+const ARROW_SIZE = 8;
+const LABEL_FONT_SIZE = 10;
+const LABEL_PADDING = 3;
+
+/**
+ * Anchura aproximada de un texto; no hay métricas de fuente en el servidor,
+ * así que se estima por clases de caracteres
+ * @param {string} text - Texto
+ * @param {number} fontSize - Tamaño de letra en píxeles
+ * @param {boolean} bold - Texto en negrita
+ * @returns {number}
+ */
+function measureText(text, fontSize, bold = false) {
+  let units = 0;
+  for (const char of text) {
+    if (/[ilIjtf.,;:!|'()[\]]/.test(char)) units += 0.3;
+    else if (/[mwMW@]/.test(char)) units += 0.85;
+    else if (/[A-ZÁÉÍÓÚÑ0-9]/.test(char)) units += 0.68;
+    else if (char === ' ') units += 0.3;
+    else units += 0.56;
+  }
+  return units * fontSize * (bold ? 1.08 : 1);
+}
+
+/**
+ * Parte un texto en líneas que no superen una anchura; una palabra más larga ocupa su propia línea
+ * @param {string} text - Texto
+ * @param {number} fontSize - Tamaño de letra
+ * @param {boolean} bold - Texto en negrita
+ * @param {number} maxWidth - Anchura máxima
+ * @returns {Array<string>}
+ */
+function wrapText(text, fontSize, bold, maxWidth) {
+  const lines = [];
+  let current = '';
+  text.split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = current ? `${current} ${word}` : word;
+    if (current && measureText(candidate, fontSize, bold) > maxWidth) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = candidate;
+    }
+  });
+  if (current) lines.push(current);
+  return lines.length > 0 ? lines : [''];
+}
+
+/**
+ * Componentes RGB de un color hexadecimal (#rgb o #rrggbb)
+ * @param {string} color - Color
+ * @returns {Array<number>|null}
+ */
+function parseHex(color) {
+  const match = String(color).trim().match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (!match) return null;
+  const hex = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+  return [0, 2, 4].map(index => parseInt(hex.slice(index, index + 2), 16));
+}
+
+/**
+ * Color hexadecimal válido o el color por defecto del nodo. El color llega de
+ * concept.formatting, que el cliente puede editar, y acaba en atributos SVG
+ * @param {string} color - Color
+ * @returns {string}
+ */
+function safeColor(color) {
+  return parseHex(color) ? String(color).trim() : DEFAULT_FORMATTING.color;
+}
+
+/**
+ * Oscurece un color para el borde del nodo
+ * @param {string} color - Color de relleno
+ * @param {number} amount - Proporción de oscurecimiento (0-1)
+ * @returns {string}
+ */
+function darken(color, amount = 0.25) {
+  const rgb = parseHex(color);
+  if (!rgb) return '#333333';
+  return `#${rgb.map(value => Math.round(value * (1 - amount)).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Color del texto legible sobre un relleno (blanco sobre colores oscuros)
+ * @param {string} color - Color de relleno
+ * @returns {string}
+ */
+function contrastColor(color) {
+  const rgb = parseHex(color);
+  if (!rgb) return '#ffffff';
+  const [r, g, b] = rgb.map(value => value / 255);
+  return 0.299 * r + 0.587 * g + 0.114 * b > 0.62 ? '#1f2937' : '#ffffff';
+}
+
+/**
+ * Punto del borde de un nodo en la dirección de otro punto
+ * @param {Object} node - Nodo con centro (x, y), width, height y shape
+ * @param {Object} toward - Punto { x, y }
+ * @returns {Object} - { x, y }
+ */
+function borderPoint(node, toward) {
+  const dx = toward.x - node.x;
+  const dy = toward.y - node.y;
+  if (dx === 0 && dy === 0) return { x: node.x, y: node.y };
+
+  const halfWidth = node.width / 2;
+  const halfHeight = node.height / 2;
+  const t = node.shape === 'ellipse' ?
+    1 / Math.sqrt((dx / halfWidth) ** 2 + (dy / halfHeight) ** 2) :
+    Math.min(dx === 0 ? Infinity : halfWidth / Math.abs(dx), dy === 0 ? Infinity : halfHeight / Math.abs(dy));
+  return { x: node.x + dx * t, y: node.y + dy * t };
+}
+
+/**
+ * Bosque de conceptos según la jerarquía del resultado (o el parentId de cada concepto).
+ * Los conceptos sin padre válido, o atrapados en un ciclo, pasan a ser raíces.
+ * @param {Array} concepts - Conceptos del mapa
+ * @param {Object} [hierarchy] - result.hierarchy
+ * @returns {Object} - { roots: [id], children: Map id → [id] }
+ */
+function buildForest(concepts, hierarchy) {
+  const ids = new Set(concepts.map(c => c.id));
+  const children = new Map(concepts.map(c => [c.id, []]));
+  const parents = hierarchy && hierarchy.parents ? hierarchy.parents : {};
+  const candidates = [];
+
+  concepts.forEach(concept => {
+    const parentId = parents[concept.id] !== undefined ? parents[concept.id] : concept.parentId;
+    if (parentId && parentId !== concept.id && ids.has(parentId)) {
+      children.get(parentId).push(concept.id);
+    } else {
+      candidates.push(concept.id);
+    }
+  });
+
+  // El concepto principal encabeza el mapa
+  const main = concepts.find(c => c.isMainConcept);
+  const roots = main && candidates.includes(main.id) ?
+    [main.id, ...candidates.filter(id => id !== main.id)] :
+    candidates;
+
+  const visited = new Set();
+  const visit = (id) => {
+    visited.add(id);
+    children.set(id, children.get(id).filter(child => !visited.has(child)));
+    children.get(id).forEach(visit);
+  };
+  roots.forEach(visit);
+  concepts.forEach(concept => {
+    if (!visited.has(concept.id)) {
+      children.forEach((list, id) => children.set(id, list.filter(child => child !== concept.id)));
+      roots.push(concept.id);
+      visit(concept.id);
+    }
+  });
+
+  return { roots, children };
+}
+
+/**
+ * Calcula la disposición de un mapa conceptual
+ * @param {Object} result - Resultado del mapa ({ concepts, relationships, hierarchy })
+ * @param {Object} options - { title }
+ * @returns {Object} - Escena: {
+ *   width, height, title, fontFamily, renderer,
+ *   nodes: [{ id, name, x, y, width, height, shape, radius, fill, stroke, strokeWidth, textColor, fontSize, bold, lines: [{ text, x, y }] }],
+ *   edges: [{ id, type, start, control, end, arrow, color, width, dash, label: { text, x, y, width, height, fontSize, baseline } | null }]
+ * } con x e y de los nodos en su centro y las líneas de texto en su línea base; con el
+ * renderizador 'sketch', nodos y relaciones llevan además `outline` (trazados SVG a mano alzada)
+ */
+function layoutConceptMap(result, options = {}) {
+  const settings = config.exports;
+  const style = getVisualStyle(result.metadata && result.metadata.visualStyle);
+  const concepts = result.concepts || [];
+  const nodes = new Map();
+
+  // 1. Tamaño de cada nodo según su texto y su formato
+  concepts.forEach(concept => {
+    const formatting = { ...DEFAULT_FORMATTING, ...(concept.formatting || {}) };
+    const color = safeColor(formatting.color);
+    const fontSize = Number(formatting.fontSize) || DEFAULT_FORMATTING.fontSize;
+    const bold = Boolean(formatting.bold);
+    const lines = wrapText(String(concept.name || ''), fontSize, bold, settings.maxLabelWidth);
+    const textWidth = Math.max(...lines.map(line => measureText(line, fontSize, bold)));
+    const ellipse = formatting.shape === 'ellipse';
+    // Una elipse necesita más holgura para que el texto quepa dentro
+    const scale = ellipse ? Math.SQRT2 : 1;
+
+    nodes.set(concept.id, {
+      id: concept.id,
+      name: concept.name,
+      shape: ellipse ? 'ellipse' : 'rectangle',
+      radius: ellipse ? 0 : CORNER_RADIUS,
+      fill: color,
+      stroke: darken(color),
+      strokeWidth: Number(formatting.border) || 1,
+      textColor: contrastColor(color),
+      fontSize,
+      bold,
+      textLines: lines,
+      width: Math.ceil((textWidth + PADDING.x * 2) * scale),
+      height: Math.ceil((lines.length * fontSize * LINE_HEIGHT + PADDING.y * 2) * scale)
+    });
+  });
+
+  // 2. Niveles: cada nivel ocupa la altura de su nodo más alto
+  const { roots, children } = buildForest(concepts, result.hierarchy);
+  const depthOf = new Map();
+  const assignDepth = (id, depth) => {
+    depthOf.set(id, depth);
+    children.get(id).forEach(child => assignDepth(child, depth + 1));
+  };
+  roots.forEach(id => assignDepth(id, 0));
+
+  const layerHeights = [];
+  nodes.forEach(node => {
+    const depth = depthOf.get(node.id);
+    layerHeights[depth] = Math.max(layerHeights[depth] || 0, node.height);
+  });
+
+  // 3. Los hijos de cada nodo se colocan en filas de como mucho maxRowWidth; el
+  //    subárbol recibe el ancho de su fila más ancha o el del propio nodo, si es mayor
+  const subtrees = new Map();
+  const packRows = (ids, gap) => {
+    const rows = [];
+    let row = null;
+    ids.forEach(id => {
+      const box = boxOf(id);
+      if (row && row.width + gap + box.width > settings.maxRowWidth) row = null;
+      if (!row) {
+        row = { ids: [], width: -gap, height: 0 };
+        rows.push(row);
+      }
+      row.ids.push(id);
+      row.width += gap + box.width;
+      row.height = Math.max(row.height, box.height);
+    });
+    return rows;
+  };
+  const boxOf = (id) => {
+    if (!subtrees.has(id)) {
+      const rows = packRows(children.get(id), settings.siblingGap);
+      subtrees.set(id, {
+        rows,
+        width: Math.max(nodes.get(id).width, ...rows.map(row => row.width)),
+        height: layerHeights[depthOf.get(id)] + rows.reduce((sum, row) => sum + settings.levelGap + row.height, 0)
+      });
+    }
+    return subtrees.get(id);
+  };
+
+  // Sin filas partidas, todos los nodos de un nivel quedan a la misma altura
+  const place = (id, left, top) => {
+    const node = nodes.get(id);
+    const box = boxOf(id);
+    const layerHeight = layerHeights[depthOf.get(id)];
+    node.x = left + box.width / 2;
+    node.y = top + layerHeight / 2;
+
+    let rowTop = top + layerHeight + settings.levelGap;
+    box.rows.forEach(row => {
+      let cursor = left + (box.width - row.width) / 2;
+      row.ids.forEach(child => {
+        place(child, cursor, rowTop);
+        cursor += boxOf(child).width + settings.siblingGap;
+      });
+      rowTop += row.height + settings.levelGap;
+    });
+  };
+
+  let rowTop = 0;
+  packRows(roots, settings.siblingGap * 2).forEach(row => {
+    let cursor = 0;
+    row.ids.forEach(id => {
+      place(id, cursor, rowTop);
+      cursor += boxOf(id).width + settings.siblingGap * 2;
+    });
+    rowTop += row.height + settings.levelGap;
+  });
+
+  // 4. Relaciones: las de la jerarquía son rectas; el resto se curva para no taparlas
+  const treeEdges = new Set();
+  children.forEach((kids, parent) => kids.forEach(child => {
+    treeEdges.add(`${parent}|${child}`);
+    treeEdges.add(`${child}|${parent}`);
+  }));
+
+  const edges = (result.relationships || [])
+    .filter(rel => nodes.has(rel.source) && nodes.has(rel.target) && rel.source !== rel.target)
+    .map(rel => {
+      const from = nodes.get(rel.source);
+      const to = nodes.get(rel.target);
+      const midX = (from.x + to.x) / 2;
+      const midY = (from.y + to.y) / 2;
+      let control = { x: midX, y: midY };
+
+      if (!treeEdges.has(`${rel.source}|${rel.target}`)) {
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const length = Math.hypot(dx, dy) || 1;
+        // Entre conceptos del mismo nivel la curva pasa por encima de la fila para no cruzar los nodos vecinos
+        if (Math.abs(dy) < 1) {
+          control = { x: midX, y: midY - Math.min(settings.levelGap * 1.6, 40 + length * 0.25) };
+        } else {
+          const bend = Math.min(60, length * 0.2);
+          control = { x: midX - (dy / length) * bend, y: midY + (dx / length) * bend };
+        }
+      }
+
+      const start = borderPoint(from, control);
+      const tip = borderPoint(to, control);
+
+      // Punta de flecha en el destino, orientada según la tangente de la curva
+      const tangentLength = Math.hypot(tip.x - control.x, tip.y - control.y) || 1;
+      const ux = (tip.x - control.x) / tangentLength;
+      const uy = (tip.y - control.y) / tangentLength;
+      const base = { x: tip.x - ux * ARROW_SIZE, y: tip.y - uy * ARROW_SIZE };
+      const arrow = [
+        tip,
+        { x: base.x - uy * ARROW_SIZE / 2, y: base.y + ux * ARROW_SIZE / 2 },
+        { x: base.x + uy * ARROW_SIZE / 2, y: base.y - ux * ARROW_SIZE / 2 }
+      ];
+
+      const lineStyle = LINE_STYLES[rel.style] || LINE_STYLES.normal;
+      let label = null;
+      if (rel.label) {
+        // Punto medio de la curva cuadrática
+        const x = 0.25 * start.x + 0.5 * control.x + 0.25 * base.x;
+        const y = 0.25 * start.y + 0.5 * control.y + 0.25 * base.y;
+        const width = measureText(rel.label, LABEL_FONT_SIZE) + LABEL_PADDING * 2;
+        const height = LABEL_FONT_SIZE * LINE_HEIGHT + LABEL_PADDING;
+        label = { text: rel.label, x, y, width, height, fontSize: LABEL_FONT_SIZE };
+      }
+
+      return {
+        id: rel.id,
+        type: rel.type || null,
+        start,
+        control,
+        end: base,
+        arrow,
+        color: style.edgeColor,
+        width: lineStyle.width,
+        dash: lineStyle.dash,
+        label
+      };
+    });
+
+  // 5. Recuadro del dibujo y traslado para dejar el margen
+  const boxes = [
+    ...[...nodes.values()].map(node => ({ x1: node.x - node.width / 2, y1: node.y - node.height / 2, x2: node.x + node.width / 2, y2: node.y + node.height / 2 })),
+    ...edges.flatMap(edge => [edge.start, edge.control, edge.end].map(point => ({ x1: point.x, y1: point.y, x2: point.x, y2: point.y }))),
+    ...edges.filter(edge => edge.label).map(({ label }) => ({ x1: label.x - label.width / 2, y1: label.y - label.height / 2, x2: label.x + label.width / 2, y2: label.y + label.height / 2 }))
+  ];
+  const minX = Math.min(0, ...boxes.map(box => box.x1));
+  const minY = Math.min(0, ...boxes.map(box => box.y1));
+  const maxX = Math.max(0, ...boxes.map(box => box.x2));
+  const maxY = Math.max(0, ...boxes.map(box => box.y2));
+  const offsetX = settings.margin - minX;
+  const offsetY = settings.margin - minY;
+  const shift = (point) => ({ x: point.x + offsetX, y: point.y + offsetY });
+
+  const sceneNodes = [...nodes.values()].map(node => {
+    const x = node.x + offsetX;
+    const y = node.y + offsetY;
+    const lineHeight = node.fontSize * LINE_HEIGHT;
+    const textTop = y - (node.textLines.length * lineHeight) / 2;
+    const { textLines, ...rest } = node;
+    return {
+      ...rest,
+      x,
+      y,
+      // Línea base de cada línea de texto, centrada en su renglón
+      lines: textLines.map((text, index) => ({
+        text,
+        x,
+        y: textTop + index * lineHeight + (lineHeight + node.fontSize * 0.7) / 2
+      }))
+    };
+  });
+
+  const sceneEdges = edges.map(edge => ({
+    ...edge,
+    start: shift(edge.start),
+    control: shift(edge.control),
+    end: shift(edge.end),
+    arrow: edge.arrow.map(shift),
+    label: edge.label ? {
+      ...edge.label,
+      ...shift(edge.label),
+      baseline: edge.label.y + offsetY + edge.label.fontSize * 0.35
+    } : null
+  }));
+
+  const scene = {
+    width: Math.ceil(maxX - minX + settings.margin * 2),
+    height: Math.ceil(maxY - minY + settings.margin * 2),
+    title: options.title || null,
+    fontFamily: style.fontFamily || settings.fontFamily,
+    renderer: style.renderer,
+    nodes: sceneNodes,
+    edges: sceneEdges
+  };
+  return style.renderer === 'sketch' ? sketchScene(scene) : scene;
+}
+
+module.exports = {
+  layoutConceptMap
+};
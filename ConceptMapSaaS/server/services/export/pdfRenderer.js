@@ -0,0 +1,113 @@
+/**
+ * Renderizador PDF de la escena calculada por layout.js
+ *
+ * Dibuja el mapa como gráficos vectoriales en una página del tamaño de la
+ * escena. Usa las fuentes estándar de PDF (Helvetica), que no se incrustan
+ * y cubren los caracteres del español y del inglés.
+ */
+
+const PDFDocument = require('pdfkit');
+
+/**
+ * Escribe una línea de texto centrada en x sobre su línea base
+ * @param {PDFDocument} doc - Documento
+ * @param {string} text - Texto
+ * @param {number} x - Centro horizontal
+ * @param {number} baseline - Línea base
+ */
+function centeredText(doc, text, x, baseline) {
+  doc.text(text, x - doc.widthOfString(text) / 2, baseline, { lineBreak: false, baseline: 'alphabetic' });
+}
+
+/**
+ * Dibuja una relación: curva y punta de flecha
+ * @param {PDFDocument} doc - Documento
+ * @param {Object} edge - Relación de la escena
+ */
+function drawEdge(doc, edge) {
+  const { start, control, end, arrow } = edge;
+  doc.save().lineWidth(edge.width).strokeColor(edge.color);
+  if (edge.dash) {
+    doc.dash(edge.dash[0], { space: edge.dash[1] });
+  }
+  if (edge.outline) {
+    edge.outline.forEach(d => doc.path(d).stroke());
+  } else {
+    doc.moveTo(start.x, start.y).quadraticCurveTo(control.x, control.y, end.x, end.y).stroke();
+  }
+  doc.undash();
+  doc.polygon(...arrow.map(point => [point.x, point.y])).fill(edge.color);
+  doc.restore();
+}
+
+/**
+ * Dibuja la etiqueta de una relación sobre un fondo blanco
+ * @param {PDFDocument} doc - Documento
+ * @param {Object} edge - Relación de la escena
+ */
+function drawLabel(doc, edge) {
+  const { label } = edge;
+  doc.save()
+    .roundedRect(label.x - label.width / 2, label.y - label.height / 2, label.width, label.height, 3)
+    .fillOpacity(0.85)
+    .fill('#ffffff')
+    .restore();
+  doc.save().font('Helvetica-Oblique').fontSize(label.fontSize).fillColor('#374151');
+  centeredText(doc, label.text, label.x, label.baseline);
+  doc.restore();
+}
+
+/**
+ * Dibuja un concepto con su forma, colores y texto
+ * @param {PDFDocument} doc - Documento
+ * @param {Object} node - Nodo de la escena
+ */
+function drawNode(doc, node) {
+  doc.save().lineWidth(node.strokeWidth);
+  if (node.outline) {
+    // A mano alzada: el primer contorno pone el relleno y todos se trazan sin él
+    doc.path(node.outline[0]).fill(node.fill);
+    doc.lineCap('round').strokeColor(node.stroke);
+    node.outline.forEach(d => doc.path(d).stroke());
+  } else {
+    if (node.shape === 'ellipse') {
+      doc.ellipse(node.x, node.y, node.width / 2, node.height / 2);
+    } else {
+      doc.roundedRect(node.x - node.width / 2, node.y - node.height / 2, node.width, node.height, node.radius);
+    }
+    doc.fillAndStroke(node.fill, node.stroke);
+  }
+  doc.restore();
+
+  doc.save().font(node.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(node.fontSize).fillColor(node.textColor);
+  node.lines.forEach(line => centeredText(doc, line.text, line.x, line.y));
+  doc.restore();
+}
+
+/**
+ * Genera el PDF de una escena
+ * @param {Object} scene - Escena de layoutConceptMap
+ * @returns {Promise<Buffer>} - Documento PDF
+ */
+function renderPdf(scene) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: [scene.width, scene.height],
+      margin: 0,
+      info: { Title: scene.title || 'Mapa conceptual', Creator: 'ConceptMap SaaS' }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    scene.edges.forEach(edge => drawEdge(doc, edge));
+    scene.nodes.forEach(node => drawNode(doc, node));
+    scene.edges.filter(edge => edge.label).forEach(edge => drawLabel(doc, edge));
+    doc.end();
+  });
+}
+
+module.exports = {
+  renderPdf
+};
@@ -0,0 +1,143 @@
+/**
+ * Trazos a mano alzada del estilo visual 'sketch'
+ *
+ * Convierte los contornos de la escena en trazados SVG (atributo d) con
+ * pequeñas desviaciones, a la manera de rough.js: cada contorno se repasa
+ * dos veces con desviaciones distintas. Las desviaciones salen de un
+ * generador con semilla (el id del elemento), así que el mismo mapa se
+ * exporta siempre con el mismo dibujo. Los renderizadores SVG y PDF dibujan
+ * estos trazados en lugar de las formas geométricas.
+ */
+
+const { createRandom } = require('../../utils/random');
+
+const ROUGHNESS = 1.5; // desviación máxima de cada punto, en píxeles
+const BOWING = 0.015; // curvatura de una línea recta respecto a su longitud
+const PASSES = 2; // veces que se repasa cada contorno
+const ELLIPSE_POINTS = 10;
+
+/**
+ * Redondea una coordenada para un trazado más compacto
+ * @param {number} value - Coordenada
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Desplazamiento aleatorio en [-amount, amount]
+ * @param {Object} random - Generador de createRandom
+ * @param {number} amount - Desviación máxima
+ * @returns {number}
+ */
+function offset(random, amount = ROUGHNESS) {
+  return random.between(-amount, amount);
+}
+
+/**
+ * Segmento recto dibujado a mano: extremos desplazados y una ligera curvatura
+ * @param {Object} random - Generador
+ * @param {Object} from - Punto inicial
+ * @param {Object} to - Punto final
+ * @param {boolean} move - Empieza un subtrazado nuevo (M) en lugar de continuar
+ * @returns {string}
+ */
+function roughLine(random, from, to, move) {
+  const length = Math.hypot(to.x - from.x, to.y - from.y);
+  const bow = offset(random, Math.min(length * BOWING + ROUGHNESS, 4));
+  const nx = length ? -(to.y - from.y) / length : 0;
+  const ny = length ? (to.x - from.x) / length : 0;
+  const control = { x: (from.x + to.x) / 2 + nx * bow, y: (from.y + to.y) / 2 + ny * bow };
+  const start = `${round(from.x + offset(random))} ${round(from.y + offset(random))}`;
+  return `${move ? 'M' : 'L'} ${start} Q ${round(control.x)} ${round(control.y)} ${round(to.x + offset(random))} ${round(to.y + offset(random))}`;
+}
+
+/**
+ * Contornos de un rectángulo
+ * @param {Object} node - Nodo de la escena (centro, ancho y alto)
+ * @returns {Array<string>} - Un trazado por pasada; el primero está cerrado y sirve de relleno
+ */
+function sketchRectangle(node) {
+  const random = createRandom(`rect:${node.id}`);
+  const left = node.x - node.width / 2;
+  const top = node.y - node.height / 2;
+  const corners = [
+    { x: left, y: top },
+    { x: left + node.width, y: top },
+    { x: left + node.width, y: top + node.height },
+    { x: left, y: top + node.height }
+  ];
+
+  return Array.from({ length: PASSES }, () => corners
+    .map((corner, index) => roughLine(random, corner, corners[(index + 1) % corners.length], index === 0))
+    .join(' ') + ' Z');
+}
+
+/**
+ * Contornos de una elipse: puntos con el radio alterado unidos por curvas
+ * suaves; el final se pasa un poco del inicio, como al trazar a mano
+ * @param {Object} node - Nodo de la escena
+ * @returns {Array<string>}
+ */
+function sketchEllipse(node) {
+  const random = createRandom(`ellipse:${node.id}`);
+  const rx = node.width / 2;
+  const ry = node.height / 2;
+
+  return Array.from({ length: PASSES }, () => {
+    const startAngle = random.between(0, Math.PI * 2);
+    const points = Array.from({ length: ELLIPSE_POINTS + 2 }, (_, index) => {
+      const angle = startAngle + (index / ELLIPSE_POINTS) * Math.PI * 2;
+      const scale = 1 + offset(random, 0.03);
+      return { x: node.x + Math.cos(angle) * rx * scale, y: node.y + Math.sin(angle) * ry * scale };
+    });
+
+    // Curva Catmull-Rom convertida en segmentos cúbicos
+    let path = `M ${round(points[0].x)} ${round(points[0].y)}`;
+    for (let i = 0; i < points.length - 1; i++) {
+      const p0 = points[i - 1] || points[points.length - 3];
+      const p1 = points[i];
+      const p2 = points[i + 1];
+      const p3 = points[i + 2] || points[2];
+      path += ` C ${round(p1.x + (p2.x - p0.x) / 6)} ${round(p1.y + (p2.y - p0.y) / 6)}, ` +
+        `${round(p2.x - (p3.x - p1.x) / 6)} ${round(p2.y - (p3.y - p1.y) / 6)}, ${round(p2.x)} ${round(p2.y)}`;
+    }
+    return path;
+  });
+}
+
+/**
+ * Trazos de una relación: la curva cuadrática con los puntos desplazados
+ * @param {Object} edge - Relación de la escena (start, control, end)
+ * @returns {Array<string>}
+ */
+function sketchCurve(edge) {
+  const random = createRandom(`edge:${edge.id}`);
+  const { start, control, end } = edge;
+
+  return Array.from({ length: PASSES }, () =>
+    `M ${round(start.x + offset(random))} ${round(start.y + offset(random))} ` +
+    `Q ${round(control.x + offset(random, ROUGHNESS * 2))} ${round(control.y + offset(random, ROUGHNESS * 2))} ` +
+    `${round(end.x + offset(random))} ${round(end.y + offset(random))}`);
+}
+
+/**
+ * Añade los trazos a mano alzada a los nodos y relaciones de una escena
+ * @param {Object} scene - Escena de layoutConceptMap
+ * @returns {Object} - La escena con `outline` en cada nodo y relación
+ */
+function sketchScene(scene) {
+  return {
+    ...scene,
+    nodes: scene.nodes.map(node => ({
+      ...node,
+      outline: node.shape === 'ellipse' ? sketchEllipse(node) : sketchRectangle(node)
+    })),
+    edges: scene.edges.map(edge => ({ ...edge, outline: sketchCurve(edge) }))
+  };
+}
+
+module.exports = {
+  sketchScene
+};
@@ -0,0 +1,99 @@
+/**
+ * Renderizador SVG de la escena calculada por layout.js
+ *
+ * Produce un documento SVG autónomo (sin hojas de estilo ni fuentes
+ * externas) que también sirve de entrada para la rasterización a PNG.
+ */
+
+const { escapeXml } = require('../../utils/xml');
+
+/**
+ * Redondea una coordenada para un SVG más compacto
+ * @param {number} value - Coordenada
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Dibuja una relación: curva, punta de flecha y, aparte, su etiqueta
+ * @param {Object} edge - Relación de la escena
+ * @returns {string}
+ */
+function renderEdge(edge) {
+  const { start, control, end } = edge;
+  const dash = edge.dash ? ` stroke-dasharray="${escapeXml(edge.dash.join(' '))}"` : '';
+  const path = `M ${round(start.x)} ${round(start.y)} Q ${round(control.x)} ${round(control.y)} ${round(end.x)} ${round(end.y)}`;
+  const arrow = edge.arrow.map(point => `${round(point.x)},${round(point.y)}`).join(' ');
+  const lines = (edge.outline || [path])
+    .map(d => `      <path d="${escapeXml(d)}" fill="none" stroke="${escapeXml(edge.color)}" stroke-width="${escapeXml(edge.width)}"${dash}/>\n`)
+    .join('');
+
+  return `    <g class="relationship" data-id="${escapeXml(edge.id)}">\n` +
+    lines +
+    `      <polygon points="${arrow}" fill="${escapeXml(edge.color)}"/>\n` +
+    '    </g>';
+}
+
+/**
+ * Dibuja la etiqueta de una relación sobre un fondo blanco
+ * @param {Object} edge - Relación de la escena
+ * @returns {string}
+ */
+function renderLabel(edge) {
+  const { label } = edge;
+  return `    <g class="relationship-label">\n` +
+    `      <rect x="${round(label.x - label.width / 2)}" y="${round(label.y - label.height / 2)}" width="${round(label.width)}" height="${round(label.height)}" rx="3" fill="#ffffff" fill-opacity="0.85"/>\n` +
+    `      <text x="${round(label.x)}" y="${round(label.baseline)}" font-size="${escapeXml(label.fontSize)}" font-style="italic" fill="#374151" text-anchor="middle">${escapeXml(label.text)}</text>\n` +
+    '    </g>';
+}
+
+/**
+ * Dibuja un concepto con su forma, colores y texto. Todos los atributos se
+ * escapan: el formato del concepto llega de mapas guardados y editados
+ * @param {Object} node - Nodo de la escena
+ * @returns {string}
+ */
+function renderNode(node) {
+  const fill = escapeXml(node.fill);
+  const stroke = escapeXml(node.stroke);
+  const strokeWidth = escapeXml(node.strokeWidth);
+  const paint = `fill="${fill}" stroke="${stroke}" stroke-width="${strokeWidth}"`;
+  // A mano alzada: el primer contorno pone el relleno y todos se trazan sin él
+  const sketch = node.outline && [
+    `<path d="${escapeXml(node.outline[0])}" fill="${fill}" stroke="none"/>`,
+    ...node.outline.map(d => `<path d="${escapeXml(d)}" fill="none" stroke="${stroke}" stroke-width="${strokeWidth}" stroke-linecap="round"/>`)
+  ].join('\n      ');
+  const shape = sketch || (node.shape === 'ellipse' ?
+    `<ellipse cx="${round(node.x)}" cy="${round(node.y)}" rx="${round(node.width / 2)}" ry="${round(node.height / 2)}" ${paint}/>` :
+    `<rect x="${round(node.x - node.width / 2)}" y="${round(node.y - node.height / 2)}" width="${escapeXml(node.width)}" height="${escapeXml(node.height)}" rx="${escapeXml(node.radius)}" ${paint}/>`);
+  const weight = node.bold ? ' font-weight="bold"' : '';
+  const text = node.lines
+    .map(line => `      <text x="${round(line.x)}" y="${round(line.y)}" font-size="${escapeXml(node.fontSize)}"${weight} fill="${escapeXml(node.textColor)}" text-anchor="middle">${escapeXml(line.text)}</text>`)
+    .join('\n');
+
+  return `    <g class="concept" data-id="${escapeXml(node.id)}">\n      ${shape}\n${text}\n    </g>`;
+}
+
+/**
+ * Genera el documento SVG de una escena
+ * @param {Object} scene - Escena de layoutConceptMap
+ * @returns {string} - Documento SVG
+ */
+function renderSvg(scene) {
+  const title = scene.title ? `  <title>${escapeXml(scene.title)}</title>\n` : '';
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${escapeXml(scene.width)}" height="${escapeXml(scene.height)}" viewBox="0 0 ${escapeXml(scene.width)} ${escapeXml(scene.height)}" font-family="${escapeXml(scene.fontFamily)}">\n` +
+    title +
+    `  <rect width="${escapeXml(scene.width)}" height="${escapeXml(scene.height)}" fill="#ffffff"/>\n` +
+    `  <g class="relationships">\n${scene.edges.map(renderEdge).join('\n')}\n  </g>\n` +
+    `  <g class="concepts">\n${scene.nodes.map(renderNode).join('\n')}\n  </g>\n` +
+    `  <g class="labels">\n${scene.edges.filter(edge => edge.label).map(renderLabel).join('\n')}\n  </g>\n` +
+    '</svg>\n';
+}
+
+module.exports = {
+  renderSvg
+};
@@ -0,0 +1,139 @@
+/**
+ * Servicio de Exportación
+ *
+ * Convierte un mapa generado en un archivo SVG, PNG o PDF en el servidor.
+ * La disposición la calcula el motor propio de export/layout.js; el SVG se
+ * escribe directamente, el PNG se rasteriza a partir del SVG con resvg y el
+ * PDF se dibuja como gráficos vectoriales con pdfkit. Los formatos de
+ * intercambio (GraphML, GEXF, DOT, CXL y JSON-LD) se generan en
+ * export/interchange.js.
+ */
+
+const { Resvg } = require('@resvg/resvg-js');
+const config = require('../config');
+const { layoutConceptMap } = require('./export/layout');
+const { renderSvg } = require('./export/svgRenderer');
+const { renderPdf } = require('./export/pdfRenderer');
+const interchange = require('./export/interchange');
+const { AppError } = require('../utils/errors');
+
+// Formatos de exportación con su tipo MIME y extensión
+const FORMATS = {
+  svg: { contentType: 'image/svg+xml; charset=utf-8', extension: 'svg' },
+  png: { contentType: 'image/png', extension: 'png' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  graphml: { contentType: 'application/graphml+xml; charset=utf-8', extension: 'graphml' },
+  gexf: { contentType: 'application/gexf+xml; charset=utf-8', extension: 'gexf' },
+  dot: { contentType: 'text/vnd.graphviz; charset=utf-8', extension: 'gv' },
+  cxl: { contentType: 'application/xml; charset=utf-8', extension: 'cxl' },
+  jsonld: { contentType: 'application/ld+json; charset=utf-8', extension: 'jsonld' }
+};
+
+// Serializadores de los formatos de intercambio
+const SERIALIZERS = {
+  graphml: interchange.toGraphML,
+  gexf: interchange.toGexf,
+  dot: interchange.toDot,
+  cxl: interchange.toCxl,
+  jsonld: interchange.toJsonLd
+};
+
+class ExportService {
+  /**
+   * Formatos de exportación disponibles
+   * @returns {Array<string>}
+   */
+  getFormats() {
+    return Object.keys(FORMATS);
+  }
+
+  /**
+   * Exporta un mapa a un formato
+   * @param {Object} result - Resultado del mapa ({ concepts, relationships, hierarchy })
+   * @param {string} format - svg | png | pdf | graphml | gexf | dot | cxl | jsonld
+   * @param {Object} options - { title, id: identificador del mapa guardado }
+   * @returns {Promise<Object>} - { content: Buffer, contentType, extension }
+   */
+  async exportMap(result, format, options = {}) {
+    if (!FORMATS[format]) {
+      throw new AppError(
+        `Formato de exportación no admitido. Formatos disponibles: ${this.getFormats().join(', ')}`,
+        400,
+        'UNSUPPORTED_EXPORT_FORMAT'
+      );
+    }
+
+    if (!result.concepts || result.concepts.length === 0) {
+      throw new AppError('El mapa no tiene conceptos que exportar', 422, 'EMPTY_MAP');
+    }
+
+    const { maxConcepts, maxRelationships } = config.exports;
+    const relationshipCount = (result.relationships || []).length;
+    if (result.concepts.length > maxConcepts || relationshipCount > maxRelationships) {
+      throw new AppError(
+        `El mapa supera el máximo de ${maxConcepts} conceptos y ${maxRelationships} relaciones por exportación`,
+        413,
+        'EXPORT_TOO_LARGE'
+      );
+    }
+
+    if (SERIALIZERS[format]) {
+      return { content: Buffer.from(SERIALIZERS[format](result, options), 'utf8'), ...FORMATS[format] };
+    }
+    
+    const scene = layoutConceptMap(result, { title: options.title });
+    this.checkCanvas(scene, format);
+    let content;
+    switch (format) {
+      case 'pdf':
+        content = await renderPdf(scene);
+        break;
+      case 'png':
+        content = this.rasterize(renderSvg(scene));
+        break;
+      default:
+        content = Buffer.from(renderSvg(scene), 'utf8');
+    }
+
+    return { content, ...FORMATS[format] };
+  }
+
+  /**
+   * Rechaza los dibujos demasiado grandes antes de renderizarlos: el PNG
+   * reserva en memoria cuatro bytes por píxel
+   * @param {Object} scene - Escena de layoutConceptMap
+   * @param {string} format - svg | png | pdf
+   */
+  checkCanvas(scene, format) {
+    const { maxCanvasSize, maxPngPixels, pngScale } = config.exports;
+    const tooLarge = scene.width > maxCanvasSize || scene.height > maxCanvasSize ||
+      (format === 'png' && scene.width * scene.height * pngScale ** 2 > maxPngPixels);
+
+    if (tooLarge) {
+      throw new AppError(
+        `El dibujo del mapa (${scene.width}×${scene.height}) es demasiado grande para exportarlo en ${format.toUpperCase()}`,
+        413,
+        'EXPORT_TOO_LARGE'
+      );
+    }
+  }
+
+  /**
+   * Rasteriza un SVG a PNG con fondo blanco y la escala de config.exports.pngScale
+   * @param {string} svg - Documento SVG
+   * @returns {Buffer}
+   */
+  rasterize(svg) {
+    const resvg = new Resvg(svg, {
+      background: '#ffffff',
+      fitTo: { mode: 'zoom', value: config.exports.pngScale },
+      // Las fuentes del sistema cubren los nombres de los conceptos; sin ellas el texto no se dibujaría
+      font: { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans' }
+    });
+    return resvg.render().asPng();
+  }
+}
+
+const exportService = new ExportService();
+
+module.exports = exportService;
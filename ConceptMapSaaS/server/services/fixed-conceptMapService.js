@@ -13,6 +13,8 @@
  * 6. Conclusión Descriptiva (verificación final de precisión y estructura)
  */
 
+const { createRandom } = require('../utils/random');
+
 class ConceptMapService {
   /**
    * Procesa el texto y genera un mapa conceptual siguiendo el pipeline cognitivo-visual de 6 etapas
@@ -124,6 +126,10 @@ class ConceptMapService {
         }
       };
       
+      // Las simulaciones usan un generador con semilla; la semilla se devuelve para reproducir el mapa
+      const random = createRandom(config.seed);
+      result.metadata.seed = random.seed;
+      
       // Etapa 1: Organización y Jerarquización
       if (config.stages.organization) {
         console.log('Ejecutando Etapa 1: Organización y Jerarquización');
@@ -137,7 +143,7 @@ class ConceptMapService {
       // Etapa 2: Análisis de Relaciones
       if (config.stages.reasoning) {
         console.log('Ejecutando Etapa 2: Análisis de Relaciones');
-        await this.step2_AnalyzeRelationships(text, result);
+        await this.step2_AnalyzeRelationships(text, result, random);
         result.metadata.stageResults.reasoning = {
           completedAt: new Date().toISOString(),
           relationshipsIdentified: result.relationships.length
@@ -147,7 +153,7 @@ class ConceptMapService {
       // Etapa 3: Enriquecimiento Semántico
       if (config.stages.enrichment) {
         console.log('Ejecutando Etapa 3: Enriquecimiento Semántico');
-        await this.step3_EnrichSemantically(text, result);
+        await this.step3_EnrichSemantically(text, result, random);
         result.metadata.stageResults.enrichment = {
           completedAt: new Date().toISOString(),
           definitionsAdded: result.concepts.filter(c => c.definition).length,
@@ -158,7 +164,7 @@ class ConceptMapService {
       // Etapa 4: Validación y Verificación
       if (config.stages.validation) {
         console.log('Ejecutando Etapa 4: Validación y Verificación');
-        await this.step4_VerifyAndValidate(result);
+        await this.step4_VerifyAndValidate(result, random);
         result.metadata.stageResults.validation = {
           completedAt: new Date().toISOString(),
           coherenceScore: result.metadata.coherenceScore || 0,
@@ -431,9 +437,10 @@ class ConceptMapService {
    * 
    * @param {string} text - Texto original para contexto
    * @param {Object} result - Objeto resultado con los conceptos de la etapa 1
+   * @param {Object} random - Generador pseudoaleatorio del proceso (utils/random)
    * @returns {Object} - Objeto resultado actualizado con relaciones semánticas
    */
-  async step2_AnalyzeRelationships(text, result) {
+  async step2_AnalyzeRelationships(text, result, random = createRandom()) {
     console.log('ETAPA 2: RAZONAMIENTO Y COMPRENSIÓN - Utilizando DeepSeek API, OpenAGI, GraphRAG');
     
     // Verificar que existen conceptos para analizar
@@ -446,7 +453,7 @@ class ConceptMapService {
     console.log('  2.1 DeepSeek API: Interpretación semántica y extracción temática');
     // En una implementación real, aquí se realizaría una llamada a DeepSeek API
     // Simulación: Identificar relaciones semánticas entre conceptos
-    const semanticRelationships = this._deepSeekSemanticAnalysis(text, result.concepts);
+    const semanticRelationships = this._deepSeekSemanticAnalysis(text, result.concepts, random);
     
     // 2.2 Orquestación de razonamiento con OpenAGI
     console.log('  2.2 OpenAGI: Orquestación de razonamiento y descomposición de tareas');
@@ -478,10 +485,11 @@ class ConceptMapService {
    * Realiza análisis semántico avanzado simulando uso de DeepSeek API
    * @param {string} text - Texto original para contexto
    * @param {Array} concepts - Lista de conceptos a analizar
+   * @param {Object} random - Generador pseudoaleatorio del proceso (utils/random)
    * @returns {Array} - Relaciones semánticas identificadas
    * @private
    */
-  _deepSeekSemanticAnalysis(text, concepts) {
+  _deepSeekSemanticAnalysis(text, concepts, random) {
     console.log(`    Analizando semánticamente ${concepts.length} conceptos para identificar relaciones`);
     
     const relationships = [];
@@ -491,7 +499,7 @@ class ConceptMapService {
     for (let i = 0; i < concepts.length; i++) {
       for (let j = i + 1; j < concepts.length; j++) {
         // No generar demasiadas relaciones para evitar saturación visual
-        if (Math.random() < 0.7) { // Solo el 70% de las posibles combinaciones
+        if (random.chance(0.7)) { // Solo el 70% de las posibles combinaciones
           conceptPairs.push([concepts[i], concepts[j]]);
         }
       }
@@ -540,7 +548,7 @@ class ConceptMapService {
         target: target.id,
         type: relationshipType.type,
         label: relationshipType.label,
-        confidence: (0.7 + Math.random() * 0.3).toFixed(2), // Confianza entre 0.7 y 1.0
+        confidence: random.between(0.7, 1).toFixed(2), // Confianza entre 0.7 y 1.0
         semanticContext: true,
         priority: relationshipType.priority
       });
@@ -765,9 +773,10 @@ class ConceptMapService {
    * 
    * @param {string} text - Texto original para contexto
    * @param {Object} result - Objeto resultado con conceptos y relaciones de etapas anteriores
+   * @param {Object} random - Generador pseudoaleatorio del proceso (utils/random)
    * @returns {Object} - Objeto resultado con conceptos enriquecidos semánticamente
    */
-  async step3_EnrichSemantically(text, result) {
+  async step3_EnrichSemantically(text, result, random = createRandom()) {
     console.log('ETAPA 3: ENRIQUECIMIENTO SEMÁNTICO - Utilizando Semantic Kernel, Semantic Scholar, Wikidata, ConceptNet');
     
     // Verificar que existen conceptos para enriquecer
@@ -780,19 +789,19 @@ class ConceptMapService {
     
     // 3.1 Enriquecimiento contextual con Semantic Kernel
     console.log('  3.1 Semantic Kernel: Enriquecimiento contextual y expansión semántica');
-    await this._semanticKernelEnrichment(result.concepts, text);
+    await this._semanticKernelEnrichment(result.concepts, text, random);
     
     // 3.2 Información académica y científica con Semantic Scholar
     console.log('  3.2 Semantic Scholar: Incorporación de información académica relevante');
-    await this._semanticScholarEnhancement(result.concepts);
+    await this._semanticScholarEnhancement(result.concepts, random);
     
     // 3.3 Datos estructurados de Wikidata
     console.log('  3.3 Wikidata Toolkit: Integración de datos estructurados y clasificaciones');
-    await this._wikidataIntegration(result.concepts);
+    await this._wikidataIntegration(result.concepts, random);
     
     // 3.4 Red semántica de ConceptNet
     console.log('  3.4 ConceptNet: Incorporación de relaciones conceptuales adicionales');
-    const additionalRelations = await this._conceptNetExpansion(result.concepts, result.relationships);
+    const additionalRelations = await this._conceptNetExpansion(result.concepts, result.relationships, random);
     
     // Fusionar las nuevas relaciones con las existentes, evitando duplicados
     if (additionalRelations && additionalRelations.length > 0) {
@@ -830,10 +839,11 @@ class ConceptMapService {
    * Enriquece conceptos usando Semantic Kernel para contexto y expansión
    * @param {Array} concepts - Lista de conceptos a enriquecer
    * @param {string} context - Texto original para contexto
+   * @param {Object} random - Generador pseudoaleatorio del proceso (utils/random)
    * @returns {Promise<void>}
    * @private
    */
-  async _semanticKernelEnrichment(concepts, context) {
+  async _semanticKernelEnrichment(concepts, context, random) {
     console.log(`    Aplicando enriquecimiento contextual con Semantic Kernel a ${concepts.length} conceptos`);
     
     // En una implementación real, aquí se utilizaría Semantic Kernel para el procesamiento
@@ -859,9 +869,9 @@ class ConceptMapService {
         
         // Añadir metadatos semánticos basados en el contexto
         concept.semanticProperties = {
-          relevance: (0.7 + Math.random() * 0.3).toFixed(2), // Simulación: relevancia entre 0.7 y 1.0
-          contextScore: (0.6 + Math.random() * 0.4).toFixed(2), // Simulación: puntuación contextual entre 0.6 y 1.0
-          domainSpecificity: (0.5 + Math.random() * 0.5).toFixed(2) // Simulación: especificidad de dominio entre 0.5 y 1.0
+          relevance: random.between(0.7, 1).toFixed(2), // Simulación: relevancia entre 0.7 y 1.0
+          contextScore: random.between(0.6, 1).toFixed(2), // Simulación: puntuación contextual entre 0.6 y 1.0
+          domainSpecificity: random.between(0.5, 1).toFixed(2) // Simulación: especificidad de dominio entre 0.5 y 1.0
         };
       }));
     }
@@ -870,10 +880,11 @@ class ConceptMapService {
   /**
    * Enriquece conceptos con información académica de Semantic Scholar
    * @param {Array} concepts - Lista de conceptos a enriquecer
+   * @param {Object} random - Generador pseudoaleatorio del proceso (utils/random)
    * @returns {Promise<void>}
    * @private
    */
-  async _semanticScholarEnhancement(concepts) {
+  async _semanticScholarEnhancement(concepts, random) {
     console.log(`    Incorporando información académica con Semantic Scholar`);
     
     // En una implementación real, aquí se realizarían consultas a Semantic Scholar API
@@ -892,12 +903,12 @@ class ConceptMapService {
     academicConcepts.forEach(concept => {
       // Añadir citas académicas simuladas
       concept.academicReferences = {
-        citationCount: Math.floor(Math.random() * 200), // Simulación: entre 0 y 200 citas
+        citationCount: random.int(200), // Simulación: entre 0 y 200 citas
         keyPapers: [
-          { title: `Advances in ${concept.name} research`, year: 2020 + Math.floor(Math.random() * 3), authors: "Smith et al." },
-          { title: `${concept.name}: A comprehensive review`, year: 2018 + Math.floor(Math.random() * 5), authors: "Johnson and Williams" }
+          { title: `Advances in ${concept.name} research`, year: 2020 + random.int(3), authors: "Smith et al." },
+          { title: `${concept.name}: A comprehensive review`, year: 2018 + random.int(5), authors: "Johnson and Williams" }
         ],
-        fieldOfStudy: this._getRandomAcademicField()
+        fieldOfStudy: this._getRandomAcademicField(random)
       };
       
       // Añadir o complementar definición con enfoque académico
@@ -909,10 +920,11 @@ class ConceptMapService {
   
   /**
    * Obtiene un campo académico aleatorio para simulación
+   * @param {Object} random - Generador pseudoaleatorio del proceso (utils/random)
    * @returns {string} - Campo académico
    * @private
    */
-  _getRandomAcademicField() {
+  _getRandomAcademicField(random) {
     const fields = [
       'Ciencias de la Computación',
       'Inteligencia Artificial',
@@ -925,16 +937,17 @@ class ConceptMapService {
       'Educación',
       'Filosofía de la Ciencia'
     ];
-    return fields[Math.floor(Math.random() * fields.length)];
+    return random.pick(fields);
   }
   
   /**
    * Integra datos estructurados de Wikidata para enriquecer conceptos
    * @param {Array} concepts - Lista de conceptos a enriquecer
+   * @param {Object} random - Generador pseudoaleatorio del proceso (utils/random)
    * @returns {Promise<void>}
    * @private
    */
-  async _wikidataIntegration(concepts) {
+  async _wikidataIntegration(concepts, random) {
     console.log(`    Integrando datos estructurados de Wikidata`);
     
     // En una implementación real, aquí se consultaría la API de Wikidata
@@ -944,13 +957,13 @@ class ConceptMapService {
     concepts.forEach(concept => {
       // Añadir categorías taxonómicas estructuradas
       if (!concept.categories || concept.categories.length === 0) {
-        concept.categories = this.identifyCategories(concept.name);
+        concept.categories = this.identifyCategories(concept.name, random);
       }
       
       // Añadir propiedades estructuradas de Wikidata
       concept.structuredData = {
-        instances: this._generateInstances(concept.name),
-        properties: this._generateProperties(concept),
+        instances: this._generateInstances(concept.name, random),
+        properties: this._generateProperties(concept, random),
         taxonomyPath: this._generateTaxonomyPath(concept),
         dataSource: 'wikidata-simulation'
       };
@@ -960,12 +973,13 @@ class ConceptMapService {
   /**
    * Genera instancias de ejemplo para un concepto
    * @param {string} conceptName - Nombre del concepto
+   * @param {Object} random - Generador pseudoaleatorio del proceso (utils/random)
    * @returns {Array} - Lista de instancias
    * @private
    */
-  _generateInstances(conceptName) {
+  _generateInstances(conceptName, random) {
     // Simulación: generar 2-4 instancias aleatorias
-    const count = 2 + Math.floor(Math.random() * 3);
+    const count = 2 + random.int(3);
     const instances = [];
     
     for (let i = 0; i < count; i++) {
@@ -978,19 +992,20 @@ class ConceptMapService {
   /**
    * Genera propiedades estructuradas para un concepto
    * @param {Object} concept - Concepto a procesar
+   * @param {Object} random - Generador pseudoaleatorio del proceso (utils/random)
    * @returns {Object} - Propiedades estructuradas
    * @private
    */
-  _generateProperties(concept) {
+  _generateProperties(concept, random) {
     // Simulación: generar propiedades relevantes basadas en el tipo de concepto
     return {
       commonAttributes: [
-        { name: 'importance', value: concept.importance || Math.random().toFixed(2) },
+        { name: 'importance', value: concept.importance || random.next().toFixed(2) },
         { name: 'abstraction', value: concept.hierarchyLevel === 1 ? 'high' : 
                                concept.hierarchyLevel === 2 ? 'medium' : 'specific' }
       ],
       domain: concept.academicReferences?.fieldOfStudy || 'General',
-      usage: (Math.random() > 0.5) ? 'common' : 'specialized'
+      usage: random.chance(0.5) ? 'common' : 'specialized'
     };
   }
   
@@ -1021,10 +1036,11 @@ class ConceptMapService {
    * Expande relaciones conceptuales utilizando ConceptNet
    * @param {Array} concepts - Conceptos existentes
    * @param {Array} relationships - Relaciones existentes
+   * @param {Object} random - Generador pseudoaleatorio del proceso (utils/random)
    * @returns {Promise<Array>} - Nuevas relaciones descubiertas
    * @private
    */
-  async _conceptNetExpansion(concepts, relationships) {
+  async _conceptNetExpansion(concepts, relationships, random) {
     console.log(`    Expandiendo relaciones con ConceptNet`);
     
     // En una implementación real, aquí se consultaría la API de ConceptNet
@@ -1050,19 +1066,18 @@ class ConceptMapService {
         .filter(target => 
           target.id !== source.id && 
           !(relationships.some(r => r.source === source.id && r.target === target.id)) &&
-          Math.random() < 0.3) // Solo añadir relaciones para el 30% de los pares posibles
+          random.chance(0.3)) // Solo añadir relaciones para el 30% de los pares posibles
         .forEach(target => {
           // Seleccionar un tipo de relación apropiado de ConceptNet
-          const relationIndex = Math.floor(Math.random() * conceptNetRelations.length);
-          const relation = conceptNetRelations[relationIndex];
+          const relation = random.pick(conceptNetRelations);
           
           newRelationships.push({
             source: source.id,
             target: target.id,
             type: `conceptnet_${relation.type}`,
             label: relation.label,
-            strength: (0.6 + Math.random() * 0.4).toFixed(2),
-            confidence: (0.7 + Math.random() * 0.3).toFixed(2),
+            strength: random.between(0.6, 1).toFixed(2),
+            confidence: random.between(0.7, 1).toFixed(2),
             dataSource: 'conceptnet',
             visualProperties: {
               style: 'dashed',
@@ -1080,9 +1095,10 @@ class ConceptMapService {
   /**
    * Identifica categorías para un concepto
    * @param {string} conceptName - Nombre del concepto a categorizar
+   * @param {Object} random - Generador pseudoaleatorio del proceso (utils/random)
    * @returns {Array} - Categorías identificadas
    */
-  identifyCategories(conceptName) {
+  identifyCategories(conceptName, random = createRandom()) {
     // Simulación: generar 1-3 categorías aleatorias
     const categories = [];
     const possibleCategories = [
@@ -1092,11 +1108,10 @@ class ConceptMapService {
       'Físico', 'Lógico', 'Matemático', 'Lingüístico'
     ];
     
-    const numCategories = 1 + Math.floor(Math.random() * 3);
+    const numCategories = 1 + random.int(3);
     
     for (let i = 0; i < numCategories; i++) {
-      const categoryIndex = Math.floor(Math.random() * possibleCategories.length);
-      const category = possibleCategories[categoryIndex];
+      const category = random.pick(possibleCategories);
       
       if (!categories.includes(category)) {
         categories.push(category);
@@ -1112,9 +1127,10 @@ class ConceptMapService {
    * utilizando Arguflow, Trieve, DePlot y NeMo Guardrails.
    * 
    * @param {Object} result - Objeto de resultado con conceptos y relaciones a validar
+   * @param {Object} random - Generador pseudoaleatorio del proceso (utils/random)
    * @returns {Object} - Objeto de resultado con conceptos y relaciones validados
    */
-  async step4_VerifyAndValidate(result) {
+  async step4_VerifyAndValidate(result, random = createRandom()) {
     console.log('ETAPA 4: VALIDACIÓN Y VERIFICACIÓN - Utilizando Arguflow, Trieve, DePlot, NeMo Guardrails');
     
     // Verificar que hay datos para validar
@@ -1129,13 +1145,14 @@ class ConceptMapService {
     
     // 4.2 Búsqueda y verificación de datos con Trieve
     console.log('  4.2 Trieve: Búsqueda y verificación de datos contra fuentes autorizadas');
-    const trieveVerification = await this._trieveDataVerification(arguflowValidation.concepts);
+    const trieveVerification = await this._trieveDataVerification(arguflowValidation.concepts, random);
     
     // 4.3 Análisis de estructura y coherencia visual con DePlot
     console.log('  4.3 DePlot: Análisis de estructura y coherencia visual del mapa');
     const deplotAnalysis = await this._deplotStructureAnalysis(
       trieveVerification.concepts, 
-      arguflowValidation.relationships
+      arguflowValidation.relationships,
+      random
     );
     
     // 4.4 Garantías de calidad y precisión con NeMo Guardrails
@@ -1157,7 +1174,7 @@ class ConceptMapService {
       if ((concept.hierarchyLevel === 3 && relationCount < 1) || 
           (concept.importance && concept.importance < 0.2)) {
         // Probabilidad del 70% de eliminar conceptos de baja relevancia
-        if (Math.random() < 0.7) {
+        if (random.chance(0.7)) {
           conceptsToRemove.push(concept.id);
         }
       }
@@ -1179,7 +1196,7 @@ class ConceptMapService {
       // Por ejemplo, detectar contradicciones o ciclos ilógicos
       if (relation.type === 'contrast' || relation.type === 'similarity') {
         // En relaciones bidireccionales, eliminar algunas aleatoriamente para evitar sobrecarga visual
-        if (Math.random() < 0.3) {
+        if (random.chance(0.3)) {
           relationshipsToRemove.push(relation);
         }
       }
@@ -1201,10 +1218,11 @@ class ConceptMapService {
   /**
    * Verifica datos contra fuentes autorizadas usando Trieve (simulación)
    * @param {Array} concepts - Conceptos a verificar
+   * @param {Object} random - Generador pseudoaleatorio del proceso (utils/random)
    * @returns {Object} - Conceptos verificados y estadísticas
    * @private
    */
-  async _trieveDataVerification(concepts) {
+  async _trieveDataVerification(concepts, random) {
     console.log(`    Verificando precisión de datos de ${concepts.length} conceptos contra fuentes autorizadas`);
     
     // En una implementación real, aquí se consultaría la API de Trieve
@@ -1216,7 +1234,7 @@ class ConceptMapService {
     // Conceptos a enriquecer con datos verificados
     const verifiedConcepts = concepts.map(concept => {
       // Simular verificación de definiciones y datos
-      const verificationScore = Math.random();
+      const verificationScore = random.next();
       
       // Si la verificación falla (puntuación muy baja), marcar para eliminar
       if (verificationScore < 0.15) {
@@ -1234,7 +1252,7 @@ class ConceptMapService {
         score: verificationScore.toFixed(2),
         source: 'trieve-verification',
         verified: verificationScore > 0.6,
-        confidence: (0.5 + Math.random() * 0.5).toFixed(2)
+        confidence: random.between(0.5, 1).toFixed(2)
       };
       
       return concept;
@@ -1260,10 +1278,11 @@ class ConceptMapService {
    * Analiza la estructura y coherencia visual del mapa usando DePlot (simulación)
    * @param {Array} concepts - Conceptos verificados
    * @param {Array} relationships - Relaciones validadas
+   * @param {Object} random - Generador pseudoaleatorio del proceso (utils/random)
    * @returns {Object} - Estructura optimizada del mapa
    * @private
    */
-  async _deplotStructureAnalysis(concepts, relationships) {
+  async _deplotStructureAnalysis(concepts, relationships, random) {
     console.log(`    Analizando estructura visual y optimizando layout con ${concepts.length} conceptos`);
     
     // En una implementación real, aquí se utilizaría DePlot para análisis estructural
@@ -1280,7 +1299,7 @@ class ConceptMapService {
       relationshipCounts[key] = (relationshipCounts[key] || 0) + 1;
       
       // Si hay más de una relación entre el mismo par de conceptos
-      if (relationshipCounts[key] > 1 && Math.random() < 0.7) {
+      if (relationshipCounts[key] > 1 && random.chance(0.7)) {
         relationshipsToRemove.push(rel);
       }
     });
@@ -1327,10 +1346,11 @@ class ConceptMapService {
    * Aplica garantías de calidad y precisión con NeMo Guardrails (simulación)
    * @param {Array} concepts - Conceptos verificados y optimizados
    * @param {Array} relationships - Relaciones validadas y optimizadas
+   * @param {Object} random - Generador pseudoaleatorio del proceso (utils/random)
    * @returns {Object} - Mapa conceptual final validado
    * @private
    */
-  async _applyNemoGuardrails(concepts, relationships) {
+  async _applyNemoGuardrails(concepts, relationships, random = createRandom()) {
     console.log(`    Aplicando garantías de calidad final a ${concepts.length} conceptos y ${relationships.length} relaciones`);
     
     // En una implementación real, aquí se utilizaría NeMo Guardrails
@@ -1341,10 +1361,10 @@ class ConceptMapService {
     
     // Generar informe detallado de verificación
     const verificationDetails = {
-      factualAccuracy: (0.7 + Math.random() * 0.3).toFixed(2),
-      structuralCoherence: (0.75 + Math.random() * 0.25).toFixed(2),
-      semanticClarity: (0.8 + Math.random() * 0.2).toFixed(2),
-      visualOptimization: (0.85 + Math.random() * 0.15).toFixed(2),
+      factualAccuracy: random.between(0.7, 1).toFixed(2),
+      structuralCoherence: random.between(0.75, 1).toFixed(2),
+      semanticClarity: random.between(0.8, 1).toFixed(2),
+      visualOptimization: random.between(0.85, 1).toFixed(2),
       overallQuality: coherenceScore.toFixed(2)
     };
     
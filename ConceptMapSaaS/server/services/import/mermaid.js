@@ -0,0 +1,183 @@
+/**
+ * Importación de diagramas Mermaid (flowchart / graph)
+ *
+ * Lee el subconjunto de Mermaid que describe un grafo: nodos con texto y
+ * forma (A["texto"], A(texto), A{texto}...), enlaces con o sin etiqueta
+ * (A --> B, A -->|etiqueta| B, A -- etiqueta --> B), cadenas (A --> B --> C)
+ * y grupos (A & B --> C). Se ignoran estilos, clases (salvo mainConcept) y
+ * subgrafos, cuyos nodos sí se conservan.
+ *
+ * Los nodos auxiliares que añade generateEducationalConceptMap (definición,
+ * ejemplos, origen, atributos y notas de contexto) se reintegran en su
+ * concepto en lugar de importarse como conceptos.
+ */
+
+// Sentencias que no describen nodos ni enlaces
+const IGNORED_STATEMENT = /^(%%|classDef\b|style\b|linkStyle\b|click\b|subgraph\b|end\b|direction\b)/;
+
+// Identificador y forma opcional de un nodo
+const NODE = /\s*([\p{L}\p{N}_][\p{L}\p{N}_.]*)(\[\[[^\]]*\]\]|\[\([^\]]*\)\]|\(\([^)]*\)\)|\(\[[^\]]*\]\)|\[\/[^\]]*\/\]|\[[^\]]*\]|\([^)]*\)|\{\{[^}]*\}\}|\{[^}]*\}|>[^\]]*\])?/uy;
+
+// Enlace con su etiqueta: "-- texto -->", "-->|texto|", "==>", "-.->", "---"...
+const LINK = /\s*(?:--\s*([^\s>-][^>]*?)\s*-->|==\s*([^\s=>][^>]*?)\s*==>|-\.\s*([^\s.>][^>]*?)\s*\.->|(<-->|-->|---|-\.->|-\.-|==>|===|--[ox])(?:\s*\|([^|]*)\|)?)/y;
+
+// Nodos auxiliares del propio generador: <concepto>_def, _examples, _origin, _attr_N
+const AUXILIARY_NODE = /^(.+)_(def|examples|origin|attr_\d+(?:_sub_\d+)?)$/;
+const CONTEXT_NODE = /^context_\d+$/;
+
+/**
+ * Extrae el diagrama de un bloque ```mermaid si el texto es Markdown
+ * @param {string} source - Texto recibido
+ * @returns {string}
+ */
+function extractDiagram(source) {
+  const fenced = source.match(/```mermaid[^\n]*\n([\s\S]*?)```/);
+  return fenced ? fenced[1] : source;
+}
+
+/**
+ * Indica si un texto es un diagrama de flujo de Mermaid
+ * @param {string} source - Texto
+ * @returns {boolean}
+ */
+function isMermaidFlowchart(source) {
+  const diagram = extractDiagram(source)
+    .split('\n')
+    .map(line => line.trim())
+    .find(line => line && !line.startsWith('%%'));
+  return Boolean(diagram) && /^(flowchart|graph)(\s+(TD|TB|BT|LR|RL))?\s*;?$/i.test(diagram);
+}
+
+/**
+ * Texto visible de una forma de nodo o de una etiqueta
+ * @param {string} raw - Contenido con las cadenas protegidas
+ * @param {Array<string>} strings - Cadenas entre comillas extraídas
+ * @returns {string}
+ */
+function restoreText(raw, strings) {
+  return raw
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => strings[Number(index)])
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/#quot;/g, '"')
+    .replace(/#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .trim();
+}
+
+/**
+ * Analiza un diagrama Mermaid
+ * @param {string} source - Diagrama, solo o dentro de un bloque ```mermaid
+ * @returns {Object} - { title, nodes: [{ key, name, definition, examples, origin, isMain }], links: [{ from, to, label }] }
+ */
+function parseMermaid(source) {
+  const title = (source.match(/^#\s+(.+)$/m) || [])[1] || null;
+
+  // Las cadenas entre comillas pueden contener corchetes, punto y coma o saltos de línea
+  const strings = [];
+  const diagram = extractDiagram(source).replace(/"([^"]*)"/g, (match, content) => `\u0000${strings.push(content) - 1}\u0000`);
+
+  const nodes = new Map();
+  const links = [];
+  const mainKeys = new Set();
+
+  const touchNode = (key, shape) => {
+    if (!nodes.has(key)) nodes.set(key, { key, text: key, defined: false });
+    if (shape) {
+      // Quitar los delimitadores de la forma: [[ ]], (( )), [ ], { }...
+      const inner = shape.replace(/^(\[\[|\[\(|\(\(|\(\[|\[\/|\{\{|[[({>])/, '').replace(/(\]\]|\)\]|\)\)|\]\)|\/\]|\}\}|[\])}])$/, '');
+      Object.assign(nodes.get(key), { text: restoreText(inner, strings), defined: true });
+    }
+  };
+
+  const readGroup = (statement, position) => {
+    const keys = [];
+    let cursor = position;
+    do {
+      NODE.lastIndex = cursor;
+      const match = NODE.exec(statement);
+      if (!match) return null;
+      touchNode(match[1], match[2]);
+      keys.push(match[1]);
+      cursor = NODE.lastIndex;
+      const separator = statement.slice(cursor).match(/^\s*&/);
+      if (!separator) break;
+      cursor += separator[0].length;
+    } while (cursor < statement.length);
+    return { keys, cursor };
+  };
+
+  // La cabecera es la primera sentencia después de los comentarios y directivas (%%{init: ...}%%)
+  let headerSeen = false;
+  diagram.split(/\n|;/).map(line => line.trim()).filter(Boolean).forEach(statement => {
+    if (IGNORED_STATEMENT.test(statement)) return;
+    if (!headerSeen) {
+      headerSeen = true;
+      if (/^(flowchart|graph)\b/i.test(statement)) return;
+    }
+
+    const classMatch = statement.match(/^class\s+(\S+)\s+(\S+)$/);
+    if (classMatch) {
+      if (classMatch[2] === 'mainConcept') classMatch[1].split(',').forEach(key => mainKeys.add(key));
+      return;
+    }
+
+    let group = readGroup(statement, 0);
+    if (!group) return;
+    while (group.cursor < statement.length) {
+      LINK.lastIndex = group.cursor;
+      const link = LINK.exec(statement);
+      if (!link) break;
+      const next = readGroup(statement, LINK.lastIndex);
+      if (!next) break;
+
+      const label = restoreText(link[1] || link[2] || link[3] || link[5] || '', strings);
+      group.keys.forEach(from => next.keys.forEach(to => links.push({ from, to, label })));
+      group = next;
+    }
+  });
+
+  // Reintegrar los nodos auxiliares en el concepto del que cuelgan
+  const absorbed = new Set();
+  nodes.forEach(node => {
+    const auxiliary = node.key.match(AUXILIARY_NODE);
+    const base = auxiliary && nodes.get(auxiliary[1]);
+    const linkedFromBase = base && links.some(link => link.from === base.key && link.to === node.key);
+
+    if (CONTEXT_NODE.test(node.key) && links.some(link => link.to === node.key)) {
+      absorbed.add(node.key);
+    } else if (linkedFromBase && auxiliary[2] === 'def') {
+      base.definition = node.text.replace(/\s+/g, ' ');
+      absorbed.add(node.key);
+    } else if (linkedFromBase && auxiliary[2] === 'examples') {
+      // Primera línea: encabezado "Ejemplos:"; el resto, viñetas
+      base.examples = node.text.split('\n').slice(1).map(line => line.replace(/^\s*[•*-]\s*/, '').trim()).filter(Boolean);
+      absorbed.add(node.key);
+    } else if (linkedFromBase && auxiliary[2] === 'origin') {
+      base.origin = node.text.split('\n').slice(1).map(line => line.replace(/^\s*[•*-]\s*/, '').trim()).filter(Boolean).join(' ');
+      absorbed.add(node.key);
+    } else if (base && auxiliary[2].startsWith('attr_') &&
+      links.some(link => link.to === node.key && (link.from === base.key || link.from.startsWith(`${base.key}_attr_`)))) {
+      // Los atributos y sus subatributos se recalculan en el enriquecimiento
+      absorbed.add(node.key);
+    }
+  });
+
+  return {
+    title,
+    nodes: [...nodes.values()]
+      .filter(node => !absorbed.has(node.key))
+      .map(node => ({
+        key: node.key,
+        name: node.text.replace(/\s+/g, ' ').trim() || node.key,
+        definition: node.definition || null,
+        examples: node.examples || [],
+        origin: node.origin || null,
+        isMain: mainKeys.has(node.key)
+      })),
+    links: links.filter(link => !absorbed.has(link.from) && !absorbed.has(link.to))
+  };
+}
+
+module.exports = {
+  isMermaidFlowchart,
+  parseMermaid
+};
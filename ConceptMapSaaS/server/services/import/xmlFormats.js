@@ -0,0 +1,212 @@
+/**
+ * Importación de formatos XML de mapas: CXL (CmapTools), OPML y FreeMind (.mm)
+ *
+ * Cada analizador devuelve la misma estructura intermedia, que importService
+ * convierte en conceptos y relaciones:
+ *   { title, nodes: [{ key, name, definition, parentKey, examples, level, category, isMain }],
+ *     links: [{ from, to, label, type }] }
+ * Los formatos en árbol (OPML y FreeMind) indican el padre de cada nodo;
+ * CXL solo describe un grafo de conceptos unidos por frases de enlace.
+ */
+
+const { XMLParser } = require('fast-xml-parser');
+const { htmlToMarkdown, decodeEntities } = require('../../utils/htmlToMarkdown');
+
+// Elementos que pueden repetirse y deben leerse siempre como listas
+const LIST_ELEMENTS = new Set(['node', 'outline', 'concept', 'linking-phrase', 'connection', 'arrowlink', 'richcontent']);
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  removeNSPrefix: true,
+  // El HTML de las notas de FreeMind se conserva sin analizar
+  stopNodes: ['*.richcontent'],
+  isArray: (name) => LIST_ELEMENTS.has(name),
+  parseAttributeValue: false,
+  parseTagValue: false,
+  // El analizador no decodifica las referencias numéricas de los atributos: se hace con decodeEntities
+  processEntities: false
+});
+
+/**
+ * Analiza un documento XML
+ * @param {string} content - Documento
+ * @returns {Object}
+ */
+function parseXml(content) {
+  return parser.parse(content.replace(/^\uFEFF/, ''));
+}
+
+/**
+ * Texto limpio de un atributo o elemento
+ * @param {*} value - Valor leído por el analizador
+ * @returns {string}
+ */
+function text(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return text(value['#text']);
+  return decodeEntities(String(value)).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Lee los detalles que toCxl escribe en el comentario largo ("clave: valor" por línea)
+ * @param {string} comment - Comentario largo
+ * @returns {Object}
+ */
+function parseDetails(comment) {
+  const details = {};
+  decodeEntities(comment || '').split('\n').forEach(line => {
+    const match = line.match(/^\s*(level|category|examples|type):\s*(.+?)\s*$/);
+    if (match) details[match[1]] = match[2];
+  });
+  return details;
+}
+
+/**
+ * Analiza un mapa CXL de CmapTools
+ * @param {string} content - Documento CXL
+ * @returns {Object} - Estructura intermedia
+ */
+function parseCxl(content) {
+  const document = parseXml(content);
+  const cmap = document.cmap;
+  if (!cmap || !cmap.map) return null;
+
+  const meta = cmap['res-meta'] || {};
+  const map = cmap.map;
+  const concepts = (map['concept-list'] && map['concept-list'].concept) || [];
+  const phrases = (map['linking-phrase-list'] && map['linking-phrase-list']['linking-phrase']) || [];
+  const connections = (map['connection-list'] && map['connection-list'].connection) || [];
+
+  const nodes = concepts.map(concept => {
+    const details = parseDetails(concept['long-comment']);
+    const level = Number.parseInt(details.level, 10);
+    return {
+      key: concept.id,
+      name: text(concept.label),
+      definition: text(concept['short-comment']) || null,
+      parentKey: null,
+      examples: details.examples ? details.examples.split(/\s*;\s*/).filter(Boolean) : [],
+      level: Number.isNaN(level) ? null : level,
+      category: details.category || null
+    };
+  });
+  const conceptKeys = new Set(nodes.map(node => node.key));
+  const phraseById = new Map(phrases.map(phrase => [phrase.id, phrase]));
+
+  // Una frase de enlace puede unir varios conceptos de origen con varios de destino
+  const links = [];
+  const incoming = new Map();
+  const outgoing = new Map();
+  connections.forEach(connection => {
+    const from = connection['from-id'];
+    const to = connection['to-id'];
+    if (conceptKeys.has(from) && conceptKeys.has(to)) {
+      links.push({ from, to, label: '' });
+    } else if (conceptKeys.has(from) && phraseById.has(to)) {
+      incoming.set(to, [...(incoming.get(to) || []), from]);
+    } else if (phraseById.has(from) && conceptKeys.has(to)) {
+      outgoing.set(from, [...(outgoing.get(from) || []), to]);
+    }
+  });
+
+  phraseById.forEach((phrase, id) => {
+    const details = parseDetails(phrase['long-comment']);
+    (incoming.get(id) || []).forEach(from => (outgoing.get(id) || []).forEach(to => {
+      links.push({ from, to, label: text(phrase.label), type: details.type || null });
+    }));
+  });
+
+  return { title: text(meta.title) || null, nodes, links };
+}
+
+/**
+ * Analiza un esquema OPML
+ * @param {string} content - Documento OPML
+ * @returns {Object} - Estructura intermedia
+ */
+function parseOpml(content) {
+  const document = parseXml(content);
+  const opml = document.opml;
+  if (!opml || !opml.body) return null;
+
+  const nodes = [];
+  const visit = (outlines, parentKey) => {
+    (outlines || []).forEach(outline => {
+      const name = text(outline.text) || text(outline.title);
+      if (!name) {
+        visit(outline.outline, parentKey);
+        return;
+      }
+      const key = `outline_${nodes.length}`;
+      nodes.push({ key, name, definition: text(outline._note) || null, parentKey, examples: [] });
+      visit(outline.outline, key);
+    });
+  };
+  visit(opml.body.outline, null);
+
+  return { title: text(opml.head && opml.head.title) || null, nodes, links: [] };
+}
+
+/**
+ * Texto de un bloque richcontent de FreeMind (HTML)
+ * @param {Object} richcontent - Elemento leído por el analizador
+ * @returns {string}
+ */
+function richText(richcontent) {
+  const html = typeof richcontent === 'object' ? richcontent['#text'] : richcontent;
+  return htmlToMarkdown(String(html || ''))
+    .replace(/^#+\s*/gm, '')
+    .replace(/[*_`]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Analiza un mapa mental de FreeMind o Freeplane
+ * @param {string} content - Documento .mm
+ * @returns {Object} - Estructura intermedia
+ */
+function parseFreeMind(content) {
+  const document = parseXml(content);
+  const map = document.map;
+  if (!map || !map.node) return null;
+
+  const nodes = [];
+  const arrows = [];
+  const visit = (elements, parentKey) => {
+    (elements || []).forEach(element => {
+      const rich = element.richcontent || [];
+      const nodeContent = rich.find(item => item.TYPE === 'NODE');
+      const note = rich.find(item => item.TYPE === 'NOTE' || item.TYPE === 'DETAILS');
+      const key = element.ID || `node_${nodes.length}`;
+      const name = text(element.TEXT) || (nodeContent ? richText(nodeContent) : '');
+
+      if (name) {
+        nodes.push({ key, name, definition: note ? richText(note) || null : null, parentKey, examples: [] });
+        (element.arrowlink || []).forEach(arrow => {
+          if (arrow.DESTINATION) {
+            arrows.push({ from: key, to: arrow.DESTINATION, label: text(arrow.MIDDLE_LABEL) || text(arrow.SOURCE_LABEL) });
+          }
+        });
+      }
+      visit(element.node, name ? key : parentKey);
+    });
+  };
+  visit(map.node, null);
+
+  const keys = new Set(nodes.map(node => node.key));
+  const root = nodes.find(node => node.parentKey === null);
+
+  return {
+    title: root ? root.name : null,
+    nodes,
+    links: arrows.filter(arrow => keys.has(arrow.from) && keys.has(arrow.to))
+  };
+}
+
+module.exports = {
+  parseCxl,
+  parseOpml,
+  parseFreeMind
+};
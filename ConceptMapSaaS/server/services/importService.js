@@ -0,0 +1,268 @@
+/**
+ * Servicio de Importación
+ *
+ * Convierte mapas creados con otras herramientas (CmapTools .cxl, OPML,
+ * FreeMind/Freeplane .mm) y el diagrama Mermaid que genera la propia
+ * aplicación en conceptos, relaciones y jerarquía del modelo interno, para
+ * que el pipeline pueda enriquecerlos, validarlos y volver a dibujarlos.
+ */
+
+const path = require('path');
+const { parseCxl, parseOpml, parseFreeMind } = require('./import/xmlFormats');
+const { isMermaidFlowchart, parseMermaid } = require('./import/mermaid');
+const { RELATION_CUES } = require('./nlp/relationCues');
+const { AppError } = require('../utils/errors');
+
+// Formatos admitidos con sus extensiones y su analizador
+const FORMATS = {
+  cxl: { extensions: ['.cxl'], parse: parseCxl },
+  opml: { extensions: ['.opml'], parse: parseOpml },
+  freemind: { extensions: ['.mm'], parse: parseFreeMind },
+  mermaid: { extensions: ['.mmd', '.mermaid'], parse: parseMermaid }
+};
+
+// Formatos en árbol: cada nodo declara su padre
+const TREE_FORMATS = new Set(['opml', 'freemind']);
+
+// Confianza de una relación escrita explícitamente en el mapa importado
+const IMPORTED_CONFIDENCE = 0.95;
+
+// Frases de enlace ordenadas de más larga a más corta: "es causado por" antes que "causa"
+const CUE_PHRASES = RELATION_CUES
+  .flatMap(cue => cue.phrases.map(phrase => ({ type: cue.type, phrase })))
+  .sort((a, b) => b.phrase.length - a.phrase.length);
+
+class ImportService {
+  /**
+   * Extensiones aceptadas, para el atributo accept del formulario y los mensajes de error
+   * @returns {Array<string>}
+   */
+  getSupportedExtensions() {
+    return Object.values(FORMATS).flatMap(format => format.extensions);
+  }
+
+  /**
+   * Determina el formato de un mapa por su extensión o, si no la tiene, por su contenido
+   * @param {string} filename - Nombre original del archivo
+   * @param {string} content - Contenido del archivo
+   * @returns {string|null} - cxl | opml | freemind | mermaid, o null si no se reconoce
+   */
+  detectFormat(filename = '', content = '') {
+    const extension = path.extname(filename).toLowerCase();
+    const byExtension = Object.keys(FORMATS).find(format => FORMATS[format].extensions.includes(extension));
+    if (byExtension) {
+      return byExtension;
+    }
+
+    const head = content.slice(0, 2000);
+    if (/<cmap[\s>]/.test(head)) return 'cxl';
+    if (/<opml[\s>]/.test(head)) return 'opml';
+    if (/<map[\s>]/.test(head) && /<node[\s>]/.test(content)) return 'freemind';
+    if (isMermaidFlowchart(content)) return 'mermaid';
+    return null;
+  }
+
+  /**
+   * Convierte un mapa importado en el modelo interno
+   * @param {string} content - Contenido del archivo
+   * @param {Object} options - { format: formato explícito, filename: nombre original }
+   * @returns {Object} - { format, title, concepts, relationships, parents: Map id → id del padre, rootId }
+   */
+  parse(content, options = {}) {
+    const format = options.format || this.detectFormat(options.filename, content);
+    if (!FORMATS[format]) {
+      throw new AppError(
+        `Formato de mapa no admitido. Formatos aceptados: ${this.getSupportedExtensions().join(', ')}`,
+        415,
+        'UNSUPPORTED_IMPORT_FORMAT'
+      );
+    }
+
+    let parsed;
+    try {
+      parsed = FORMATS[format].parse(content);
+    } catch (error) {
+      console.error(`Error al leer el mapa ${options.filename || format}:`, error);
+      parsed = null;
+    }
+    if (!parsed) {
+      throw new AppError(`No se pudo leer el mapa ${format.toUpperCase()}; el archivo no es válido`, 422, 'INVALID_MAP_FILE');
+    }
+
+    const nodes = parsed.nodes.filter(node => node.name);
+    if (nodes.length === 0) {
+      throw new AppError('El mapa no contiene conceptos', 422, 'EMPTY_MAP');
+    }
+
+    return { format, title: parsed.title, ...this.buildModel(nodes, parsed.links, parsed.title, TREE_FORMATS.has(format)) };
+  }
+
+  /**
+   * Construye conceptos, relaciones y jerarquía a partir de la estructura intermedia
+   * @param {Array} nodes - Nodos del mapa
+   * @param {Array} links - Enlaces { from, to, label, type }
+   * @param {string|null} title - Título del mapa
+   * @param {boolean} isTree - Los nodos declaran su padre (parentKey)
+   * @returns {Object} - { concepts, relationships, parents, rootId }
+   */
+  buildModel(nodes, links, title, isTree) {
+    const idByKey = new Map();
+    const concepts = nodes.map((node, index) => {
+      const id = `concept_${index + 1}`;
+      idByKey.set(node.key, id);
+      return {
+        id,
+        name: node.name,
+        originalForm: node.name,
+        definition: node.definition || null,
+        examples: node.examples || [],
+        ...(node.origin ? { origin: node.origin } : {}),
+        ...(node.category ? { category: node.category } : {}),
+        isMainConcept: Boolean(node.isMain),
+        imported: true
+      };
+    });
+
+    const relationships = links
+      .filter(link => idByKey.has(link.from) && idByKey.has(link.to) && link.from !== link.to)
+      .map(link => ({
+        source: idByKey.get(link.from),
+        target: idByKey.get(link.to),
+        type: link.type || this.classifyLabel(link.label) || null,
+        label: link.label || ''
+      }));
+
+    const parents = new Map();
+    let rootId;
+
+    if (isTree) {
+      // El padre se busca entre los nodos anteriores: con claves repetidas (IDs
+      // duplicados en FreeMind) cada nodo conserva su entrada y no se forman ciclos
+      const previousByKey = new Map();
+      nodes.forEach((node, index) => {
+        parents.set(concepts[index].id, node.parentKey ? previousByKey.get(node.parentKey) || null : null);
+        previousByKey.set(node.key, concepts[index].id);
+      });
+      const roots = concepts.filter(concept => !parents.get(concept.id));
+
+      // Varios elementos de primer nivel (esquemas OPML): cuelgan de un concepto con el título del mapa
+      if (roots.length > 1 && title) {
+        const root = { id: `concept_${concepts.length + 1}`, name: title, originalForm: title, definition: null, examples: [], isMainConcept: false, imported: true };
+        concepts.unshift(root);
+        roots.forEach(concept => parents.set(concept.id, root.id));
+        parents.set(root.id, null);
+      } else {
+        roots.slice(1).forEach(concept => parents.set(concept.id, roots[0].id));
+      }
+      rootId = (concepts.find(concept => !parents.get(concept.id)) || concepts[0]).id;
+
+      // El árbol del esquema es la estructura jerárquica del mapa
+      concepts.forEach(concept => {
+        const parentId = parents.get(concept.id);
+        const linked = relationships.some(rel => (rel.source === parentId && rel.target === concept.id) || (rel.source === concept.id && rel.target === parentId));
+        if (parentId && !linked) {
+          relationships.push({ source: parentId, target: concept.id, type: 'hierarchical', label: '' });
+        }
+      });
+    } else {
+      rootId = this.findRoot(concepts, nodes, relationships);
+      this.placeInHierarchy(concepts, relationships, rootId).forEach((parentId, id) => parents.set(id, parentId));
+    }
+
+    concepts.forEach(concept => {
+      concept.isMainConcept = concept.id === rootId;
+    });
+
+    // Las relaciones sin tipo reconocible son jerárquicas si siguen el árbol y descriptivas si no
+    return {
+      concepts,
+      relationships: relationships.map((rel, index) => ({
+        id: `relation_${index + 1}`,
+        source: rel.source,
+        target: rel.target,
+        type: rel.type || (parents.get(rel.target) === rel.source ? 'hierarchical' : 'descriptive'),
+        label: rel.label,
+        strength: IMPORTED_CONFIDENCE,
+        confidence: IMPORTED_CONFIDENCE,
+        imported: true
+      })),
+      parents,
+      rootId
+    };
+  }
+
+  /**
+   * Tipo de relación indicado por la etiqueta de un enlace
+   * @param {string} label - Frase de enlace
+   * @returns {string|null} - Tipo de RELATION_CUES, o null si ninguna frase coincide
+   */
+  classifyLabel(label) {
+    const normalized = ` ${(label || '').toLowerCase().replace(/\s+/g, ' ').trim()} `;
+    if (!normalized.trim()) return null;
+    const match = CUE_PHRASES.find(entry => normalized.includes(` ${entry.phrase} `));
+    return match ? match.type : null;
+  }
+
+  /**
+   * Concepto raíz de un mapa en grafo: el marcado como principal, el de nivel 0
+   * o, si no, el que más enlaces inicia sin recibir ninguno
+   * @param {Array} concepts - Conceptos
+   * @param {Array} nodes - Nodos originales, en el mismo orden
+   * @param {Array} relationships - Relaciones
+   * @returns {string} - id del concepto raíz
+   */
+  findRoot(concepts, nodes, relationships) {
+    const marked = concepts.find(concept => concept.isMainConcept) ||
+      concepts.find((concept, index) => nodes[index].level === 0);
+    if (marked) {
+      return marked.id;
+    }
+
+    const outgoing = new Map();
+    const incoming = new Set(relationships.map(rel => rel.target));
+    relationships.forEach(rel => outgoing.set(rel.source, (outgoing.get(rel.source) || 0) + 1));
+    const candidates = concepts.filter(concept => !incoming.has(concept.id));
+    const pool = candidates.length > 0 ? candidates : concepts;
+    return pool.reduce((best, concept) => ((outgoing.get(concept.id) || 0) > (outgoing.get(best.id) || 0) ? concept : best)).id;
+  }
+
+  /**
+   * Árbol de recubrimiento de un grafo por recorrido en anchura desde la raíz;
+   * las partes no conectadas cuelgan de la raíz
+   * @param {Array} concepts - Conceptos
+   * @param {Array} relationships - Relaciones
+   * @param {string} rootId - Concepto raíz
+   * @returns {Map} - id → id del padre (null en la raíz)
+   */
+  placeInHierarchy(concepts, relationships, rootId) {
+    const neighbours = new Map(concepts.map(concept => [concept.id, []]));
+    // Primero los enlaces salientes, para que el padre sea el origen siempre que se pueda
+    relationships.forEach(rel => neighbours.get(rel.source).push(rel.target));
+    relationships.forEach(rel => neighbours.get(rel.target).push(rel.source));
+
+    const parents = new Map();
+    const visit = (startId, parentId) => {
+      parents.set(startId, parentId);
+      const queue = [startId];
+      while (queue.length > 0) {
+        const id = queue.shift();
+        neighbours.get(id).forEach(next => {
+          if (!parents.has(next)) {
+            parents.set(next, id);
+            queue.push(next);
+          }
+        });
+      }
+    };
+
+    visit(rootId, null);
+    concepts.forEach(concept => {
+      if (!parents.has(concept.id)) visit(concept.id, rootId);
+    });
+    return parents;
+  }
+}
+
+const importService = new ImportService();
+
+module.exports = importService;
@@ -0,0 +1,242 @@
+/**
+ * Servicio de Trabajos de Generación
+ * 
+ * Ejecuta el pipeline de 6 etapas en segundo plano para que las solicitudes
+ * con textos extensos no bloqueen la conexión HTTP. Cada trabajo registra
+ * los eventos de progreso de las etapas (a partir de metadata.stageResults)
+ * para que puedan consultarse por sondeo o recibirse por Server-Sent Events.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const conceptMapService = require('./conceptMapService');
+const config = require('../config');
+const { toPublicResult } = require('../utils/processing');
+
+// Orden de las etapas del pipeline
+const STAGE_ORDER = ['organization', 'reasoning', 'enrichment', 'validation', 'aesthetics', 'conclusion'];
+
+// Estados en los que un trabajo ya no generará más eventos
+const TERMINAL_STATUSES = ['completed', 'failed'];
+
+class JobService extends EventEmitter {
+  constructor() {
+    super();
+    // Un oyente por cada conexión SSE abierta, sin límite fijo
+    this.setMaxListeners(0);
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = 0;
+  }
+
+  /**
+   * Crea un trabajo de generación y lo pone en cola
+   * @param {string} text - Texto de entrada
+   * @param {Object} processConfig - Configuración del pipeline
+   * @param {string} ownerId - Cuenta que crea el trabajo (accountId del plan: usuario o IP)
+   * @returns {Object} - Trabajo creado
+   */
+  createJob(text, processConfig, ownerId) {
+    const job = {
+      id: crypto.randomUUID(),
+      ownerId,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      textLength: text.length,
+      stages: STAGE_ORDER.filter(stage => processConfig.stages[stage]),
+      currentStage: null,
+      completedStages: [],
+      progress: 0,
+      events: [],
+      result: null,
+      error: null,
+      text,
+      processConfig
+    };
+    
+    this.jobs.set(job.id, job);
+    this._pushEvent(job, 'queued', { position: this.queue.length + 1 });
+    
+    this.queue.push(job);
+    this._drainQueue();
+    
+    return job;
+  }
+
+  /**
+   * Obtiene un trabajo por su identificador
+   * @param {string} id - Identificador del trabajo
+   * @returns {Object|null} - Trabajo o null si no existe
+   */
+  getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Obtiene un trabajo solo si pertenece a la cuenta indicada
+   * @param {string} id - Identificador del trabajo
+   * @param {string} ownerId - Cuenta que lo consulta
+   * @returns {Object|null} - Trabajo o null si no existe o es de otra cuenta
+   */
+  getOwnedJob(id, ownerId) {
+    const job = this.getJob(id);
+    return job && job.ownerId === ownerId ? job : null;
+  }
+
+  /**
+   * Indica si un trabajo ya terminó (con éxito o con error)
+   * @param {Object} job - Trabajo
+   * @returns {boolean}
+   */
+  isFinished(job) {
+    return TERMINAL_STATUSES.includes(job.status);
+  }
+
+  /**
+   * Representación pública de un trabajo para las respuestas de la API
+   * @param {Object} job - Trabajo
+   * @returns {Object} - Estado del trabajo sin datos internos
+   */
+  toPublicJob(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      textLength: job.textLength,
+      stages: job.stages,
+      currentStage: job.currentStage,
+      completedStages: job.completedStages,
+      progress: job.progress,
+      result: job.result,
+      error: job.error
+    };
+  }
+
+  /**
+   * Suscribe un oyente a los eventos de un trabajo
+   * @param {string} id - Identificador del trabajo
+   * @param {Function} listener - Recibe cada evento nuevo
+   * @returns {Function} - Función para cancelar la suscripción
+   */
+  subscribe(id, listener) {
+    const channel = `job:${id}`;
+    this.on(channel, listener);
+    return () => this.off(channel, listener);
+  }
+
+  /**
+   * Lanza los trabajos en cola mientras haya capacidad disponible
+   * @private
+   */
+  _drainQueue() {
+    const maxConcurrent = config.conceptMap.jobs.maxConcurrent;
+    
+    while (this.running < maxConcurrent && this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.running++;
+      
+      // Ejecutar fuera del ciclo actual para no bloquear la respuesta HTTP
+      setImmediate(() => {
+        this._runJob(job).finally(() => {
+          this.running--;
+          this._drainQueue();
+        });
+      });
+    }
+  }
+
+  /**
+   * Ejecuta el pipeline para un trabajo registrando sus eventos
+   * @param {Object} job - Trabajo a ejecutar
+   * @private
+   */
+  async _runJob(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this._pushEvent(job, 'started', { stages: job.stages });
+    
+    try {
+      const result = await conceptMapService.processText(job.text, job.processConfig, {
+        onStageStart: (stage) => {
+          job.currentStage = stage;
+          this._pushEvent(job, 'stage-started', {
+            stage,
+            index: job.stages.indexOf(stage),
+            total: job.stages.length
+          });
+        },
+        onStageComplete: (stage, stageResult) => {
+          job.completedStages.push(stage);
+          job.progress = Math.round((job.completedStages.length / Math.max(1, job.stages.length)) * 100);
+          this._pushEvent(job, 'stage-completed', {
+            stage,
+            index: job.stages.indexOf(stage),
+            total: job.stages.length,
+            stageResult
+          });
+        }
+      });
+      
+      job.status = 'completed';
+      job.progress = 100;
+      job.result = toPublicResult(result);
+      this._pushEvent(job, 'completed', {
+        conceptCount: result.metadata.conceptCount,
+        relationshipCount: result.metadata.relationshipCount
+      });
+    } catch (error) {
+      console.error(`Error en el trabajo ${job.id}:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+      this._pushEvent(job, 'failed', { error: error.message });
+    } finally {
+      job.currentStage = null;
+      job.finishedAt = new Date().toISOString();
+      // El texto ya no es necesario y puede ocupar hasta 50.000 caracteres
+      job.text = null;
+      this._scheduleCleanup(job);
+    }
+  }
+
+  /**
+   * Registra un evento en el historial del trabajo y lo emite a los suscriptores
+   * @param {Object} job - Trabajo
+   * @param {string} type - Tipo de evento
+   * @param {Object} data - Datos del evento
+   * @private
+   */
+  _pushEvent(job, type, data = {}) {
+    const event = {
+      id: job.events.length + 1,
+      type,
+      jobId: job.id,
+      status: job.status,
+      progress: job.progress,
+      timestamp: new Date().toISOString(),
+      ...data
+    };
+    
+    job.events.push(event);
+    this.emit(`job:${job.id}`, event);
+  }
+
+  /**
+   * Elimina un trabajo terminado una vez vencido su periodo de retención
+   * @param {Object} job - Trabajo terminado
+   * @private
+   */
+  _scheduleCleanup(job) {
+    const timer = setTimeout(() => {
+      this.jobs.delete(job.id);
+    }, config.conceptMap.jobs.retentionMs);
+    
+    // No mantener vivo el proceso solo por la limpieza pendiente
+    timer.unref();
+  }
+}
+
+module.exports = new JobService();
@@ -0,0 +1,239 @@
+/**
+ * Glosarios locales: validación, claves de lema e índice de búsqueda
+ *
+ * Un glosario reúne las entradas de un dominio (general, ciencias...) en un
+ * idioma. Cada entrada tiene un término y, opcionalmente, una definición,
+ * sinónimos, ejemplos, términos relacionados y una categoría con sus
+ * subcategorías. Las entradas se indexan por la clave de lema de su término
+ * y de sus sinónimos, de modo que "Ecosistemas" encuentra la entrada
+ * "ecosistema" y "fotosintesis" la de "fotosíntesis".
+ */
+
+const { lemmatize } = require('../nlp/lemmatizer');
+const { getLanguagePack, isSupportedLanguage } = require('../nlp/languages');
+
+const MAX_TERM_LENGTH = 120;
+const MAX_TEXT_LENGTH = 1000; // definición y cada ejemplo
+const MAX_LIST_ITEMS = 20; // sinónimos, ejemplos, relacionados y subcategorías por entrada
+const MAX_NAME_LENGTH = 80;
+
+// Identificador de dominio: minúsculas, dígitos y guiones
+const DOMAIN_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+/**
+ * Quita tildes y diéresis
+ * @param {string} text - Texto
+ * @returns {string}
+ */
+function stripDiacritics(text) {
+  return text.normalize('NFD').replace(/\p{M}/gu, '');
+}
+
+/**
+ * Lemas de las palabras de un término, sin tildes
+ * @param {string} text - Término o nombre de concepto
+ * @param {string} language - 'es' o 'en'
+ * @returns {Array<string>}
+ */
+function lemmaTokens(text, language) {
+  const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return words.map(word => stripDiacritics(lemmatize(word, language)));
+}
+
+/**
+ * Clave de búsqueda de un término: sus lemas sin tildes separados por espacios
+ * @param {string} text - Término
+ * @param {string} language - 'es' o 'en'
+ * @returns {string}
+ */
+function lemmaKey(text, language) {
+  return lemmaTokens(text, language).join(' ');
+}
+
+/**
+ * Convierte un nombre de dominio en su identificador ("Ciencias Sociales" → ciencias-sociales)
+ * @param {string} value - Nombre o identificador
+ * @returns {string}
+ */
+function toDomainId(value) {
+  return stripDiacritics(String(value || '').trim().toLowerCase())
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Texto recortado o null si está vacío
+ */
+function cleanText(value, maxLength) {
+  if (typeof value !== 'string') return null;
+  const text = value.replace(/\s+/g, ' ').trim();
+  return text ? text.slice(0, maxLength) : null;
+}
+
+/**
+ * Lista de textos sin vacíos ni duplicados; admite una cadena separada por "|"
+ */
+function cleanList(value, maxLength) {
+  const items = typeof value === 'string' ? value.split('|') : Array.isArray(value) ? value : [];
+  const texts = items.map(item => cleanText(item, maxLength)).filter(Boolean);
+  return [...new Set(texts)].slice(0, MAX_LIST_ITEMS);
+}
+
+/**
+ * Valida una entrada y la deja en su forma normalizada
+ * @param {Object} raw - { term, definition, synonyms, examples, related, category, subcategory | subcategories }
+ * @param {number} position - Posición de la entrada, para los mensajes de error
+ * @returns {Object} - { term, definition, synonyms, examples, related, category, subcategories }
+ */
+function normalizeEntry(raw, position) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`La entrada ${position} no es un objeto`);
+  }
+
+  const term = cleanText(raw.term, MAX_TERM_LENGTH);
+  if (!term) {
+    throw new Error(`La entrada ${position} no tiene término (campo "term")`);
+  }
+
+  const entry = {
+    term,
+    definition: cleanText(raw.definition, MAX_TEXT_LENGTH),
+    synonyms: cleanList(raw.synonyms, MAX_TERM_LENGTH).filter(synonym => synonym.toLowerCase() !== term.toLowerCase()),
+    examples: cleanList(raw.examples, MAX_TEXT_LENGTH),
+    related: cleanList(raw.related, MAX_TERM_LENGTH),
+    category: cleanText(raw.category, MAX_NAME_LENGTH),
+    subcategories: cleanList(raw.subcategories !== undefined ? raw.subcategories : raw.subcategory, MAX_NAME_LENGTH)
+  };
+
+  if (!entry.definition && entry.examples.length === 0 && entry.related.length === 0 && !entry.category) {
+    throw new Error(`La entrada "${term}" no tiene definición, ejemplos, términos relacionados ni categoría`);
+  }
+
+  return entry;
+}
+
+/**
+ * Valida un glosario completo
+ * @param {Object} data - { name, domain, language, description, entries }
+ * @param {Object} [options] - { maxEntries }
+ * @returns {Object} - Glosario normalizado; las entradas repetidas conservan la primera
+ */
+function normalizeGlossary(data, { maxEntries = Infinity } = {}) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('El glosario debe ser un objeto con los campos name, domain, language y entries');
+  }
+
+  const language = typeof data.language === 'string' ? data.language.trim().toLowerCase() : '';
+  if (!isSupportedLanguage(language)) {
+    throw new Error(`Idioma del glosario no soportado: "${data.language || ''}" (es o en)`);
+  }
+
+  const domain = toDomainId(data.domain);
+  if (!DOMAIN_PATTERN.test(domain)) {
+    throw new Error('El glosario necesita un dominio (campo "domain", por ejemplo "ciencias")');
+  }
+
+  if (!Array.isArray(data.entries) || data.entries.length === 0) {
+    throw new Error('El glosario no tiene entradas (campo "entries")');
+  }
+  if (data.entries.length > maxEntries) {
+    throw new Error(`El glosario tiene ${data.entries.length} entradas; el máximo es ${maxEntries}`);
+  }
+
+  const seen = new Set();
+  const entries = [];
+  data.entries.forEach((raw, index) => {
+    const entry = normalizeEntry(raw, index + 1);
+    const key = lemmaKey(entry.term, language);
+    if (key && !seen.has(key)) {
+      seen.add(key);
+      entries.push(entry);
+    }
+  });
+
+  return {
+    name: cleanText(data.name, MAX_NAME_LENGTH) || domain,
+    domain,
+    language,
+    description: cleanText(data.description, MAX_TEXT_LENGTH),
+    entries
+  };
+}
+
+/**
+ * Índice de un glosario: clave de lema → entrada. Los términos tienen
+ * prioridad sobre los sinónimos que coinciden con otra entrada.
+ * @param {Object} glossary - Glosario normalizado
+ * @returns {Map} - clave → { entry, match: 'term' | 'synonym' }
+ */
+function buildIndex(glossary) {
+  const index = new Map();
+
+  glossary.entries.forEach(entry => {
+    index.set(lemmaKey(entry.term, glossary.language), { entry, match: 'term' });
+  });
+  glossary.entries.forEach(entry => {
+    entry.synonyms.forEach(synonym => {
+      const key = lemmaKey(synonym, glossary.language);
+      if (key && !index.has(key)) {
+        index.set(key, { entry, match: 'synonym' });
+      }
+    });
+  });
+
+  return index;
+}
+
+/**
+ * Fragmentos de un nombre que pueden buscarse en los glosarios, del más largo
+ * al más corto. Un fragmento no empieza ni termina en palabra vacía y se
+ * marca si contiene el núcleo del nombre, que se busca antes del primer
+ * enlace ("de", "of"): la primera palabra de contenido en español ("red" en
+ * "red de distribución") y la última en inglés ("network" en "neural network",
+ * "theory" en "theory of evolution").
+ * @param {string} name - Nombre del concepto
+ * @param {string} language - 'es' o 'en'
+ * @returns {Array<Object>} - [{ key, whole, head }]
+ */
+function candidateKeys(name, language) {
+  const words = String(name).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length === 0) return [];
+
+  const tokens = lemmaTokens(name, language);
+  const { stopWords, linkStarters } = getLanguagePack(language);
+  const content = words.map(word => !stopWords.has(word));
+  const contentPositions = content.map((isContent, position) => (isContent ? position : -1)).filter(position => position !== -1);
+  if (contentPositions.length === 0) return [];
+
+  const link = words.findIndex(word => linkStarters.has(word));
+  const beforeLink = contentPositions.filter(position => link === -1 || position < link);
+  const headCandidates = beforeLink.length > 0 ? beforeLink : contentPositions;
+  const headPosition = language === 'en' ? headCandidates[headCandidates.length - 1] : headCandidates[0];
+  const candidates = [{ key: tokens.join(' '), whole: true, head: true }];
+
+  // A igual longitud, primero los fragmentos que contienen el núcleo
+  for (let length = tokens.length - 1; length >= 1; length--) {
+    const fragments = [];
+    for (let start = 0; start + length <= tokens.length; start++) {
+      const end = start + length - 1;
+      if (!content[start] || !content[end]) continue;
+      fragments.push({
+        key: tokens.slice(start, end + 1).join(' '),
+        whole: false,
+        head: start <= headPosition && headPosition <= end
+      });
+    }
+    candidates.push(...fragments.filter(fragment => fragment.head), ...fragments.filter(fragment => !fragment.head));
+  }
+
+  return candidates;
+}
+
+module.exports = {
+  DOMAIN_PATTERN,
+  lemmaKey,
+  toDomainId,
+  normalizeGlossary,
+  buildIndex,
+  candidateKeys
+};
@@ -0,0 +1,160 @@
+/**
+ * Lectura de glosarios en JSON y SQLite
+ *
+ * JSON: { name, domain, language, description, entries: [{ term, definition,
+ * synonyms, examples, related, category, subcategories }] }
+ *
+ * SQLite: una tabla entries (id, term y, opcionales, definition, category y
+ * subcategory) y, también opcionales, las tablas synonyms (entry_id, term),
+ * examples (entry_id, text), related (entry_id, term) y metadata (key, value)
+ * con name, domain, language y description. La columna subcategory admite
+ * varias subcategorías separadas por "|". La base se abre en memoria con
+ * sql.js, sin compilar módulos nativos.
+ *
+ * Ambos lectores devuelven el glosario sin validar; la validación la hace
+ * glossary.normalizeGlossary.
+ */
+
+const initSqlJs = require('sql.js');
+
+// Cabecera de los archivos de SQLite 3
+const SQLITE_HEADER = Buffer.from('SQLite format 3\0', 'latin1');
+
+const FORMATS = {
+  json: ['.json'],
+  sqlite: ['.sqlite', '.sqlite3', '.db']
+};
+
+let sqlJs = null;
+
+/**
+ * Formato de un archivo de glosario por su contenido o, si no lo delata, por su extensión
+ * @param {string} fileName - Nombre del archivo
+ * @param {Buffer} buffer - Contenido
+ * @returns {string|null} - json | sqlite | null
+ */
+function detectFormat(fileName, buffer) {
+  if (buffer.length >= SQLITE_HEADER.length && buffer.subarray(0, SQLITE_HEADER.length).equals(SQLITE_HEADER)) {
+    return 'sqlite';
+  }
+
+  const lower = String(fileName || '').toLowerCase();
+  return Object.keys(FORMATS).find(name => FORMATS[name].some(extension => lower.endsWith(extension))) || null;
+}
+
+/**
+ * Extensiones de archivo admitidas
+ * @returns {Array<string>}
+ */
+function getSupportedExtensions() {
+  return Object.values(FORMATS).flat();
+}
+
+/**
+ * Lee un glosario JSON
+ * @param {Buffer} buffer - Contenido UTF-8
+ * @returns {Object}
+ */
+function readJsonGlossary(buffer) {
+  try {
+    return JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error(`El archivo no es un JSON válido: ${error.message}`);
+  }
+}
+
+/**
+ * Filas de una consulta como objetos
+ */
+function selectAll(db, sql) {
+  const [result] = db.exec(sql);
+  if (!result) return [];
+  return result.values.map(values => Object.fromEntries(result.columns.map((column, i) => [column, values[i]])));
+}
+
+/**
+ * Agrupa por entry_id los valores de una tabla auxiliar, si existe
+ */
+function groupByEntry(db, tables, table, column) {
+  const groups = new Map();
+  if (!tables.has(table)) return groups;
+
+  selectAll(db, `SELECT entry_id, ${column} AS value FROM ${table} ORDER BY rowid`).forEach(row => {
+    if (!groups.has(row.entry_id)) groups.set(row.entry_id, []);
+    groups.get(row.entry_id).push(row.value);
+  });
+  return groups;
+}
+
+/**
+ * Lee un glosario SQLite
+ * @param {Buffer} buffer - Base de datos completa
+ * @returns {Promise<Object>}
+ */
+async function readSqliteGlossary(buffer) {
+  sqlJs = sqlJs || await initSqlJs();
+
+  let db;
+  try {
+    db = new sqlJs.Database(new Uint8Array(buffer));
+    const tables = new Set(selectAll(db, "SELECT name FROM sqlite_master WHERE type = 'table'").map(row => row.name));
+    if (!tables.has('entries')) {
+      throw new Error('La base de datos no tiene la tabla entries');
+    }
+
+    const metadata = tables.has('metadata') ?
+      Object.fromEntries(selectAll(db, 'SELECT key, value FROM metadata').map(row => [row.key, row.value])) :
+      {};
+    const synonyms = groupByEntry(db, tables, 'synonyms', 'term');
+    const examples = groupByEntry(db, tables, 'examples', 'text');
+    const related = groupByEntry(db, tables, 'related', 'term');
+
+    // Las columnas distintas de id y term son opcionales
+    const entries = selectAll(db, 'SELECT * FROM entries ORDER BY id').map(row => ({
+      term: row.term,
+      definition: row.definition,
+      synonyms: synonyms.get(row.id) || [],
+      examples: examples.get(row.id) || [],
+      related: related.get(row.id) || [],
+      category: row.category,
+      subcategories: row.subcategory || []
+    }));
+
+    return {
+      name: metadata.name,
+      domain: metadata.domain,
+      language: metadata.language,
+      description: metadata.description,
+      entries
+    };
+  } catch (error) {
+    throw new Error(`No se pudo leer la base de datos SQLite: ${error.message}`);
+  } finally {
+    if (db) db.close();
+  }
+}
+
+/**
+ * Lee un glosario en cualquiera de los formatos admitidos
+ * @param {Buffer} buffer - Contenido del archivo
+ * @param {string} fileName - Nombre del archivo
+ * @returns {Promise<Object>} - { format, data }
+ */
+async function readGlossary(buffer, fileName) {
+  const format = detectFormat(fileName, buffer);
+
+  switch (format) {
+    case 'json':
+      return { format, data: readJsonGlossary(buffer) };
+    case 'sqlite':
+      return { format, data: await readSqliteGlossary(buffer) };
+    default:
+      throw new Error(`Formato de glosario no admitido (${getSupportedExtensions().join(', ')})`);
+  }
+}
+
+module.exports = {
+  detectFormat,
+  getSupportedExtensions,
+  readGlossary
+};
@@ -0,0 +1,275 @@
+/**
+ * Servicio de glosarios locales para el enriquecimiento sin conexión
+ *
+ * Reúne los glosarios incluidos en la aplicación (lexicon/glossaries), los de
+ * la carpeta config.lexicon.dir y los subidos por los administradores, y
+ * busca en ellos los conceptos de un mapa por el lema de su nombre, sus
+ * sinónimos o el núcleo del nombre. La etapa de enriquecimiento toma de aquí
+ * las definiciones, los ejemplos, los términos relacionados y las categorías
+ * sin depender de ningún servicio externo.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+const { lexiconRepository } = require('../repositories');
+const { normalizeGlossary, buildIndex, candidateKeys, toDomainId, DOMAIN_PATTERN } = require('./lexicon/glossary');
+const { readGlossary, getSupportedExtensions } = require('./lexicon/loaders');
+const { DEFAULT_LANGUAGE } = require('./nlp/languages');
+const { AppError } = require('../utils/errors');
+
+// Glosarios incluidos en la aplicación
+const BUILTIN_DIR = path.join(__dirname, 'lexicon/glossaries');
+
+class LexiconService {
+  constructor() {
+    this.loading = null;
+  }
+
+  /**
+   * Lista los glosarios disponibles
+   * @param {Object} [filters] - { language, domain }
+   * @returns {Promise<Array>} - Resúmenes sin las entradas
+   */
+  async list({ language = null, domain = null } = {}) {
+    const glossaries = await this._glossaries();
+    
+    return glossaries
+      .filter(item => (!language || item.language === language) && (!domain || item.domain === domain))
+      .map(item => this._toSummary(item));
+  }
+
+  /**
+   * Dominios con al menos un glosario y los idiomas que cubren
+   * @returns {Promise<Array>} - [{ id, name, languages, glossaries }]; el nombre es
+   *   el del primer glosario en el idioma por defecto, si lo hay
+   */
+  async listDomains() {
+    const domains = new Map();
+    
+    (await this._glossaries()).forEach(item => {
+      const domain = domains.get(item.domain) || { id: item.domain, name: item.name, languages: [], glossaries: 0 };
+      if (item.language === DEFAULT_LANGUAGE && !domain.languages.includes(DEFAULT_LANGUAGE)) domain.name = item.name;
+      if (!domain.languages.includes(item.language)) domain.languages.push(item.language);
+      domain.glossaries += 1;
+      domains.set(item.domain, domain);
+    });
+    
+    return [...domains.values()].sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Prepara las búsquedas de un proceso en los glosarios de su idioma
+   * @param {string} language - Idioma del texto
+   * @param {Array<string>} [domains] - Dominios preferidos, en orden; el dominio
+   *   config.lexicon.fallbackDomain se consulta siempre después. Sin dominios se usan todos.
+   * @returns {Promise<Object>} - { glossaries, find(name) }
+   */
+  async createLookup(language, domains = null) {
+    const glossaries = this._select(await this._glossaries(), language, domains);
+    
+    return {
+      glossaries: glossaries.map(item => item.id),
+      find: name => this._find(glossaries, name, language)
+    };
+  }
+
+  /**
+   * Busca un término en los glosarios
+   * @param {string} term - Término o nombre de concepto
+   * @param {Object} options - { language, domains }
+   * @returns {Promise<Object|null>} - { entry, glossary, match } o null si no aparece
+   */
+  async lookup(term, { language, domains = null }) {
+    const lookup = await this.createLookup(language, domains);
+    return lookup.find(term);
+  }
+
+  /**
+   * Instala un glosario subido. Si ya hay uno subido con el mismo dominio,
+   * idioma y nombre, lo sustituye.
+   * @param {Object} file - { buffer, originalname } (multer)
+   * @param {Object} [overrides] - { name, domain, language } que prevalecen sobre los del archivo
+   * @param {Object} [user] - Administrador que lo sube
+   * @returns {Promise<Object>} - { lexicon, replaced }
+   */
+  async install(file, overrides = {}, user = null) {
+    let format;
+    let glossary;
+    try {
+      const read = await readGlossary(file.buffer, file.originalname);
+      const defined = Object.fromEntries(Object.entries(overrides).filter(([, value]) => typeof value === 'string' && value.trim()));
+      format = read.format;
+      glossary = normalizeGlossary({ ...read.data, ...defined }, { maxEntries: config.lexicon.maxEntries });
+    } catch (error) {
+      throw new AppError(error.message, 422, 'INVALID_LEXICON');
+    }
+    
+    const uploaded = await lexiconRepository.list();
+    const existing = uploaded.find(item =>
+      item.domain === glossary.domain &&
+      item.language === glossary.language &&
+      item.name.toLowerCase() === glossary.name.toLowerCase());
+    
+    const { lexicon, replaced } = await lexiconRepository.save({
+      id: existing ? existing.id : `${glossary.domain}-${glossary.language}-${Date.now().toString(36)}`,
+      ...glossary,
+      format,
+      fileName: file.originalname || null,
+      uploadedBy: user ? user.email : null
+    });
+    
+    this.loading = null;
+    return { lexicon: this._toSummary({ ...lexicon, source: 'uploaded' }), replaced };
+  }
+
+  /**
+   * Elimina un glosario subido
+   * @param {string} id - Identificador del glosario
+   */
+  async remove(id) {
+    const glossary = (await this._glossaries()).find(item => item.id === id);
+    
+    if (!glossary) {
+      throw new AppError('Glosario no encontrado', 404, 'LEXICON_NOT_FOUND');
+    }
+    if (glossary.source !== 'uploaded') {
+      throw new AppError('Solo se pueden eliminar los glosarios subidos', 409, 'LEXICON_READ_ONLY');
+    }
+    
+    await lexiconRepository.remove(id);
+    this.loading = null;
+  }
+
+  /**
+   * Dominio normalizado de una solicitud, o null si no es válido
+   * @param {string} value - Dominio recibido
+   * @returns {string|null}
+   */
+  normalizeDomain(value) {
+    const domain = toDomainId(value);
+    return DOMAIN_PATTERN.test(domain) ? domain : null;
+  }
+
+  /**
+   * Extensiones de archivo admitidas en la subida
+   * @returns {Array<string>}
+   */
+  getSupportedExtensions() {
+    return getSupportedExtensions();
+  }
+
+  /**
+   * Glosarios indexados, cargados la primera vez y tras cada cambio
+   * @returns {Promise<Array>}
+   */
+  _glossaries() {
+    if (!this.loading) {
+      this.loading = this._load().catch(error => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Carga e indexa todos los glosarios, ordenados por la prioridad de su origen
+   * @returns {Promise<Array>}
+   */
+  async _load() {
+    const builtin = await this._readDirectory(BUILTIN_DIR, 'builtin');
+    const local = config.lexicon.dir ? await this._readDirectory(config.lexicon.dir, 'local') : [];
+    const uploaded = (await lexiconRepository.list()).map(lexicon => ({ ...lexicon, source: 'uploaded' }));
+    
+    // Lo subido prevalece sobre la carpeta local y esta sobre lo incluido
+    return [...uploaded, ...local, ...builtin].map(item => ({ ...item, index: buildIndex(item) }));
+  }
+
+  /**
+   * Lee los glosarios de una carpeta; los archivos no válidos se registran y se omiten
+   * @param {string} dir - Carpeta
+   * @param {string} source - builtin | local
+   * @returns {Promise<Array>}
+   */
+  async _readDirectory(dir, source) {
+    let names;
+    try {
+      names = (await fs.readdir(dir)).filter(name => getSupportedExtensions().some(extension => name.toLowerCase().endsWith(extension)));
+    } catch (error) {
+      console.error(`No se pudo leer la carpeta de glosarios ${dir}:`, error.message);
+      return [];
+    }
+    
+    const glossaries = [];
+    for (const fileName of names.sort()) {
+      try {
+        const { format, data } = await readGlossary(await fs.readFile(path.join(dir, fileName)), fileName);
+        const glossary = normalizeGlossary(data, { maxEntries: config.lexicon.maxEntries });
+        glossaries.push({
+          id: `${source}-${path.basename(fileName, path.extname(fileName))}`,
+          ...glossary,
+          format,
+          fileName,
+          source
+        });
+      } catch (error) {
+        console.error(`Glosario omitido (${fileName}):`, error.message);
+      }
+    }
+    return glossaries;
+  }
+
+  /**
+   * Glosarios de un idioma en el orden en que se consultan
+   */
+  _select(glossaries, language, domains) {
+    const sameLanguage = glossaries.filter(item => item.language === language);
+    if (!domains || domains.length === 0) return sameLanguage;
+    
+    const order = [...new Set([...domains, config.lexicon.fallbackDomain])];
+    return order.flatMap(domain => sameLanguage.filter(item => item.domain === domain));
+  }
+
+  /**
+   * Mejor coincidencia de un nombre: los fragmentos más largos primero y, a
+   * igual fragmento, el glosario de mayor prioridad
+   * @returns {Object|null} - { entry, glossary, match: term | synonym | head | partial }
+   */
+  _find(glossaries, name, language) {
+    for (const candidate of candidateKeys(name, language)) {
+      for (const item of glossaries) {
+        const hit = item.index.get(candidate.key);
+        if (hit) {
+          return {
+            entry: hit.entry,
+            glossary: { id: item.id, name: item.name, domain: item.domain },
+            match: candidate.whole ? hit.match : candidate.head ? 'head' : 'partial'
+          };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Datos de un glosario que pueden enviarse al cliente
+   */
+  _toSummary(item) {
+    return {
+      id: item.id,
+      name: item.name,
+      domain: item.domain,
+      language: item.language,
+      description: item.description || null,
+      source: item.source,
+      format: item.format,
+      entryCount: item.entries.length,
+      ...(item.source === 'uploaded' ? { uploadedBy: item.uploadedBy, createdAt: item.createdAt, updatedAt: item.updatedAt } : {})
+    };
+  }
+}
+
+const lexiconService = new LexiconService();
+
+module.exports = lexiconService;
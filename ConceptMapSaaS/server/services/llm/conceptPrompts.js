@@ -0,0 +1,94 @@
+/**
+ * Prompts y lectura de respuestas para el análisis de conceptos con un modelo de lenguaje
+ *
+ * El mensaje de usuario es un documento JSON con el campo "task"; así el
+ * modelo recibe una petición inequívoca y el servidor mock puede
+ * responder de forma determinista.
+ */
+
+const TASKS = {
+  concepts: 'extract_concepts',
+  relationships: 'extract_relationships'
+};
+
+/**
+ * Mensajes para extraer los conceptos de un texto (etapa 1)
+ * @param {string} text - Texto de entrada
+ * @param {Object} options - { maxConcepts, language: código del idioma de la respuesta }
+ * @returns {Array} - Mensajes de chat
+ */
+function buildConceptMessages(text, { maxConcepts, language }) {
+  return [
+    {
+      role: 'system',
+      content: [
+        'Eres un experto en mapas conceptuales educativos.',
+        'Extrae los conceptos clave del texto, de general a específico.',
+        'Responde solo con JSON: {"concepts":[{"name":string,"level":0-3,"importance":0-1,"definition":string}]}.',
+        'level 0 es el concepto central (uno solo); usa el nombre tal como aparece en el texto.',
+        'Escribe las definiciones en el idioma indicado en "language".'
+      ].join(' ')
+    },
+    {
+      role: 'user',
+      content: JSON.stringify({ task: TASKS.concepts, language, maxConcepts, text })
+    }
+  ];
+}
+
+/**
+ * Mensajes para extraer relaciones tipificadas entre conceptos conocidos (etapa 2)
+ * @param {string} text - Texto de entrada
+ * @param {Array} concepts - Conceptos de la etapa 1
+ * @param {Array} relationTypes - Tipos admitidos
+ * @param {string} [language] - Código del idioma de las etiquetas
+ * @returns {Array} - Mensajes de chat
+ */
+function buildRelationshipMessages(text, concepts, relationTypes, language) {
+  return [
+    {
+      role: 'system',
+      content: [
+        'Eres un experto en mapas conceptuales educativos.',
+        'Identifica las relaciones que el texto establece entre los conceptos dados.',
+        'Responde solo con JSON: {"relationships":[{"source":string,"target":string,"type":string,"label":string,"confidence":0-1}]}.',
+        `source y target deben ser nombres de la lista; type debe ser uno de: ${relationTypes.join(', ')}.`,
+        'label es una frase de enlace breve en el idioma indicado en "language".'
+      ].join(' ')
+    },
+    {
+      role: 'user',
+      content: JSON.stringify({
+        task: TASKS.relationships,
+        language,
+        relationTypes,
+        concepts: concepts.map(c => c.name),
+        text
+      })
+    }
+  ];
+}
+
+/**
+ * Lee el JSON de la respuesta del modelo, tolerando bloques de código Markdown
+ * @param {string} content - Contenido devuelto por el modelo
+ * @param {string} key - Propiedad que debe contener un array
+ * @returns {Array} - Elementos del array
+ */
+function parseJsonList(content, key) {
+  const cleaned = content.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  const data = JSON.parse(cleaned);
+
+  if (!data || !Array.isArray(data[key])) {
+    throw new Error(`La respuesta del modelo no contiene "${key}"`);
+  }
+
+  return data[key];
+}
+
+module.exports = {
+  TASKS,
+  buildConceptMessages,
+  buildRelationshipMessages,
+  parseJsonList
+};
@@ -0,0 +1,69 @@
+/**
+ * Punto de acceso a los proveedores de modelos de lenguaje
+ *
+ * Selecciona el adaptador según config.llm.provider. Sin proveedor
+ * configurado se exporta null y el pipeline usa el análisis heurístico.
+ */
+
+const config = require('../../config');
+const LLMProvider = require('./llmProvider');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+
+// Valores por defecto de cada proveedor; LLM_BASE_URL, LLM_API_KEY y LLM_MODEL los sustituyen
+const PROVIDER_PRESETS = {
+  deepseek: {
+    baseUrl: config.apis.deepseek.baseUrl,
+    apiKey: config.apis.deepseek.apiKey,
+    model: 'deepseek-chat'
+  },
+  openai: {
+    baseUrl: 'https://api.openai.com/v1',
+    apiKey: process.env.OPENAI_API_KEY || null,
+    model: 'gpt-4o-mini'
+  },
+  mock: {
+    baseUrl: `http://127.0.0.1:${config.llm.mock.port}/v1`,
+    apiKey: 'mock',
+    model: 'mock-concept-model'
+  }
+};
+
+/**
+ * Crea un proveedor de modelos de lenguaje
+ * @param {Object} llmConfig - Configuración con la forma de config.llm
+ * @returns {LLMProvider|null} - Proveedor listo para usar, o null si no hay ninguno configurado
+ */
+function createLLMProvider(llmConfig = config.llm) {
+  if (!llmConfig.provider) {
+    return null;
+  }
+
+  const preset = PROVIDER_PRESETS[llmConfig.provider];
+  if (!preset) {
+    throw new Error(`Proveedor de modelos de lenguaje no soportado: ${llmConfig.provider}`);
+  }
+
+  const apiKey = llmConfig.apiKey || preset.apiKey;
+  if (!apiKey) {
+    throw new Error(`Falta la clave de API para el proveedor ${llmConfig.provider} (LLM_API_KEY)`);
+  }
+
+  return new OpenAICompatibleProvider({
+    name: llmConfig.provider,
+    model: llmConfig.model || preset.model,
+    baseUrl: llmConfig.baseUrl || preset.baseUrl,
+    apiKey,
+    timeoutMs: llmConfig.timeoutMs,
+    maxRetries: llmConfig.maxRetries,
+    retryDelayMs: llmConfig.retryDelayMs,
+    temperature: llmConfig.temperature,
+    maxTokens: llmConfig.maxTokens
+  });
+}
+
+module.exports = {
+  createLLMProvider,
+  LLMProvider,
+  LLMError: LLMProvider.LLMError,
+  llmProvider: createLLMProvider()
+};
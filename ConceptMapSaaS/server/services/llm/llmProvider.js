@@ -0,0 +1,64 @@
+/**
+ * Interfaz de proveedor de modelos de lenguaje
+ *
+ * Define el contrato de chat completion que deben cumplir los adaptadores
+ * y lleva la contabilidad de tokens consumidos por el proceso.
+ */
+
+const { AppError } = require('../../utils/errors');
+
+/**
+ * Error de un proveedor de modelos de lenguaje. Ante el cliente equivale a
+ * un 502; el código HTTP del proveedor se conserva en providerStatus
+ */
+class LLMError extends AppError {
+  /**
+   * @param {string} message - Descripción del error
+   * @param {Object} details - Detalles del error
+   * @param {number} [details.status] - Código HTTP devuelto por el proveedor
+   * @param {string} [details.code] - Código de error legible por máquinas
+   * @param {boolean} [details.retryable] - Si tiene sentido repetir la petición
+   */
+  constructor(message, { status = null, code = 'LLM_ERROR', retryable = false } = {}) {
+    super(message, 502, code);
+    this.name = 'LLMError';
+    this.providerStatus = status;
+    this.retryable = retryable;
+  }
+}
+
+class LLMProvider {
+  /**
+   * @param {Object} options - { name, model }
+   */
+  constructor({ name, model }) {
+    this.name = name;
+    this.model = model;
+    this.usage = { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  }
+
+  /**
+   * Envía una conversación al modelo y devuelve su respuesta
+   * @param {Array} messages - Mensajes { role: 'system'|'user'|'assistant', content }
+   * @param {Object} options - { temperature, maxTokens, responseFormat: 'json'|'text' }
+   * @returns {Promise<Object>} - { content, model, usage: { promptTokens, completionTokens, totalTokens } }
+   */
+  async chat(messages, options = {}) {
+    throw new Error('chat() no está implementado');
+  }
+
+  /**
+   * Suma el consumo de una petición a los totales del proveedor
+   * @param {Object} usage - { promptTokens, completionTokens, totalTokens }
+   */
+  recordUsage(usage) {
+    this.usage.requests++;
+    this.usage.promptTokens += usage.promptTokens;
+    this.usage.completionTokens += usage.completionTokens;
+    this.usage.totalTokens += usage.totalTokens;
+  }
+}
+
+LLMProvider.LLMError = LLMError;
+
+module.exports = LLMProvider;
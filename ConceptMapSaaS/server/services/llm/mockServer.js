@@ -0,0 +1,197 @@
+/**
+ * Servidor mock de chat completions compatible con OpenAI
+ *
+ * Responde de forma determinista a las tareas de conceptPrompts para poder
+ * probar el pipeline sin red ni claves. Se arranca con `npm run llm:mock`
+ * y se usa con LLM_PROVIDER=mock.
+ *
+ * Opciones para simular fallos:
+ * - failFirst (LLM_MOCK_FAIL_FIRST): las N primeras peticiones responden 503
+ * - delayMs (LLM_MOCK_DELAY_MS): retraso antes de cada respuesta
+ */
+
+const http = require('http');
+const config = require('../../config');
+const { TASKS } = require('./conceptPrompts');
+
+// Palabras que nunca se proponen como concepto
+const STOP_WORDS = new Set([
+  'para', 'como', 'este', 'esta', 'esto', 'estos', 'estas', 'porque', 'aunque', 'cuando', 'donde',
+  'entre', 'sobre', 'desde', 'hasta', 'tiene', 'tienen', 'puede', 'pueden', 'también', 'otros', 'otras',
+  'which', 'there', 'their', 'these', 'those', 'about', 'while', 'where', 'other', 'through'
+]);
+
+// Frases de enlace que determinan el tipo de relación (primera coincidencia)
+const RELATION_CUES = [
+  { pattern: /\b(causa|produce|provoca|genera|causes|produces|leads to)\b/i, type: 'causal', label: 'causa' },
+  { pattern: /\b(por ejemplo|como ejemplo|for example|such as)\b/i, type: 'example', label: 'ejemplifica' },
+  { pattern: /\b(es un tipo de|es una|es un|is a|is an)\b/i, type: 'hierarchical', label: 'incluye' },
+  { pattern: /\b(antes|después|luego|then|after|before)\b/i, type: 'sequential', label: 'precede a' },
+  { pattern: /\b(a diferencia de|mientras que|unlike|whereas)\b/i, type: 'comparative', label: 'contrasta con' }
+];
+
+/**
+ * Estima tokens como un cuarto de los caracteres (suficiente para la contabilidad de pruebas)
+ * @param {string} text - Texto a medir
+ * @returns {number} - Tokens estimados
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Extrae conceptos: títulos Markdown y luego palabras por frecuencia
+ * @param {Object} request - { text, maxConcepts }
+ * @returns {Object} - { concepts }
+ */
+function extractConcepts({ text, maxConcepts = 20 }) {
+  const concepts = [];
+  const seen = new Set();
+  const add = (name, level, importance) => {
+    const key = name.toLowerCase();
+    if (!seen.has(key) && concepts.length < maxConcepts) {
+      seen.add(key);
+      concepts.push({ name, level, importance, definition: '' });
+    }
+  };
+
+  const headings = [...text.matchAll(/^#+\s+(.+)$/gm)].map(m => m[1].trim());
+  headings.forEach((heading, index) => add(heading, index === 0 ? 0 : 1, index === 0 ? 1 : 0.8));
+
+  // Frecuencia de palabras, desempatando por primera aparición
+  const counts = new Map();
+  (text.match(/[A-Za-zÁÉÍÓÚÜÑáéíóúüñ]{5,}/g) || []).forEach(word => {
+    const key = word.toLowerCase();
+    if (STOP_WORDS.has(key)) return;
+    const entry = counts.get(key) || { word, count: 0 };
+    entry.count++;
+    counts.set(key, entry);
+  });
+
+  const ranked = [...counts.values()].sort((a, b) => b.count - a.count);
+  ranked.forEach((entry, index) => {
+    const level = concepts.length === 0 ? 0 : index < 5 ? 2 : 3;
+    add(entry.word, level, Number(Math.max(0.3, 0.9 - index * 0.05).toFixed(2)));
+  });
+
+  return { concepts };
+}
+
+/**
+ * Relaciona los conceptos que aparecen en la misma oración
+ * @param {Object} request - { text, concepts, relationTypes }
+ * @returns {Object} - { relationships }
+ */
+function extractRelationships({ text, concepts = [], relationTypes = [] }) {
+  const relationships = [];
+  const seen = new Set();
+  const sentences = text.split(/(?<=[.!?])\s+|\n+/);
+
+  sentences.forEach(sentence => {
+    const lower = sentence.toLowerCase();
+    const present = concepts
+      .map(name => ({ name, index: lower.indexOf(name.toLowerCase()) }))
+      .filter(c => c.index !== -1)
+      .sort((a, b) => a.index - b.index);
+
+    const cue = RELATION_CUES.find(c => c.pattern.test(sentence));
+    const type = cue && relationTypes.includes(cue.type) ? cue.type : 'descriptive';
+    const label = cue && type === cue.type ? cue.label : 'se relaciona con';
+
+    for (let i = 0; i + 1 < present.length; i++) {
+      const key = `${present[i].name}→${present[i + 1].name}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      relationships.push({
+        source: present[i].name,
+        target: present[i + 1].name,
+        type,
+        label,
+        confidence: cue ? 0.85 : 0.6
+      });
+    }
+  });
+
+  return { relationships };
+}
+
+/**
+ * Crea el servidor mock (sin empezar a escuchar)
+ * @param {Object} options - { failFirst, delayMs }
+ * @returns {http.Server} - Servidor HTTP
+ */
+function createMockServer({ failFirst = 0, delayMs = 0 } = {}) {
+  let requestCount = 0;
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  return http.createServer((req, res) => {
+    if (req.method !== 'POST' || req.url !== '/v1/chat/completions') {
+      send(res, 404, { error: { message: 'Not found' } });
+      return;
+    }
+
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => setTimeout(() => {
+      requestCount++;
+
+      if (requestCount <= failFirst) {
+        send(res, 503, { error: { message: 'Fallo simulado' } });
+        return;
+      }
+
+      let body;
+      let request;
+      try {
+        body = JSON.parse(raw);
+        const userMessage = [...body.messages].reverse().find(m => m.role === 'user');
+        request = JSON.parse(userMessage.content);
+      } catch (error) {
+        send(res, 400, { error: { message: 'Petición no reconocida por el mock' } });
+        return;
+      }
+
+      let answer;
+      if (request.task === TASKS.concepts) {
+        answer = extractConcepts(request);
+      } else if (request.task === TASKS.relationships) {
+        answer = extractRelationships(request);
+      } else {
+        send(res, 400, { error: { message: `Tarea desconocida: ${request.task}` } });
+        return;
+      }
+
+      const content = JSON.stringify(answer);
+      const promptTokens = estimateTokens(body.messages.map(m => m.content).join('\n'));
+      const completionTokens = estimateTokens(content);
+
+      send(res, 200, {
+        id: `mock-${requestCount}`,
+        object: 'chat.completion',
+        model: body.model,
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        usage: {
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens,
+          total_tokens: promptTokens + completionTokens
+        }
+      });
+    }, delayMs));
+  });
+}
+
+if (require.main === module) {
+  const server = createMockServer({
+    failFirst: Number(process.env.LLM_MOCK_FAIL_FIRST) || 0,
+    delayMs: Number(process.env.LLM_MOCK_DELAY_MS) || 0
+  });
+  server.listen(config.llm.mock.port, '127.0.0.1', () => {
+    console.log(`Mock de LLM escuchando en http://127.0.0.1:${config.llm.mock.port}/v1`);
+  });
+}
+
+module.exports = { createMockServer };
@@ -0,0 +1,155 @@
+/**
+ * Adaptador para APIs de chat compatibles con OpenAI (DeepSeek, OpenAI, mock local)
+ *
+ * Llama a POST {baseUrl}/chat/completions con axios, aplica un tiempo máximo
+ * por petición y reintenta con espera exponencial los errores transitorios.
+ */
+
+const axios = require('axios');
+const LLMProvider = require('./llmProvider');
+
+const { LLMError } = LLMProvider;
+
+// Códigos HTTP que indican un fallo transitorio del proveedor
+const RETRYABLE_STATUS = new Set([408, 409, 429, 500, 502, 503, 504]);
+
+class OpenAICompatibleProvider extends LLMProvider {
+  /**
+   * @param {Object} options - { name, model, baseUrl, apiKey, timeoutMs, maxRetries, retryDelayMs, temperature, maxTokens }
+   */
+  constructor({ name, model, baseUrl, apiKey, timeoutMs, maxRetries, retryDelayMs, temperature, maxTokens }) {
+    super({ name, model });
+    this.maxRetries = maxRetries;
+    this.retryDelayMs = retryDelayMs;
+    this.temperature = temperature;
+    this.maxTokens = maxTokens;
+    this.client = axios.create({
+      baseURL: baseUrl.replace(/\/+$/, ''),
+      timeout: timeoutMs,
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  /**
+   * Envía una conversación al modelo y devuelve su respuesta
+   * @param {Array} messages - Mensajes { role, content }
+   * @param {Object} options - { temperature, maxTokens, responseFormat: 'json'|'text' }
+   * @returns {Promise<Object>} - { content, model, usage }
+   */
+  async chat(messages, options = {}) {
+    const body = {
+      model: this.model,
+      messages,
+      temperature: options.temperature ?? this.temperature,
+      max_tokens: options.maxTokens ?? this.maxTokens,
+      stream: false
+    };
+
+    if (options.responseFormat === 'json') {
+      body.response_format = { type: 'json_object' };
+    }
+
+    let attempt = 0;
+
+    while (true) {
+      try {
+        const response = await this.client.post('/chat/completions', body);
+        return this._toChatResult(response.data);
+      } catch (error) {
+        const llmError = this._toLLMError(error);
+
+        if (!llmError.retryable || attempt >= this.maxRetries) {
+          throw llmError;
+        }
+
+        const delay = this._retryDelay(error, attempt);
+        console.warn(`${this.name}: ${llmError.message}; reintentando en ${delay} ms (${attempt + 1}/${this.maxRetries})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        attempt++;
+      }
+    }
+  }
+
+  /**
+   * Extrae el contenido y el consumo de tokens de una respuesta de la API
+   * @param {Object} data - Cuerpo de la respuesta de chat/completions
+   * @returns {Object} - { content, model, usage }
+   * @private
+   */
+  _toChatResult(data) {
+    const choice = data && Array.isArray(data.choices) ? data.choices[0] : null;
+
+    if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+      throw new LLMError(`${this.name}: respuesta sin contenido`, { code: 'LLM_EMPTY_RESPONSE' });
+    }
+
+    const usage = {
+      promptTokens: (data.usage && data.usage.prompt_tokens) || 0,
+      completionTokens: (data.usage && data.usage.completion_tokens) || 0,
+      totalTokens: (data.usage && data.usage.total_tokens) || 0
+    };
+
+    if (!usage.totalTokens) {
+      usage.totalTokens = usage.promptTokens + usage.completionTokens;
+    }
+
+    this.recordUsage(usage);
+
+    return {
+      content: choice.message.content,
+      model: data.model || this.model,
+      usage
+    };
+  }
+
+  /**
+   * Convierte un error de axios en un LLMError indicando si se puede reintentar
+   * @param {Error} error - Error original
+   * @returns {LLMError} - Error normalizado
+   * @private
+   */
+  _toLLMError(error) {
+    if (error instanceof LLMError) {
+      return error;
+    }
+
+    if (error.response) {
+      const { status, data } = error.response;
+      const detail = data && data.error && data.error.message ? data.error.message : error.message;
+      return new LLMError(`${this.name} respondió ${status}: ${detail}`, {
+        status,
+        code: status === 429 ? 'LLM_RATE_LIMITED' : 'LLM_HTTP_ERROR',
+        retryable: RETRYABLE_STATUS.has(status)
+      });
+    }
+
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return new LLMError(`${this.name}: tiempo de espera agotado`, { code: 'LLM_TIMEOUT', retryable: true });
+    }
+
+    // Errores de red (conexión rechazada, DNS, socket cerrado)
+    return new LLMError(`${this.name}: ${error.message}`, { code: 'LLM_NETWORK_ERROR', retryable: true });
+  }
+
+  /**
+   * Calcula la espera antes del siguiente intento, respetando Retry-After
+   * @param {Error} error - Error de la petición fallida
+   * @param {number} attempt - Intentos ya reintentados
+   * @returns {number} - Milisegundos de espera
+   * @private
+   */
+  _retryDelay(error, attempt) {
+    const retryAfter = error.response && Number(error.response.headers['retry-after']);
+
+    if (retryAfter > 0) {
+      return Math.min(retryAfter * 1000, this.client.defaults.timeout);
+    }
+
+    return this.retryDelayMs * 2 ** attempt;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
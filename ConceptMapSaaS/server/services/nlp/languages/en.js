@@ -0,0 +1,160 @@
+/**
+ * Paquete de recursos para inglés
+ *
+ * Palabras vacías, enlaces de términos, etiquetas de relación, textos de
+ * plantilla y categorías por defecto usados por el pipeline. Las definiciones,
+ * ejemplos y términos relacionados salen de los glosarios locales
+ * (services/lexicon).
+ */
+
+module.exports = {
+  code: 'en',
+  name: 'English',
+
+  // Artículos, preposiciones, pronombres, conjunciones, adverbios frecuentes y
+  // verbos auxiliares: nunca se proponen como concepto
+  stopWords: new Set([
+    // Artículos, preposiciones y conjunciones
+    'a', 'an', 'the', 'about', 'above', 'across', 'after', 'against', 'along', 'among', 'around', 'at', 'before',
+    'behind', 'below', 'beneath', 'beside', 'between', 'beyond', 'by', 'despite', 'down', 'during', 'except', 'for',
+    'from', 'in', 'inside', 'into', 'near', 'of', 'off', 'on', 'onto', 'out', 'outside', 'over', 'per', 'since',
+    'through', 'throughout', 'to', 'toward', 'towards', 'under', 'until', 'up', 'upon', 'via', 'with', 'within', 'without',
+    'and', 'or', 'but', 'nor', 'so', 'yet', 'if', 'because', 'although', 'though', 'unless', 'whereas', 'while',
+    'whether', 'than', 'as', 'also', 'however', 'therefore', 'thus', 'hence', 'moreover', 'furthermore',
+    // Pronombres y determinantes
+    'i', 'me', 'my', 'mine', 'myself', 'you', 'your', 'yours', 'yourself', 'yourselves', 'he', 'him', 'his',
+    'himself', 'she', 'her', 'hers', 'herself', 'it', 'its', 'itself', 'we', 'us', 'our', 'ours', 'ourselves',
+    'they', 'them', 'their', 'theirs', 'themselves', 'this', 'that', 'these', 'those', 'who', 'whom', 'whose',
+    'which', 'what', 'whatever', 'whoever', 'where', 'when', 'why', 'how', 'all', 'any', 'both', 'each', 'either',
+    'neither', 'every', 'few', 'many', 'more', 'most', 'much', 'other', 'others', 'another', 'some', 'such', 'same',
+    'several', 'own', 'one', 'ones', 'something', 'anything', 'nothing', 'everything', 'someone', 'anyone', 'everyone',
+    // Adverbios frecuentes
+    'not', 'no', 'only', 'very', 'too', 'just', 'even', 'still', 'already', 'again', 'ever', 'never', 'always',
+    'often', 'sometimes', 'usually', 'here', 'there', 'now', 'then', 'once', 'today', 'well', 'quite', 'rather',
+    'almost', 'especially', 'mainly', 'mostly', 'really', 'simply', 'generally', 'instead', 'together', 'away',
+    // Verbos auxiliares y muy comunes
+    'be', 'is', 'am', 'are', 'was', 'were', 'been', 'being', 'have', 'has', 'had', 'having', 'do', 'does', 'did',
+    'doing', 'done', 'will', 'would', 'shall', 'should', 'can', 'could', 'may', 'might', 'must', 'ought',
+    'get', 'gets', 'got', 'make', 'makes', 'made', 'go', 'goes', 'went', 'gone', 'take', 'takes', 'took', 'taken',
+    'give', 'gives', 'gave', 'given', 'say', 'says', 'said', 'see', 'sees', 'seen', 'use', 'uses', 'used', 'using',
+    'become', 'becomes', 'became', 'called', 'known', 'allows', 'allow', 'exists', 'exist', 'seems', 'seem',
+    // Numerales y ordinales frecuentes
+    'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'hundred', 'thousand',
+    'first', 'second', 'third', 'last', 'next',
+    // Marcadores de discurso
+    'way', 'ways', 'kind', 'kinds', 'type', 'types', 'part', 'parts', 'example', 'examples', 'case', 'cases',
+    'thing', 'things', 'lot', 'etc', 'eg', 'ie'
+  ]),
+
+  // Palabras que pueden unir dos palabras de contenido dentro de un término
+  // ("theory of evolution")
+  linkWords: new Set(['of', 'the']),
+  linkStarters: new Set(['of']),
+
+  // Palabras que suelen preceder a un sustantivo. Se excluyen "to", que
+  // introduce infinitivos, y "that", que suele ser un relativo ("systems that learn")
+  nounPreceders: new Set([
+    'the', 'a', 'an', 'this', 'these', 'those', 'my', 'your', 'his', 'her', 'its', 'our', 'their',
+    'some', 'many', 'several', 'each', 'every', 'all', 'any', 'few', 'most', 'other', 'two', 'three',
+    'in', 'on', 'with', 'by', 'from', 'into', 'about', 'between', 'among', 'through', 'of', 'as'
+  ]),
+
+  // En inglés los sustantivos suelen ir sin determinante ("Photosynthesis
+  // produces oxygen"): un término al inicio de la oración o entre palabras
+  // funcionales o signos de puntuación también cuenta como sintagma nominal
+  bareNouns: true,
+
+  // Un plural sin determinante no basta: los plurales y los verbos en tercera
+  // persona terminan igual, en -s
+  barePlurals: false,
+
+  // En un compuesto el primer sustantivo va en singular ("data science",
+  // "cell membrane"), así que "chloroplasts absorb" no lo es
+  isNounPair: first => !/[^siu]s$/.test(first),
+
+  // Palabras que suelen preceder a un verbo (modales, auxiliares, pronombres
+  // sujeto y los relativos "that" y "which"). Se excluye de nuevo "to", que
+  // también introduce sustantivos ("related to energy")
+  verbPreceders: new Set([
+    'can', 'could', 'will', 'would', 'may', 'might', 'must', 'should', 'shall', 'do', 'does', 'did', 'not',
+    'is', 'are', 'was', 'were', 'be', 'been', 'has', 'have', 'had', 'it', 'they', 'we', 'who', 'that', 'which', 'also', 'often', 'usually'
+  ]),
+
+  // Palabras que suelen seguir a un verbo: determinantes y pronombres objeto
+  // ("stores the", "stores it")
+  verbFollowers: new Set([
+    'the', 'a', 'an', 'this', 'these', 'those', 'its', 'their', 'his', 'our', 'my', 'your',
+    'it', 'them', 'him', 'us', 'how', 'what', 'whether'
+  ]),
+
+  // Etiquetas de relación por clave (ver relationCues)
+  relationLabels: {
+    includes: 'includes',
+    causes: 'causes',
+    produces: 'produces',
+    generates: 'generates',
+    triggers: 'triggers',
+    leadsTo: 'leads to',
+    precedes: 'precedes',
+    defines: 'defines',
+    characterizes: 'characterizes',
+    describes: 'describes',
+    exemplifies: 'exemplifies',
+    contrastsWith: 'contrasts with',
+    differsFrom: 'differs from',
+    similarTo: 'similar to'
+  },
+
+  // Textos del mapa generado
+  templates: {
+    defaultMainConcept: 'Main Concept',
+    mapTitle: name => `Concept Map: ${name}`,
+    summaryHeading: 'Summary',
+    examplesHeading: 'Usage examples:',
+    originHeading: 'Origin and nuance:',
+    examplesAttribute: 'Examples',
+    characteristicsAttribute: 'Characteristics',
+    definitionByLevel: [
+      name => `Main concept representing ${name}.`,
+      name => `Important area or category within ${name}.`,
+      name => `Specific element related to ${name}.`
+    ],
+    summary: {
+      intro: (name, conceptCount, relationshipCount) =>
+        `This concept map analyses "${name}" through ${conceptCount} concepts connected by ${relationshipCount} relationships. `,
+      levels: count => `It is organised in ${count} hierarchical levels, from general to specific concepts. `,
+      enrichment: (definitions, examples) =>
+        `It includes ${definitions} concept definitions and ${examples} illustrative examples to aid understanding. `,
+      visual: 'The visualisation highlights key concepts through a hierarchical layout with nodes and links distinguished by colour and format.'
+    }
+  },
+
+  // Categorías por nivel cuando ningún glosario reconoce el concepto
+  enrichment: {
+    defaultCategories: [
+      { category: 'Main Concept', subcategory: 'Foundation' },
+      { category: 'Secondary Concept', subcategory: 'Component' },
+      { category: 'Derived Concept', subcategory: 'Example' }
+    ]
+  },
+
+  // Emojis por palabra clave contenida en el nombre del concepto
+  emoji: {
+    technology: '💻',
+    computer: '💻',
+    intelligence: '🧠',
+    brain: '🧠',
+    learning: '📚',
+    education: '🎓',
+    science: '🔬',
+    energy: '⚡',
+    water: '💧',
+    plant: '🌱',
+    cell: '🧫',
+    history: '📜',
+    economy: '💰',
+    health: '🩺',
+    network: '🕸️',
+    data: '📊'
+  }
+};
@@ -0,0 +1,185 @@
+/**
+ * Paquete de recursos para español
+ *
+ * Palabras vacías, enlaces de términos, etiquetas de relación, textos de
+ * plantilla y categorías por defecto usados por el pipeline. Las definiciones,
+ * ejemplos y términos relacionados salen de los glosarios locales
+ * (services/lexicon).
+ */
+
+module.exports = {
+  code: 'es',
+  name: 'Español',
+
+  // Artículos, preposiciones, pronombres, conjunciones, adverbios frecuentes y
+  // formas conjugadas de los verbos más comunes: nunca se proponen como concepto
+  stopWords: new Set([
+    // Artículos, preposiciones y contracciones
+    'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'lo', 'al', 'del',
+    'a', 'ante', 'bajo', 'cabe', 'con', 'contra', 'de', 'desde', 'durante', 'en', 'entre', 'hacia', 'hasta',
+    'mediante', 'para', 'por', 'según', 'segun', 'sin', 'so', 'sobre', 'tras', 'versus', 'vía',
+    // Conjunciones
+    'y', 'e', 'ni', 'o', 'u', 'pero', 'sino', 'aunque', 'porque', 'pues', 'que', 'si', 'como', 'cuando',
+    'donde', 'mientras', 'luego', 'conque', 'siquiera', 'incluso', 'además', 'ademas', 'también', 'tambien',
+    'tampoco', 'entonces', 'asimismo', 'embargo', 'obstante',
+    // Pronombres y determinantes
+    'yo', 'tú', 'tu', 'él', 'ella', 'ello', 'ellos', 'ellas', 'nosotros', 'nosotras', 'vosotros', 'vosotras',
+    'usted', 'ustedes', 'me', 'te', 'se', 'nos', 'os', 'le', 'les', 'mi', 'mis', 'tus', 'su', 'sus',
+    'nuestro', 'nuestra', 'nuestros', 'nuestras', 'vuestro', 'vuestra', 'vuestros', 'vuestras',
+    'mío', 'mía', 'míos', 'mías', 'tuyo', 'tuya', 'tuyos', 'tuyas', 'suyo', 'suya', 'suyos', 'suyas',
+    'este', 'esta', 'esto', 'estos', 'estas', 'ese', 'esa', 'eso', 'esos', 'esas',
+    'aquel', 'aquella', 'aquello', 'aquellos', 'aquellas', 'éste', 'ésta', 'ése', 'ésa',
+    'quien', 'quienes', 'cual', 'cuales', 'cuyo', 'cuya', 'cuyos', 'cuyas', 'cuanto', 'cuanta', 'cuantos', 'cuantas',
+    'qué', 'quién', 'quiénes', 'cuál', 'cuáles', 'cuánto', 'cuánta', 'cuántos', 'cuántas', 'cómo', 'dónde', 'cuándo',
+    'algo', 'alguien', 'alguno', 'alguna', 'algunos', 'algunas', 'algún', 'nada', 'nadie', 'ninguno', 'ninguna', 'ningún',
+    'otro', 'otra', 'otros', 'otras', 'mismo', 'misma', 'mismos', 'mismas', 'tal', 'tales',
+    'todo', 'toda', 'todos', 'todas', 'cada', 'varios', 'varias', 'cierto', 'cierta', 'ciertos', 'ciertas',
+    'demás', 'ambos', 'ambas', 'sendos', 'cualquier', 'cualquiera', 'mucho', 'mucha', 'muchos', 'muchas',
+    'poco', 'poca', 'pocos', 'pocas', 'bastante', 'bastantes', 'demasiado', 'tanto', 'tanta', 'tantos', 'tantas',
+    // Adverbios frecuentes
+    'no', 'sí', 'ya', 'aún', 'aun', 'todavía', 'muy', 'más', 'mas', 'menos', 'tan', 'bien', 'mal', 'así', 'asi',
+    'aquí', 'ahí', 'allí', 'allá', 'acá', 'ahora', 'antes', 'después', 'despues', 'siempre', 'nunca', 'jamás',
+    'hoy', 'ayer', 'mañana', 'pronto', 'tarde', 'temprano', 'casi', 'solo', 'sólo', 'solamente', 'apenas',
+    'quizá', 'quizás', 'acaso', 'realmente', 'generalmente', 'principalmente', 'especialmente', 'simplemente',
+    'dentro', 'fuera', 'encima', 'debajo', 'delante', 'detrás', 'cerca', 'lejos', 'alrededor', 'mediante',
+    // Ser, estar, haber, tener, hacer, poder, deber, ir
+    'ser', 'es', 'son', 'soy', 'eres', 'somos', 'sois', 'era', 'eras', 'éramos', 'erais', 'eran', 'fue', 'fui',
+    'fuiste', 'fuimos', 'fueron', 'sea', 'seas', 'seamos', 'sean', 'será', 'serán', 'sería', 'serían', 'sido', 'siendo',
+    'estar', 'está', 'estás', 'estamos', 'están', 'estaba', 'estaban', 'estuvo', 'estuvieron', 'esté', 'estén',
+    'estará', 'estarán', 'estaría', 'estado', 'estando',
+    'haber', 'he', 'has', 'ha', 'hemos', 'han', 'había', 'habían', 'hubo', 'hay', 'haya', 'hayan', 'habrá', 'habría',
+    'habido', 'habiendo',
+    'tener', 'tengo', 'tiene', 'tienes', 'tenemos', 'tienen', 'tenía', 'tenían', 'tuvo', 'tuvieron', 'tenga', 'tengan',
+    'tendrá', 'tendrán', 'tendría', 'tenido', 'teniendo',
+    'hacer', 'hace', 'hacen', 'hago', 'hacemos', 'hacía', 'hacían', 'hizo', 'hicieron', 'haga', 'hagan', 'hará',
+    'harán', 'haría', 'hecho', 'haciendo',
+    'poder', 'puede', 'pueden', 'puedo', 'podemos', 'podía', 'podían', 'pudo', 'pudieron', 'pueda', 'puedan',
+    'podrá', 'podrán', 'podría', 'podrían', 'podido', 'pudiendo',
+    'deber', 'debe', 'deben', 'debía', 'debían', 'deberá', 'deberán', 'debería', 'deberían',
+    'ir', 'va', 'van', 'voy', 'vamos', 'iba', 'iban', 'vaya', 'vayan', 'irá', 'irán', 'ido', 'yendo',
+    'dar', 'da', 'dan', 'dio', 'dieron', 'dado', 'decir', 'dice', 'dicen', 'dijo', 'dicho',
+    'ver', 've', 'ven', 'vio', 'visto', 'parece', 'parecen', 'permite', 'permiten', 'existe', 'existen',
+    'suele', 'suelen', 'llamado', 'llamada', 'llamados', 'llamadas', 'denominado', 'denominada',
+    // Numerales y ordinales frecuentes
+    'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve', 'diez', 'cien', 'mil',
+    'primero', 'primera', 'primeros', 'primeras', 'primer', 'segundo', 'segunda', 'tercero', 'tercera', 'tercer',
+    'último', 'última', 'últimos', 'últimas',
+    // Marcadores de discurso
+    'vez', 'veces', 'forma', 'manera', 'modo', 'caso', 'casos', 'parte', 'tipo', 'tipos', 'ejemplo', 'ejemplos',
+    'cosa', 'cosas', 'etc', 'decir', 'respecto', 'través', 'acuerdo', 'lugar', 'medida', 'través'
+  ]),
+
+  // Palabras que pueden unir dos palabras de contenido dentro de un término
+  // ("sistema de información"); el enlace debe empezar por una preposición
+  linkWords: new Set(['de', 'del', 'la', 'las', 'los', 'el']),
+  linkStarters: new Set(['de', 'del']),
+
+  // Palabras que suelen preceder a un sustantivo. Se excluyen "de", "a" y
+  // "para" porque también introducen infinitivos ("capaces de aprender")
+  nounPreceders: new Set([
+    'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'al', 'del', 'lo',
+    'este', 'esta', 'estos', 'estas', 'ese', 'esa', 'esos', 'esas', 'aquel', 'aquella', 'aquellos', 'aquellas',
+    'mi', 'mis', 'tu', 'tus', 'su', 'sus', 'nuestro', 'nuestra', 'nuestros', 'nuestras',
+    'cada', 'otro', 'otra', 'otros', 'otras', 'mucho', 'mucha', 'muchos', 'muchas', 'varios', 'varias',
+    'algunos', 'algunas', 'algún', 'alguna', 'todos', 'todas', 'ningún', 'ninguna', 'cualquier', 'dos', 'tres',
+    'en', 'con', 'por', 'sobre', 'entre', 'desde', 'hacia', 'sin', 'según', 'mediante', 'durante', 'contra', 'como'
+  ]),
+
+  // Los sustantivos suelen llevar determinante, así que un término sin él no
+  // cuenta como sintagma nominal
+  bareNouns: false,
+
+  // Aunque un plural sin determinante sí puede serlo ("utiliza redes")
+  barePlurals: true,
+
+  // Dos palabras seguidas forman sustantivo y adjetivo si concuerdan en número
+  // ("redes neuronales"); "sistemas aprenden" no
+  isNounPair: (first, second) => /s$/.test(first) === /s$/.test(second),
+
+  // Palabras que suelen preceder a un verbo (pronombres átonos, "que", "no")
+  verbPreceders: new Set([
+    'se', 'que', 'no', 'le', 'les', 'me', 'te', 'nos', 'os', 'ya', 'cómo', 'dónde', 'cuándo', 'quien', 'quienes'
+  ]),
+
+  // Palabras que suelen seguir a un verbo: un sustantivo casi nunca va seguido
+  // de un artículo ("imitan el cerebro", "estudia cómo"). Se excluyen "del" y
+  // "al", habituales tras un sustantivo ("funcionamiento del cerebro")
+  verbFollowers: new Set([
+    'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'su', 'sus',
+    'este', 'esta', 'estos', 'estas', 'cómo', 'qué', 'dónde', 'cuándo', 'cuál', 'cuáles'
+  ]),
+
+  // Rasgos ortográficos que delatan el idioma al detectarlo
+  orthography: /[ñ¿¡áéíóú]/g,
+
+  // Etiquetas de relación por clave (ver relationCues)
+  relationLabels: {
+    includes: 'incluye',
+    causes: 'causa',
+    produces: 'produce',
+    generates: 'genera',
+    triggers: 'provoca',
+    leadsTo: 'conduce a',
+    precedes: 'precede a',
+    defines: 'define',
+    characterizes: 'caracteriza',
+    describes: 'describe',
+    exemplifies: 'ejemplifica',
+    contrastsWith: 'contrasta con',
+    differsFrom: 'diferente de',
+    similarTo: 'similar a'
+  },
+
+  // Textos del mapa generado
+  templates: {
+    defaultMainConcept: 'Concepto Principal',
+    mapTitle: name => `Mapa Conceptual: ${name}`,
+    summaryHeading: 'Resumen',
+    examplesHeading: 'Ejemplos de uso:',
+    originHeading: 'Origen y matiz:',
+    examplesAttribute: 'Ejemplos',
+    characteristicsAttribute: 'Características',
+    definitionByLevel: [
+      name => `Concepto principal que representa ${name}.`,
+      name => `Área o categoría importante dentro de ${name}.`,
+      name => `Elemento específico relacionado con ${name}.`
+    ],
+    summary: {
+      intro: (name, conceptCount, relationshipCount) =>
+        `Este mapa conceptual analiza "${name}" a través de ${conceptCount} conceptos interconectados mediante ${relationshipCount} relaciones. `,
+      levels: count => `Está organizado en ${count} niveles jerárquicos, desde conceptos generales hasta específicos. `,
+      enrichment: (definitions, examples) =>
+        `Incluye ${definitions} definiciones conceptuales y ${examples} ejemplos ilustrativos para facilitar la comprensión. `,
+      visual: 'La visualización destaca conceptos clave mediante una organización jerárquica con nodos y conexiones diferenciadas por color y formato.'
+    }
+  },
+
+  // Categorías por nivel cuando ningún glosario reconoce el concepto
+  enrichment: {
+    defaultCategories: [
+      { category: 'Concepto Principal', subcategory: 'Fundamento' },
+      { category: 'Concepto Secundario', subcategory: 'Componente' },
+      { category: 'Concepto Derivado', subcategory: 'Ejemplo' }
+    ]
+  },
+
+  // Emojis por palabra clave contenida en el nombre del concepto
+  emoji: {
+    tecnología: '💻',
+    informática: '💻',
+    inteligencia: '🧠',
+    cerebro: '🧠',
+    aprendizaje: '📚',
+    educación: '🎓',
+    ciencia: '🔬',
+    energía: '⚡',
+    agua: '💧',
+    planta: '🌱',
+    célula: '🧫',
+    historia: '📜',
+    economía: '💰',
+    salud: '🩺',
+    red: '🕸️',
+    datos: '📊'
+  }
+};
@@ -0,0 +1,75 @@
+/**
+ * Paquetes de idioma del pipeline y detección automática del idioma
+ *
+ * Cada paquete (es.js, en.js) reúne las palabras vacías, las etiquetas de
+ * relación, los textos de plantilla, las categorías por defecto y los emojis
+ * de un idioma. Para añadir un idioma basta con crear su paquete y
+ * registrarlo en PACKS.
+ */
+
+const es = require('./es');
+const en = require('./en');
+
+const PACKS = { es, en };
+
+const DEFAULT_LANGUAGE = 'es';
+
+const SUPPORTED_LANGUAGES = Object.keys(PACKS);
+
+// Peso de cada rasgo ortográfico frente a una palabra vacía
+const ORTHOGRAPHY_WEIGHT = 2;
+
+/**
+ * Devuelve el paquete de un idioma (español si no está soportado)
+ * @param {string} code - Código ISO 639-1
+ * @returns {Object} - Paquete de idioma
+ */
+function getLanguagePack(code) {
+  return PACKS[code] || PACKS[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Indica si un código de idioma está soportado
+ * @param {string} code - Código a comprobar
+ * @returns {boolean}
+ */
+function isSupportedLanguage(code) {
+  return Object.prototype.hasOwnProperty.call(PACKS, code);
+}
+
+/**
+ * Detecta el idioma de un texto contando sus palabras vacías y rasgos
+ * ortográficos propios (ñ, ¿, tildes) de cada idioma
+ * @param {string} text - Texto a analizar
+ * @returns {Object} - { language, confidence } con confianza entre 0 y 1
+ */
+function detectLanguage(text) {
+  const words = (text || '').toLowerCase().match(/\p{L}+(?:['’]\p{L}+)*/gu) || [];
+
+  const scores = SUPPORTED_LANGUAGES.map(code => {
+    const pack = PACKS[code];
+    let score = words.reduce((sum, word) => sum + (pack.stopWords.has(word) ? 1 : 0), 0);
+    if (pack.orthography) {
+      score += ((text || '').match(pack.orthography) || []).length * ORTHOGRAPHY_WEIGHT;
+    }
+    return { code, score };
+  }).sort((a, b) => b.score - a.score);
+
+  const total = scores.reduce((sum, entry) => sum + entry.score, 0);
+  if (total === 0) {
+    return { language: DEFAULT_LANGUAGE, confidence: 0 };
+  }
+
+  return {
+    language: scores[0].code,
+    confidence: Number((scores[0].score / total).toFixed(2))
+  };
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  getLanguagePack,
+  isSupportedLanguage,
+  detectLanguage
+};
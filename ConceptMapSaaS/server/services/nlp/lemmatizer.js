@@ -0,0 +1,114 @@
+/**
+ * Lematizador ligero por reglas para sustantivos y adjetivos en español e inglés
+ *
+ * Reduce los plurales regulares a singular para que "organismos" y
+ * "organismo" cuenten como el mismo término. No pretende ser un analizador
+ * morfológico completo: solo normaliza las terminaciones más frecuentes.
+ */
+
+// Excepciones que las reglas resolverían mal
+const EXCEPTIONS = {
+  es: {
+    'países': 'país',
+    'mieses': 'mies',
+    'lunes': 'lunes',
+    'martes': 'martes',
+    'miércoles': 'miércoles',
+    'jueves': 'jueves',
+    'viernes': 'viernes',
+    'crisis': 'crisis',
+    'análisis': 'análisis',
+    'síntesis': 'síntesis',
+    'tesis': 'tesis',
+    'hipótesis': 'hipótesis',
+    'fotosíntesis': 'fotosíntesis'
+  },
+  en: {
+    'children': 'child',
+    'people': 'person',
+    'men': 'man',
+    'women': 'woman',
+    'mice': 'mouse',
+    'feet': 'foot',
+    'teeth': 'tooth',
+    'data': 'data',
+    'criteria': 'criterion',
+    'phenomena': 'phenomenon',
+    'analyses': 'analysis',
+    'hypotheses': 'hypothesis',
+    'theses': 'thesis',
+    'species': 'species',
+    'series': 'series',
+    'news': 'news'
+  }
+};
+
+const STRIP_ACCENTS = { 'á': 'a', 'é': 'e', 'í': 'i', 'ó': 'o', 'ú': 'u' };
+
+/**
+ * Singular de un sustantivo español
+ * @param {string} word - Palabra en minúsculas
+ * @returns {string} - Lema
+ */
+function lemmatizeSpanish(word) {
+  if (word.length <= 3) return word;
+
+  // naciones → nación, funciones → función
+  if (word.endsWith('iones')) return `${word.slice(0, -5)}ión`;
+  // luces → luz, capaces → capaz
+  if (word.endsWith('ces')) return `${word.slice(0, -3)}z`;
+
+  if (word.endsWith('es') && word.length > 4) {
+    const stem = word.slice(0, -2);
+    // árboles → árbol, redes → red, leyes → ley, jóvenes → joven; clases → clase sigue la regla general
+    if (/[lrndjy]$/.test(stem)) {
+      // imágenes → imagen, exámenes → examen, orígenes → origen: el plural añade una tilde
+      if (/[áéíóú][^aeiouáéíóú]*[aeiou]n$/.test(stem)) {
+        return stem.replace(/[áéíóú]/g, c => STRIP_ACCENTS[c]);
+      }
+      return stem;
+    }
+  }
+
+  // datos → dato, ecosistemas → ecosistema, cafés → café
+  if (/[aeiouáéíóú]s$/.test(word) && !/(is|us)$/.test(word)) {
+    return word.slice(0, -1);
+  }
+
+  return word;
+}
+
+/**
+ * Singular de un sustantivo inglés
+ * @param {string} word - Palabra en minúsculas
+ * @returns {string} - Lema
+ */
+function lemmatizeEnglish(word) {
+  if (word.length <= 3) return word;
+
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('sses')) return word.slice(0, -2);
+  if (/(xes|ches|shes|zes)$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !/(ss|us|is|ous)$/.test(word)) return word.slice(0, -1);
+
+  return word;
+}
+
+/**
+ * Lema de una palabra
+ * @param {string} word - Palabra (se normaliza a minúsculas)
+ * @param {string} language - 'es' o 'en'
+ * @returns {string} - Lema en minúsculas
+ */
+function lemmatize(word, language = 'es') {
+  const lower = word.toLowerCase();
+  const exceptions = EXCEPTIONS[language] || EXCEPTIONS.es;
+
+  if (exceptions[lower]) {
+    return exceptions[lower];
+  }
+
+  return language === 'en' ? lemmatizeEnglish(lower) : lemmatizeSpanish(lower);
+}
+
+module.exports = { lemmatize };
@@ -0,0 +1,196 @@
+/**
+ * Estructura Markdown del texto de entrada
+ *
+ * Analiza el texto con el analizador léxico de marked y devuelve:
+ * 1. Los títulos con su profundidad y la sección que abarca cada uno.
+ * 2. Los términos marcados explícitamente: negritas ("**fotosíntesis**"),
+ *    líneas de definición ("Término: definición") y elementos de lista
+ *    breves. Cada término recuerda la sección y el elemento de lista del
+ *    que depende, de modo que el anidamiento del documento se conserva.
+ * 3. Los elementos de lista con su profundidad de anidamiento.
+ * Un texto sin marcas Markdown produce solo párrafos y ningún término.
+ */
+
+const { lexer } = require('marked');
+const { getLanguagePack } = require('./languages');
+
+// Palabras máximas de un término marcado y de un elemento de lista que cuenta como término
+const MAX_TERM_WORDS = 6;
+const MAX_LIST_TERM_WORDS = 4;
+
+// "Término: definición" una vez quitadas las marcas de énfasis
+const DEFINITION_PATTERN = /^([^:.!?;\n]{2,60}?)\s*:\s+(\S.*)$/;
+
+/**
+ * Texto plano de una lista de tokens en línea
+ * @param {Array} tokens - Tokens de marked
+ * @returns {string}
+ */
+function inlineText(tokens = []) {
+  return tokens
+    .map(token => token.tokens ? inlineText(token.tokens) : token.type === 'br' ? ' ' : (token.text || ''))
+    .join('');
+}
+
+/**
+ * Negritas contenidas en una lista de tokens en línea
+ * @param {Array} tokens - Tokens de marked
+ * @returns {Array<string>} - Texto plano de cada negrita
+ */
+function findStrong(tokens = []) {
+  return tokens.flatMap(token => {
+    if (token.type === 'strong') return [inlineText(token.tokens)];
+    return token.tokens ? findStrong(token.tokens) : [];
+  });
+}
+
+/**
+ * Quita las marcas de énfasis de una línea en bruto
+ * @param {string} line - Línea con sintaxis Markdown
+ * @returns {string}
+ */
+function stripEmphasis(line) {
+  return line.replace(/(\*\*|__|\*|_|`)(.+?)\1/g, '$2').trim();
+}
+
+/**
+ * Analiza una línea de definición ("Término: definición")
+ * @param {string} line - Línea en bruto
+ * @returns {Object|null} - { term, definition }
+ */
+function parseDefinition(line) {
+  const match = stripEmphasis(line).match(DEFINITION_PATTERN);
+  return match ? { term: match[1], definition: match[2].trim() } : null;
+}
+
+/**
+ * Normaliza el nombre de un término o lo descarta si no parece un concepto
+ * @param {string} name - Texto del término
+ * @param {number} maxWords - Palabras máximas
+ * @returns {string|null}
+ */
+function cleanTerm(name, maxWords = MAX_TERM_WORDS) {
+  const clean = stripEmphasis(name).replace(/[\s:.,;]+$/, '').replace(/\s+/g, ' ').trim();
+  if (clean.length < 2 || clean.length > 60 || !/\p{L}/u.test(clean)) return null;
+  return clean.split(' ').length <= maxWords ? clean : null;
+}
+
+/**
+ * Analiza la estructura Markdown de un texto
+ * @param {string} text - Texto original
+ * @param {Object} options - { language: idioma del texto, para reconocer elementos de lista que son frases }
+ * @returns {Object} - {
+ *   headings: [{ title, depth, start, end, parent }],
+ *   terms: [{ name, kind: 'bold'|'definition'|'list', definition, section, parent, depth }],
+ *   listItems: [{ text, depth, section, term }]
+ * } en orden del documento; section y parent apuntan a otros elementos de la estructura
+ */
+function parseMarkdownStructure(text, options = {}) {
+  const { stopWords } = getLanguagePack(options.language);
+  const headings = [];
+  const terms = [];
+  const listItems = [];
+  const termsByKey = new Map();
+  const open = [];
+  let cursor = 0;
+
+  // Un término aparece una sola vez; la primera aparición fija su posición en la jerarquía
+  const addTerm = (name, kind, context, definition = null, maxWords = MAX_TERM_WORDS) => {
+    const clean = cleanTerm(name, maxWords);
+    if (!clean) return null;
+
+    const key = clean.toLowerCase();
+    const existing = termsByKey.get(key);
+    if (existing) {
+      if (definition && !existing.definition) existing.definition = definition;
+      return existing;
+    }
+
+    const term = { name: clean, kind, definition, section: context.section, parent: context.parent, depth: context.depth };
+    termsByKey.set(key, term);
+    terms.push(term);
+    return term;
+  };
+
+  // Un elemento de lista breve que no es una frase ("Fase luminosa") es un término
+  const isListTerm = (plain) => {
+    const words = plain.replace(/[.:]$/, '').trim().split(/\s+/);
+    return words.length <= MAX_LIST_TERM_WORDS && !/[,;!?]|\.\s/.test(plain) &&
+           !stopWords.has(words[0].toLowerCase()) && !stopWords.has(words[words.length - 1].toLowerCase());
+  };
+
+  const collectInline = (token, context) => {
+    (token.text || '').split('\n').forEach(line => {
+      const definition = parseDefinition(line);
+      if (definition) addTerm(definition.term, 'definition', context, definition.definition);
+    });
+    findStrong(token.tokens).forEach(name => addTerm(name, 'bold', context));
+  };
+
+  const collectList = (list, context) => {
+    list.items.forEach(item => {
+      const own = item.tokens.filter(child => child.type !== 'list' && child.type !== 'space');
+      const firstLine = (own[0] && own[0].text ? own[0].text : '').split('\n')[0];
+      const plain = inlineText(own[0] ? own[0].tokens : []).split('\n')[0].trim();
+      const itemContext = { ...context, depth: context.depth + 1 };
+
+      // El término del elemento: su definición, su primera negrita o el propio texto si es breve
+      const definition = parseDefinition(firstLine);
+      const strong = own.flatMap(child => findStrong(child.tokens));
+      let term = null;
+      if (definition) {
+        term = addTerm(definition.term, 'definition', itemContext, definition.definition);
+      } else if (strong.length > 0) {
+        term = addTerm(strong[0], 'bold', itemContext);
+      } else if (plain && isListTerm(plain)) {
+        term = addTerm(plain, 'list', itemContext, null, MAX_LIST_TERM_WORDS);
+      }
+
+      listItems.push({ text: inlineText(own.flatMap(child => child.tokens || [])).trim(), depth: itemContext.depth, section: context.section, term });
+
+      // Lo que contiene el elemento depende de su término
+      const childContext = { ...itemContext, parent: term || context.parent };
+      own.forEach(child => collectBlock(child, childContext));
+      item.tokens.filter(child => child.type === 'list').forEach(nested => collectList(nested, childContext));
+    });
+  };
+
+  const collectBlock = (token, context) => {
+    if (token.type === 'paragraph' || token.type === 'text') {
+      collectInline(token, context);
+    } else if (token.type === 'list') {
+      collectList(token, context);
+    } else if (token.type === 'blockquote') {
+      token.tokens.forEach(child => collectBlock(child, context));
+    }
+  };
+
+  lexer(text).forEach(token => {
+    // marked conserva el texto en bruto de cada bloque; su posición delimita las secciones
+    const found = text.indexOf(token.raw, cursor);
+    const start = found === -1 ? cursor : found;
+    cursor = start + token.raw.length;
+
+    if (token.type === 'heading') {
+      const title = inlineText(token.tokens).trim();
+      if (!title) return;
+
+      // Una sección termina donde empieza otra de igual o menor profundidad
+      while (open.length > 0 && open[open.length - 1].depth >= token.depth) {
+        open.pop().end = start;
+      }
+      const heading = { title, depth: token.depth, start, end: text.length, parent: open[open.length - 1] || null };
+      headings.push(heading);
+      open.push(heading);
+      return;
+    }
+
+    collectBlock(token, { section: open[open.length - 1] || null, parent: null, depth: 0 });
+  });
+
+  return { headings, terms, listItems };
+}
+
+module.exports = {
+  parseMarkdownStructure
+};
@@ -0,0 +1,64 @@
+/**
+ * Frases de enlace que indican el tipo de una relación entre dos conceptos
+ *
+ * Cada entrada asocia frases en español e inglés con uno de los seis tipos
+ * de relación del pipeline. `direction` indica cómo orientar la relación:
+ * - forward: el concepto que aparece antes de la frase es el origen
+ *   ("La fotosíntesis produce oxígeno" → fotosíntesis causa oxígeno)
+ * - reverse: el concepto que aparece después es el origen
+ *   ("El roble es un tipo de árbol" → árbol incluye roble)
+ * - symmetric: se conserva la orientación existente
+ *
+ * Si varias frases coinciden en la misma oración gana la más larga, de modo
+ * que "es causado por" prevalece sobre "causa".
+ *
+ * `label` es una clave de etiqueta; el texto visible sale de `relationLabels`
+ * del paquete de idioma (ver languages/).
+ */
+
+const RELATION_CUES = [
+  // Jerárquicas
+  { type: 'hierarchical', label: 'includes', direction: 'reverse', phrases: ['es un tipo de', 'es una clase de', 'es una forma de', 'forma parte de', 'es parte de', 'pertenece a', 'is a type of', 'is a kind of', 'is a form of', 'is part of', 'belongs to'] },
+  { type: 'hierarchical', label: 'includes', direction: 'forward', phrases: ['se divide en', 'se compone de', 'está formado por', 'está formada por', 'incluye', 'contiene', 'comprende', 'abarca', 'consists of', 'is composed of', 'includes', 'contains', 'comprises'] },
+
+  // Causales
+  { type: 'causal', label: 'causes', direction: 'reverse', phrases: ['es causado por', 'es causada por', 'debido a', 'a causa de', 'es producido por', 'es producida por', 'is caused by', 'is produced by', 'because of', 'due to', 'results from'] },
+  { type: 'causal', label: 'leadsTo', direction: 'forward', phrases: ['por lo tanto', 'por consiguiente', 'en consecuencia', 'da lugar a', 'therefore', 'consequently', 'as a result', 'leads to', 'results in'] },
+  { type: 'causal', label: 'produces', direction: 'forward', phrases: ['produce', 'producen', 'produces'] },
+  { type: 'causal', label: 'generates', direction: 'forward', phrases: ['genera', 'generan', 'origina', 'originan', 'generates'] },
+  { type: 'causal', label: 'triggers', direction: 'forward', phrases: ['provoca', 'provocan', 'triggers'] },
+  { type: 'causal', label: 'causes', direction: 'forward', phrases: ['causa', 'causan', 'causes', 'cause'] },
+
+  // Secuenciales
+  { type: 'sequential', label: 'precedes', direction: 'reverse', phrases: ['después de', 'tras', 'sigue a', 'after', 'follows'] },
+  { type: 'sequential', label: 'precedes', direction: 'forward', phrases: ['antes de', 'a continuación', 'seguido de', 'seguida de', 'luego', 'precede a', 'before', 'followed by', 'precedes', 'then'] },
+
+  // Descriptivas
+  { type: 'descriptive', label: 'defines', direction: 'reverse', phrases: ['se define como', 'se entiende como', 'is defined as', 'is known as'] },
+  { type: 'descriptive', label: 'characterizes', direction: 'reverse', phrases: ['se caracteriza por', 'is characterized by'] },
+  { type: 'descriptive', label: 'describes', direction: 'forward', phrases: ['consiste en', 'describe', 'describes', 'means', 'significa'] },
+
+  // Ejemplos
+  { type: 'example', label: 'exemplifies', direction: 'reverse', phrases: ['por ejemplo', 'como ejemplo', 'tales como', 'tal como', 'como es el caso de', 'for example', 'for instance', 'such as', 'e.g.'] },
+  { type: 'example', label: 'exemplifies', direction: 'forward', phrases: ['es un ejemplo de', 'es ejemplo de', 'ilustra', 'is an example of', 'illustrates'] },
+
+  // Comparativas
+  { type: 'comparative', label: 'contrastsWith', direction: 'symmetric', phrases: ['a diferencia de', 'en contraste con', 'en cambio', 'mientras que', 'sin embargo', 'unlike', 'in contrast to', 'whereas', 'however'] },
+  { type: 'comparative', label: 'differsFrom', direction: 'symmetric', phrases: ['diferente de', 'se diferencia de', 'different from', 'differs from'] },
+  { type: 'comparative', label: 'similarTo', direction: 'symmetric', phrases: ['similar a', 'al igual que', 'se parece a', 'similar to', 'just like'] }
+];
+
+// Clave de etiqueta por defecto de cada tipo cuando no hay frase de enlace
+const DEFAULT_LABELS = {
+  hierarchical: 'includes',
+  causal: 'causes',
+  sequential: 'precedes',
+  descriptive: 'describes',
+  example: 'exemplifies',
+  comparative: 'similarTo'
+};
+
+module.exports = {
+  RELATION_CUES,
+  DEFAULT_LABELS
+};
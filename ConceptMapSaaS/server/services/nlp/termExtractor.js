@@ -0,0 +1,307 @@
+/**
+ * Extractor de términos clave sin dependencias externas
+ *
+ * 1. Divide el texto en segmentos sin puntuación y descarta palabras vacías.
+ * 2. Genera candidatos de una a tres palabras de contenido; se admiten
+ *    enlaces internos como "de" o "of" ("sistema de información").
+ * 3. Agrupa las variantes por lema ("redes neuronales" = "red neuronal").
+ * 4. Puntúa con C-value: favorece términos frecuentes y penaliza los que
+ *    solo aparecen dentro de un término más largo ("inteligencia" dentro
+ *    de "inteligencia artificial").
+ * 5. Sin etiquetador morfológico, un candidato cuenta como sintagma nominal
+ *    cuando va precedido de un determinante o preposición ("los datos") o
+ *    empieza la oración. En idiomas con sustantivos sin determinante (inglés)
+ *    también cuenta entre palabras vacías o puntuación; en español, un plural
+ *    que no concuerda con el plural anterior ("utiliza redes", pero no
+ *    "redes neuronales").
+ * 6. Una palabra suelta que nunca aparece como sustantivo (verbos, adjetivos)
+ *    o que aparece más veces en posición de verbo ("se entrenan", "imitan el",
+ *    "can store") se descarta.
+ * 7. Un término de dos palabras que aparece una sola vez se conserva si es un
+ *    sintagma nominal ("la inteligencia artificial", "Machine learning"), su
+ *    última palabra no es un verbo y el número de las dos palabras encaja
+ *    según el idioma ("los sistemas aprenden" no lo es).
+ */
+
+const { lemmatize } = require('./lemmatizer');
+const { RELATION_CUES } = require('./relationCues');
+const { getLanguagePack, detectLanguage } = require('./languages');
+
+// Penalización de los términos de varias palabras que nunca aparecen como sintagma nominal
+const NON_NOMINAL_FACTOR = 0.6;
+
+// Verbos de enlace de una palabra ("produce", "incluye"): nunca son conceptos
+const CUE_VERBS = new Set(
+  RELATION_CUES.flatMap(cue => cue.phrases).filter(phrase => !phrase.includes(' '))
+);
+
+// Palabras, números o signos de puntuación (estos últimos cortan los candidatos)
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:[-'’][\p{L}\p{N}]+)*|[^\s\p{L}\p{N}]/gu;
+
+/**
+ * Indica si una palabra puede formar parte de un término
+ * @param {string} word - Palabra original
+ * @param {string} lower - Palabra en minúsculas
+ * @param {Set<string>} stopWords - Palabras vacías del idioma del texto
+ * @returns {boolean}
+ */
+function isContentWord(word, lower, stopWords) {
+  if (stopWords.has(lower) || CUE_VERBS.has(lower)) return false;
+  if (/^\p{N}+$/u.test(word)) return false;
+  // Siglas como "IA" o "ADN" aunque sean cortas
+  if (word.length >= 2 && word === word.toUpperCase() && /\p{Lu}/u.test(word)) return true;
+  // Gerundios españoles ("generando", "produciendo") no son conceptos
+  if (/(ando|iendo)$/.test(lower) && lower.length > 6) return false;
+  return lower.length >= 3;
+}
+
+/**
+ * Indica si una aparición sin determinante cuenta como sintagma nominal: entre
+ * palabras vacías o puntuación ("produces oxygen in", "and glucose."). Tras una
+ * palabra de contenido puede ser un verbo ("trees depend on")
+ * @param {Object|undefined} previous - Token anterior al candidato
+ * @param {Object|undefined} next - Token que sigue al candidato
+ * @param {Set<string>} verbFollowers - Palabras que suelen seguir a un verbo
+ * @returns {boolean}
+ */
+function isBareNounPhrase(previous, next, verbFollowers) {
+  if (previous && previous.content) return false;
+  if (!next || !next.isWord || next.sentenceStart) return true;
+  return !next.content && !verbFollowers.has(next.lower);
+}
+
+/**
+ * Indica si un plural sin determinante empieza un sintagma nominal ("estudia
+ * sistemas", "de datos"). Tras otro plural suele ser un adjetivo que concuerda
+ * con él ("redes neuronales")
+ * @param {Object|undefined} previous - Token anterior
+ * @param {Object} token - Token del candidato
+ * @returns {boolean}
+ */
+function isBarePlural(previous, token) {
+  if (!/[^s]s$/.test(token.lower)) return false;
+  return !previous || !previous.content || !/s$/.test(previous.lower);
+}
+
+/**
+ * Indica si una aparición de un candidato es un sintagma nominal: tras un
+ * determinante o preposición, al inicio de la oración o, según el idioma,
+ * sin determinante
+ * @param {Object|undefined} previous - Token anterior al candidato
+ * @param {Object} first - Primer token del candidato
+ * @param {Object|undefined} next - Token que sigue al candidato
+ * @param {Object} pack - Paquete del idioma del texto
+ * @returns {boolean}
+ */
+function isNounPhrase(previous, first, next, { nounPreceders, bareNouns, barePlurals, verbFollowers }) {
+  if (previous && previous.isWord && nounPreceders.has(previous.lower)) return true;
+  if (first.sentenceStart) return true;
+  if (bareNouns && isBareNounPhrase(previous, next, verbFollowers)) return true;
+  return Boolean(barePlurals) && isBarePlural(previous, first);
+}
+
+/**
+ * Indica si un candidato ocupa una posición de verbo: tras un pronombre átono
+ * o un modal ("se entrenan", "can store"), ante un determinante ("imitan el",
+ * "absorbs the") o, en español, ante un plural sin determinante ("interpreta
+ * imágenes")
+ * @param {Object|undefined} previous - Token anterior al candidato
+ * @param {Object} last - Último token del candidato
+ * @param {Object|undefined} next - Token que sigue al candidato
+ * @param {Object} pack - Paquete del idioma del texto
+ * @returns {boolean}
+ */
+function isVerbSlot(previous, last, next, { verbPreceders, verbFollowers, barePlurals }) {
+  if (previous && previous.isWord && verbPreceders.has(previous.lower)) return true;
+  if (!next || !next.isWord || next.sentenceStart) return false;
+  if (verbFollowers.has(next.lower)) return true;
+  return Boolean(barePlurals) && next.content && isBarePlural(last, next);
+}
+
+/**
+ * Extrae los términos clave de un texto
+ * @param {string} text - Texto a analizar
+ * @param {Object} options - Opciones de extracción
+ * @param {number} [options.maxTerms=40] - Número máximo de términos devueltos
+ * @param {number} [options.maxWords=3] - Palabras de contenido máximas por término
+ * @param {number} [options.minMultiwordFrequency=2] - Apariciones mínimas de un término de varias palabras
+ * @param {string} [options.language] - 'es' o 'en'; si falta se deduce del texto
+ * @returns {Array<Object>} - { term, lemma, frequency, score, words, firstIndex, language }, de mayor a menor puntuación
+ */
+function extractTerms(text, options = {}) {
+  const {
+    maxTerms = 40,
+    maxWords = 3,
+    minMultiwordFrequency = 2
+  } = options;
+
+  const tokens = [...text.matchAll(TOKEN_PATTERN)].map(match => {
+    const word = match[0];
+    const isWord = /[\p{L}\p{N}]/u.test(word);
+    return { word, lower: word.toLowerCase(), index: match.index, isWord };
+  });
+
+  const language = options.language || detectLanguage(text).language;
+  const pack = getLanguagePack(language);
+  const { stopWords, linkWords: links, linkStarters } = pack;
+
+  tokens.forEach((token, i) => {
+    token.content = token.isWord && isContentWord(token.word, token.lower, stopWords);
+    token.lemma = token.content ? lemmatize(token.lower, language) : token.lower;
+    // Una mayúscula tras un punto no indica nombre propio
+    const previous = tokens[i - 1];
+    token.sentenceStart = !previous || /^[.!?:#*\-]$/.test(previous.word) || /\n/.test(text.slice(previous.index, token.index));
+  });
+
+  // Candidatos agrupados por lema
+  const candidates = new Map();
+
+  for (let start = 0; start < tokens.length; start++) {
+    if (!tokens[start].content) continue;
+
+    let contentCount = 0;
+    let pendingLinks = 0;
+
+    for (let end = start; end < tokens.length; end++) {
+      const token = tokens[end];
+      if (!token.isWord) break;
+
+      if (token.content) {
+        contentCount++;
+        pendingLinks = 0;
+      } else if (links.has(token.lower) && end > start && (pendingLinks > 0 || linkStarters.has(token.lower))) {
+        // Como mucho dos palabras de enlace seguidas ("de la")
+        if (++pendingLinks > 2) break;
+        continue;
+      } else {
+        break;
+      }
+
+      if (contentCount > maxWords) break;
+
+      const span = tokens.slice(start, end + 1);
+      const lemma = span.map(t => t.lemma).join(' ');
+      const surface = text.slice(tokens[start].index, token.index + token.word.length).replace(/\s+/g, ' ');
+
+      let candidate = candidates.get(lemma);
+      if (!candidate) {
+        candidate = { lemma, words: contentCount, frequency: 0, nominal: 0, verbal: 0, forms: new Map(), firstIndex: tokens[start].index };
+        candidates.set(lemma, candidate);
+      }
+      candidate.frequency++;
+
+      const previous = tokens[start - 1];
+      const next = tokens[end + 1];
+      // En posición de verbo tampoco cuenta como sintagma nominal un término de
+      // varias palabras ("los sistemas aprenden el", "that extract patterns")
+      if (isVerbSlot(previous, token, next, pack)) {
+        if (end === start) candidate.verbal++;
+      } else if (isNounPhrase(previous, tokens[start], next, pack)) {
+        candidate.nominal++;
+      }
+
+      // Preferir formas que no estén al inicio de oración (conservan las mayúsculas reales)
+      const form = candidate.forms.get(surface) || { count: 0, inside: 0 };
+      form.count++;
+      if (!tokens[start].sentenceStart) form.inside++;
+      candidate.forms.set(surface, form);
+    }
+  }
+
+  // Las palabras sueltas que nunca aparecen como sustantivo, o más veces como
+  // verbo, no son conceptos. Los términos de varias palabras que aparecen una
+  // sola vez suelen ser ruido, salvo los sintagmas nominales de dos palabras
+  const terms = [...candidates.values()].filter(c => c.words === 1
+    ? isAcronymCandidate(c) || (c.nominal > 0 && c.verbal <= c.nominal)
+    : c.frequency >= minMultiwordFrequency || isNominalPair(c, candidates, pack));
+
+  // Términos más largos que contienen a cada término
+  const containers = new Map();
+  terms.filter(term => term.words > 1).forEach(term => {
+    const parts = term.lemma.split(' ');
+    const nested = new Set();
+    for (let i = 0; i < parts.length; i++) {
+      for (let j = i + 1; j <= parts.length; j++) {
+        if (j - i < parts.length) nested.add(parts.slice(i, j).join(' '));
+      }
+    }
+    nested.forEach(lemma => {
+      if (!containers.has(lemma)) containers.set(lemma, []);
+      containers.get(lemma).push(term);
+    });
+  });
+
+  // C-value: log2(palabras + 1) · (f(a) − media de f de los términos que contienen a)
+  terms.forEach(term => {
+    const containing = containers.get(term.lemma) || [];
+    const nestedFrequency = containing.length > 0
+      ? containing.reduce((sum, other) => sum + other.frequency, 0) / containing.length
+      : 0;
+    term.score = Math.log2(term.words + 1) * (term.frequency - nestedFrequency);
+    
+    if (term.words > 1 && term.nominal === 0) {
+      term.score *= NON_NOMINAL_FACTOR;
+    }
+  });
+
+  return terms
+    .filter(term => term.score > 0)
+    .sort((a, b) => b.score - a.score || b.frequency - a.frequency || a.firstIndex - b.firstIndex)
+    .slice(0, maxTerms)
+    .map(term => ({
+      term: pickSurfaceForm(term.forms),
+      lemma: term.lemma,
+      frequency: term.frequency,
+      score: Number(term.score.toFixed(3)),
+      words: term.words,
+      firstIndex: term.firstIndex,
+      language
+    }));
+}
+
+/**
+ * Indica si un término de dos palabras es un sintagma nominal aunque aparezca
+ * una sola vez: sustantivo y adjetivo ("inteligencia artificial") o dos
+ * sustantivos, con o sin enlace ("sistema de información", "machine learning")
+ * @param {Object} candidate - Candidato agrupado por lema
+ * @param {Map} candidates - Todos los candidatos, por lema
+ * @param {Object} pack - Paquete del idioma del texto
+ * @returns {boolean}
+ */
+function isNominalPair(candidate, candidates, pack) {
+  if (candidate.words !== 2 || candidate.nominal === 0) return false;
+
+  const parts = candidate.lemma.split(' ');
+  const last = candidates.get(parts[parts.length - 1]);
+  if (last && last.verbal > last.nominal) return false;
+
+  // Sin enlace, el número de las dos palabras debe encajar ("los sistemas aprenden", "chloroplasts absorb")
+  if (parts.length === 2) {
+    const [first, second] = pickSurfaceForm(candidate.forms).toLowerCase().split(' ');
+    return pack.isNounPair(first, second);
+  }
+  return true;
+}
+
+/**
+ * Indica si todas las formas escritas de un candidato están en mayúsculas ("IA", "ADN")
+ * @param {Object} candidate - Candidato agrupado por lema
+ * @returns {boolean}
+ */
+function isAcronymCandidate(candidate) {
+  return [...candidate.forms.keys()].every(form => form === form.toUpperCase());
+}
+
+/**
+ * Elige la forma escrita más representativa de un término
+ * @param {Map} forms - Forma → { count, inside }
+ * @returns {string} - Forma elegida
+ */
+function pickSurfaceForm(forms) {
+  const ranked = [...forms.entries()].sort((a, b) => b[1].inside - a[1].inside || b[1].count - a[1].count);
+  return ranked[0][0];
+}
+
+module.exports = {
+  extractTerms
+};
@@ -0,0 +1,61 @@
+/**
+ * Utilidades de texto compartidas por las etapas de análisis
+ */
+
+/**
+ * Escapa un texto para usarlo literalmente dentro de una expresión regular
+ * @param {string} value - Texto a escapar
+ * @returns {string} - Texto escapado
+ */
+function escapeRegExp(value) {
+  // Sin el guion: fuera de una clase de caracteres no necesita escape y "\-" no es válido con la bandera u
+  return value.replace(/[\/\\^$*+?.()|[\]{}]/g, '\\$&');
+}
+
+/**
+ * Crea una expresión que encuentra un término como palabra completa,
+ * sin distinguir mayúsculas y admitiendo letras acentuadas en los límites
+ * @param {string} term - Término a buscar
+ * @returns {RegExp} - Expresión global
+ */
+function termPattern(term) {
+  const body = escapeRegExp(term.trim()).replace(/\s+/g, '\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+/**
+ * Divide un texto en oraciones; los saltos de línea también cierran oración
+ * para que títulos y elementos de lista no se mezclen con el párrafo siguiente
+ * @param {string} text - Texto a dividir
+ * @returns {Array<string>} - Oraciones no vacías
+ */
+function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?;])\s+|\n+/)
+    .map(sentence => sentence.replace(/^\s*(?:#+|[*\-+]|\d+[.)])\s+/, '').trim())
+    .filter(sentence => sentence.length > 0);
+}
+
+/**
+ * Posiciones de todas las apariciones de un término en un texto
+ * @param {string} text - Texto donde buscar
+ * @param {string} term - Término a buscar
+ * @returns {Array<Object>} - { index, length } de cada aparición
+ */
+function findTermOccurrences(text, term) {
+  if (!term || !term.trim()) {
+    return [];
+  }
+
+  return [...text.matchAll(termPattern(term))].map(match => ({
+    index: match.index,
+    length: match[0].length
+  }));
+}
+
+module.exports = {
+  escapeRegExp,
+  termPattern,
+  splitSentences,
+  findTermOccurrences
+};
@@ -0,0 +1,253 @@
+/**
+ * Servicio de enlaces compartidos
+ *
+ * Crea enlaces públicos de solo lectura (/m/:token) para los mapas guardados,
+ * con caducidad, contraseña opcional y revocación. El permiso 'edit' lo usa
+ * la edición colaborativa (collaborationController) para dejar unirse a
+ * quien abre el enlace. El token es aleatorio e imposible de adivinar; como
+ * las claves de API, solo se almacena su hash y el enlace completo se entrega
+ * una única vez, al crearlo. Tras
+ * config.sharing.maxPasswordAttempts contraseñas incorrectas, el enlace deja
+ * de aceptar intentos durante config.sharing.passwordLockoutMs.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const authService = require('./authService');
+const { shareRepository, mapRepository } = require('../repositories');
+const { escapeXml } = require('../utils/xml');
+const { AppError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Forma de un token válido; cualquier otro valor se trata como inexistente sin consultar el almacén
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+// Permisos de un enlace: ver el mapa o, además, editarlo en grupo
+const PERMISSIONS = ['view', 'edit'];
+
+class ShareService {
+  constructor() {
+    // Contraseñas incorrectas por enlace: id -> { count, resetAt }
+    this.failedAttempts = new Map();
+  }
+
+  /**
+   * Crea un enlace público para un mapa guardado
+   * @param {Object} map - Mapa guardado (ya comprobado que pertenece al usuario)
+   * @param {Object} options - { expiresInDays: número de días o null para no caducar, password, permission: view | edit }
+   * @returns {Promise<Object>} - { token, share }
+   */
+  async createShare(map, { expiresInDays, password, permission = 'view' } = {}) {
+    const expiresAt = this.resolveExpiry(expiresInDays);
+    
+    if (!PERMISSIONS.includes(permission)) {
+      throw new AppError('El permiso del enlace debe ser view o edit', 400, 'INVALID_SHARE_PERMISSION');
+    }
+    
+    let passwordHash = null;
+    if (password !== undefined && password !== null && password !== '') {
+      if (typeof password !== 'string' || password.length < config.sharing.minPasswordLength) {
+        throw new AppError(
+          `La contraseña del enlace debe tener al menos ${config.sharing.minPasswordLength} caracteres`,
+          400,
+          'WEAK_SHARE_PASSWORD'
+        );
+      }
+      passwordHash = await authService.hashPassword(password);
+    }
+    
+    const token = crypto.randomBytes(config.sharing.tokenBytes).toString('base64url');
+    const share = await shareRepository.create({
+      mapId: map.id,
+      ownerId: map.ownerId,
+      tokenHash: authService.hashToken(token),
+      prefix: token.slice(0, 6),
+      passwordHash,
+      permission,
+      expiresAt
+    });
+    
+    return { token, share: this.toPublicShare(share) };
+  }
+
+  /**
+   * Lista los enlaces de un mapa (sin su token)
+   * @param {Object} map - Mapa guardado
+   * @returns {Promise<Array>}
+   */
+  async listShares(map) {
+    const shares = await shareRepository.listByMap(map.ownerId, map.id);
+    return shares.map(share => this.toPublicShare(share));
+  }
+
+  /**
+   * Revoca un enlace de un mapa
+   * @param {Object} map - Mapa guardado
+   * @param {string} id - Identificador del enlace
+   * @returns {Promise<Object|null>} - Enlace revocado o null si no existe
+   */
+  async revokeShare(map, id) {
+    const share = await shareRepository.revoke(map.ownerId, map.id, id);
+    return share ? this.toPublicShare(share) : null;
+  }
+
+  /**
+   * Abre un enlace compartido y devuelve el mapa al que apunta
+   * @param {string} token - Token del enlace
+   * @param {string} [password] - Contraseña, si el enlace la tiene
+   * @returns {Promise<Object>} - { share, map }
+   */
+  async openShare(token, password) {
+    const share = TOKEN_PATTERN.test(String(token)) ?
+      await shareRepository.findByTokenHash(authService.hashToken(token)) :
+      null;
+    
+    if (!share) {
+      throw new AppError('El enlace no existe', 404, 'SHARE_NOT_FOUND');
+    }
+    
+    if (share.revokedAt) {
+      throw new AppError('El propietario del mapa ha revocado este enlace', 410, 'SHARE_REVOKED');
+    }
+    
+    if (share.expiresAt && share.expiresAt <= new Date().toISOString()) {
+      throw new AppError('El enlace ha caducado', 410, 'SHARE_EXPIRED');
+    }
+    
+    if (share.passwordHash) {
+      if (typeof password !== 'string' || password === '') {
+        throw new AppError('Este mapa está protegido con contraseña', 401, 'SHARE_PASSWORD_REQUIRED');
+      }
+      this.checkAttempts(share.id);
+      if (!await authService.verifyPassword(password, share.passwordHash)) {
+        this.recordFailedAttempt(share.id);
+        throw new AppError('La contraseña no es correcta', 403, 'INVALID_SHARE_PASSWORD');
+      }
+      this.failedAttempts.delete(share.id);
+    }
+    
+    const map = await mapRepository.findById(share.mapId);
+    if (!map || map.ownerId !== share.ownerId) {
+      throw new AppError('El mapa compartido ya no existe', 404, 'SHARE_NOT_FOUND');
+    }
+    
+    await shareRepository.touch(share.id);
+    return { share: this.toPublicShare(share), map };
+  }
+
+  /**
+   * Rechaza los intentos sobre un enlace bloqueado por demasiadas contraseñas incorrectas
+   * @param {string} id - Identificador del enlace
+   */
+  checkAttempts(id) {
+    const attempts = this.failedAttempts.get(id);
+    if (!attempts) return;
+    
+    const remainingMs = attempts.resetAt - Date.now();
+    if (remainingMs <= 0) {
+      this.failedAttempts.delete(id);
+      return;
+    }
+    
+    if (attempts.count >= config.sharing.maxPasswordAttempts) {
+      const error = new AppError(
+        'Demasiadas contraseñas incorrectas; vuelva a intentarlo más tarde',
+        429,
+        'TOO_MANY_SHARE_ATTEMPTS'
+      );
+      error.retryAfter = Math.ceil(remainingMs / 1000);
+      throw error;
+    }
+  }
+
+  /**
+   * Cuenta una contraseña incorrecta; el bloqueo dura desde el primer fallo
+   * @param {string} id - Identificador del enlace
+   */
+  recordFailedAttempt(id) {
+    const attempts = this.failedAttempts.get(id);
+    if (attempts) {
+      attempts.count++;
+    } else {
+      this.failedAttempts.set(id, { count: 1, resetAt: Date.now() + config.sharing.passwordLockoutMs });
+    }
+  }
+
+  /**
+   * Elimina los enlaces de un mapa borrado
+   * @param {string} mapId - Identificador del mapa
+   */
+  async deleteMapShares(mapId) {
+    await shareRepository.deleteByMap(mapId);
+  }
+
+  /**
+   * Fecha de caducidad a partir de los días pedidos
+   * @param {number|null|undefined} expiresInDays - Días; null para no caducar, undefined para el valor por defecto
+   * @returns {string|null} - Fecha ISO o null
+   */
+  resolveExpiry(expiresInDays) {
+    if (expiresInDays === null) return null;
+    
+    const days = expiresInDays === undefined ? config.sharing.defaultExpiryDays : Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0 || days > config.sharing.maxExpiryDays) {
+      throw new AppError(
+        `La caducidad debe estar entre 1 y ${config.sharing.maxExpiryDays} días, o ser null para no caducar`,
+        400,
+        'INVALID_SHARE_EXPIRY'
+      );
+    }
+    
+    return new Date(Date.now() + days * DAY_MS).toISOString();
+  }
+
+  /**
+   * Direcciones de un enlace y el fragmento HTML para insertarlo en otra página
+   * @param {string} baseUrl - Origen público de la aplicación (protocolo y host)
+   * @param {string} token - Token del enlace
+   * @param {string} title - Título del mapa, para el atributo title del <iframe>
+   * @returns {Object} - { url, embedUrl, embedHtml }
+   */
+  buildLinks(baseUrl, token, title) {
+    const url = `${baseUrl}/m/${token}`;
+    const embedUrl = `${url}?embed=1`;
+    const embedHtml = `<iframe src="${embedUrl}" width="${config.sharing.embedWidth}" ` +
+      `height="${config.sharing.embedHeight}" title="${escapeXml(title || 'Mapa conceptual')}" style="border: 0;" ` +
+      'loading="lazy" referrerpolicy="no-referrer"></iframe>';
+    
+    return { url, embedUrl, embedHtml };
+  }
+
+  /**
+   * Datos de un enlace que pueden enviarse al propietario
+   * @param {Object} share - Enlace almacenado
+   * @returns {Object}
+   */
+  toPublicShare(share) {
+    let status = 'active';
+    if (share.revokedAt) {
+      status = 'revoked';
+    } else if (share.expiresAt && share.expiresAt <= new Date().toISOString()) {
+      status = 'expired';
+    }
+    
+    return {
+      id: share.id,
+      mapId: share.mapId,
+      prefix: share.prefix,
+      status,
+      permission: share.permission || 'view',
+      passwordProtected: Boolean(share.passwordHash),
+      expiresAt: share.expiresAt,
+      createdAt: share.createdAt,
+      revokedAt: share.revokedAt,
+      lastViewedAt: share.lastViewedAt,
+      views: share.views
+    };
+  }
+}
+
+const shareService = new ShareService();
+
+module.exports = shareService;
@@ -0,0 +1,62 @@
+/**
+ * Asigna el rol o el plan de una cuenta desde la línea de comandos
+ *
+ * Ni los roles ni los planes se obtienen al registrarse: quien administra el
+ * servidor los concede sobre una cuenta ya creada.
+ *
+ *   npm run users:role -- ana@example.com admin
+ *   npm run users:role -- ana@example.com user
+ *   npm run users:plan -- ana@example.com professional
+ *
+ * Escribe en el almacén de usuarios (DATA_DIR/users.json), así que debe
+ * ejecutarse con el servidor detenido: el servidor guarda los usuarios en
+ * memoria y sobrescribiría el cambio con su copia. Termina con código 1 si la
+ * cuenta no existe o el rol o el plan no son válidos.
+ */
+
+const config = require('../config');
+const authService = require('./authService');
+
+// Acciones: valores admitidos y cómo se aplican
+const ACTIONS = {
+  role: {
+    values: () => config.auth.roles,
+    apply: (email, value) => authService.setRole(email, value),
+    describe: user => `rol ${user.role}`
+  },
+  plan: {
+    values: () => Object.keys(config.conceptMap.limits),
+    apply: (email, value) => authService.setPlan(email, value),
+    describe: user => `plan ${user.plan}`
+  }
+};
+
+async function main() {
+  const [actionName, email, value] = process.argv.slice(2);
+  const action = ACTIONS[actionName];
+  
+  if (!action) {
+    console.error(`Acción no válida: ${actionName} (${Object.keys(ACTIONS).join(', ')})`);
+    process.exit(1);
+  }
+  
+  if (!email || !value) {
+    console.error(`Uso: npm run users:${actionName} -- <correo> <${action.values().join('|')}>`);
+    process.exit(1);
+  }
+  
+  if (config.storage.driver !== 'file') {
+    console.error('STORAGE_DRIVER=memory no guarda usuarios entre ejecuciones; use el driver file');
+    process.exit(1);
+  }
+  
+  try {
+    const user = await action.apply(email, value);
+    console.log(`${user.email}: ${action.describe(user)}`);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,176 @@
+/**
+ * Registro de estilos visuales de los mapas conceptuales
+ *
+ * Es la única definición de los estilos: el servidor la usa en la etapa 5
+ * (colores, tamaños de letra y trazos), en las clases del diagrama Mermaid y
+ * en las exportaciones, y el cliente recibe su descripción pública desde
+ * GET /api/config para llenar el selector y dibujar el mapa. Para añadir un
+ * estilo basta con registrarlo en VISUAL_STYLES.
+ *
+ * `renderer` indica cómo se dibuja el mapa: 'standard' con trazos limpios o
+ * 'sketch' con trazos irregulares, como dibujados a mano.
+ */
+
+const VISUAL_STYLES = {
+  // Colores sobrios y trazos limpios; el estilo por defecto
+  professional: {
+    label: 'Profesional',
+    description: 'Colores sobrios y líneas limpias',
+    renderer: 'standard',
+    fontFamily: null, // la fuente de config.exports
+    mermaidTheme: 'default',
+    edgeColor: '#555555',
+    nodeColors: {
+      0: '#6a0dad',
+      1: '#4169e1',
+      2: '#3cb371',
+      3: '#ff8c00',
+      default: '#6495ed'
+    },
+    fontSizes: { 0: 18, 1: 16, 2: 14, default: 12 },
+    lineStyles: { causal: 'thick', hierarchical: 'normal', default: 'dashed' },
+    classes: {
+      mainConcept: 'fill:#ffffff,stroke:#555,stroke-width:2.5px',
+      conceptNode: 'fill:#ECECFF,stroke:#9370DB',
+      attributeNode: 'fill:#FFF9C4,stroke:#FBC02D',
+      exampleNode: 'fill:#ffffff,stroke:#2E7D32',
+      originNode: 'fill:#ffffff,stroke:#6D4C41',
+      cloudNode: 'fill:#ffffff,stroke:#795548,rx:25,ry:25'
+    }
+  },
+
+  // Trazos irregulares y colores de papel, como un esquema hecho a mano
+  sketch: {
+    label: 'Sketch',
+    description: 'Trazos a mano alzada y colores pastel',
+    renderer: 'sketch',
+    fontFamily: '"Comic Sans MS", "Segoe Print", "Bradley Hand", cursive',
+    mermaidTheme: 'neutral',
+    edgeColor: '#333333',
+    nodeColors: {
+      0: '#ffd966',
+      1: '#f9cb9c',
+      2: '#b6d7a8',
+      3: '#a4c2f4',
+      default: '#fff2cc'
+    },
+    fontSizes: { 0: 18, 1: 16, 2: 14, default: 13 },
+    lineStyles: { causal: 'thick', default: 'normal' },
+    classes: {
+      mainConcept: 'fill:#ffd966,stroke:#333,stroke-width:2.5px',
+      conceptNode: 'fill:#fff2cc,stroke:#333,stroke-width:1.5px',
+      attributeNode: 'fill:#fce5cd,stroke:#333',
+      exampleNode: 'fill:#d9ead3,stroke:#333',
+      originNode: 'fill:#ead1dc,stroke:#333',
+      cloudNode: 'fill:#ffffff,stroke:#333,stroke-dasharray:4,rx:25,ry:25'
+    }
+  },
+
+  // Escala de grises y líneas finas para mapas muy cargados
+  minimalist: {
+    label: 'Minimalista',
+    description: 'Escala de grises y líneas finas',
+    renderer: 'standard',
+    fontFamily: null,
+    mermaidTheme: 'base',
+    edgeColor: '#888888',
+    nodeColors: {
+      0: '#333333',
+      1: '#666666',
+      2: '#888888',
+      3: '#aaaaaa',
+      default: '#666666'
+    },
+    fontSizes: { 0: 16, 1: 14, 2: 12, default: 10 },
+    lineStyles: { descriptive: 'dotted', default: 'normal' },
+    classes: {
+      mainConcept: 'fill:#ffffff,stroke:#333,stroke-width:2px',
+      conceptNode: 'fill:#ffffff,stroke:#999,stroke-width:1px',
+      attributeNode: 'fill:#f5f5f5,stroke:#bbb',
+      exampleNode: 'fill:#ffffff,stroke:#bbb',
+      originNode: 'fill:#ffffff,stroke:#bbb',
+      cloudNode: 'fill:#fafafa,stroke:#ccc,rx:25,ry:25'
+    }
+  },
+
+  // Colores intensos para mayor impacto visual
+  colorful: {
+    label: 'Colorido',
+    description: 'Colores intensos por nivel y trazos gruesos',
+    renderer: 'standard',
+    fontFamily: null,
+    mermaidTheme: 'default',
+    edgeColor: '#444444',
+    nodeColors: {
+      0: '#ff1493',
+      1: '#00bfff',
+      2: '#32cd32',
+      3: '#ffd700',
+      default: '#ff7f50'
+    },
+    fontSizes: { 0: 20, 1: 18, 2: 16, default: 14 },
+    lineStyles: { causal: 'bold', hierarchical: 'bold', descriptive: 'dashed', default: 'normal' },
+    classes: {
+      mainConcept: 'fill:#ff1493,stroke:#a0005a,stroke-width:3px,color:#ffffff',
+      conceptNode: 'fill:#e0f7ff,stroke:#00bfff,stroke-width:2px',
+      attributeNode: 'fill:#fff59d,stroke:#fbc02d,stroke-width:2px',
+      exampleNode: 'fill:#c8f7c5,stroke:#32cd32,stroke-width:2px',
+      originNode: 'fill:#ffe0b2,stroke:#ff7f50,stroke-width:2px',
+      cloudNode: 'fill:#f3e5f5,stroke:#ab47bc,rx:25,ry:25'
+    }
+  }
+};
+
+const DEFAULT_VISUAL_STYLE = 'professional';
+
+// Nombres de versiones anteriores, que pueden llegar de integraciones o mapas guardados
+const STYLE_ALIASES = {
+  educational: 'professional',
+  modern: 'professional',
+  classic: 'professional',
+  minimal: 'minimalist'
+};
+
+/**
+ * Normaliza el nombre de un estilo; los desconocidos pasan al estilo por defecto
+ * @param {string} name - Nombre recibido en las opciones
+ * @returns {string} - Clave de VISUAL_STYLES
+ */
+function resolveVisualStyle(name) {
+  const key = typeof name === 'string' ? name.trim().toLowerCase() : '';
+  if (Object.prototype.hasOwnProperty.call(VISUAL_STYLES, key)) {
+    return key;
+  }
+  return STYLE_ALIASES[key] || DEFAULT_VISUAL_STYLE;
+}
+
+/**
+ * Devuelve la definición completa de un estilo
+ * @param {string} name - Nombre del estilo
+ * @returns {Object} - Estilo con su clave en `id`
+ */
+function getVisualStyle(name) {
+  const id = resolveVisualStyle(name);
+  return { id, ...VISUAL_STYLES[id] };
+}
+
+/**
+ * Descripción pública de los estilos para el cliente
+ * @returns {Array<Object>} - [{ id, label, description, renderer, fontFamily }]
+ */
+function listVisualStyles() {
+  return Object.entries(VISUAL_STYLES).map(([id, style]) => ({
+    id,
+    label: style.label,
+    description: style.description,
+    renderer: style.renderer,
+    fontFamily: style.fontFamily
+  }));
+}
+
+module.exports = {
+  DEFAULT_VISUAL_STYLE,
+  resolveVisualStyle,
+  getVisualStyle,
+  listVisualStyles
+};
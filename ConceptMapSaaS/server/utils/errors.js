@@ -0,0 +1,49 @@
+/**
+ * Errores de la aplicación y su traducción a respuestas HTTP
+ */
+
+/**
+ * Error previsto con el código HTTP que debe devolverse
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Mensaje para el cliente
+   * @param {number} status - Código de estado HTTP
+   * @param {string} code - Código de error legible por máquinas
+   */
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'AppError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Responde a un error: los AppError con su código y su mensaje; el resto
+ * se registra y se devuelve como error interno
+ * @param {Object} res - Respuesta de Express
+ * @param {Error} error - Error capturado
+ * @param {string} message - Mensaje para errores inesperados
+ */
+function sendError(res, error, message) {
+  if (error instanceof AppError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    error: message,
+    details: error.message
+  });
+}
+
+module.exports = {
+  AppError,
+  sendError
+};
@@ -0,0 +1,129 @@
+/**
+ * Conversión de HTML a Markdown para los documentos subidos
+ *
+ * Conserva lo que el pipeline aprovecha: títulos (h1-h6), listas anidadas,
+ * negritas, párrafos y saltos de línea. El resto de etiquetas se descarta
+ * y solo queda su texto. Se usa para archivos HTML y para el HTML que
+ * mammoth genera a partir de documentos DOCX.
+ */
+
+// Elementos cuyo contenido no es texto del documento
+const IGNORED_ELEMENTS = /<(script|style|head|noscript|template|svg)\b[\s\S]*?<\/\1\s*>/gi;
+
+// Elementos de bloque que separan párrafos
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'header', 'footer', 'main', 'aside', 'nav',
+  'blockquote', 'pre', 'table', 'figure', 'figcaption', 'dl', 'dt', 'dd', 'hr'
+]);
+
+// Entidades con nombre más habituales; las numéricas se decodifican aparte
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  laquo: '«', raquo: '»', ldquo: '“', rdquo: '”', lsquo: '‘', rsquo: '’',
+  ndash: '–', mdash: '—', hellip: '…', bull: '•', middot: '·', iexcl: '¡', iquest: '¿'
+};
+
+// Letras acentuadas con nombre ("&iacute;", "&Ntilde;") como letra + diacrítico combinable
+const DIACRITICS = { acute: '\u0301', grave: '\u0300', uml: '\u0308', circ: '\u0302', tilde: '\u0303', cedil: '\u0327' };
+
+/**
+ * Decodifica las entidades HTML de un texto
+ * @param {string} text - Texto con entidades
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, body) => {
+    if (body[0] === '#') {
+      const code = body[1].toLowerCase() === 'x' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+      return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+    }
+    const named = NAMED_ENTITIES[body.toLowerCase()];
+    if (named !== undefined) return named;
+    const accented = body.match(/^([a-z])(acute|grave|uml|circ|tilde|cedil)$/i);
+    return accented ? `${accented[1]}${DIACRITICS[accented[2].toLowerCase()]}`.normalize('NFC') : entity;
+  });
+}
+
+/**
+ * Convierte un documento HTML en Markdown
+ * @param {string} html - Código HTML
+ * @returns {string} - Texto Markdown
+ */
+function htmlToMarkdown(html) {
+  const source = html.replace(/<!--[\s\S]*?-->/g, '').replace(IGNORED_ELEMENTS, '');
+  const output = [];
+  // Pila de listas abiertas: { ordered, count }
+  const lists = [];
+  // Tras la viñeta de un elemento, un bloque interior (<li><p>) no debe abrir otra línea
+  let itemStart = false;
+  const pushBreak = (value) => {
+    if (!itemStart) output.push(value);
+  };
+
+  for (const match of source.matchAll(/<(\/?)([a-z][a-z0-9]*)\b[^>]*>|([^<]+)|</gi)) {
+    const [token, closing, rawTag, text] = match;
+
+    if (text !== undefined || !rawTag) {
+      // El espacio en blanco del HTML se reduce a un solo espacio
+      const value = decodeEntities((text || token).replace(/\s+/g, ' '));
+      if (value.trim()) itemStart = false;
+      output.push(value);
+      continue;
+    }
+
+    const tag = rawTag.toLowerCase();
+    const heading = tag.match(/^h([1-6])$/);
+
+    if (heading) {
+      output.push(closing ? '\n\n' : `\n\n${'#'.repeat(Number(heading[1]))} `);
+      itemStart = false;
+    } else if (tag === 'ul' || tag === 'ol') {
+      if (closing) {
+        lists.pop();
+      } else {
+        lists.push({ ordered: tag === 'ol', count: 0 });
+      }
+      itemStart = false;
+      output.push('\n');
+    } else if (tag === 'li') {
+      if (!closing) {
+        const list = lists[lists.length - 1] || { ordered: false, count: 0 };
+        list.count++;
+        const indent = '  '.repeat(Math.max(0, lists.length - 1));
+        output.push(`\n${indent}${list.ordered ? `${list.count}.` : '-'} `);
+        itemStart = true;
+      }
+    } else if (tag === 'strong' || tag === 'b') {
+      output.push('**');
+    } else if (tag === 'br' || tag === 'tr') {
+      pushBreak('\n');
+    } else if (tag === 'td' || tag === 'th') {
+      output.push(' ');
+    } else if (BLOCK_TAGS.has(tag)) {
+      // Dentro de una lista un párrafo no la corta
+      pushBreak(lists.length > 0 ? '\n' : '\n\n');
+    }
+  }
+
+  return output.join('')
+    // "** término **" no es negrita en Markdown: los espacios pasan fuera de las marcas
+    .replace(/\*\*([ \t]*)([^*\n]*?)([ \t]*)\*\*/g, (all, before, body, after) => body ? `${before}**${body}**${after}` : before + after)
+    .split('\n')
+    .map(line => {
+      // Los elementos de lista conservan la sangría que marca su anidamiento
+      const item = line.match(/^( *)(-|\d+\.) +(.*)$/);
+      return item ? `${item[1]}${item[2]} ${item[3].replace(/ {2,}/g, ' ').trim()}` : line.replace(/ {2,}/g, ' ').trim();
+    })
+    // Viñetas sin texto
+    .filter(line => !/^ *(-|\d+\.) *$/.test(line))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    // Las líneas en blanco entre elementos de una misma lista la partirían en varias
+    .replace(/^( *(?:-|\d+\.) .*)\n\n(?= *(?:-|\d+\.) )/gm, '$1\n')
+    .trim();
+}
+
+module.exports = {
+  htmlToMarkdown,
+  decodeEntities
+};
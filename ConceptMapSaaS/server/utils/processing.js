@@ -0,0 +1,90 @@
+/**
+ * Utilidades compartidas para preparar el procesamiento de mapas conceptuales
+ * y dar formato a sus resultados en las respuestas de la API
+ */
+
+const { isSupportedLanguage } = require('../services/nlp/languages');
+const { isValidSeed } = require('./random');
+const { resolveVisualStyle } = require('../services/visualStyles');
+const { toDomainId, DOMAIN_PATTERN } = require('../services/lexicon/glossary');
+
+// Dominios de glosario que puede preferir una solicitud
+const MAX_LEXICON_DOMAINS = 5;
+
+/**
+ * Dominios de glosario válidos de una solicitud, sin repetir
+ * @param {Array<string>|string} value - Lista o texto separado por comas
+ * @returns {Array<string>|null} - null consulta todos los glosarios del idioma
+ */
+function parseLexiconDomains(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const domains = [...new Set(list.map(toDomainId).filter(domain => DOMAIN_PATTERN.test(domain)))];
+  return domains.length > 0 ? domains.slice(0, MAX_LEXICON_DOMAINS) : null;
+}
+
+/**
+ * Construye la configuración del pipeline a partir de las opciones de la solicitud
+ * @param {Object} options - Opciones recibidas en la solicitud
+ * @param {Object} [plan] - Plan resuelto por el middleware de límites (req.plan)
+ * @returns {Object} - Configuración para conceptMapService.processText
+ */
+function buildProcessConfig(options = {}, plan = null) {
+  const stages = {
+    organization: options.stages?.organization !== false,
+    reasoning: options.stages?.reasoning !== false,
+    enrichment: options.stages?.enrichment !== false,
+    validation: options.stages?.validation !== false,
+    aesthetics: options.stages?.aesthetics !== false,
+    conclusion: options.stages?.conclusion !== false
+  };
+  
+  // Desactivar las etapas que el plan no incluye, aunque se hayan solicitado
+  const disabledByPlan = [];
+  if (plan) {
+    Object.keys(stages).forEach(stage => {
+      if (stages[stage] && !plan.limits.enabledStages.includes(stage)) {
+        stages[stage] = false;
+        disabledByPlan.push(stage);
+      }
+    });
+  }
+  
+  return {
+    // Sin maxConcepts explícito, el número de conceptos lo fija el nivel de complejidad (1-5)
+    maxConcepts: options.maxConcepts || null,
+    complexity: options.complexity,
+    // El cliente envía visualStyle; style se mantiene por compatibilidad con integraciones anteriores
+    style: resolveVisualStyle(options.visualStyle || options.style),
+    // Idioma forzado; 'auto' o un idioma no soportado dejan que el pipeline lo detecte
+    language: isSupportedLanguage(options.language) ? options.language : null,
+    // Semilla del generador pseudoaleatorio; sin ella el pipeline genera una y la devuelve en metadata.seed
+    seed: isValidSeed(options.seed) ? options.seed : null,
+    // Glosarios preferidos para el enriquecimiento; sin ellos se consultan todos los del idioma
+    lexiconDomains: parseLexiconDomains(options.lexiconDomains),
+    stages,
+    includeExamples: options.includeExamples !== false,
+    includeDefinitions: options.includeDefinitions !== false,
+    plan: plan ? { name: plan.name, disabledStages: disabledByPlan } : null
+  };
+}
+
+/**
+ * Extrae del resultado del pipeline los campos que se devuelven al cliente
+ * @param {Object} result - Resultado de conceptMapService.processText
+ * @returns {Object} - Resultado público del mapa conceptual
+ */
+function toPublicResult(result) {
+  return {
+    concepts: result.concepts,
+    relationships: result.relationships,
+    hierarchy: result.hierarchy,
+    content: result.content,
+    metadata: result.metadata,
+    knowledgeGraph: result.knowledgeGraph
+  };
+}
+
+module.exports = {
+  buildProcessConfig,
+  toPublicResult
+};
@@ -0,0 +1,87 @@
+/**
+ * Generador pseudoaleatorio con semilla para que la generación sea reproducible
+ *
+ * Toda elección aleatoria del pipeline debe pasar por un generador creado con
+ * createRandom: con el mismo texto, las mismas opciones y la misma semilla el
+ * mapa resultante es idéntico. Implementa mulberry32 (32 bits de estado).
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Indica si un valor puede usarse como semilla: entero no negativo o cadena no vacía
+ * @param {*} seed - Valor recibido en las opciones
+ * @returns {boolean}
+ */
+function isValidSeed(seed) {
+  if (typeof seed === 'number') {
+    return Number.isSafeInteger(seed) && seed >= 0;
+  }
+  return typeof seed === 'string' && seed.trim().length > 0 && seed.length <= 256;
+}
+
+/**
+ * Genera una semilla nueva para las solicitudes que no indican ninguna
+ * @returns {number} - Entero de 32 bits sin signo
+ */
+function generateSeed() {
+  return crypto.randomInt(0, 0xFFFFFFFF);
+}
+
+/**
+ * Convierte una semilla en el estado inicial de 32 bits del generador
+ * @param {number|string} seed - Semilla válida
+ * @returns {number} - Estado inicial
+ */
+function seedToState(seed) {
+  if (typeof seed === 'number') {
+    // Combinar las dos mitades para que semillas mayores de 32 bits no colisionen
+    return (seed ^ Math.floor(seed / 0x100000000)) >>> 0;
+  }
+
+  // FNV-1a sobre el texto de la semilla
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Crea un generador pseudoaleatorio
+ * @param {number|string} [seed] - Semilla; si falta o no es válida se genera una
+ * @returns {Object} - { seed, next, int, between, chance, pick }
+ */
+function createRandom(seed) {
+  const usedSeed = isValidSeed(seed) ? seed : generateSeed();
+  let state = seedToState(usedSeed);
+
+  // Número en [0, 1), como Math.random
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    // Semilla usada, para devolverla en los metadatos
+    seed: usedSeed,
+    next,
+    // Entero en [0, max)
+    int: max => Math.floor(next() * max),
+    // Decimal en [min, max)
+    between: (min, max) => min + next() * (max - min),
+    // true con probabilidad p
+    chance: p => next() < p,
+    // Elemento al azar de una lista
+    pick: list => list[Math.floor(next() * list.length)]
+  };
+}
+
+module.exports = {
+  isValidSeed,
+  createRandom
+};
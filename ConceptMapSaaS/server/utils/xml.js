@@ -0,0 +1,23 @@
+/**
+ * Utilidades para escribir documentos XML
+ */
+
+/**
+ * Escapa un texto para incluirlo en el contenido o en un atributo XML.
+ * Descarta los caracteres de control que XML 1.0 no admite.
+ * @param {*} value - Valor a escribir
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+module.exports = {
+  escapeXml
+};
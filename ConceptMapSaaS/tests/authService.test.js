@@ -0,0 +1,152 @@
+/**
+ * Cuentas: registro, inicio de sesión, sesiones, claves de API, planes y
+ * lectura de la cookie de sesión
+ */
+
+process.env.STORAGE_DRIVER = 'memory';
+
+const config = require('../server/config');
+const authService = require('../server/services/authService');
+const { userRepository } = require('../server/repositories');
+const { authenticate } = require('../server/middleware/auth');
+
+const PASSWORD = 'fotosintesis-2024';
+
+/**
+ * Registra una cuenta con un correo único
+ * @param {string} name - Parte local del correo
+ * @returns {Promise<Object>} - Usuario público
+ */
+function signup(name) {
+  return authService.signup({ email: `${name}@example.com`, password: PASSWORD, name });
+}
+
+/**
+ * Pasa una solicitud por el middleware de autenticación
+ * @param {Object} headers - Cabeceras de la solicitud
+ * @returns {Promise<Object>} - { req, res, next }
+ */
+async function runAuthenticate(headers) {
+  const req = { headers };
+  const res = { statusCode: 200, body: null };
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = body => {
+    res.body = body;
+    return res;
+  };
+  const next = jest.fn();
+  await authenticate(req, res, next);
+  return { req, res, next };
+}
+
+describe('authService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('registra una cuenta con el plan y el rol por defecto', async () => {
+    const user = await signup('ana');
+
+    expect(user).toMatchObject({ email: 'ana@example.com', name: 'ana', plan: config.auth.signupPlan, role: 'user', isAdmin: false });
+    expect(user.passwordHash).toBeUndefined();
+  });
+
+  test('rechaza correos repetidos, correos no válidos y contraseñas cortas', async () => {
+    await signup('luis');
+
+    await expect(authService.signup({ email: 'LUIS@example.com', password: PASSWORD }))
+      .rejects.toMatchObject({ status: 409, code: 'EMAIL_TAKEN' });
+    await expect(authService.signup({ email: 'luis', password: PASSWORD }))
+      .rejects.toMatchObject({ status: 400, code: 'INVALID_EMAIL' });
+    await expect(authService.signup({ email: 'eva@example.com', password: 'corta' }))
+      .rejects.toMatchObject({ status: 400, code: 'WEAK_PASSWORD' });
+  });
+
+  test('el inicio de sesión crea una sesión que identifica al usuario', async () => {
+    const user = await signup('marta');
+    const { token, expiresAt } = await authService.login({ email: 'marta@example.com', password: PASSWORD });
+
+    expect(Date.parse(expiresAt)).toBeGreaterThan(Date.now());
+    expect(await authService.authenticateSession(token)).toMatchObject({ id: user.id });
+
+    await authService.logout(token);
+    expect(await authService.authenticateSession(token)).toBeNull();
+  });
+
+  test('una contraseña incorrecta o un correo desconocido dan el mismo error', async () => {
+    await signup('pablo');
+
+    await expect(authService.login({ email: 'pablo@example.com', password: 'otra-contraseña' }))
+      .rejects.toMatchObject({ status: 401, code: 'INVALID_CREDENTIALS' });
+    await expect(authService.login({ email: 'nadie@example.com', password: PASSWORD }))
+      .rejects.toMatchObject({ status: 401, code: 'INVALID_CREDENTIALS' });
+  });
+
+  test('una clave de API identifica a su usuario hasta que se revoca', async () => {
+    const user = await signup('sara');
+    const { key, apiKey } = await authService.createApiKey(user.id, 'Integración');
+
+    expect(key.startsWith(config.auth.apiKeyPrefix)).toBe(true);
+    expect(await authService.listApiKeys(user.id)).toEqual([expect.objectContaining({ id: apiKey.id, name: 'Integración' })]);
+    expect(await authService.authenticateApiKey(key)).toMatchObject({ id: user.id });
+    expect(await authService.authenticateApiKey(`${config.auth.apiKeyPrefix}desconocida`)).toBeNull();
+
+    expect(await authService.revokeApiKey(user.id, apiKey.id)).toBe(true);
+    expect(await authService.authenticateApiKey(key)).toBeNull();
+  });
+
+  test('el último uso de una clave se guarda como mucho una vez por intervalo', async () => {
+    const user = await signup('irene');
+    const { key } = await authService.createApiKey(user.id, 'Script');
+    const touch = jest.spyOn(userRepository, 'touchApiKey');
+
+    await authService.authenticateApiKey(key);
+    await authService.authenticateApiKey(key);
+    await authService.authenticateApiKey(key);
+
+    expect(touch).toHaveBeenCalledTimes(1);
+    const [stored] = await authService.listApiKeys(user.id);
+    expect(stored.lastUsedAt).not.toBeNull();
+  });
+
+  test('el plan y el rol de una cuenta se cambian por correo', async () => {
+    await signup('jorge');
+
+    expect(await authService.setPlan('JORGE@example.com', 'professional')).toMatchObject({ plan: 'professional' });
+    expect(await authService.setRole('jorge@example.com', 'admin')).toMatchObject({ plan: 'professional', isAdmin: true });
+    await expect(authService.setPlan('jorge@example.com', 'gratis')).rejects.toMatchObject({ status: 400, code: 'INVALID_PLAN' });
+    await expect(authService.setPlan('nadie@example.com', 'free')).rejects.toMatchObject({ status: 404, code: 'USER_NOT_FOUND' });
+  });
+});
+
+describe('middleware authenticate', () => {
+  test('identifica al usuario por la cookie de sesión', async () => {
+    const user = await signup('clara');
+    const { token } = await authService.login({ email: 'clara@example.com', password: PASSWORD });
+
+    const { req, next } = await runAuthenticate({ cookie: `tema=oscuro; ${config.auth.sessionCookie}=${encodeURIComponent(token)}` });
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toMatchObject({ id: user.id });
+    expect(req.authMethod).toBe('session');
+  });
+
+  test('una cookie mal codificada se trata como una solicitud anónima', async () => {
+    const { req, res, next } = await runAuthenticate({ cookie: `${config.auth.sessionCookie}=%E0%A4%A` });
+
+    expect(next).toHaveBeenCalled();
+    expect(res.statusCode).toBe(200);
+    expect(req.user).toBeNull();
+  });
+
+  test('una clave de API no válida responde 401', async () => {
+    const { res, next } = await runAuthenticate({ 'x-api-key': `${config.auth.apiKeyPrefix}desconocida` });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+    expect(res.body.code).toBe('INVALID_API_KEY');
+  });
+});
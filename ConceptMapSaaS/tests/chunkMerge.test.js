@@ -0,0 +1,148 @@
+/**
+ * Documentos largos: división en fragmentos y fusión de los mapas parciales
+ */
+
+process.env.STORAGE_DRIVER = 'memory';
+
+const config = require('../server/config');
+const conceptMapService = require('../server/services/conceptMapService');
+
+const SETTINGS = config.conceptMap.chunking;
+
+/**
+ * Jerarquía de un fragmento a partir de su mapa de padres
+ * @param {Object} parents - id → id del padre (null en la raíz)
+ * @returns {Object} - { rootId, tree, parents }
+ */
+function hierarchyOf(parents) {
+  const toNode = id => ({
+    id,
+    children: Object.keys(parents).filter(child => parents[child] === id).map(toNode)
+  });
+  const rootId = Object.keys(parents).find(id => parents[id] === null);
+  return { rootId, tree: toNode(rootId), parents };
+}
+
+/**
+ * Resultado parcial de un fragmento
+ * @param {Array<Object>} concepts - Conceptos del fragmento
+ * @param {Array<Object>} relationships - Relaciones del fragmento
+ * @param {Object} parents - Padres de la jerarquía del fragmento
+ * @returns {Object}
+ */
+function chunkResult(concepts, relationships, parents) {
+  return { concepts, relationships, hierarchy: hierarchyOf(parents) };
+}
+
+describe('fragmentos de documentos largos', () => {
+  let chunks;
+  let result;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const first = chunkResult(
+      [
+        { id: 'a1', name: 'Fotosíntesis', lemma: 'fotosíntesis', importance: 0.9, frequency: 4 },
+        { id: 'a2', name: 'Clorofila', lemma: 'clorofila', importance: 0.5, frequency: 2, definition: 'Definición generada' },
+        { id: 'a3', name: 'Luz', lemma: 'luz', importance: 0.4, frequency: 1 }
+      ],
+      [
+        { source: 'a1', target: 'a2', type: 'hierarchical', confidence: 0.3, strength: 0.4 },
+        { source: 'a2', target: 'a3', type: 'descriptive', confidence: 0.5, strength: 0.6 }
+      ],
+      { a1: null, a2: 'a1', a3: 'a2' }
+    );
+    // El segundo fragmento ve la jerarquía al revés (Luz → Clorofila) y añade Glucosa
+    const second = chunkResult(
+      [
+        { id: 'b1', name: 'Luz', lemma: 'luz', importance: 0.7, frequency: 2 },
+        { id: 'b2', name: 'clorofila', lemma: 'clorofila', importance: 0.6, frequency: 3, definition: 'Pigmento verde', markup: 'definition' },
+        { id: 'b3', name: 'Glucosa', lemma: 'glucosa', importance: 0.5, frequency: 1 }
+      ],
+      [
+        { source: 'b1', target: 'b2', type: 'causal', confidence: 0.9, strength: 0.5 },
+        { source: 'b2', target: 'b3', type: 'causal', confidence: 0.9, strength: 0.7 }
+      ],
+      { b1: null, b2: 'b1', b3: 'b2' }
+    );
+
+    chunks = [{ start: 0, end: 100 }, { start: 100, end: 200 }];
+    result = await conceptMapService.mergeChunkResults(
+      [first, second],
+      chunks,
+      { concepts: [], relationships: [], metadata: { language: { code: 'es' } } },
+      '',
+      { stages: { reasoning: false } }
+    );
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  test('unifica los conceptos con el mismo lema y suma sus apariciones', () => {
+    expect(result.concepts.map(c => c.name)).toEqual(['Fotosíntesis', 'Clorofila', 'Luz', 'Glucosa']);
+
+    const chlorophyll = result.concepts.find(c => c.lemma === 'clorofila');
+    expect(chlorophyll).toMatchObject({
+      frequency: 5,
+      chunks: [0, 1],
+      importance: Number((0.6 + SETTINGS.recurrenceBonus).toFixed(2)),
+      definition: 'Pigmento verde'
+    });
+  });
+
+  test('conserva una relación por par de conceptos, la de más confianza', () => {
+    const [chlorophyll, light] = ['clorofila', 'luz'].map(lemma => result.concepts.find(c => c.lemma === lemma).id);
+    const pair = result.relationships.filter(rel => [rel.source, rel.target].sort().join() === [chlorophyll, light].sort().join());
+
+    expect(result.relationships).toHaveLength(3);
+    expect(pair).toHaveLength(1);
+    expect(pair[0]).toMatchObject({ source: light, target: chlorophyll, type: 'causal', strength: 0.6, chunks: [0, 1] });
+  });
+
+  test('la jerarquía sigue al primer fragmento y no forma ciclos', () => {
+    const byLemma = Object.fromEntries(result.concepts.map(c => [c.lemma, c.id]));
+
+    expect(result.hierarchy.rootId).toBe(byLemma['fotosíntesis']);
+    expect(result.hierarchy.parents).toEqual({
+      [byLemma['fotosíntesis']]: null,
+      [byLemma['clorofila']]: byLemma['fotosíntesis'],
+      [byLemma['luz']]: byLemma['clorofila'],
+      [byLemma['glucosa']]: byLemma['clorofila']
+    });
+    expect(result.concepts.filter(c => c.isMainConcept).map(c => c.lemma)).toEqual(['fotosíntesis']);
+  });
+
+  test('resume la fusión en los metadatos', () => {
+    expect(result.metadata.chunking).toMatchObject({
+      chunks: 2,
+      conceptsBeforeMerge: 6,
+      conceptsMerged: 2,
+      sharedConcepts: 2,
+      relationshipsBeforeMerge: 4,
+      crossChunkRelationships: 0
+    });
+  });
+
+  test('divide en fragmentos entre párrafos y repite los títulos abiertos', () => {
+    const paragraph = 'La fotosíntesis transforma la luz en energía química. '.repeat(4).trim();
+    const text = `# Fotosíntesis\n\n${Array.from({ length: 6 }, () => paragraph).join('\n\n')}`;
+    const parts = conceptMapService.splitIntoChunks(text, 500);
+
+    expect(parts.length).toBeGreaterThan(1);
+    expect(parts[0].start).toBe(0);
+    expect(parts[parts.length - 1].end).toBe(text.length);
+    parts.slice(1).forEach((part, index) => {
+      expect(part.start).toBe(parts[index].end);
+      expect(part.headings).toEqual(['Fotosíntesis']);
+      expect(part.text.startsWith('# Fotosíntesis\n\nLa fotosíntesis')).toBe(true);
+      expect(part.end - part.start).toBeLessThanOrEqual(500);
+    });
+  });
+
+  test('un texto corto es un único fragmento', () => {
+    expect(conceptMapService.splitIntoChunks('Texto breve.')).toEqual([{ text: 'Texto breve.', start: 0, end: 12, headings: [] }]);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Nivel de complejidad: número de conceptos, profundidad de la jerarquía,
+ * poda por importancia y nodos de detalle del diagrama
+ */
+
+process.env.STORAGE_DRIVER = 'memory';
+
+const config = require('../server/config');
+const conceptMapService = require('../server/services/conceptMapService');
+const { buildProcessConfig } = require('../server/utils/processing');
+
+const LEVELS = config.conceptMap.complexity.levels;
+
+const TEXT = `# Biología
+
+La biología estudia los seres vivos.
+
+## Célula
+
+La célula tiene membrana y núcleo. El núcleo guarda el ADN.
+
+### Orgánulos
+
+Las mitocondrias producen energía. Los ribosomas fabrican proteínas.
+
+#### Mitocondria
+
+La mitocondria tiene crestas.
+
+## Ecología
+
+La ecología estudia los ecosistemas y las poblaciones.
+`;
+
+/**
+ * Genera el mapa del texto de prueba sin modelo de lenguaje
+ * @param {Object} options - Opciones de la solicitud
+ * @returns {Promise<Object>}
+ */
+function generate(options) {
+  return conceptMapService.processText(TEXT, buildProcessConfig({ seed: 7, ...options }));
+}
+
+/**
+ * Profundidad máxima de los conceptos del mapa
+ * @param {Object} result - Resultado del mapa
+ * @returns {number}
+ */
+function maxLevel(result) {
+  return Math.max(...result.concepts.map(concept => concept.level));
+}
+
+describe('niveles de complejidad', () => {
+  let provider;
+
+  beforeAll(() => {
+    provider = conceptMapService.llmProvider;
+    conceptMapService.llmProvider = null;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    conceptMapService.llmProvider = provider;
+    console.log.mockRestore();
+  });
+
+  test('un nivel desconocido o ausente usa el nivel por defecto', () => {
+    const { defaultLevel } = config.conceptMap.complexity;
+
+    expect(conceptMapService.getComplexitySettings('2')).toEqual({ level: 2, ...LEVELS[2] });
+    expect(conceptMapService.getComplexitySettings(9).level).toBe(defaultLevel);
+    expect(conceptMapService.getComplexitySettings(2.5).level).toBe(defaultLevel);
+    expect(conceptMapService.getComplexitySettings().level).toBe(defaultLevel);
+  });
+
+  test('una poda más estricta descarta más conceptos, nunca el principal', () => {
+    const concepts = [
+      { id: 'main', importance: 0.1, isMainConcept: true },
+      { id: 'alta', importance: 0.9 },
+      { id: 'media', importance: 0.5 },
+      { id: 'baja', importance: 0.2 }
+    ];
+    const kept = ratio => conceptMapService.filterIrrelevantConcepts(concepts, ratio).map(c => c.id);
+
+    expect(kept(LEVELS[1].pruneRatio)).toEqual(['main', 'alta', 'media']);
+    expect(kept(LEVELS[5].pruneRatio)).toEqual(['main', 'alta', 'media', 'baja']);
+  });
+
+  test('el nivel 1 limita los conceptos y sube los conceptos profundos al primer nivel', async () => {
+    const result = await generate({ complexity: 1 });
+
+    expect(result.metadata.complexity).toBe(1);
+    expect(result.concepts.length).toBeLessThanOrEqual(LEVELS[1].maxConcepts);
+    expect(maxLevel(result)).toBe(LEVELS[1].maxDepth);
+    expect(result.metadata.depthLimitApplied).toMatchObject({ maxDepth: LEVELS[1].maxDepth });
+    result.concepts.filter(c => c.id !== result.hierarchy.rootId).forEach(concept => {
+      expect(result.hierarchy.parents[concept.id]).toBe(result.hierarchy.rootId);
+    });
+  });
+
+  test('los niveles altos conservan más conceptos y toda la profundidad del documento', async () => {
+    const [simple, detailed] = await Promise.all([generate({ complexity: 2 }), generate({ complexity: 5 })]);
+
+    expect(detailed.concepts.length).toBeGreaterThan(simple.concepts.length);
+    expect(maxLevel(simple)).toBeLessThanOrEqual(LEVELS[2].maxDepth);
+    expect(maxLevel(detailed)).toBeGreaterThan(LEVELS[2].maxDepth);
+    expect(detailed.metadata.depthLimitApplied).toBeUndefined();
+  });
+
+  test('un máximo de conceptos explícito prevalece sobre el del nivel', async () => {
+    const result = await generate({ complexity: 1, maxConcepts: 9 });
+
+    expect(result.concepts.length).toBeGreaterThan(LEVELS[1].maxConcepts);
+    expect(result.concepts.length).toBeLessThanOrEqual(9);
+  });
+
+  test('los nodos de detalle del diagrama dependen del nivel', async () => {
+    const [basic, medium, full] = await Promise.all([1, 2, 3].map(complexity => generate({ complexity })));
+
+    expect(basic.content).not.toMatch(/_def\[/);
+    expect(basic.content).not.toMatch(/_examples\[/);
+    expect(medium.content).toMatch(/_def\[/);
+    expect(medium.content).not.toMatch(/_examples\[/);
+    expect(full.content).toMatch(/_def\[/);
+    expect(full.content).toMatch(/_examples\[/);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Reproducibilidad de la generación: con el mismo texto, las mismas opciones
+ * y la misma semilla el mapa es idéntico (salvo las marcas de tiempo)
+ */
+
+process.env.STORAGE_DRIVER = 'memory';
+
+const conceptMapService = require('../server/services/conceptMapService');
+const { buildProcessConfig } = require('../server/utils/processing');
+
+const TEXT = `# Inteligencia artificial
+
+La inteligencia artificial estudia sistemas que imitan capacidades humanas.
+
+## Aprendizaje automático
+
+El aprendizaje permite mejorar con datos. Los modelos se entrenan con ejemplos y el aprendizaje se evalúa con métricas.
+
+### Redes neuronales
+
+Las redes neuronales tienen capas de neuronas artificiales conectadas.
+
+## Visión por computador
+
+La visión por computador interpreta imágenes con cámaras.
+`;
+
+// Campos con la hora de la generación, que cambian en cada ejecución
+const TIMESTAMP_FIELDS = ['processedAt', 'processingCompleted', 'completedAt'];
+
+/**
+ * Copia del resultado sin marcas de tiempo
+ * @param {*} value - Resultado o parte de él
+ * @returns {*}
+ */
+function withoutTimestamps(value) {
+  if (Array.isArray(value)) return value.map(withoutTimestamps);
+  if (!value || typeof value !== 'object') return value;
+
+  return Object.fromEntries(Object.entries(value)
+    .filter(([key]) => !TIMESTAMP_FIELDS.includes(key))
+    .map(([key, item]) => [key, withoutTimestamps(item)]));
+}
+
+/**
+ * Genera el mapa del texto de prueba sin modelo de lenguaje
+ * @param {Object} options - Opciones de la solicitud
+ * @returns {Promise<Object>}
+ */
+function generate(options) {
+  return conceptMapService.processText(TEXT, buildProcessConfig(options));
+}
+
+describe('generación con semilla', () => {
+  let provider;
+
+  beforeAll(() => {
+    provider = conceptMapService.llmProvider;
+    conceptMapService.llmProvider = null;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    conceptMapService.llmProvider = provider;
+    console.log.mockRestore();
+  });
+
+  test('la misma semilla produce el mismo mapa', async () => {
+    const first = await generate({ seed: 42 });
+    const second = await generate({ seed: 42 });
+
+    expect(withoutTimestamps(second)).toEqual(withoutTimestamps(first));
+  });
+
+  test('una semilla de texto también es reproducible', async () => {
+    const first = await generate({ seed: 'apuntes-tema-1' });
+    const second = await generate({ seed: 'apuntes-tema-1' });
+
+    expect(first.metadata.seed).toBe('apuntes-tema-1');
+    expect(withoutTimestamps(second)).toEqual(withoutTimestamps(first));
+  });
+
+  test('sin semilla se genera una y se devuelve en los metadatos', async () => {
+    const result = await generate({});
+
+    expect(Number.isInteger(result.metadata.seed)).toBe(true);
+    const repeated = await generate({ seed: result.metadata.seed });
+    expect(withoutTimestamps(repeated)).toEqual(withoutTimestamps(result));
+  });
+
+  // La instantánea guarda solo la estructura (el árbol y el texto Mermaid se
+  // derivan de ella); la reproducibilidad completa la comprueban las pruebas anteriores
+  test('la estructura del mapa de la semilla 42 coincide con la instantánea', async () => {
+    const result = await generate({ seed: 42 });
+
+    expect({
+      concepts: result.concepts.map(c => ({ id: c.id, name: c.name, level: c.level, importance: c.importance })),
+      relationships: result.relationships.map(r => ({ source: r.source, target: r.target, type: r.type, label: r.label })),
+      hierarchy: { rootId: result.hierarchy.rootId, parents: result.hierarchy.parents }
+    }).toMatchSnapshot();
+  });
+});
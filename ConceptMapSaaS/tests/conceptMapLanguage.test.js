@@ -0,0 +1,53 @@
+/**
+ * Idioma del mapa generado: los textos del diagrama salen del paquete del
+ * idioma del texto y las características no repiten palabras vacías
+ */
+
+process.env.STORAGE_DRIVER = 'memory';
+
+const conceptMapService = require('../server/services/conceptMapService');
+const { getLanguagePack } = require('../server/services/nlp/languages');
+const { buildProcessConfig } = require('../server/utils/processing');
+
+const ENGLISH = 'Photosynthesis is the process by which plants convert light energy into chemical energy. ' +
+  'Chlorophyll absorbs sunlight in the chloroplasts. ' +
+  'Plants, algae and some bacteria perform photosynthesis, which produces oxygen and glucose.';
+
+describe('mapa en inglés', () => {
+  let provider;
+  let result;
+
+  beforeAll(async () => {
+    provider = conceptMapService.llmProvider;
+    conceptMapService.llmProvider = null;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    result = await conceptMapService.processText(ENGLISH, buildProcessConfig({ complexity: 'detailed', seed: 1 }));
+  });
+
+  afterAll(() => {
+    conceptMapService.llmProvider = provider;
+    console.log.mockRestore();
+  });
+
+  test('el diagrama no contiene comentarios ni textos en español', () => {
+    const diagram = result.content.slice(result.content.indexOf('```mermaid'));
+
+    expect(result.metadata.language.code).toBe('en');
+    expect(diagram).not.toMatch(/^\s*%% /m);
+    expect(diagram).not.toMatch(/[áéíóúñ]/i);
+  });
+
+  test('las características son palabras con contenido y sin puntuación', () => {
+    const pack = getLanguagePack('en');
+    const characteristics = result.concepts
+      .flatMap(concept => concept.attributes || [])
+      .filter(attribute => attribute.type === 'characteristic')
+      .flatMap(attribute => attribute.subAttributes);
+
+    expect(characteristics.length).toBeGreaterThan(0);
+    characteristics.forEach(word => {
+      expect(word).toMatch(/^[\p{L}\p{N}'’-]+$/u);
+      expect(pack.stopWords.has(word.toLowerCase())).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Relaciones por coincidencia: la fuerza crece con las coincidencias y
+ * decrece con la distancia y con el alcance (oración, ventana, párrafo)
+ */
+
+process.env.STORAGE_DRIVER = 'memory';
+
+const config = require('../server/config');
+const conceptMapService = require('../server/services/conceptMapService');
+
+const SETTINGS = config.conceptMap.relationships;
+
+/**
+ * Conceptos de prueba con id igual a su nombre
+ * @param {...string} names - Nombres de los conceptos
+ * @returns {Array<Object>}
+ */
+function conceptsOf(...names) {
+  return names.map(name => ({ id: name, name, level: 1 }));
+}
+
+/**
+ * Fuerza de la coincidencia entre dos conceptos en un texto
+ * @param {string} text - Texto a analizar
+ * @param {string} a - Primer concepto
+ * @param {string} b - Segundo concepto
+ * @returns {number} - Fuerza, 0 si nunca coinciden
+ */
+function strengthOf(text, a, b) {
+  const { pairs } = conceptMapService.scoreCooccurrences(conceptsOf(a, b), text, 'es');
+  const pair = pairs.get([a, b].sort().join('|'));
+  return pair ? conceptMapService.cooccurrenceStrength(pair) : 0;
+}
+
+// Relleno sin conceptos, más largo que la ventana de palabras, para separar menciones
+const FILLER = 'palabras largas intercaladas separan menciones textuales; ' +
+  'frases complementarias añaden distancia suficiente entre términos lejanos';
+
+describe('coincidencias entre conceptos', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  test('en la misma oración, las menciones cercanas pesan más que las lejanas', () => {
+    const near = strengthOf('La clorofila absorbe luz.', 'clorofila', 'luz');
+    const far = strengthOf(`La clorofila absorbe ${FILLER} luz.`, 'clorofila', 'luz');
+
+    expect(near).toBeGreaterThan(far);
+    expect(far).toBeGreaterThan(0);
+  });
+
+  test('la misma oración pesa más que oraciones contiguas, y estas más que el mismo párrafo', () => {
+    const sentence = strengthOf('La clorofila absorbe luz.', 'clorofila', 'luz');
+    const window = strengthOf('La clorofila es verde. La luz llega.', 'clorofila', 'luz');
+    const paragraph = strengthOf(`La clorofila es verde. ${FILLER}. La luz llega.`, 'clorofila', 'luz');
+
+    expect(sentence).toBeGreaterThan(window);
+    expect(window).toBeGreaterThan(paragraph);
+    expect(paragraph).toBeCloseTo(1 - Math.exp(-SETTINGS.paragraphWeight), 2);
+  });
+
+  test('cada oración adicional con ambos conceptos aumenta la fuerza sin llegar a 1', () => {
+    const once = strengthOf('La clorofila absorbe luz.', 'clorofila', 'luz');
+    const many = strengthOf('La clorofila absorbe luz.\n\nLa clorofila refleja luz.\n\nLa clorofila usa luz.', 'clorofila', 'luz');
+
+    expect(many).toBeGreaterThan(once);
+    expect(many).toBeLessThan(1);
+  });
+
+  test('los conceptos de párrafos distintos no coinciden', () => {
+    expect(strengthOf('La clorofila es verde.\n\nLa luz llega.', 'clorofila', 'luz')).toBe(0);
+  });
+
+  test('detectConceptRelationships descarta los pares por debajo de la fuerza mínima', async () => {
+    const text = `La clorofila absorbe luz. ${FILLER}. El agua entra por la raíz.`;
+    const relationships = await conceptMapService.detectConceptRelationships(
+      conceptsOf('clorofila', 'luz', 'agua'), text, 'es'
+    );
+
+    expect(relationships).toHaveLength(1);
+    expect(relationships[0]).toMatchObject({
+      source: 'clorofila',
+      target: 'luz',
+      type: 'descriptive',
+      cooccurrence: { sentences: 1, windows: 0, paragraphs: 0, headings: 0, minDistance: 1 }
+    });
+    expect(relationships[0].strength).toBeGreaterThanOrEqual(SETTINGS.minStrength);
+  });
+
+  test('orienta de general a específico y limita las relaciones por concepto', async () => {
+    const names = ['hoja', 'clorofila', 'estoma', 'cutícula', 'nervio', 'limbo', 'peciolo', 'savia'];
+    const concepts = conceptsOf(...names);
+    concepts[0].level = 0;
+    const text = names.slice(1).map(name => `La hoja tiene ${name}.`).join(' ');
+
+    const relationships = await conceptMapService.detectConceptRelationships(concepts, text, 'es');
+    const fromLeaf = relationships.filter(rel => rel.source === 'hoja');
+
+    expect(fromLeaf).toHaveLength(SETTINGS.maxPerConcept);
+    fromLeaf.forEach(rel => expect(rel.type).toBe('hierarchical'));
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Exportación: los hermanos se reparten en filas y los mapas o dibujos
+ * demasiado grandes se rechazan antes de renderizarlos
+ */
+
+const config = require('../server/config');
+const exportService = require('../server/services/exportService');
+const { layoutConceptMap } = require('../server/services/export/layout');
+
+/**
+ * Mapa con un concepto principal y muchos conceptos de primer nivel
+ * @param {number} count - Conceptos de primer nivel
+ * @returns {Object}
+ */
+function wideMap(count) {
+  const concepts = [{ id: 'main', name: 'Fotosíntesis', level: 0, isMainConcept: true }];
+  for (let i = 1; i <= count; i++) {
+    concepts.push({ id: `c${i}`, name: `Concepto ${i}`, level: 1, parentId: 'main' });
+  }
+  return { concepts, relationships: [] };
+}
+
+describe('exportación de mapas grandes', () => {
+  test('los hijos que no caben en una fila pasan a la siguiente', () => {
+    const scene = layoutConceptMap(wideMap(300));
+    const rows = new Set(scene.nodes.filter(node => node.id !== 'main').map(node => node.y));
+
+    expect(scene.width).toBeLessThanOrEqual(config.exports.maxRowWidth + config.exports.margin * 2);
+    expect(rows.size).toBeGreaterThan(1);
+  });
+
+  test('un mapa que cabe en una fila conserva los niveles alineados', () => {
+    const scene = layoutConceptMap(wideMap(5));
+    const rows = new Set(scene.nodes.filter(node => node.id !== 'main').map(node => node.y));
+
+    expect(rows.size).toBe(1);
+  });
+
+  test('rechaza con 413 un mapa con demasiados conceptos', async () => {
+    await expect(exportService.exportMap(wideMap(config.exports.maxConcepts), 'svg'))
+      .rejects.toMatchObject({ status: 413, code: 'EXPORT_TOO_LARGE' });
+  });
+
+  test('rechaza con 413 un PNG que superaría los píxeles máximos', async () => {
+    const { maxPngPixels } = config.exports;
+    config.exports.maxPngPixels = 1000;
+    try {
+      await expect(exportService.exportMap(wideMap(3), 'png'))
+        .rejects.toMatchObject({ status: 413, code: 'EXPORT_TOO_LARGE' });
+    } finally {
+      config.exports.maxPngPixels = maxPngPixels;
+    }
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Repositorio de mapas en archivos: los listados salen del índice y solo se
+ * lee el archivo de un mapa cuando se pide
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const FileMapRepository = require('../server/repositories/fileMapRepository');
+const JsonStore = require('../server/repositories/jsonStore');
+
+const result = { concepts: [{ id: 'concept_1', name: 'Fotosíntesis' }], relationships: [], metadata: {} };
+
+describe('FileMapRepository', () => {
+  let dir;
+  let repository;
+
+  /**
+   * Repositorio sobre el directorio de prueba, con su índice
+   * @returns {FileMapRepository}
+   */
+  const createRepository = () => new FileMapRepository(dir, new JsonStore(path.join(dir, 'maps-index.json')));
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-maps-'));
+    repository = createRepository();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('lista los mapas de cada propietario sin leer sus archivos', async () => {
+    const first = await repository.create({ ownerId: 'ana', title: 'Fotosíntesis', result });
+    await repository.create({ ownerId: 'luis', title: 'Respiración', result });
+    await repository.update(first.id, { title: 'Fotosíntesis (v2)' });
+
+    const readFile = jest.spyOn(fs, 'readFile');
+    const maps = await createRepository().list({ ownerId: 'ana' });
+
+    expect(maps).toEqual([expect.objectContaining({ id: first.id, title: 'Fotosíntesis (v2)', version: 2, conceptCount: 1 })]);
+    expect(maps[0].ownerId).toBeUndefined();
+    expect(readFile.mock.calls.map(([file]) => file)).toEqual([path.join(dir, 'maps-index.json')]);
+  });
+
+  test('quita del índice los mapas eliminados', async () => {
+    const map = await repository.create({ ownerId: 'ana', title: 'Fotosíntesis', result });
+
+    expect(await repository.delete(map.id)).toBe(true);
+    expect(await repository.list()).toEqual([]);
+  });
+
+  test('construye el índice a partir de los mapas guardados antes de que existiera', async () => {
+    const map = await repository.create({ ownerId: 'ana', title: 'Fotosíntesis', result });
+    await fs.unlink(path.join(dir, 'maps-index.json'));
+
+    const maps = await createRepository().list({ ownerId: 'ana' });
+
+    expect(maps.map(item => item.id)).toEqual([map.id]);
+    expect(JSON.parse(await fs.readFile(path.join(dir, 'maps-index.json'), 'utf8')).maps[map.id])
+      .toMatchObject({ ownerId: 'ana', title: 'Fotosíntesis' });
+  });
+
+  test('dos guardados simultáneos del mismo mapa crean versiones consecutivas', async () => {
+    const map = await repository.create({ ownerId: 'ana', title: 'Fotosíntesis', result });
+
+    const [edited, autosaved] = await Promise.all([
+      repository.update(map.id, { title: 'Fotosíntesis (editado)' }, { source: 'update' }),
+      repository.update(map.id, { title: 'Fotosíntesis (colaboración)' }, { source: 'collaboration' })
+    ]);
+
+    expect([edited.version, autosaved.version]).toEqual([2, 3]);
+    const stored = await createRepository().findById(map.id);
+    expect(stored).toMatchObject({ version: 3, title: 'Fotosíntesis (colaboración)' });
+    expect((await repository.listVersions(map.id)).map(version => version.version)).toEqual([3, 2, 1]);
+    expect((await repository.findVersion(map.id, 3)).title).toBe(stored.title);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Jerarquía de conceptos: un único padre por concepto, niveles según la
+ * profundidad en el árbol y ajustes al podar o limitar la profundidad
+ */
+
+process.env.STORAGE_DRIVER = 'memory';
+
+const conceptMapService = require('../server/services/conceptMapService');
+
+const TEXT = `# Biología
+
+La biología estudia los seres vivos.
+
+## Célula
+
+La célula tiene membrana y núcleo. El núcleo guarda el ADN.
+
+### Orgánulos
+
+Las mitocondrias producen energía. Los ribosomas fabrican proteínas.
+
+#### Mitocondria
+
+La mitocondria tiene crestas.
+
+## Ecología
+
+La ecología estudia los ecosistemas y las poblaciones.
+`;
+
+/**
+ * Conceptos de prueba con id igual a su nombre, de general a específico
+ * @param {Array<Array>} entries - [nombre, frecuencia, otros campos]
+ * @returns {Array<Object>}
+ */
+function conceptsOf(entries) {
+  return entries.map(([name, frequency, extra]) => ({ id: name, name, frequency, ...extra }));
+}
+
+/**
+ * Ids de todos los nodos del árbol
+ * @param {Object} node - Nodo raíz
+ * @returns {Array<string>}
+ */
+function treeIds(node) {
+  return [node.id, ...node.children.flatMap(treeIds)];
+}
+
+describe('jerarquía de conceptos', () => {
+  let concepts;
+  let hierarchy;
+
+  beforeEach(() => {
+    concepts = conceptsOf([
+      ['Biología', 1, { isMainConcept: true }],
+      ['Célula', 2],
+      ['Orgánulos', 1],
+      ['Mitocondria', 2],
+      ['Ecología', 2],
+      ['núcleo', 2],
+      ['membrana', 1],
+      ['crestas', 1],
+      ['ecosistemas', 1],
+      ['proteínas', 1]
+    ]);
+    hierarchy = conceptMapService.createHierarchicalStructure(concepts, TEXT, 'es');
+  });
+
+  test('cada concepto aparece una sola vez en el árbol, con un único padre', () => {
+    const ids = treeIds(hierarchy.tree);
+
+    expect(hierarchy.rootId).toBe('Biología');
+    expect(ids.sort()).toEqual(concepts.map(c => c.id).sort());
+    expect(hierarchy.parents['Biología']).toBeNull();
+    concepts.filter(c => c.id !== 'Biología').forEach(concept => {
+      expect(typeof hierarchy.parents[concept.id]).toBe('string');
+      expect(concept.parentId).toBe(hierarchy.parents[concept.id]);
+    });
+  });
+
+  test('los títulos se anidan como en el documento, sin límite de profundidad', () => {
+    expect(hierarchy.parents).toMatchObject({
+      'Célula': 'Biología',
+      'Orgánulos': 'Célula',
+      'Mitocondria': 'Orgánulos',
+      'Ecología': 'Biología'
+    });
+
+    const levels = Object.fromEntries(concepts.map(c => [c.id, c.level]));
+    expect(levels).toMatchObject({ 'Biología': 0, 'Célula': 1, 'Orgánulos': 2, 'Mitocondria': 3, 'crestas': 4 });
+  });
+
+  test('los términos cuelgan del título de la sección donde aparecen', () => {
+    expect(hierarchy.parents).toMatchObject({
+      'membrana': 'Célula',
+      'crestas': 'Mitocondria',
+      'ecosistemas': 'Ecología',
+      'proteínas': 'Orgánulos'
+    });
+  });
+
+  test('un término solo cuelga de otro término igual de frecuente o más', () => {
+    // "núcleo" (2) coincide con "membrana" (1) en la misma oración, pero no puede colgar de él
+    expect(hierarchy.parents['núcleo']).toBe('Célula');
+  });
+
+  test('el padre marcado en el Markdown prevalece sobre la puntuación', () => {
+    concepts.find(c => c.id === 'proteínas').structuralParent = 'Ecología';
+    hierarchy = conceptMapService.createHierarchicalStructure(concepts, TEXT, 'es');
+
+    expect(hierarchy.parents['proteínas']).toBe('Ecología');
+  });
+
+  test('al podar, cada concepto cuelga de su antepasado conservado más cercano', () => {
+    const kept = concepts.filter(c => !['Orgánulos', 'Mitocondria'].includes(c.id));
+    const pruned = conceptMapService.pruneHierarchy(hierarchy, kept);
+
+    expect(pruned.parents).toMatchObject({ 'crestas': 'Célula', 'proteínas': 'Célula' });
+    expect(treeIds(pruned.tree)).toHaveLength(kept.length);
+  });
+
+  test('al limitar la profundidad, los niveles profundos suben al último permitido', () => {
+    const limited = conceptMapService.limitHierarchyDepth(hierarchy, concepts, 2);
+
+    expect(limited.parents).toMatchObject({ 'Mitocondria': 'Célula', 'crestas': 'Célula', 'Orgánulos': 'Célula' });
+    expect(Math.max(...concepts.map(c => c.level))).toBe(2);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Importación: formato por extensión o contenido, jerarquía de los formatos
+ * en árbol (OPML, FreeMind) y de los formatos en grafo (CXL, Mermaid)
+ */
+
+const importService = require('../server/services/importService');
+
+const OPML = `<?xml version="1.0"?>
+<opml version="2.0">
+  <head><title>Ecosistema</title></head>
+  <body>
+    <outline text="Productores" _note="Organismos que fabrican su alimento">
+      <outline text="Plantas"/>
+    </outline>
+    <outline text="Consumidores"/>
+  </body>
+</opml>`;
+
+const FREEMIND = `<map version="1.0.1">
+  <node ID="raiz" TEXT="Fotosíntesis">
+    <node ID="luz" TEXT="Luz">
+      <arrowlink DESTINATION="oxigeno" MIDDLE_LABEL="produce"/>
+    </node>
+    <node ID="oxigeno" TEXT="Oxígeno"/>
+  </node>
+</map>`;
+
+const CXL = `<?xml version="1.0" encoding="UTF-8"?>
+<cmap xmlns="http://cmap.ihmc.us/xml/cmap/">
+  <map>
+    <concept-list>
+      <concept id="c1" label="Agua" long-comment="level: 1"/>
+      <concept id="c2" label="Ciclo del agua" long-comment="level: 0"/>
+      <concept id="c3" label="Nubes" short-comment="Vapor condensado" long-comment="level: 2&#10;category: Clima"/>
+    </concept-list>
+    <linking-phrase-list>
+      <linking-phrase id="p1" label="incluye"/>
+      <linking-phrase id="p2" label="forma"/>
+    </linking-phrase-list>
+    <connection-list>
+      <connection id="k1" from-id="c2" to-id="p1"/>
+      <connection id="k2" from-id="p1" to-id="c1"/>
+      <connection id="k3" from-id="c1" to-id="p2"/>
+      <connection id="k4" from-id="p2" to-id="c3"/>
+    </connection-list>
+  </map>
+</cmap>`;
+
+/**
+ * Nombre del padre de cada concepto importado
+ * @param {Object} map - Resultado de importService.parse
+ * @returns {Object} - nombre → nombre del padre (null en la raíz)
+ */
+function parentNames(map) {
+  const names = new Map(map.concepts.map(c => [c.id, c.name]));
+  return Object.fromEntries(map.concepts.map(c => [c.name, names.get(map.parents.get(c.id)) || null]));
+}
+
+/**
+ * Relaciones importadas como [origen, destino, tipo, etiqueta] con los nombres de los conceptos
+ * @param {Object} map - Resultado de importService.parse
+ * @returns {Array<Array>}
+ */
+function relationNames(map) {
+  const names = new Map(map.concepts.map(c => [c.id, c.name]));
+  return map.relationships.map(rel => [names.get(rel.source), names.get(rel.target), rel.type, rel.label]);
+}
+
+describe('importación de mapas', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.error.mockRestore();
+  });
+
+  test('reconoce el formato por la extensión y, sin ella, por el contenido', () => {
+    expect(importService.detectFormat('mapa.MM', '')).toBe('freemind');
+    expect(importService.detectFormat('', OPML)).toBe('opml');
+    expect(importService.detectFormat('', CXL)).toBe('cxl');
+    expect(importService.detectFormat('', FREEMIND)).toBe('freemind');
+    expect(importService.detectFormat('', 'flowchart TD\n  a[Agua] --> b[Nubes]')).toBe('mermaid');
+    expect(importService.detectFormat('notas.txt', 'Texto sin formato')).toBeNull();
+  });
+
+  test('un esquema OPML con varios elementos de primer nivel cuelga del título', () => {
+    const map = importService.parse(OPML, { filename: 'ecosistema.opml' });
+
+    expect(map.concepts.find(c => c.id === map.rootId)).toMatchObject({ name: 'Ecosistema', isMainConcept: true });
+    expect(parentNames(map)).toEqual({
+      Ecosistema: null,
+      Productores: 'Ecosistema',
+      Plantas: 'Productores',
+      Consumidores: 'Ecosistema'
+    });
+    expect(map.concepts.find(c => c.name === 'Productores').definition).toBe('Organismos que fabrican su alimento');
+    expect(relationNames(map)).toEqual(expect.arrayContaining([
+      ['Productores', 'Plantas', 'hierarchical', ''],
+      ['Ecosistema', 'Consumidores', 'hierarchical', '']
+    ]));
+  });
+
+  test('las flechas de FreeMind son relaciones tipadas por su etiqueta', () => {
+    const map = importService.parse(FREEMIND, { filename: 'fotosintesis.mm' });
+
+    expect(map.title).toBe('Fotosíntesis');
+    expect(parentNames(map)).toEqual({ Fotosíntesis: null, Luz: 'Fotosíntesis', Oxígeno: 'Fotosíntesis' });
+    expect(relationNames(map)).toContainEqual(['Luz', 'Oxígeno', 'causal', 'produce']);
+  });
+
+  test('con IDs repetidos en FreeMind cada nodo cuelga de uno anterior y no se forman ciclos', () => {
+    const content = `<map version="1.0.1">
+      <node ID="a" TEXT="Raíz">
+        <node ID="b" TEXT="Hijo">
+          <node ID="a" TEXT="Nieto"><node ID="c" TEXT="Bisnieto"/></node>
+        </node>
+      </node>
+    </map>`;
+    const map = importService.parse(content, { format: 'freemind' });
+
+    expect(map.rootId).toBe(map.concepts[0].id);
+    expect(parentNames(map)).toEqual({ Raíz: null, Hijo: 'Raíz', Nieto: 'Hijo', Bisnieto: 'Nieto' });
+    expect(map.concepts.filter(c => c.isMainConcept).map(c => c.name)).toEqual(['Raíz']);
+  });
+
+  test('en CXL la raíz es el concepto de nivel 0 y la jerarquía sigue las relaciones', () => {
+    const map = importService.parse(CXL, { filename: 'agua.cxl' });
+
+    expect(map.concepts.find(c => c.id === map.rootId).name).toBe('Ciclo del agua');
+    expect(parentNames(map)).toEqual({ Agua: 'Ciclo del agua', 'Ciclo del agua': null, Nubes: 'Agua' });
+    expect(map.concepts.find(c => c.name === 'Nubes')).toMatchObject({ definition: 'Vapor condensado', category: 'Clima' });
+    expect(relationNames(map)).toEqual([
+      ['Ciclo del agua', 'Agua', 'hierarchical', 'incluye'],
+      ['Agua', 'Nubes', 'hierarchical', 'forma']
+    ]);
+  });
+
+  test('rechaza los formatos desconocidos, los archivos ilegibles y los mapas vacíos', () => {
+    expect(() => importService.parse('Texto', { filename: 'notas.txt' }))
+      .toThrow(expect.objectContaining({ status: 415, code: 'UNSUPPORTED_IMPORT_FORMAT' }));
+    expect(() => importService.parse('<opml><head/></opml>', { format: 'opml' }))
+      .toThrow(expect.objectContaining({ status: 422, code: 'INVALID_MAP_FILE' }));
+    expect(() => importService.parse('<opml><body><outline text=""/></body></opml>', { format: 'opml' }))
+      .toThrow(expect.objectContaining({ status: 422, code: 'EMPTY_MAP' }));
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Formatos de intercambio: lo que se exporta en CXL o Mermaid se vuelve a
+ * importar igual, y GraphML, GEXF, DOT y JSON-LD describen el mismo mapa
+ */
+
+process.env.STORAGE_DRIVER = 'memory';
+
+const conceptMapService = require('../server/services/conceptMapService');
+const exportService = require('../server/services/exportService');
+const importService = require('../server/services/importService');
+
+/**
+ * Mapa de prueba: "Estomas" cuelga de "Hoja" en la jerarquía sin relación que los una
+ * @returns {Object}
+ */
+function sampleMap() {
+  return {
+    concepts: [
+      { id: 'c1', name: 'Fotosíntesis', level: 0, isMainConcept: true, category: 'Biología', importance: 1, definition: 'Proceso de las plantas', examples: ['Algas', 'Cianobacterias'] },
+      { id: 'c2', name: 'Hoja', level: 1, category: 'Biología', importance: 0.8 },
+      { id: 'c3', name: 'Oxígeno & "O2" <gas>', level: 1, importance: 0.7, definition: 'Gas que se libera' },
+      { id: 'c4', name: 'Estomas', level: 2, importance: 0.5 }
+    ],
+    relationships: [
+      { id: 'r1', source: 'c1', target: 'c2', type: 'hierarchical', label: 'ocurre en', strength: 0.9, confidence: 0.8 },
+      { id: 'r2', source: 'c1', target: 'c3', type: 'causal', label: 'produce', strength: 0.7, confidence: 0.9 },
+      { id: 'r3', source: 'c3', target: 'perdido', type: 'descriptive', label: 'describe' }
+    ],
+    hierarchy: { rootId: 'c1', parents: { c1: null, c2: 'c1', c3: 'c1', c4: 'c2' } },
+    metadata: { language: { code: 'es' } }
+  };
+}
+
+/**
+ * Exporta un mapa y devuelve el texto del archivo
+ * @param {Object} result - Resultado del mapa
+ * @param {string} format - Formato de exportación
+ * @returns {Promise<string>}
+ */
+async function exportText(result, format) {
+  const { content } = await exportService.exportMap(result, format);
+  return content.toString('utf8');
+}
+
+/**
+ * Relaciones como [origen, destino, tipo, etiqueta] con los nombres de los conceptos
+ * @param {Object} map - Mapa con concepts y relationships
+ * @returns {Array<Array>}
+ */
+function relationNames(map) {
+  const names = new Map(map.concepts.map(c => [c.id, c.name]));
+  return map.relationships
+    .filter(rel => names.has(rel.source) && names.has(rel.target))
+    .map(rel => [names.get(rel.source), names.get(rel.target), rel.type, rel.label]);
+}
+
+/**
+ * Número de apariciones de un patrón en un texto
+ * @param {string} text - Texto
+ * @param {RegExp} pattern - Patrón con la marca global
+ * @returns {number}
+ */
+function count(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+describe('formatos de intercambio', () => {
+  test('un mapa exportado en CXL se importa con los mismos conceptos y relaciones', async () => {
+    const original = sampleMap();
+    const map = importService.parse(await exportText(original, 'cxl'), { filename: 'mapa.cxl' });
+
+    expect(map.title).toBe('Fotosíntesis');
+    expect(map.concepts.map(c => c.name)).toEqual(original.concepts.map(c => c.name));
+    expect(map.concepts.find(c => c.id === map.rootId).name).toBe('Fotosíntesis');
+    expect(map.concepts[0]).toMatchObject({ definition: 'Proceso de las plantas', examples: ['Algas', 'Cianobacterias'], category: 'Biología' });
+    expect(map.concepts[2].definition).toBe('Gas que se libera');
+    expect(relationNames(map)).toEqual(relationNames(original));
+  });
+
+  test('la importación del CXL exportado cuelga de la raíz lo que no tiene relación', async () => {
+    const map = importService.parse(await exportText(sampleMap(), 'cxl'), { format: 'cxl' });
+    const names = new Map(map.concepts.map(c => [c.id, c.name]));
+    const parents = Object.fromEntries(map.concepts.map(c => [c.name, names.get(map.parents.get(c.id)) || null]));
+
+    expect(parents).toEqual({ Fotosíntesis: null, Hoja: 'Fotosíntesis', 'Oxígeno & "O2" <gas>': 'Fotosíntesis', Estomas: 'Fotosíntesis' });
+  });
+
+  test('JSON-LD guarda el padre de la jerarquía como skos:broader', async () => {
+    const document = JSON.parse(await exportText(sampleMap(), 'jsonld'));
+    const concepts = document['@graph'].filter(item => item['@type'] === 'skos:Concept');
+    const relations = document['@graph'].filter(item => item['@type'] === 'cm:Relationship');
+
+    expect(Object.fromEntries(concepts.map(item => [item['@id'], item.broader || null])))
+      .toEqual({ c1: null, c2: 'c1', c3: 'c1', c4: 'c2' });
+    expect(concepts[0]).toMatchObject({ label: 'Fotosíntesis', example: ['Algas', 'Cianobacterias'], level: 0 });
+    expect(relations.map(item => [item.source, item.target, item.relationType, item.linkingPhrase]))
+      .toEqual([['c1', 'c2', 'hierarchical', 'ocurre en'], ['c1', 'c3', 'causal', 'produce']]);
+  });
+
+  test('GraphML, GEXF y DOT tienen un nodo por concepto y omiten las relaciones rotas', async () => {
+    const [graphml, gexf, dot] = await Promise.all(['graphml', 'gexf', 'dot'].map(format => exportText(sampleMap(), format)));
+
+    expect(count(graphml, /<node id=/g)).toBe(4);
+    expect(count(graphml, /<edge id=/g)).toBe(2);
+    expect(graphml).toContain('Oxígeno &amp; &quot;O2&quot; &lt;gas&gt;');
+    expect(count(gexf, /<node id=/g)).toBe(4);
+    expect(count(gexf, /<edge id=/g)).toBe(2);
+    expect(count(dot, /^ {2}"c\d" \[label=/gm)).toBe(4);
+    expect(count(dot, /^ {2}"c\d" -> "c\d"/gm)).toBe(2);
+    expect(dot).not.toContain('perdido');
+  });
+
+  test('una jerarquía con ciclos se exporta y se vuelve a importar con una raíz', async () => {
+    const cyclic = sampleMap();
+    cyclic.hierarchy.parents = { c1: 'c4', c2: 'c1', c3: 'c1', c4: 'c2' };
+
+    for (const format of exportService.getFormats().filter(format => format !== 'png' && format !== 'pdf')) {
+      await expect(exportText(cyclic, format)).resolves.toEqual(expect.any(String));
+    }
+    const map = importService.parse(await exportText(cyclic, 'cxl'), { format: 'cxl' });
+    expect(map.concepts.find(c => c.id === map.rootId).name).toBe('Fotosíntesis');
+    expect(map.parents.get(map.rootId)).toBeNull();
+  });
+
+  test('el diagrama Mermaid de un mapa generado se importa con sus conceptos y relaciones', async () => {
+    const provider = conceptMapService.llmProvider;
+    conceptMapService.llmProvider = null;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    let result;
+    try {
+      result = await conceptMapService.processText(
+        '# Fotosíntesis\n\nLa fotosíntesis produce oxígeno. La clorofila absorbe la luz.\n\n## Clorofila\n\nClorofila: pigmento verde de las hojas.',
+        {}
+      );
+    } finally {
+      conceptMapService.llmProvider = provider;
+      console.log.mockRestore();
+    }
+
+    const map = importService.parse(result.content, { filename: 'mapa.mmd' });
+    const pairs = relations => relations.map(([source, target]) => [source, target]);
+
+    expect(map.concepts.map(c => c.name)).toEqual(result.concepts.map(c => c.name));
+    expect(map.concepts.find(c => c.id === map.rootId).name).toBe(result.concepts.find(c => c.isMainConcept).name);
+    expect(pairs(relationNames(map))).toEqual(pairs(relationNames(result)));
+  });
+});
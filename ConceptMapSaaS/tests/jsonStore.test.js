@@ -0,0 +1,52 @@
+/**
+ * Almacén JSON: un archivo dañado no se trata como vacío ni se sobrescribe
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const JsonStore = require('../server/repositories/jsonStore');
+
+describe('JsonStore', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-store-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('persiste las actualizaciones y empieza vacío si el archivo no existe', async () => {
+    const file = path.join(dir, 'usage.json');
+    const store = new JsonStore(file);
+
+    expect(await store.read()).toEqual({});
+    await store.update(data => { data.count = 1; });
+
+    expect(JSON.parse(await fs.readFile(file, 'utf8'))).toEqual({ count: 1 });
+    expect(await new JsonStore(file).read()).toEqual({ count: 1 });
+  });
+
+  test('un archivo dañado lanza un error y no se sobrescribe', async () => {
+    const file = path.join(dir, 'users.json');
+    const corrupt = '{"users": [{"email": "ana@example.com"}';
+    await fs.writeFile(file, corrupt, 'utf8');
+    const store = new JsonStore(file);
+
+    await expect(store.read()).rejects.toThrow(/dañado/);
+    await expect(store.update(data => { data.users = []; })).rejects.toThrow(/dañado/);
+    // Sigue fallando: el error no deja un documento vacío en caché
+    await expect(store.read()).rejects.toThrow(/dañado/);
+
+    expect(await fs.readFile(file, 'utf8')).toBe(corrupt);
+  });
+
+  test('un archivo que no contiene un objeto también se considera dañado', async () => {
+    const file = path.join(dir, 'shares.json');
+    await fs.writeFile(file, 'null', 'utf8');
+
+    await expect(new JsonStore(file).read()).rejects.toThrow(/dañado/);
+  });
+});
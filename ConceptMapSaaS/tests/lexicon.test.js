@@ -0,0 +1,105 @@
+/**
+ * Glosarios locales: búsqueda por lema, sinónimo y núcleo del nombre, orden
+ * de los dominios y prioridad de los glosarios subidos
+ */
+
+process.env.STORAGE_DRIVER = 'memory';
+
+const lexiconService = require('../server/services/lexiconService');
+const conceptMapService = require('../server/services/conceptMapService');
+const { getLanguagePack } = require('../server/services/nlp/languages');
+
+/**
+ * Busca un nombre y resume la coincidencia
+ * @param {string} name - Nombre del concepto
+ * @param {Object} options - { language, domains }
+ * @returns {Promise<Array|null>} - [término, glosario, tipo de coincidencia]
+ */
+async function find(name, options) {
+  const match = await lexiconService.lookup(name, options);
+  return match && [match.entry.term, match.glossary.id, match.match];
+}
+
+/**
+ * Archivo subido con un glosario JSON
+ * @param {Object} glossary - Contenido del glosario
+ * @returns {Object} - { buffer, originalname }
+ */
+function upload(glossary) {
+  return { buffer: Buffer.from(JSON.stringify(glossary)), originalname: 'glosario.json' };
+}
+
+describe('glosarios locales', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.error.mockRestore();
+  });
+
+  test('encuentra el término por su lema, sin distinguir tildes ni plurales', async () => {
+    expect(await find('Ecosistemas', { language: 'es' })).toEqual(['ecosistema', 'builtin-ciencias.es', 'term']);
+    expect(await find('fotosintesis', { language: 'es' })).toEqual(['fotosíntesis', 'builtin-ciencias.es', 'term']);
+    expect(await find('Neural networks', { language: 'en' })).toEqual(['neural network', 'builtin-tecnologia.en', 'term']);
+  });
+
+  test('un sinónimo lleva a su entrada', async () => {
+    expect(await find('Ser vivo', { language: 'es' })).toEqual(['organismo', 'builtin-ciencias.es', 'synonym']);
+    expect(await find('theory of evolution', { language: 'en' })).toEqual(['evolution', 'builtin-ciencias.en', 'synonym']);
+  });
+
+  test('un nombre compuesto encuentra su núcleo antes que otras palabras', async () => {
+    expect(await find('Red neuronal convolucional', { language: 'es' })).toEqual(['red neuronal', 'builtin-tecnologia.es', 'head']);
+    expect(await find('energía de la célula', { language: 'es' })).toEqual(['energía', 'builtin-ciencias.es', 'head']);
+  });
+
+  test('solo consulta los glosarios del idioma del texto', async () => {
+    expect(await find('célula', { language: 'en' })).toBeNull();
+  });
+
+  test('con dominios elegidos consulta esos y después el dominio general', async () => {
+    expect(await find('inteligencia artificial', { language: 'es' }))
+      .toEqual(['inteligencia artificial', 'builtin-tecnologia.es', 'term']);
+    expect(await find('inteligencia artificial', { language: 'es', domains: ['ciencias'] }))
+      .toEqual(['inteligencia', 'builtin-general.es', 'head']);
+  });
+
+  test('un glosario subido prevalece sobre el incluido y deja de usarse al eliminarlo', async () => {
+    const { lexicon } = await lexiconService.install(upload({
+      name: 'Biología del aula',
+      domain: 'Ciencias',
+      language: 'es',
+      entries: [{ term: 'Células', definition: 'Definición del aula' }]
+    }));
+
+    try {
+      expect(lexicon).toMatchObject({ domain: 'ciencias', source: 'uploaded', entryCount: 1 });
+      expect(await find('célula', { language: 'es' })).toEqual(['Células', lexicon.id, 'term']);
+    } finally {
+      await lexiconService.remove(lexicon.id);
+    }
+    expect(await find('célula', { language: 'es' })).toEqual(['célula', 'builtin-ciencias.es', 'term']);
+  });
+
+  test('rechaza los glosarios no válidos y no elimina los incluidos', async () => {
+    await expect(lexiconService.install(upload({ domain: 'ciencias', language: 'fr', entries: [{ term: 'cellule', definition: 'x' }] })))
+      .rejects.toMatchObject({ status: 422, code: 'INVALID_LEXICON' });
+    await expect(lexiconService.install(upload({ domain: 'ciencias', language: 'es', entries: [{ term: 'célula' }] })))
+      .rejects.toMatchObject({ status: 422, code: 'INVALID_LEXICON' });
+    await expect(lexiconService.remove('builtin-ciencias.es')).rejects.toMatchObject({ status: 409, code: 'LEXICON_READ_ONLY' });
+  });
+
+  test('la definición solo se toma de una coincidencia del concepto o de su núcleo', async () => {
+    const pack = getLanguagePack('es');
+    const lookup = await lexiconService.createLookup('es');
+    const define = name => conceptMapService.generateConciseDefinition({ name, level: 1 }, pack, lookup.find(name));
+
+    const head = await define('energía de la célula');
+    expect(head.source).toBe('lexicon');
+    expect(head.definition).toBe(lookup.find('energía').entry.definition);
+
+    expect(lookup.find('Ciclo de la fotosíntesis').match).toBe('partial');
+    expect((await define('Ciclo de la fotosíntesis')).source).toBe('placeholder');
+  });
+});
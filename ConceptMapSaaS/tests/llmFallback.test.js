@@ -0,0 +1,136 @@
+/**
+ * Proveedor de modelos de lenguaje y vuelta al análisis heurístico: con el
+ * servidor mock las etapas 1 y 2 usan el modelo; si falla, el mapa se genera
+ * igual que sin proveedor
+ */
+
+process.env.STORAGE_DRIVER = 'memory';
+
+const conceptMapService = require('../server/services/conceptMapService');
+const { createLLMProvider } = require('../server/services/llm');
+const { createMockServer } = require('../server/services/llm/mockServer');
+const { buildProcessConfig } = require('../server/utils/processing');
+
+const TEXT = 'La fotosíntesis produce oxígeno en las plantas verdes. La clorofila de los cloroplastos absorbe la luz. ' +
+  'El ciclo de Calvin fija el dióxido de carbono y produce glucosa. A diferencia de la respiración celular, la fotosíntesis almacena energía.';
+
+/**
+ * Arranca un servidor mock en un puerto libre
+ * @param {Object} options - { failFirst, delayMs }
+ * @returns {Promise<Object>} - { server, baseUrl }
+ */
+function startMock(options) {
+  const server = createMockServer(options);
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}/v1` });
+    });
+  });
+}
+
+/**
+ * Proveedor mock sin reintentos, para que los fallos se vean enseguida
+ * @param {string} baseUrl - URL del servidor mock
+ * @returns {LLMProvider}
+ */
+function mockProvider(baseUrl) {
+  return createLLMProvider({
+    provider: 'mock',
+    baseUrl,
+    apiKey: 'mock',
+    timeoutMs: 2000,
+    maxRetries: 0,
+    retryDelayMs: 0,
+    temperature: 0,
+    maxTokens: 2000
+  });
+}
+
+/**
+ * Genera el mapa del texto de prueba con un proveedor concreto
+ * @param {LLMProvider|null} provider - Proveedor; null usa solo heurísticas
+ * @returns {Promise<Object>}
+ */
+async function generateWith(provider) {
+  const previous = conceptMapService.llmProvider;
+  conceptMapService.llmProvider = provider;
+  try {
+    return await conceptMapService.processText(TEXT, buildProcessConfig({ seed: 7 }));
+  } finally {
+    conceptMapService.llmProvider = previous;
+  }
+}
+
+/**
+ * Conceptos y relaciones de un resultado, para comparar dos generaciones
+ * @param {Object} result - Resultado del pipeline
+ * @returns {Object}
+ */
+function mapShape(result) {
+  return {
+    concepts: result.concepts.map(c => `${c.name}@${c.level}`),
+    relationships: result.relationships.map(r => `${r.source}-${r.type}->${r.target}`)
+  };
+}
+
+describe('proveedor de modelos de lenguaje', () => {
+  let heuristic;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    heuristic = await generateWith(null);
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  test('sin proveedor no se registran metadatos del modelo', () => {
+    expect(heuristic.metadata.llm).toBeUndefined();
+    expect(heuristic.concepts.length).toBeGreaterThan(0);
+  });
+
+  test('con el mock las etapas 1 y 2 usan el modelo y se contabiliza el consumo', async () => {
+    const { server, baseUrl } = await startMock();
+    try {
+      const result = await generateWith(mockProvider(baseUrl));
+
+      expect(result.metadata.llm).toMatchObject({
+        provider: 'mock',
+        sources: { organization: 'llm', reasoning: 'llm' }
+      });
+      expect(result.metadata.llm.usage.requests).toBe(2);
+      expect(result.metadata.llm.usage.totalTokens).toBeGreaterThan(0);
+      expect(result.metadata.llm.errors).toBeUndefined();
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('si el modelo responde con error se usa el análisis heurístico', async () => {
+    const { server, baseUrl } = await startMock({ failFirst: Infinity });
+    try {
+      const result = await generateWith(mockProvider(baseUrl));
+
+      expect(result.metadata.llm.sources).toEqual({});
+      expect(result.metadata.llm.usage.requests).toBe(0);
+      expect(result.metadata.llm.errors.map(error => error.stage)).toEqual(['organization', 'reasoning']);
+      expect(mapShape(result)).toEqual(mapShape(heuristic));
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('si el modelo no está disponible se usa el análisis heurístico', async () => {
+    // Puerto que queda libre al cerrar el servidor
+    const { server, baseUrl } = await startMock();
+    await new Promise(resolve => server.close(resolve));
+
+    const result = await generateWith(mockProvider(baseUrl));
+
+    expect(result.metadata.llm.errors).toHaveLength(2);
+    expect(mapShape(result)).toEqual(mapShape(heuristic));
+  });
+});
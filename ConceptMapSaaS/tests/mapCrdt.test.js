@@ -0,0 +1,211 @@
+/**
+ * Convergencia del CRDT de la edición colaborativa: réplicas que reciben las
+ * mismas operaciones en cualquier orden llegan al mismo grafo
+ */
+
+process.env.STORAGE_DRIVER = 'memory';
+
+const mapCrdt = require('../server/services/collaboration/mapCrdt');
+const collaborationService = require('../server/services/collaborationService');
+
+const GRAPH = {
+  nodes: [
+    { id: 'concept_1', label: 'Fotosíntesis', x: 0, y: 0 },
+    { id: 'concept_2', label: 'Clorofila', x: 100, y: 0 },
+    { id: 'concept_3', label: 'Oxígeno', x: 200, y: 0 }
+  ],
+  edges: [
+    { id: 'rel_1', source: 'concept_1', target: 'concept_2', type: 'hierarchical', label: 'incluye' },
+    { id: 'rel_2', source: 'concept_1', target: 'concept_3', type: 'causal', label: 'produce' }
+  ]
+};
+
+/**
+ * Grafo de un documento con los elementos ordenados por id, para comparar
+ * réplicas que recibieron las operaciones en distinto orden
+ * @param {Object} doc - Documento CRDT
+ * @returns {Object}
+ */
+function sortedGraph(doc) {
+  const { nodes, edges } = mapCrdt.toGraph(doc);
+  const byId = (a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+  return { nodes: [...nodes].sort(byId), edges: [...edges].sort(byId) };
+}
+
+/**
+ * Aplica una lista de operaciones a una réplica nueva del grafo de prueba
+ * @param {Array<Object>} ops - Operaciones
+ * @returns {Object} - Documento resultante
+ */
+function replay(ops) {
+  const doc = mapCrdt.fromGraph(GRAPH);
+  ops.forEach(op => mapCrdt.applyOperation(doc, op));
+  return doc;
+}
+
+/**
+ * Todas las ordenaciones de una lista
+ * @param {Array} list - Elementos
+ * @returns {Array<Array>}
+ */
+function permutations(list) {
+  if (list.length <= 1) return [list];
+  return list.flatMap((item, index) =>
+    permutations([...list.slice(0, index), ...list.slice(index + 1)]).map(rest => [item, ...rest]));
+}
+
+const rename = (id, name, clock) => ({ kind: 'concept', action: 'set', id, fields: { name }, clock });
+const move = (id, x, y, clock) => ({ kind: 'concept', action: 'set', id, fields: { x, y }, clock });
+const remove = (kind, id, clock) => ({ kind, action: 'remove', id, clock });
+
+describe('mapCrdt', () => {
+  test('las operaciones concurrentes convergen en cualquier orden', () => {
+    const ops = [
+      rename('concept_2', 'Clorofila a', [1, 'ana']),
+      rename('concept_2', 'Pigmento', [1, 'luis']),
+      move('concept_3', 250, 40, [2, 'ana']),
+      remove('relationship', 'rel_1', [2, 'luis']),
+      { kind: 'concept', action: 'add', id: 'ana-1', fields: { name: 'Glucosa', x: 300, y: 0 }, clock: [3, 'ana'] }
+    ];
+
+    const expected = sortedGraph(replay(ops));
+    permutations(ops).forEach(order => {
+      expect(sortedGraph(replay(order))).toEqual(expected);
+    });
+
+    // Con el mismo contador gana la réplica mayor
+    expect(expected.nodes.find(node => node.id === 'concept_2').label).toBe('Pigmento');
+    expect(expected.edges.map(edge => edge.id)).toEqual(['rel_2']);
+  });
+
+  test('los cambios de campos distintos se conservan los dos', () => {
+    const doc = replay([
+      rename('concept_3', 'O₂', [1, 'ana']),
+      move('concept_3', 10, 20, [1, 'luis'])
+    ]);
+
+    expect(mapCrdt.toGraph(doc).nodes.find(node => node.id === 'concept_3'))
+      .toEqual({ id: 'concept_3', label: 'O₂', x: 10, y: 20 });
+  });
+
+  test('una operación obsoleta o repetida no cambia el documento', () => {
+    const doc = mapCrdt.fromGraph(GRAPH);
+    const latest = rename('concept_1', 'Fotosíntesis oxigénica', [5, 'ana']);
+
+    expect(mapCrdt.applyOperation(doc, latest)).toBe(true);
+    expect(mapCrdt.applyOperation(doc, latest)).toBe(false);
+    expect(mapCrdt.applyOperation(doc, rename('concept_1', 'Respiración', [4, 'luis']))).toBe(false);
+    expect(mapCrdt.applyOperation(doc, rename('concept_1', 'Respiración', [5, 'aaa']))).toBe(false);
+
+    expect(mapCrdt.toGraph(doc).nodes[0].label).toBe('Fotosíntesis oxigénica');
+    expect(doc.clock).toBe(5);
+  });
+
+  test('editar no resucita un concepto eliminado y sus relaciones dejan de verse', () => {
+    const ops = [
+      remove('concept', 'concept_3', [1, 'ana']),
+      rename('concept_3', 'Oxígeno molecular', [2, 'luis'])
+    ];
+
+    permutations(ops).forEach(order => {
+      const graph = mapCrdt.toGraph(replay(order));
+      expect(graph.nodes.map(node => node.id)).not.toContain('concept_3');
+      expect(graph.edges.map(edge => edge.id)).toEqual(['rel_1']);
+    });
+  });
+
+  test('entre eliminar y volver a añadir gana el reloj mayor', () => {
+    const readd = { kind: 'concept', action: 'add', id: 'concept_2', fields: { name: 'Clorofila' }, clock: [3, 'luis'] };
+
+    permutations([remove('concept', 'concept_2', [2, 'ana']), readd]).forEach(order => {
+      expect(mapCrdt.toGraph(replay(order)).nodes.map(node => node.id)).toContain('concept_2');
+    });
+    permutations([remove('concept', 'concept_2', [4, 'ana']), readd]).forEach(order => {
+      expect(mapCrdt.toGraph(replay(order)).nodes.map(node => node.id)).not.toContain('concept_2');
+    });
+  });
+
+  test('rechaza operaciones mal formadas e identificadores del prototipo', () => {
+    expect(mapCrdt.validateOperation(rename('concept_1', 'Luz', [1, 'ana']))).toBeNull();
+    expect(mapCrdt.validateOperation(rename('concept_1', '', [1, 'ana']))).toMatch(/Campo no válido/);
+    expect(mapCrdt.validateOperation(rename('concept_1', 'Luz', [0, 'ana']))).toMatch(/Reloj/);
+    expect(mapCrdt.validateOperation({ ...rename('concept_1', 'Luz', [1, 'ana']), kind: 'toString' })).toMatch(/Tipo/);
+    ['__proto__', 'constructor', 'prototype'].forEach(id => {
+      expect(mapCrdt.validateOperation(remove('concept', id, [1, 'ana']))).toMatch(/Identificador/);
+    });
+    expect({}.removed).toBeUndefined();
+  });
+});
+
+describe('sala colaborativa con dos participantes', () => {
+  const map = {
+    id: 'map-crdt-test',
+    title: 'Fotosíntesis',
+    version: 1,
+    result: { concepts: [], knowledgeGraph: GRAPH }
+  };
+
+  /**
+   * Cliente de prueba: guarda su réplica a partir del welcome y aplica las operaciones difundidas
+   * @returns {Object} - { transport, doc, messages }
+   */
+  function createClient() {
+    const client = { doc: null, messages: [] };
+    client.transport = {
+      send: message => {
+        client.messages.push(message);
+        if (message.type === 'welcome') client.doc = JSON.parse(JSON.stringify(message.doc));
+        if (message.type === 'op') mapCrdt.applyOperation(client.doc, message.op);
+      },
+      close: () => {}
+    };
+    return client;
+  }
+
+  afterEach(() => {
+    // Cierra la sala y cancela el guardado programado
+    collaborationService.closeMap(map.id);
+  });
+
+  test('las réplicas de los clientes y la del servidor convergen', () => {
+    const ana = createClient();
+    const luis = createClient();
+    const anaParticipant = collaborationService.join(map, { name: 'Ana' }, ana.transport);
+    const luisParticipant = collaborationService.join(map, { name: 'Luis' }, luis.transport);
+
+    // Cada cliente aplica su cambio en local antes de enviarlo, como el editor
+    const local = (client, participant, op) => {
+      mapCrdt.applyOperation(client.doc, { ...op, clock: [op.clock[0], participant.id] });
+      collaborationService.receive(participant, { type: 'op', op });
+    };
+
+    // Los dos renombran el mismo concepto con el mismo contador
+    local(ana, anaParticipant, rename('concept_2', 'Clorofila a', [1, 'cliente']));
+    local(luis, luisParticipant, rename('concept_2', 'Pigmento', [1, 'cliente']));
+    local(ana, anaParticipant, remove('relationship', 'rel_2', [2, 'cliente']));
+    // Una operación repetida u obsoleta no se difunde
+    const received = ana.messages.length;
+    local(luis, luisParticipant, rename('concept_1', 'Fotosíntesis oxigénica', [3, 'cliente']));
+    local(luis, luisParticipant, rename('concept_1', 'Fotosíntesis oxigénica', [3, 'cliente']));
+    local(luis, luisParticipant, rename('concept_1', 'Respiración', [2, 'cliente']));
+    expect(ana.messages.length).toBe(received + 1);
+
+    const room = collaborationService.rooms.get(map.id);
+    const serverGraph = sortedGraph(room.doc);
+    expect(sortedGraph(ana.doc)).toEqual(serverGraph);
+    expect(sortedGraph(luis.doc)).toEqual(serverGraph);
+    expect(serverGraph.edges.map(edge => edge.id)).toEqual(['rel_1']);
+  });
+
+  test('una operación no válida se rechaza sin llegar al resto', () => {
+    const ana = createClient();
+    const luis = createClient();
+    const anaParticipant = collaborationService.join(map, { name: 'Ana' }, ana.transport);
+    collaborationService.join(map, { name: 'Luis' }, luis.transport);
+    const received = luis.messages.length;
+
+    expect(() => collaborationService.receive(anaParticipant, { type: 'op', op: remove('concept', '__proto__', [1, 'x']) }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_OPERATION', status: 400 }));
+    expect(luis.messages.length).toBe(received);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Estructura Markdown: profundidad y secciones de los títulos, términos
+ * marcados y anidamiento de las listas
+ */
+
+const { parseMarkdownStructure } = require('../server/services/nlp/markdownStructure');
+
+const TEXT = `# Fotosíntesis
+
+Proceso de las plantas.
+
+## Fase luminosa
+
+Ocurre en los **tilacoides**.
+
+### Fotosistemas
+
+Clorofila: pigmento que absorbe la luz.
+
+## Fase oscura
+
+- Ciclo de Calvin
+  - Fijación del carbono
+  - La enzima rubisco actúa sobre el CO2, que se fija lentamente.
+- **Glucosa**, el producto final
+
+Subtítulo subrayado
+-------------------
+
+Texto final.
+`;
+
+describe('parseMarkdownStructure', () => {
+  let structure;
+
+  beforeAll(() => {
+    structure = parseMarkdownStructure(TEXT, { language: 'es' });
+  });
+
+  test('cada título guarda su profundidad y el título que lo contiene', () => {
+    const summary = structure.headings.map(heading => [heading.title, heading.depth, heading.parent && heading.parent.title]);
+
+    expect(summary).toEqual([
+      ['Fotosíntesis', 1, null],
+      ['Fase luminosa', 2, 'Fotosíntesis'],
+      ['Fotosistemas', 3, 'Fase luminosa'],
+      ['Fase oscura', 2, 'Fotosíntesis'],
+      ['Subtítulo subrayado', 2, 'Fotosíntesis']
+    ]);
+  });
+
+  test('una sección termina donde empieza otra de igual o menor profundidad', () => {
+    const [root, light, photosystems, dark, underlined] = structure.headings;
+
+    expect(root.end).toBe(TEXT.length);
+    expect(light.end).toBe(dark.start);
+    expect(photosystems.end).toBe(dark.start);
+    expect(dark.end).toBe(underlined.start);
+    expect(TEXT.slice(light.start, light.end)).toContain('tilacoides');
+    expect(TEXT.slice(light.start, light.end)).not.toContain('Calvin');
+  });
+
+  test('las negritas y las definiciones son términos de su sección', () => {
+    const bold = structure.terms.find(term => term.name === 'tilacoides');
+    const definition = structure.terms.find(term => term.name === 'Clorofila');
+
+    expect(bold).toMatchObject({ kind: 'bold', depth: 0, parent: null });
+    expect(bold.section.title).toBe('Fase luminosa');
+    expect(definition).toMatchObject({ kind: 'definition', definition: 'pigmento que absorbe la luz.' });
+    expect(definition.section.title).toBe('Fotosistemas');
+  });
+
+  test('los elementos de lista anidados dependen del término del elemento que los contiene', () => {
+    const calvin = structure.terms.find(term => term.name === 'Ciclo de Calvin');
+    const fixation = structure.terms.find(term => term.name === 'Fijación del carbono');
+
+    expect(calvin).toMatchObject({ kind: 'list', depth: 1, parent: null });
+    expect(calvin.section.title).toBe('Fase oscura');
+    expect(fixation).toMatchObject({ kind: 'list', depth: 2 });
+    expect(fixation.parent).toBe(calvin);
+  });
+
+  test('los elementos de lista que son frases no son términos, pero sí su negrita', () => {
+    const names = structure.terms.map(term => term.name);
+
+    expect(names).not.toContain('La enzima rubisco actúa sobre el CO2, que se fija lentamente.');
+    expect(names).toContain('Glucosa');
+    expect(structure.listItems.map(item => item.depth)).toEqual([1, 2, 2, 1]);
+  });
+
+  test('un texto sin marcas no tiene títulos ni términos', () => {
+    const plain = parseMarkdownStructure('La fotosíntesis produce oxígeno. Ocurre en los cloroplastos.');
+
+    expect(plain).toEqual({ headings: [], terms: [], listItems: [] });
+  });
+});
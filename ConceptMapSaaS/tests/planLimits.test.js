@@ -0,0 +1,128 @@
+/**
+ * Límites del plan: longitud de la entrada, tipo del texto y cuota mensual
+ * de generaciones e importaciones
+ */
+
+process.env.STORAGE_DRIVER = 'memory';
+
+const config = require('../server/config');
+const { enforcePlanLimits, consumeQuota } = require('../server/middleware/planLimits');
+const conceptMapController = require('../server/controllers/conceptMapController');
+
+const FREE = config.conceptMap.limits.free;
+
+const MERMAID = `flowchart TD
+  a[Fotosíntesis] -->|produce| b[Oxígeno]
+  a -->|necesita| c[Luz solar]`;
+
+/**
+ * Respuesta HTTP de prueba que guarda el estado, las cabeceras y el cuerpo
+ * @returns {Object}
+ */
+function createResponse() {
+  const res = { statusCode: 200, headers: {}, body: null };
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.set = (name, value) => {
+    Object.assign(res.headers, typeof name === 'object' ? name : { [name]: value });
+    return res;
+  };
+  res.json = body => {
+    res.body = body;
+    return res;
+  };
+  return res;
+}
+
+/**
+ * Pasa una solicitud anónima por el middleware de límites
+ * @param {Object} body - Cuerpo de la solicitud
+ * @param {string} ip - Dirección de la cuenta anónima
+ * @returns {Object} - { req, res, next }
+ */
+function runLimits(body, ip) {
+  const req = { body, ip };
+  const res = createResponse();
+  const next = jest.fn();
+  enforcePlanLimits(req, res, next);
+  return { req, res, next };
+}
+
+describe('límites del plan', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  test('rechaza con 413 un texto más largo que el plan', () => {
+    const { res, next } = runLimits({ text: 'a'.repeat(FREE.maxTextLength + 1) }, '10.0.0.1');
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(413);
+    expect(res.body).toMatchObject({
+      code: 'TEXT_TOO_LONG',
+      limit: { plan: 'free', maxTextLength: FREE.maxTextLength, textLength: FREE.maxTextLength + 1 }
+    });
+  });
+
+  test('aplica la misma longitud máxima al contenido importado', () => {
+    const { res, next } = runLimits({ content: 'a'.repeat(FREE.maxTextLength + 1) }, '10.0.0.2');
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(413);
+    expect(res.body.code).toBe('TEXT_TOO_LONG');
+  });
+
+  test('rechaza con 422 un texto o un contenido que no es una cadena', () => {
+    [{ text: ['fotosíntesis'] }, { content: { nodes: [] } }].forEach(body => {
+      const { res, next } = runLimits(body, '10.0.0.3');
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(422);
+      expect(res.body.code).toBe('INVALID_TEXT');
+    });
+  });
+
+  test('deja pasar una entrada válida con el plan resuelto', () => {
+    const { req, next } = runLimits({ text: 'La fotosíntesis produce oxígeno.' }, '10.0.0.4');
+
+    expect(next).toHaveBeenCalled();
+    expect(req.plan).toMatchObject({ name: 'free', accountId: 'ip:10.0.0.4' });
+  });
+
+  test('al agotar la cuota responde 429 con Retry-After', async () => {
+    const { req } = runLimits({ text: 'La fotosíntesis produce oxígeno.' }, '10.0.0.5');
+
+    for (let used = 1; used <= FREE.maxMapsPerMonth; used++) {
+      const res = createResponse();
+      expect(await consumeQuota(req, res)).toBe(true);
+      expect(res.headers['X-Quota-Remaining']).toBe(String(FREE.maxMapsPerMonth - used));
+    }
+
+    const res = createResponse();
+    expect(await consumeQuota(req, res)).toBe(false);
+    expect(res.statusCode).toBe(429);
+    expect(res.body).toMatchObject({
+      code: 'MONTHLY_QUOTA_EXCEEDED',
+      limit: { plan: 'free', maxMapsPerMonth: FREE.maxMapsPerMonth, used: FREE.maxMapsPerMonth }
+    });
+    expect(Number(res.headers['Retry-After'])).toBeGreaterThan(0);
+    expect(Date.parse(res.headers['X-Quota-Reset'])).toBe(Date.parse(res.body.limit.resetAt));
+  });
+
+  test('una importación válida descuenta cuota y una no válida no', async () => {
+    const invalid = runLimits({ content: '<cmap>roto', format: 'cxl' }, '10.0.0.6');
+    await conceptMapController.importMap(invalid.req, invalid.res);
+    expect(invalid.res.statusCode).toBe(422);
+
+    const valid = runLimits({ content: MERMAID }, '10.0.0.6');
+    await conceptMapController.importMap(valid.req, valid.res);
+    expect(valid.res.body.success).toBe(true);
+    expect(valid.res.headers['X-Quota-Remaining']).toBe(String(FREE.maxMapsPerMonth - 1));
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Clasificación de relaciones por frases de enlace: tipo, orientación,
+ * etiqueta, evidencia y confianza según la oración donde coinciden
+ */
+
+process.env.STORAGE_DRIVER = 'memory';
+
+const conceptMapService = require('../server/services/conceptMapService');
+
+/**
+ * Conceptos de prueba con id igual a su nombre
+ * @param {...string} names - Nombres de los conceptos
+ * @returns {Array<Object>}
+ */
+function conceptsOf(...names) {
+  return names.map(name => ({ id: name, name }));
+}
+
+/**
+ * Clasifica una única relación entre dos conceptos del texto
+ * @param {string} text - Texto con las oraciones
+ * @param {string} source - Concepto origen propuesto
+ * @param {string} target - Concepto destino propuesto
+ * @param {Object} options - Opciones de classifyRelationshipTypes
+ * @param {Array<string>} others - Otros conceptos del mapa
+ * @returns {Promise<Object>}
+ */
+async function classify(text, source, target, options = {}, others = []) {
+  const [relationship] = await conceptMapService.classifyRelationshipTypes(
+    [{ source, target, type: 'descriptive' }],
+    conceptsOf(source, target, ...others),
+    text,
+    { language: 'es', ...options }
+  );
+  return relationship;
+}
+
+describe('classifyRelationshipTypes', () => {
+  test('una frase causal entre las menciones fija el tipo, la etiqueta y la evidencia', async () => {
+    const rel = await classify('La fotosíntesis produce oxígeno en las hojas.', 'fotosíntesis', 'oxígeno');
+
+    expect(rel).toMatchObject({
+      source: 'fotosíntesis',
+      target: 'oxígeno',
+      type: 'causal',
+      label: 'produce',
+      cue: 'produce',
+      evidence: 'La fotosíntesis produce oxígeno en las hojas.',
+      confidence: 0.9
+    });
+  });
+
+  test('orienta la relación según la dirección de la frase', async () => {
+    const hierarchical = await classify('El roble es un tipo de árbol.', 'roble', 'árbol');
+    expect(hierarchical).toMatchObject({ source: 'árbol', target: 'roble', type: 'hierarchical', label: 'incluye' });
+
+    const causal = await classify('La fotosíntesis produce oxígeno.', 'oxígeno', 'fotosíntesis');
+    expect(causal).toMatchObject({ source: 'fotosíntesis', target: 'oxígeno', type: 'causal' });
+  });
+
+  test('si coinciden varias frases gana la más larga', async () => {
+    const rel = await classify('El oxígeno es producido por la fotosíntesis.', 'oxígeno', 'fotosíntesis');
+
+    expect(rel).toMatchObject({ source: 'fotosíntesis', target: 'oxígeno', type: 'causal', cue: 'es producido por' });
+  });
+
+  test('una frase con otro concepto en medio no clasifica la relación', async () => {
+    const rel = await classify('El roble es un tipo de planta que necesita agua.', 'roble', 'agua', {}, ['planta']);
+
+    expect(rel).toMatchObject({ type: 'descriptive', cue: null, confidence: 0.5 });
+    expect(rel.evidence).toBe('El roble es un tipo de planta que necesita agua.');
+  });
+
+  test('una comparativa al inicio de la oración relaciona los conceptos que la siguen', async () => {
+    const rel = await classify('A diferencia de la estadística clásica, los modelos predictivos se evalúan con métricas.',
+      'estadística clásica', 'modelos predictivos');
+
+    expect(rel).toMatchObject({ type: 'comparative', label: 'contrasta con', cue: 'a diferencia de' });
+  });
+
+  test('reconoce las frases en inglés con las etiquetas del inglés', async () => {
+    const rel = await classify('Oak is a type of tree.', 'Oak', 'tree', { language: 'en' });
+
+    expect(rel).toMatchObject({ source: 'tree', target: 'Oak', type: 'hierarchical', label: 'includes', cue: 'is a type of' });
+  });
+
+  test('sin oración común conserva el tipo estructural con confianza baja', async () => {
+    const rel = await classify('La fotosíntesis ocurre en las hojas. El oxígeno sale por los estomas.', 'fotosíntesis', 'oxígeno');
+
+    expect(rel).toMatchObject({ type: 'descriptive', label: 'describe', cue: null, evidence: null, confidence: 0.3 });
+  });
+
+  test('preserveTypes solo acepta frases del tipo ya propuesto y no reorienta', async () => {
+    const [rel] = await conceptMapService.classifyRelationshipTypes(
+      [{ source: 'oxígeno', target: 'fotosíntesis', type: 'hierarchical', label: 'parte de' }],
+      conceptsOf('oxígeno', 'fotosíntesis'),
+      'La fotosíntesis produce oxígeno.',
+      { language: 'es', preserveTypes: true }
+    );
+
+    expect(rel).toMatchObject({ source: 'oxígeno', target: 'fotosíntesis', type: 'hierarchical', label: 'parte de', cue: null });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Enlaces compartidos: caducidad, revocación, contraseña, bloqueo tras
+ * contraseñas incorrectas y contenido que recibe la página pública
+ */
+
+process.env.STORAGE_DRIVER = 'memory';
+
+const config = require('../server/config');
+const shareService = require('../server/services/shareService');
+const shareController = require('../server/controllers/shareController');
+const { mapRepository } = require('../server/repositories');
+
+const PASSWORD = 'clorofila-2024';
+
+const CONTENT = '```mermaid\nflowchart TD\n    c1(["Fotosíntesis"]) -->|produce| c2(["Oxígeno"])\n```';
+
+/**
+ * Guarda un mapa de prueba
+ * @returns {Promise<Object>} - Mapa guardado
+ */
+function createMap() {
+  return mapRepository.create({
+    ownerId: 'ana',
+    title: 'Fotosíntesis',
+    result: { concepts: [], relationships: [], metadata: {}, content: CONTENT }
+  });
+}
+
+/**
+ * Pide un mapa compartido como lo hace la página pública
+ * @param {string} token - Token del enlace
+ * @param {string} [password] - Cabecera X-Share-Password
+ * @returns {Promise<Object>} - Respuesta de prueba
+ */
+async function getShared(token, password) {
+  const req = {
+    params: { token },
+    get: name => (name === 'X-Share-Password' ? password : undefined)
+  };
+  const res = { statusCode: 200, headers: {}, body: null };
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  res.json = body => {
+    res.body = body;
+    return res;
+  };
+  await shareController.getSharedMap(req, res);
+  return res;
+}
+
+describe('shareService', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('un enlace abre el mapa hasta que se revoca', async () => {
+    const map = await createMap();
+    const { token, share } = await shareService.createShare(map, {});
+
+    expect(share).toMatchObject({ status: 'active', passwordProtected: false, views: 0 });
+    expect(Date.parse(share.expiresAt) - Date.now()).toBeGreaterThan((config.sharing.defaultExpiryDays - 1) * 86400000);
+    expect((await shareService.openShare(token)).map.id).toBe(map.id);
+
+    await shareService.revokeShare(map, share.id);
+    await expect(shareService.openShare(token)).rejects.toMatchObject({ status: 410, code: 'SHARE_REVOKED' });
+    await expect(shareService.openShare('no-es-un-token')).rejects.toMatchObject({ status: 404, code: 'SHARE_NOT_FOUND' });
+  });
+
+  test('un enlace caducado responde 410', async () => {
+    const map = await createMap();
+    const { token } = await shareService.createShare(map, { expiresInDays: 1 });
+
+    jest.useFakeTimers({ now: Date.now() + 2 * 86400000 });
+    await expect(shareService.openShare(token)).rejects.toMatchObject({ status: 410, code: 'SHARE_EXPIRED' });
+  });
+
+  test('rechaza caducidades fuera de rango y contraseñas cortas', async () => {
+    const map = await createMap();
+
+    await expect(shareService.createShare(map, { expiresInDays: config.sharing.maxExpiryDays + 1 }))
+      .rejects.toMatchObject({ status: 400, code: 'INVALID_SHARE_EXPIRY' });
+    await expect(shareService.createShare(map, { password: 'a'.repeat(config.sharing.minPasswordLength - 1) }))
+      .rejects.toMatchObject({ status: 400, code: 'WEAK_SHARE_PASSWORD' });
+  });
+
+  test('un enlace con contraseña la pide y la comprueba', async () => {
+    const map = await createMap();
+    const { token } = await shareService.createShare(map, { password: PASSWORD });
+
+    await expect(shareService.openShare(token)).rejects.toMatchObject({ status: 401, code: 'SHARE_PASSWORD_REQUIRED' });
+    await expect(shareService.openShare(token, 'otra-contraseña')).rejects.toMatchObject({ status: 403, code: 'INVALID_SHARE_PASSWORD' });
+    expect((await shareService.openShare(token, PASSWORD)).share.passwordProtected).toBe(true);
+  });
+
+  test('tras demasiadas contraseñas incorrectas el enlace se bloquea un tiempo', async () => {
+    const map = await createMap();
+    const { token } = await shareService.createShare(map, { password: PASSWORD });
+
+    for (let attempt = 0; attempt < config.sharing.maxPasswordAttempts; attempt++) {
+      await expect(shareService.openShare(token, `intento-${attempt}`)).rejects.toMatchObject({ code: 'INVALID_SHARE_PASSWORD' });
+    }
+
+    // Bloqueado incluso con la contraseña correcta
+    const res = await getShared(token, PASSWORD);
+    expect(res.statusCode).toBe(429);
+    expect(res.body.code).toBe('TOO_MANY_SHARE_ATTEMPTS');
+    expect(Number(res.headers['Retry-After'])).toBeGreaterThan(0);
+    expect(Number(res.headers['Retry-After'])).toBeLessThanOrEqual(config.sharing.passwordLockoutMs / 1000);
+
+    jest.useFakeTimers({ now: Date.now() + config.sharing.passwordLockoutMs });
+    expect((await shareService.openShare(token, PASSWORD)).map.id).toBe(map.id);
+  });
+
+  test('la página pública recibe el contenido Mermaid del mapa, no un SVG', async () => {
+    const map = await createMap();
+    const { token } = await shareService.createShare(map, {});
+
+    const res = await getShared(token);
+
+    expect(res.headers['Cache-Control']).toBe('no-store');
+    expect(res.body).toMatchObject({ success: true, map: { title: 'Fotosíntesis', permission: 'view', content: CONTENT } });
+    expect(res.body.map.svg).toBeUndefined();
+  });
+});
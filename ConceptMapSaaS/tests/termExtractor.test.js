@@ -0,0 +1,76 @@
+/**
+ * Extractor de términos: sintagmas nominales de varias palabras aunque
+ * aparezcan una vez, y sin verbos ni adjetivos sueltos como conceptos
+ */
+
+const { extractTerms } = require('../server/services/nlp/termExtractor');
+
+const SPANISH = 'La inteligencia artificial estudia sistemas que aprenden de los datos. ' +
+  'El aprendizaje automático usa algoritmos que extraen patrones de los datos. ' +
+  'El aprendizaje profundo utiliza redes neuronales con muchas capas. ' +
+  'A diferencia de la estadística clásica, los modelos predictivos se evalúan con métricas.';
+
+const ENGLISH = 'Artificial intelligence studies systems that learn from data. ' +
+  'Machine learning uses algorithms that extract patterns from data. ' +
+  'Deep learning relies on neural networks with many layers. ' +
+  'Unlike classical statistics, predictive models are evaluated with metrics.';
+
+/**
+ * Términos extraídos, en minúsculas
+ * @param {string} text - Texto a analizar
+ * @returns {Array<string>}
+ */
+function termsOf(text) {
+  return extractTerms(text).map(term => term.term.toLowerCase());
+}
+
+describe('extractTerms', () => {
+  test('los términos de varias palabras del español se mantienen juntos', () => {
+    const terms = termsOf(SPANISH);
+
+    expect(terms).toEqual(expect.arrayContaining([
+      'inteligencia artificial',
+      'aprendizaje automático',
+      'aprendizaje profundo',
+      'redes neuronales',
+      'estadística clásica',
+      'modelos predictivos'
+    ]));
+    ['inteligencia', 'artificial', 'automático'].forEach(word => expect(terms).not.toContain(word));
+  });
+
+  test('los verbos, los adjetivos sueltos y las expresiones de enlace no son conceptos', () => {
+    const terms = termsOf(SPANISH);
+
+    ['estudia', 'aprenden', 'usa', 'extraen', 'utiliza', 'evalúan', 'predictivos', 'clásica', 'diferencia']
+      .forEach(word => expect(terms).not.toContain(word));
+    expect(terms).toEqual(expect.arrayContaining(['datos', 'sistemas', 'algoritmos', 'métricas']));
+  });
+
+  test('los términos compuestos del inglés conservan el sustantivo', () => {
+    const terms = termsOf(ENGLISH);
+
+    expect(terms).toEqual(expect.arrayContaining([
+      'artificial intelligence',
+      'machine learning',
+      'deep learning',
+      'neural networks',
+      'predictive models'
+    ]));
+    ['artificial', 'machine', 'learn', 'extract', 'uses', 'relies'].forEach(word => expect(terms).not.toContain(word));
+  });
+
+  test('un sustantivo seguido de un verbo no forma un término', () => {
+    const terms = termsOf('Los sistemas aprenden rápido. La visión por computador interpreta imágenes.');
+
+    expect(terms).not.toContain('sistemas aprenden');
+    expect(terms).not.toContain('computador interpreta');
+    expect(terms).toContain('sistemas');
+  });
+
+  test('cuenta las apariciones de cada término agrupadas por lema', () => {
+    const [first] = extractTerms('Las redes neuronales aprenden. Cada red neuronal tiene capas. Una red neuronal profunda.');
+
+    expect(first).toMatchObject({ lemma: 'red neuronal', frequency: 3, words: 2, language: 'es' });
+  });
+});